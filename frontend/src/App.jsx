@@ -4,6 +4,7 @@ import Layout from './components/Layout';
 import Dashboard from './pages/Dashboard';
 import Stations from './pages/Stations';
 import LoadManagement from './pages/LoadManagement';
+import Sessions from './pages/Sessions';
 import Energy from './pages/Energy';
 import Schedules from './pages/Schedules';
 import Analytics from './pages/Analytics';
@@ -19,6 +20,7 @@ function App() {
             <Route path="/" element={<Dashboard />} />
             <Route path="/stations" element={<Stations />} />
             <Route path="/load" element={<LoadManagement />} />
+            <Route path="/sessions" element={<Sessions />} />
             <Route path="/energy" element={<Energy />} />
             <Route path="/schedules" element={<Schedules />} />
             <Route path="/analytics" element={<Analytics />} />
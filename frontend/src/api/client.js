@@ -29,20 +29,59 @@ async function request(endpoint, options = {}) {
 
 // Stations API
 export const stationsAPI = {
-  getAll: () => request('/stations'),
+  getAll: (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    const query = params.toString();
+    return request(`/stations${query ? `?${query}` : ''}`);
+  },
+  getGroups: () => request('/stations/groups'),
+  setAvailability: (id, availability, details = {}) => request(`/stations/${id}/availability`, {
+    method: 'PUT',
+    body: JSON.stringify({ availability, ...details })
+  }),
+  bulk: (operation, filter, params = {}) => request(`/stations/bulk/${operation}`, {
+    method: 'POST',
+    body: JSON.stringify({ filter, ...params })
+  }),
+  getExportUrl: (format, filters = {}) => {
+    const params = new URLSearchParams({ format, ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)) });
+    return `${API_BASE}/stations/export?${params}`;
+  },
+  importStations: async (file, dryRun) => {
+    // Multipart upload, so no JSON content type
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', dryRun ? 'true' : 'false');
+
+    const response = await fetch(`${API_BASE}/stations/import`, { method: 'POST', body: formData });
+    const data = await response.json();
+    // Rejected imports still carry the per-row report
+    if (!response.ok && !data.data) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  },
   getById: (id) => request(`/stations/${id}`),
   create: (data) => request('/stations', { method: 'POST', body: JSON.stringify(data) }),
   update: (id, data) => request(`/stations/${id}`, { method: 'PUT', body: JSON.stringify(data) }),
   delete: (id) => request(`/stations/${id}`, { method: 'DELETE' }),
-  setPower: (id, power) => request(`/stations/${id}/power`, {
+  getConnectors: (id) => request(`/stations/${id}/connectors`),
+  setPower: (id, power, connectorId) => request(`/stations/${id}/power`, {
+    method: 'POST',
+    body: JSON.stringify({ power, connectorId })
+  }),
+  startSession: (id, user, needs = {}, connectorId) => request(`/stations/${id}/session/start`, {
     method: 'POST',
-    body: JSON.stringify({ power })
+    body: JSON.stringify({ user, ...needs, connectorId })
   }),
-  startSession: (id, user) => request(`/stations/${id}/session/start`, {
+  updateSessionNeeds: (id, needs, connectorId) => request(`/stations/${id}/session/needs`, {
     method: 'POST',
-    body: JSON.stringify({ user })
+    body: JSON.stringify({ ...needs, connectorId })
   }),
-  stopSession: (id) => request(`/stations/${id}/session/stop`, { method: 'POST' })
+  stopSession: (id, connectorId) => request(`/stations/${id}/session/stop`, {
+    method: 'POST',
+    body: JSON.stringify({ connectorId })
+  })
 };
 
 // Load Management API
@@ -53,8 +92,35 @@ export const loadAPI = {
     method: 'POST',
     body: JSON.stringify(limits)
   }),
-  getHistory: (limit) => request(`/load/history?limit=${limit || 10}`),
-  rebalance: () => request('/load/rebalance', { method: 'POST' })
+  getHistory: (params = {}) => request(`/load/history?${new URLSearchParams(params)}`),
+  rebalance: () => request('/load/rebalance', { method: 'POST' }),
+  getStrategy: () => request('/load/strategy'),
+  setStrategy: (strategy) => request('/load/strategy', {
+    method: 'POST',
+    body: JSON.stringify({ strategy })
+  }),
+  simulate: (scenario) => request('/load/simulate', {
+    method: 'POST',
+    body: JSON.stringify(scenario)
+  }),
+  explain: (stationId, connectorId) => request(
+    `/load/explain/${stationId}${connectorId !== undefined ? `?connectorId=${connectorId}` : ''}`
+  ),
+  getRotation: () => request('/load/rotation'),
+  setRotation: (settings) => request('/load/rotation', {
+    method: 'POST',
+    body: JSON.stringify(settings)
+  }),
+  getFlexibleLoads: () => request('/load/flexible-loads'),
+  createFlexibleLoad: (data) => request('/load/flexible-loads', {
+    method: 'POST',
+    body: JSON.stringify(data)
+  }),
+  updateFlexibleLoad: (id, data) => request(`/load/flexible-loads/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(data)
+  }),
+  deleteFlexibleLoad: (id) => request(`/load/flexible-loads/${id}`, { method: 'DELETE' })
 };
 
 // Energy API
@@ -67,7 +133,51 @@ export const energyAPI = {
     body: JSON.stringify({ production })
   }),
   getConsumption: () => request('/energy/consumption'),
-  getCosts: () => request('/energy/costs')
+  getCosts: () => request('/energy/costs'),
+  getDemand: () => request('/energy/demand'),
+  setPeakShaving: (settings) => request('/energy/demand', {
+    method: 'POST',
+    body: JSON.stringify(settings)
+  }),
+  getTariff: (params = {}) => request(`/energy/tariff?${new URLSearchParams(params)}`),
+  getTariffPlan: () => request('/energy/tariff/plan'),
+  importTariff: async (file, unit) => {
+    // Multipart upload, so no JSON content type
+    const formData = new FormData();
+    formData.append('file', file);
+    if (unit) formData.append('unit', unit);
+
+    const response = await fetch(`${API_BASE}/energy/tariff/import`, { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  },
+  refreshTariff: () => request('/energy/tariff/refresh', { method: 'POST' }),
+  setTariffOptimization: (enabled) => request('/energy/tariff/optimization', {
+    method: 'POST',
+    body: JSON.stringify({ enabled })
+  }),
+  getBatteries: () => request('/energy/batteries'),
+  createBattery: (data) => request('/energy/batteries', {
+    method: 'POST',
+    body: JSON.stringify(data)
+  }),
+  updateBattery: (id, data) => request(`/energy/batteries/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(data)
+  }),
+  deleteBattery: (id) => request(`/energy/batteries/${id}`, { method: 'DELETE' })
+};
+
+// Sessions API
+export const sessionsAPI = {
+  getAll: (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== '' && value !== undefined));
+    return request(`/sessions?${params}`);
+  },
+  getById: (id) => request(`/sessions/${id}`)
 };
 
 // Schedules API
@@ -9,6 +9,7 @@ export default function Layout({ children }) {
   const navItems = [
     { path: '/', icon: Icons.Dashboard, label: 'Dashboard' },
     { path: '/load', icon: Icons.Zap, label: 'Load Management' },
+    { path: '/sessions', icon: Icons.Clock, label: 'Sessions' },
     { path: '/energy', icon: Icons.Sun, label: 'Energy & PV' },
     { path: '/schedules', icon: Icons.Calendar, label: 'Schedules' },
     { path: '/analytics', icon: Icons.Chart, label: 'Analytics' },
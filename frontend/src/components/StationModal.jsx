@@ -7,6 +7,8 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
     type: 'ac',
     zone: '',
     location: '',
+    group: '',
+    tags: '',
     maxPower: 22,
     minPower: 3.7,
     priority: 5,
@@ -18,6 +20,7 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
     // OCPP
     chargePointId: '',
     connectorId: 1,
+    connectors: 1,
     // Modbus
     modbusHost: '',
     modbusPort: 502,
@@ -77,6 +80,9 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
       if (!formData.chargePointId.trim()) {
         newErrors.chargePointId = 'Charge Point ID is required for OCPP';
       }
+      if (!Number.isInteger(formData.connectors) || formData.connectors < 1) {
+        newErrors.connectors = 'Number of connectors must be at least 1';
+      }
     } else if (formData.protocol === 'modbus') {
       if (!formData.modbusHost.trim()) {
         newErrors.modbusHost = 'Modbus host is required';
@@ -104,6 +110,8 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
       type: formData.type,
       zone: formData.zone,
       location: formData.location,
+      group: formData.group.trim() || null,
+      tags: formData.tags.split(',').map(tag => tag.trim()).filter(Boolean),
       maxPower: formData.maxPower,
       minPower: formData.minPower,
       priority: formData.priority,
@@ -120,6 +128,8 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
         chargePointId: formData.chargePointId,
         connectorId: formData.connectorId
       };
+      // Connectors share the station's max power
+      stationData.connectors = formData.connectors;
     } else if (formData.protocol === 'modbus') {
       stationData.communication = {
         host: formData.modbusHost,
@@ -254,6 +264,52 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
               />
             </div>
 
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+              <div>
+                <label style={{ display: 'block', fontSize: '0.875rem', fontWeight: 600, marginBottom: 'var(--spacing-sm)' }}>
+                  Group
+                </label>
+                <input
+                  type="text"
+                  name="group"
+                  value={formData.group}
+                  onChange={handleChange}
+                  placeholder="e.g., Garage P1"
+                  style={{
+                    width: '100%',
+                    padding: '10px 12px',
+                    border: '1px solid var(--border)',
+                    borderRadius: 'var(--radius-md)',
+                    background: 'var(--surface)',
+                    color: 'var(--text-primary)',
+                    fontSize: '1rem'
+                  }}
+                />
+              </div>
+
+              <div>
+                <label style={{ display: 'block', fontSize: '0.875rem', fontWeight: 600, marginBottom: 'var(--spacing-sm)' }}>
+                  Tags
+                </label>
+                <input
+                  type="text"
+                  name="tags"
+                  value={formData.tags}
+                  onChange={handleChange}
+                  placeholder="e.g., visitor, level-1"
+                  style={{
+                    width: '100%',
+                    padding: '10px 12px',
+                    border: '1px solid var(--border)',
+                    borderRadius: 'var(--radius-md)',
+                    background: 'var(--surface)',
+                    color: 'var(--text-primary)',
+                    fontSize: '1rem'
+                  }}
+                />
+              </div>
+            </div>
+
             {/* Power Settings */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 'var(--spacing-md)' }}>
               <div>
@@ -393,6 +449,7 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
                       value={formData.connectorId}
                       onChange={handleChange}
                       min="1"
+                      disabled={formData.connectors > 1}
                       style={{
                         width: '100%',
                         padding: '10px 12px',
@@ -404,6 +461,31 @@ export default function StationModal({ isOpen, onClose, onSubmit }) {
                       }}
                     />
                   </div>
+                  <div>
+                    <label style={{ display: 'block', fontSize: '0.875rem', fontWeight: 600, marginBottom: 'var(--spacing-sm)' }}>
+                      Number of Connectors
+                    </label>
+                    <input
+                      type="number"
+                      name="connectors"
+                      value={formData.connectors}
+                      onChange={handleChange}
+                      min="1"
+                      style={{
+                        width: '100%',
+                        padding: '10px 12px',
+                        border: `1px solid ${errors.connectors ? 'var(--danger)' : 'var(--border)'}`,
+                        borderRadius: 'var(--radius-md)',
+                        background: 'var(--surface)',
+                        color: 'var(--text-primary)',
+                        fontSize: '1rem'
+                      }}
+                    />
+                    {errors.connectors && <div style={{ fontSize: '0.875rem', color: 'var(--danger)', marginTop: '4px' }}>{errors.connectors}</div>}
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                      Connectors are allocated individually and share the station's max power
+                    </div>
+                  </div>
                 </div>
               </div>
             )}
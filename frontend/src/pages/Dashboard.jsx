@@ -168,6 +168,27 @@ export default function Dashboard() {
                 </div>
                 <span className="badge">{overview.offlineStations}</span>
               </div>
+              {overview.outOfServiceStations.length > 0 && (
+                <div style={{ marginTop: 'var(--spacing-md)', paddingTop: 'var(--spacing-md)', borderTop: '1px solid var(--border)' }}>
+                  <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginBottom: 'var(--spacing-sm)' }}>
+                    Out of Service
+                  </div>
+                  {overview.outOfServiceStations.map(station => (
+                    <div key={station.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-xs)' }}>
+                      <div>
+                        <div style={{ fontWeight: 600 }}>{station.name}</div>
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                          {station.availabilityReason || 'No reason given'}
+                          {station.expectedReturn && ` · back ${new Date(station.expectedReturn).toLocaleString()}`}
+                        </div>
+                      </div>
+                      <span className={`badge ${station.availability === 'maintenance' ? 'badge-warning' : 'badge-danger'}`}>
+                        {station.availability}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
               <div style={{ marginTop: 'var(--spacing-md)', paddingTop: 'var(--spacing-md)', borderTop: '1px solid var(--border)' }}>
                 <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
                   Active Schedules
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { energyAPI } from '../api/client';
 import { useWebSocket } from '../hooks/useWebSocket';
 import Icons from '../components/Icons';
@@ -7,6 +8,11 @@ export default function Energy() {
   const [pvStatus, setPvStatus] = useState(null);
   const [consumption, setConsumption] = useState(null);
   const [costs, setCosts] = useState(null);
+  const [demand, setDemand] = useState(null);
+  const [tariff, setTariff] = useState(null);
+  const [costPlan, setCostPlan] = useState(null);
+  const [batteries, setBatteries] = useState(null);
+  const [priceUnit, setPriceUnit] = useState('kWh');
   const { data } = useWebSocket();
 
   useEffect(() => {
@@ -17,6 +23,15 @@ export default function Energy() {
     if (data?.type === 'pv.production') {
       loadData();
     }
+    if (data?.type === 'load.updated' || data?.type === 'energy.demand.interval') {
+      loadDemand();
+    }
+    if (data?.type === 'energy.tariff.updated' || data?.type === 'load.updated') {
+      loadTariff();
+    }
+    if (data?.type?.startsWith('battery.') || data?.type === 'load.updated') {
+      loadBatteries();
+    }
   }, [data]);
 
   const loadData = async () => {
@@ -29,11 +44,107 @@ export default function Energy() {
       setPvStatus(pvData.data);
       setConsumption(consumptionData.data);
       setCosts(costsData.data);
+      await Promise.all([loadDemand(), loadTariff(), loadBatteries()]);
     } catch (error) {
       console.error('Error loading energy data:', error);
     }
   };
 
+  const loadDemand = async () => {
+    try {
+      const response = await energyAPI.getDemand();
+      setDemand(response.data);
+    } catch (error) {
+      console.error('Error loading peak demand:', error);
+    }
+  };
+
+  const loadTariff = async () => {
+    try {
+      const [tariffData, planData] = await Promise.all([
+        energyAPI.getTariff(),
+        energyAPI.getTariffPlan()
+      ]);
+      setTariff(tariffData.data);
+      setCostPlan(planData.data);
+    } catch (error) {
+      console.error('Error loading tariff:', error);
+    }
+  };
+
+  const loadBatteries = async () => {
+    try {
+      const response = await energyAPI.getBatteries();
+      setBatteries(response.data);
+    } catch (error) {
+      console.error('Error loading batteries:', error);
+    }
+  };
+
+  const handleBatteryToggle = async (battery) => {
+    try {
+      await energyAPI.updateBattery(battery.id, { enabled: !battery.enabled });
+      await loadBatteries();
+    } catch (error) {
+      console.error('Error updating battery:', error);
+      alert(`Failed to update battery: ${error.message}`);
+    }
+  };
+
+  const handleTariffUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const response = await energyAPI.importTariff(file, priceUnit);
+      alert(`Imported ${response.data.count} price slots`);
+      await loadTariff();
+    } catch (error) {
+      console.error('Error importing prices:', error);
+      alert(`Failed to import prices: ${error.message}`);
+    }
+  };
+
+  const handleTariffRefresh = async () => {
+    try {
+      await energyAPI.refreshTariff();
+      await loadTariff();
+    } catch (error) {
+      console.error('Error refreshing prices:', error);
+      alert(`Failed to refresh prices: ${error.message}`);
+    }
+  };
+
+  const handleOptimizationToggle = async () => {
+    try {
+      await energyAPI.setTariffOptimization(!costPlan.enabled);
+      await loadTariff();
+    } catch (error) {
+      console.error('Error changing cost optimization:', error);
+      alert(`Failed to change cost optimization: ${error.message}`);
+    }
+  };
+
+  // Price per slot with the charging power planned in it (all sessions)
+  const tariffChartData = tariff ? tariff.curve.map(slot => {
+    const start = new Date(slot.start).getTime();
+    const end = new Date(slot.end).getTime();
+    const middle = (start + end) / 2;
+    const plannedPower = (costPlan?.sessions || []).reduce((sum, session) => (
+      sum + session.schedule
+        .filter(planned => new Date(planned.start).getTime() <= middle && new Date(planned.end).getTime() > middle)
+        .reduce((total, planned) => total + planned.power, 0)
+    ), 0);
+
+    return {
+      time: new Date(start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      price: slot.price,
+      estimated: slot.estimated,
+      plannedPower
+    };
+  }) : [];
+
   if (!pvStatus || !consumption || !costs) {
     return <div>Loading...</div>;
   }
@@ -128,11 +239,230 @@ export default function Energy() {
         </div>
       )}
 
+      {batteries && batteries.batteries.length > 0 && (
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <div className="card-header">
+            <h3 className="card-title">Battery Storage</h3>
+            <div className={`badge ${batteries.lastDispatch?.reason ? 'badge-success' : 'badge'}`}>
+              {batteries.lastDispatch?.reason === 'peak_support'
+                ? 'Supporting Peak'
+                : (batteries.lastDispatch?.reason === 'pv_surplus' ? 'Storing PV Surplus' : 'Idle')}
+            </div>
+          </div>
+          <div className="card-body">
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-lg)' }}>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Stored Energy</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>{batteries.totals.storedEnergy.toFixed(1)} kWh</div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  of {batteries.totals.capacity.toFixed(1)} kWh
+                </div>
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Battery Power</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>{batteries.totals.power.toFixed(1)} kW</div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  Setpoint {batteries.totals.setpoint.toFixed(1)} kW
+                </div>
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Available Discharge</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>{batteries.totals.availableDischarge.toFixed(1)} kW</div>
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Available Charge</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>{batteries.totals.availableCharge.toFixed(1)} kW</div>
+              </div>
+            </div>
+
+            {batteries.batteries.map(battery => (
+              <div key={battery.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '4px 0', borderTop: '1px solid var(--border)' }}>
+                <span style={{ fontWeight: 600 }}>{battery.name}</span>
+                <span style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+                  {battery.soc !== null ? `${battery.soc.toFixed(0)}%` : '-'} (reserve {battery.reserveSoc}%)
+                  {' • '}{battery.status === 'online' ? `${battery.mode} ${(battery.power ?? 0).toFixed(1)} kW` : battery.status}
+                </span>
+                <button className={`btn ${battery.enabled ? 'btn-primary' : 'btn-secondary'}`} onClick={() => handleBatteryToggle(battery)}>
+                  {battery.enabled ? 'Enabled' : 'Disabled'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {demand && (
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <div className="card-header">
+            <h3 className="card-title">Peak Demand ({demand.intervalMinutes}-min intervals)</h3>
+            <div className={`badge ${demand.enabled ? 'badge-success' : 'badge'}`}>
+              {demand.enabled ? 'Peak Shaving Active' : 'Monitoring Only'}
+            </div>
+          </div>
+          <div className="card-body">
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 'var(--spacing-md)' }}>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Monthly Billing Peak</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>
+                  {demand.monthlyPeak ? `${demand.monthlyPeak.value.toFixed(1)} kW` : '-'}
+                </div>
+                {demand.monthlyPeak && (
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                    {new Date(demand.monthlyPeak.intervalStart).toLocaleString()}
+                  </div>
+                )}
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Target</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>{demand.target.toFixed(1)} kW</div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  Configured {demand.configuredTarget} kW
+                </div>
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Current Interval</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>
+                  {demand.currentInterval ? `${demand.currentInterval.averageSoFar.toFixed(1)} kW` : '-'}
+                </div>
+                {demand.currentInterval && (
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                    {demand.currentInterval.remainingMinutes.toFixed(0)} min remaining
+                  </div>
+                )}
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Predicted Interval End</div>
+                <div
+                  style={{
+                    fontWeight: 600,
+                    fontSize: '1.25rem',
+                    color: demand.currentInterval?.predictedAverage > demand.target ? 'var(--danger)' : undefined
+                  }}
+                >
+                  {demand.currentInterval ? `${demand.currentInterval.predictedAverage.toFixed(1)} kW` : '-'}
+                </div>
+                {demand.chargingLimit !== null && (
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                    Charging limited to {demand.chargingLimit.toFixed(1)} kW
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {tariff && costPlan && (
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <div className="card-header">
+            <h3 className="card-title">Dynamic Tariff</h3>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+              <select className="form-input" value={priceUnit} onChange={(e) => setPriceUnit(e.target.value)} style={{ width: 'auto' }}>
+                <option value="kWh">per kWh</option>
+                <option value="MWh">per MWh</option>
+              </select>
+              <label className="btn btn-secondary">
+                <Icons.Upload size={16} />
+                Import Prices
+                <input type="file" accept=".json,.csv" onChange={handleTariffUpload} style={{ display: 'none' }} />
+              </label>
+              {tariff.provider && (
+                <button className="btn btn-secondary" onClick={handleTariffRefresh}>
+                  <Icons.Refresh size={16} />
+                  Refresh
+                </button>
+              )}
+              <button className={`btn ${costPlan.enabled ? 'btn-primary' : 'btn-secondary'}`} onClick={handleOptimizationToggle}>
+                {costPlan.enabled ? 'Cost Optimization On' : 'Cost Optimization Off'}
+              </button>
+            </div>
+          </div>
+          <div className="card-body">
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-lg)' }}>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Current Price</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>
+                  {tariff.currentPrice !== null ? `$${tariff.currentPrice.toFixed(3)}/kWh` : '-'}
+                </div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  Flat rate ${tariff.flatRate.toFixed(3)}/kWh
+                </div>
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Prices Known Until</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>
+                  {tariff.coveredUntil ? new Date(tariff.coveredUntil).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '-'}
+                </div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  {tariff.provider ? `Provider: ${tariff.provider}` : 'Uploads only'}
+                </div>
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Flexible Sessions</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem' }}>{costPlan.sessions.length}</div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  {costPlan.sessions.filter(s => s.currentPower === 0).length} waiting for cheaper slots
+                </div>
+              </div>
+              <div>
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Planned Savings</div>
+                <div style={{ fontWeight: 600, fontSize: '1.25rem', color: 'var(--success)' }}>
+                  ${costPlan.savings.toFixed(2)}
+                </div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  Estimated cost ${costPlan.estimatedCost.toFixed(2)}
+                </div>
+              </div>
+            </div>
+
+            {tariff.lastError && (
+              <div style={{ fontSize: '0.875rem', color: 'var(--danger)', marginBottom: 'var(--spacing-md)' }}>
+                Last refresh failed: {tariff.lastError.message}
+              </div>
+            )}
+
+            <ResponsiveContainer width="100%" height={260}>
+              <ComposedChart data={tariffChartData}>
+                <XAxis dataKey="time" stroke="var(--text-muted)" fontSize={12} />
+                <YAxis yAxisId="price" stroke="var(--text-muted)" fontSize={12} tickFormatter={(v) => v.toFixed(2)} />
+                <YAxis yAxisId="power" orientation="right" stroke="var(--text-muted)" fontSize={12} unit=" kW" />
+                <Tooltip
+                  formatter={(value, name) => name === 'Price'
+                    ? [`$${value.toFixed(3)}/kWh`, name]
+                    : [`${value.toFixed(1)} kW`, name]}
+                />
+                <Legend />
+                <Bar yAxisId="power" dataKey="plannedPower" name="Planned Charging" fill="var(--primary)" opacity={0.6} />
+                <Line yAxisId="price" type="stepAfter" dataKey="price" name="Price" stroke="var(--warning)" dot={false} strokeWidth={2} />
+              </ComposedChart>
+            </ResponsiveContainer>
+            {tariffChartData.some(d => d.estimated) && (
+              <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                Where no price is known the flat rate is assumed
+              </div>
+            )}
+
+            {costPlan.sessions.map(session => (
+              <div key={session.stationId} style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0', borderTop: '1px solid var(--border)' }}>
+                <span style={{ fontWeight: 600 }}>{session.stationName}</span>
+                <span style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+                  {session.currentPower > 0
+                    ? `Charging now at ${session.currentPower.toFixed(1)} kW`
+                    : `Waiting until ${new Date(session.nextSlotStart).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+                  {' • '}{session.energyRemaining.toFixed(1)} kWh by {new Date(session.departureTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
+                <span>${session.estimatedCost.toFixed(2)} (saves ${session.savings.toFixed(2)})</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="card">
         <div className="card-header">
           <h3 className="card-title">Energy Costs</h3>
-          <div className={`badge ${costs.isPeakDemand ? 'badge-warning' : 'badge-info'}`}>
-            {costs.isPeakDemand ? 'Peak Rate' : 'Normal Rate'}
+          <div className={`badge ${costs.isPeakDemand && !costs.isDynamicPrice ? 'badge-warning' : 'badge-info'}`}>
+            {costs.isDynamicPrice ? 'Dynamic Rate' : (costs.isPeakDemand ? 'Peak Rate' : 'Normal Rate')}
           </div>
         </div>
         <div className="card-body">
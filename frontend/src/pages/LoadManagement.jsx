@@ -6,31 +6,96 @@ import Icons from '../components/Icons';
 export default function LoadManagement() {
   const [loadStatus, setLoadStatus] = useState(null);
   const [capacity, setCapacity] = useState(null);
+  const [strategy, setStrategy] = useState(null);
+  const [scenario, setScenario] = useState({ maxGridCapacity: '', pvProduction: '', buildingLoad: '', additionalStations: 0 });
+  const [simulation, setSimulation] = useState(null);
+  const [flexibleLoads, setFlexibleLoads] = useState(null);
   const { data } = useWebSocket();
 
   useEffect(() => {
     loadData();
+    loadStrategy();
   }, []);
 
   useEffect(() => {
-    if (data?.type === 'load.updated') {
+    if (data?.type === 'load.updated' || data?.type?.startsWith('flexible_load.')) {
       loadData();
+    } else if (data?.type === 'load.strategy.changed') {
+      loadStrategy();
     }
   }, [data]);
 
+  const loadStrategy = async () => {
+    try {
+      const response = await loadAPI.getStrategy();
+      setStrategy(response.data);
+    } catch (error) {
+      console.error('Error loading allocation strategy:', error);
+    }
+  };
+
+  const handleStrategyChange = async (e) => {
+    try {
+      const response = await loadAPI.setStrategy(e.target.value);
+      setStrategy(response.data);
+    } catch (error) {
+      console.error('Error setting allocation strategy:', error);
+      alert(`Failed to set strategy: ${error.message}`);
+    }
+  };
+
   const loadData = async () => {
     try {
-      const [statusData, capacityData] = await Promise.all([
+      const [statusData, capacityData, flexibleData] = await Promise.all([
         loadAPI.getStatus(),
-        loadAPI.getCapacity()
+        loadAPI.getCapacity(),
+        loadAPI.getFlexibleLoads()
       ]);
       setLoadStatus(statusData.data);
       setCapacity(capacityData.data);
+      setFlexibleLoads(flexibleData.data);
     } catch (error) {
       console.error('Error loading load data:', error);
     }
   };
 
+  const handleFlexibleLoadToggle = async (load) => {
+    try {
+      await loadAPI.updateFlexibleLoad(load.id, { enabled: !load.enabled });
+      await loadData();
+    } catch (error) {
+      console.error('Error updating flexible load:', error);
+      alert(`Failed to update flexible load: ${error.message}`);
+    }
+  };
+
+  const handleScenarioChange = (e) => {
+    const { name, value } = e.target;
+    setScenario(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSimulate = async () => {
+    // Empty fields fall back to the live values on the backend
+    const request = {};
+    for (const field of ['maxGridCapacity', 'pvProduction', 'buildingLoad']) {
+      if (scenario[field] !== '') {
+        request[field] = parseFloat(scenario[field]);
+      }
+    }
+    const additional = parseInt(scenario.additionalStations) || 0;
+    if (additional > 0) {
+      request.additionalStations = Array.from({ length: additional }, () => ({}));
+    }
+
+    try {
+      const response = await loadAPI.simulate(request);
+      setSimulation(response.data);
+    } catch (error) {
+      console.error('Error running simulation:', error);
+      alert(`Simulation failed: ${error.message}`);
+    }
+  };
+
   if (!loadStatus || !capacity) {
     return <div>Loading...</div>;
   }
@@ -129,6 +194,109 @@ export default function LoadManagement() {
         </div>
       </div>
 
+      {/* Allocation Strategy */}
+      {strategy && (
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <div className="card-header">
+            <h3 className="card-title">Allocation Strategy</h3>
+          </div>
+          <div className="card-body">
+            <select
+              className="form-input"
+              value={strategy.active}
+              onChange={handleStrategyChange}
+            >
+              {strategy.strategies.map(s => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+            <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: 'var(--spacing-sm)' }}>
+              {strategy.strategies.find(s => s.id === strategy.active)?.description}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Flexible Loads */}
+      {flexibleLoads && flexibleLoads.loads.length > 0 && (
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <div className="card-header">
+            <h3 className="card-title">Flexible Loads</h3>
+            <span style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+              {flexibleLoads.totals.releasedPower.toFixed(1)} kW released • {flexibleLoads.totals.blockedPower.toFixed(1)} kW blocked
+            </span>
+          </div>
+          <div className="card-body">
+            {flexibleLoads.loads.map(load => (
+              <div key={load.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '4px 0' }}>
+                <div>
+                  <div style={{ fontWeight: 600 }}>{load.name}</div>
+                  <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+                    {load.type.replace('_', ' ')} • {load.power.toFixed(1)} kW • Priority: {load.priority}
+                  </div>
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+                  <div className={`badge ${load.on ? 'badge-success' : 'badge-warning'}`}>
+                    {load.on ? 'Released' : `Blocked${load.reason ? ` (${load.reason.replace('_', ' ')})` : ''}`}
+                  </div>
+                  <button className={`btn ${load.enabled ? 'btn-primary' : 'btn-secondary'}`} onClick={() => handleFlexibleLoadToggle(load)}>
+                    {load.enabled ? 'Managed' : 'Unmanaged'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* What-if Simulation */}
+      <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+        <div className="card-header">
+          <h3 className="card-title">What-if Simulation</h3>
+          <button className="btn btn-secondary" onClick={handleSimulate}>
+            <Icons.Zap size={16} />
+            Simulate
+          </button>
+        </div>
+        <div className="card-body">
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 'var(--spacing-md)' }}>
+            <div className="form-group">
+              <label className="form-label">Grid Capacity (kW)</label>
+              <input type="number" name="maxGridCapacity" className="form-input" placeholder={capacity.maxCapacity} value={scenario.maxGridCapacity} onChange={handleScenarioChange} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">PV Production (kW)</label>
+              <input type="number" name="pvProduction" className="form-input" placeholder="current" value={scenario.pvProduction} onChange={handleScenarioChange} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Building Load (kW)</label>
+              <input type="number" name="buildingLoad" className="form-input" placeholder="current" value={scenario.buildingLoad} onChange={handleScenarioChange} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Additional Stations</label>
+              <input type="number" name="additionalStations" className="form-input" min="0" value={scenario.additionalStations} onChange={handleScenarioChange} />
+            </div>
+          </div>
+
+          {simulation && (
+            <div style={{ marginTop: 'var(--spacing-md)' }}>
+              <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginBottom: 'var(--spacing-sm)' }}>
+                Available {simulation.availableCapacity.toFixed(1)} kW • Allocated {simulation.totalAllocated.toFixed(1)} kW • Strategy {simulation.scenario.strategy}
+              </div>
+              {simulation.allocations.map(allocation => (
+                <div key={allocation.stationId} style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0' }}>
+                  <span>{allocation.stationName}</span>
+                  <span style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+                    {allocation.reason || allocation.bindingConstraint?.type}
+                  </span>
+                  <span style={{ fontWeight: 600 }}>{allocation.power.toFixed(1)} kW</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Active Stations */}
       <div className="card">
         <div className="card-header">
@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react';
+import { useWebSocket } from '../hooks/useWebSocket';
+import { sessionsAPI, stationsAPI } from '../api/client';
+import Icons from '../components/Icons';
+
+const PAGE_SIZE = 20;
+
+export default function Sessions() {
+  const [sessions, setSessions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totals, setTotals] = useState({ energy: 0, duration: 0 });
+  const [stations, setStations] = useState([]);
+  const [filter, setFilter] = useState({ stationId: '', status: '', userId: '', rfidCard: '', from: '', to: '' });
+  const [offset, setOffset] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const { data } = useWebSocket();
+
+  useEffect(() => {
+    loadStations();
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [filter, offset]);
+
+  useEffect(() => {
+    if (data?.type === 'session.completed' || data?.type === 'station.session.started') {
+      loadSessions();
+    }
+  }, [data]);
+
+  const loadStations = async () => {
+    try {
+      const response = await stationsAPI.getAll();
+      setStations(response.data);
+    } catch (error) {
+      console.error('Error loading stations:', error);
+    }
+  };
+
+  const loadSessions = async () => {
+    try {
+      const response = await sessionsAPI.getAll({
+        ...filter,
+        from: filter.from && new Date(`${filter.from}T00:00:00`).toISOString(),
+        // Include the whole end day
+        to: filter.to && new Date(`${filter.to}T23:59:59`).toISOString(),
+        limit: PAGE_SIZE,
+        offset
+      });
+      setSessions(response.data);
+      setTotal(response.total);
+      setTotals(response.totals);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilter(prev => ({ ...prev, [field]: value }));
+    setOffset(0);
+  };
+
+  const handleSelect = async (sessionId) => {
+    if (selected?.id === sessionId) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      const response = await sessionsAPI.getById(sessionId);
+      setSelected(response.data);
+    } catch (error) {
+      console.error('Error loading session:', error);
+      alert(`Failed to load session: ${error.message}`);
+    }
+  };
+
+  const formatDuration = (seconds) => {
+    const minutes = Math.round(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  };
+
+  const getSessionName = (session) =>
+    session.connectorId !== null ? `${session.stationName} #${session.connectorId}` : session.stationName;
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">Charging Sessions</h1>
+        <p className="page-description">
+          History of charging sessions with energy, power and allocation
+        </p>
+      </div>
+
+      <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+        <div className="card-body">
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 'var(--spacing-md)' }}>
+            <div className="form-group">
+              <label className="form-label">Station</label>
+              <select
+                className="form-input"
+                value={filter.stationId}
+                onChange={(e) => handleFilterChange('stationId', e.target.value)}
+              >
+                <option value="">All stations</option>
+                {stations.map(station => (
+                  <option key={station.id} value={station.id}>{station.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Status</label>
+              <select
+                className="form-input"
+                value={filter.status}
+                onChange={(e) => handleFilterChange('status', e.target.value)}
+              >
+                <option value="">All</option>
+                <option value="active">Active</option>
+                <option value="completed">Completed</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">User ID</label>
+              <input
+                type="text"
+                className="form-input"
+                value={filter.userId}
+                onChange={(e) => handleFilterChange('userId', e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">RFID Card</label>
+              <input
+                type="text"
+                className="form-input"
+                value={filter.rfidCard}
+                onChange={(e) => handleFilterChange('rfidCard', e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">From</label>
+              <input
+                type="date"
+                className="form-input"
+                value={filter.from}
+                onChange={(e) => handleFilterChange('from', e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">To</label>
+              <input
+                type="date"
+                className="form-input"
+                value={filter.to}
+                onChange={(e) => handleFilterChange('to', e.target.value)}
+              />
+            </div>
+          </div>
+          <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+            {total} sessions • {totals.energy.toFixed(2)} kWh • {formatDuration(totals.duration)}
+          </div>
+        </div>
+      </div>
+
+      {sessions.length === 0 ? (
+        <div className="card" style={{ textAlign: 'center', padding: 'var(--spacing-xl)' }}>
+          <Icons.Clock size={48} style={{ color: 'var(--text-muted)', margin: '0 auto var(--spacing-md)' }} />
+          <h3 style={{ marginBottom: 'var(--spacing-sm)' }}>No Sessions Found</h3>
+          <p style={{ color: 'var(--text-muted)' }}>
+            Charging sessions are recorded here when they start
+          </p>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-md)' }}>
+          {sessions.map(session => (
+            <div key={session.id} className="card">
+              <div className="card-header">
+                <div>
+                  <h3 className="card-title">{getSessionName(session)}</h3>
+                  <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                    {new Date(session.startTime).toLocaleString()}
+                    {session.endTime && ` – ${new Date(session.endTime).toLocaleString()}`}
+                    {' • '}{session.user?.name || session.rfidCard || 'Unknown user'}
+                  </div>
+                </div>
+                <div className={`badge ${session.status === 'active' ? 'badge-success' : 'badge'}`}>
+                  {session.status === 'active' ? 'active' : session.stopReason}
+                </div>
+              </div>
+              <div className="card-body">
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+                  <div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Energy</div>
+                    <div style={{ fontSize: '1.25rem', fontWeight: 600 }}>
+                      {session.energy.toFixed(2)} kWh
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{session.energySource}</div>
+                  </div>
+                  <div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Duration</div>
+                    <div style={{ fontSize: '1.25rem', fontWeight: 600 }}>{formatDuration(session.duration)}</div>
+                  </div>
+                  <div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Peak Power</div>
+                    <div style={{ fontSize: '1.25rem', fontWeight: 600 }}>{session.peakPower.toFixed(1)} kW</div>
+                  </div>
+                  <div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Average Power</div>
+                    <div style={{ fontSize: '1.25rem', fontWeight: 600 }}>{session.averagePower.toFixed(1)} kW</div>
+                  </div>
+                </div>
+
+                {selected?.id === session.id && (
+                  <div style={{ padding: 'var(--spacing-md)', background: 'var(--bg-secondary)', borderRadius: 'var(--radius-md)', marginBottom: 'var(--spacing-md)' }}>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '4px' }}>
+                      Allocation Timeline{selected.timelineTruncated && ' (oldest changes dropped)'}
+                    </div>
+                    {selected.timeline.length === 0 ? (
+                      <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>No allocations recorded</div>
+                    ) : (
+                      selected.timeline.map((entry, index) => (
+                        <div key={index} style={{ display: 'flex', gap: 'var(--spacing-md)', fontSize: '0.875rem', padding: '2px 0' }}>
+                          <div style={{ color: 'var(--text-muted)', minWidth: '90px' }}>
+                            {new Date(entry.time).toLocaleTimeString()}
+                          </div>
+                          <div style={{ fontWeight: 600, minWidth: '70px' }}>{entry.power.toFixed(1)} kW</div>
+                          <div style={{ color: 'var(--text-muted)' }}>
+                            {entry.reason}
+                            {entry.constraint && ` (${entry.constraint.type}: ${entry.constraint.name})`}
+                          </div>
+                        </div>
+                      ))
+                    )}
+                    {selected.transactionId != null && (
+                      <div style={{ marginTop: 'var(--spacing-sm)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                        OCPP transaction {selected.transactionId}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <button className="btn btn-secondary" onClick={() => handleSelect(session.id)}>
+                  <Icons.Activity size={16} />
+                  {selected?.id === session.id ? 'Hide Timeline' : 'Timeline'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 'var(--spacing-md)', marginTop: 'var(--spacing-xl)' }}>
+          <button
+            className="btn btn-secondary"
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+          >
+            Previous
+          </button>
+          <span style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <button
+            className="btn btn-secondary"
+            disabled={offset + PAGE_SIZE >= total}
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { stationsAPI } from '../api/client';
+import { stationsAPI, loadAPI } from '../api/client';
 import { useWebSocket } from '../hooks/useWebSocket';
 import Icons from '../components/Icons';
 import StationModal from '../components/StationModal';
@@ -10,27 +10,126 @@ export default function Stations() {
   const [showModal, setShowModal] = useState(false);
   const [showAIModal, setShowAIModal] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [detailsStationId, setDetailsStationId] = useState(null);
+  const [detailsConnectorId, setDetailsConnectorId] = useState(undefined);
+  const [explanation, setExplanation] = useState(null);
+  const [groups, setGroups] = useState({ groups: [], tags: [] });
+  const [filter, setFilter] = useState({ group: '', tags: '' });
+  const [bulkValues, setBulkValues] = useState({ priority: 5, maxPower: 11, reason: '' });
+  const [bulkResult, setBulkResult] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [availabilityForm, setAvailabilityForm] = useState(null);
   const { data } = useWebSocket();
 
+  const hasFilter = Boolean(filter.group || filter.tags);
+
   useEffect(() => {
     loadStations();
-  }, []);
+  }, [filter]);
 
   useEffect(() => {
-    if (data?.type === 'station.updated' || data?.type === 'station.registered') {
+    if (['station.updated', 'station.registered', 'station.bulk.completed', 'station.imported'].includes(data?.type)) {
       loadStations();
     }
+    if (data?.type === 'load.updated' && detailsStationId) {
+      loadExplanation(detailsStationId, detailsConnectorId);
+    }
   }, [data]);
 
   const loadStations = async () => {
     try {
-      const response = await stationsAPI.getAll();
-      setStations(response.data);
+      const [stationsResponse, groupsResponse] = await Promise.all([
+        stationsAPI.getAll(filter),
+        stationsAPI.getGroups()
+      ]);
+      setStations(stationsResponse.data);
+      setGroups(groupsResponse.data);
     } catch (error) {
       console.error('Error loading stations:', error);
     }
   };
 
+  const handleBulk = async (operation, params) => {
+    try {
+      const response = await stationsAPI.bulk(operation, filter, params);
+      setBulkResult(response.data);
+      await loadStations();
+    } catch (error) {
+      console.error('Error running bulk operation:', error);
+      alert(`Bulk operation failed: ${error.message}`);
+    }
+  };
+
+  const handleEditAvailability = (station) => {
+    if (availabilityForm?.stationId === station.id) {
+      setAvailabilityForm(null);
+      return;
+    }
+
+    setAvailabilityForm({
+      stationId: station.id,
+      availability: station.availability || 'operative',
+      reason: station.availabilityReason || '',
+      // datetime-local wants local time without seconds
+      expectedReturn: station.expectedReturn
+        ? new Date(new Date(station.expectedReturn).getTime() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+        : ''
+    });
+  };
+
+  const handleSaveAvailability = async () => {
+    const { stationId, availability, reason, expectedReturn } = availabilityForm;
+    const outOfService = availability !== 'operative';
+
+    try {
+      await stationsAPI.setAvailability(stationId, availability, {
+        reason: outOfService && reason ? reason : null,
+        expectedReturn: outOfService && expectedReturn ? new Date(expectedReturn).toISOString() : null
+      });
+      setAvailabilityForm(null);
+      await loadStations();
+    } catch (error) {
+      console.error('Error setting availability:', error);
+      alert(`Failed to set availability: ${error.message}`);
+    }
+  };
+
+  const getAvailabilityBadge = (station) => {
+    if (station.availability === 'maintenance') return { className: 'badge-warning', label: 'maintenance' };
+    if (station.availability === 'inoperative') return { className: 'badge-danger', label: 'out of service' };
+    return { className: getStatusBadge(station.status), label: station.status };
+  };
+
+  // Connectors of multi-connector stations are allocated (and explained) individually
+  const getPointId = (stationId, connectorId) =>
+    connectorId !== undefined ? `${stationId}:${connectorId}` : stationId;
+
+  const loadExplanation = async (stationId, connectorId) => {
+    try {
+      const response = await loadAPI.explain(stationId, connectorId);
+      setExplanation(response.data);
+    } catch (error) {
+      setExplanation({ stationId: getPointId(stationId, connectorId), error: error.message });
+    }
+  };
+
+  const handleToggleDetails = (stationId, connectorId) => {
+    if (detailsStationId === stationId && detailsConnectorId === connectorId) {
+      setDetailsStationId(null);
+      setDetailsConnectorId(undefined);
+      setExplanation(null);
+      return;
+    }
+
+    setDetailsStationId(stationId);
+    setDetailsConnectorId(connectorId);
+    setExplanation(null);
+    loadExplanation(stationId, connectorId);
+  };
+
+  const getConnectors = (station) => (station.connectors?.length > 1 ? station.connectors : []);
+
   const handleAddStation = async (stationData) => {
     setLoading(true);
     try {
@@ -45,6 +144,34 @@ export default function Stations() {
     }
   };
 
+  // Imports are validated with a dry run first, then confirmed
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const response = await stationsAPI.importStations(file, true);
+      setImportFile(file);
+      setImportReport(response.data);
+    } catch (error) {
+      console.error('Error validating import:', error);
+      alert(`Failed to read import file: ${error.message}`);
+    }
+  };
+
+  const handleImportConfirm = async () => {
+    try {
+      const response = await stationsAPI.importStations(importFile, false);
+      setImportReport(response.data);
+      setImportFile(null);
+      await loadStations();
+    } catch (error) {
+      console.error('Error importing stations:', error);
+      alert(`Failed to import stations: ${error.message}`);
+    }
+  };
+
   const handleAIStationCreated = async (station) => {
     await loadStations();
   };
@@ -83,6 +210,19 @@ export default function Stations() {
           </p>
         </div>
         <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+          <a className="btn btn-secondary" href={stationsAPI.getExportUrl('csv', filter)} download>
+            <Icons.Download size={18} />
+            CSV
+          </a>
+          <a className="btn btn-secondary" href={stationsAPI.getExportUrl('json', filter)} download>
+            <Icons.Download size={18} />
+            JSON
+          </a>
+          <label className="btn btn-secondary">
+            <Icons.Upload size={18} />
+            Import
+            <input type="file" accept=".json,.csv" onChange={handleImportFile} style={{ display: 'none' }} />
+          </label>
           <button className="btn btn-secondary" onClick={() => setShowAIModal(true)}>
             <Icons.Sparkles size={18} />
             AI Setup
@@ -94,6 +234,154 @@ export default function Stations() {
         </div>
       </div>
 
+      {/* Import report */}
+      {importReport && (
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <div className="card-header">
+            <h3 className="card-title">
+              {importReport.imported ? 'Import Finished' : 'Import Check'}
+            </h3>
+            <span style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+              {importReport.imported
+                ? `${importReport.total - importReport.failed} of ${importReport.total} stations imported`
+                : `${importReport.valid} of ${importReport.total} rows valid`}
+            </span>
+          </div>
+          <div className="card-body">
+            {importReport.rows.filter(row => row.errors.length > 0).map(row => (
+              <div key={row.row} style={{ fontSize: '0.875rem', marginBottom: '4px' }}>
+                <span style={{ fontWeight: 600 }}>Row {row.row}{row.name && ` (${row.name})`}:</span>{' '}
+                <span style={{ color: 'var(--text-muted)' }}>{row.errors.join('; ')}</span>
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-md)' }}>
+              {!importReport.imported && importReport.invalid === 0 && importFile && (
+                <button className="btn btn-primary" onClick={handleImportConfirm}>
+                  Import {importReport.total} Stations
+                </button>
+              )}
+              <button
+                className="btn btn-secondary"
+                onClick={() => {
+                  setImportReport(null);
+                  setImportFile(null);
+                }}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Filter and bulk actions */}
+      {(groups.groups.length > 0 || groups.tags.length > 0) && (
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <div className="card-header">
+            <h3 className="card-title">Groups & Bulk Actions</h3>
+            <span style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+              {stations.length} station{stations.length === 1 ? '' : 's'} selected
+            </span>
+          </div>
+          <div className="card-body">
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+              <div>
+                <label className="form-label">Group</label>
+                <select
+                  className="form-input"
+                  value={filter.group}
+                  onChange={(e) => setFilter(prev => ({ ...prev, group: e.target.value }))}
+                >
+                  <option value="">All groups</option>
+                  {groups.groups.map(g => (
+                    <option key={g.group} value={g.group}>{g.group} ({g.count})</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Tag</label>
+                <select
+                  className="form-input"
+                  value={filter.tags}
+                  onChange={(e) => setFilter(prev => ({ ...prev, tags: e.target.value }))}
+                >
+                  <option value="">All tags</option>
+                  {groups.tags.map(t => (
+                    <option key={t.tag} value={t.tag}>{t.tag} ({t.count})</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {hasFilter && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-sm)', alignItems: 'center' }}>
+                <input
+                  type="number"
+                  className="form-input"
+                  style={{ width: '80px' }}
+                  min="1"
+                  max="10"
+                  value={bulkValues.priority}
+                  onChange={(e) => setBulkValues(prev => ({ ...prev, priority: parseInt(e.target.value, 10) }))}
+                />
+                <button className="btn btn-secondary" onClick={() => handleBulk('priority', { priority: bulkValues.priority })}>
+                  Set Priority
+                </button>
+                <input
+                  type="number"
+                  className="form-input"
+                  style={{ width: '90px' }}
+                  min="0"
+                  step="0.1"
+                  value={bulkValues.maxPower}
+                  onChange={(e) => setBulkValues(prev => ({ ...prev, maxPower: parseFloat(e.target.value) }))}
+                />
+                <button className="btn btn-secondary" onClick={() => handleBulk('max-power', { maxPower: bulkValues.maxPower })}>
+                  Set Max Power
+                </button>
+                <input
+                  type="text"
+                  className="form-input"
+                  style={{ width: '180px' }}
+                  placeholder="Reason"
+                  value={bulkValues.reason}
+                  onChange={(e) => setBulkValues(prev => ({ ...prev, reason: e.target.value }))}
+                />
+                <button className="btn btn-secondary" onClick={() => handleBulk('availability', { availability: 'inoperative', reason: bulkValues.reason || null })}>
+                  Take Out of Service
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  disabled={!bulkValues.reason}
+                  onClick={() => handleBulk('availability', { availability: 'maintenance', reason: bulkValues.reason })}
+                >
+                  Maintenance
+                </button>
+                <button className="btn btn-secondary" onClick={() => handleBulk('availability', { availability: 'operative' })}>
+                  Return to Service
+                </button>
+                <button className="btn btn-danger" onClick={() => handleBulk('session/stop')}>
+                  Stop Sessions
+                </button>
+              </div>
+            )}
+
+            {bulkResult && (
+              <div style={{ marginTop: 'var(--spacing-md)', fontSize: '0.875rem' }}>
+                <div style={{ fontWeight: 600 }}>
+                  {bulkResult.action}: {bulkResult.succeeded} of {bulkResult.matched} succeeded
+                </div>
+                {bulkResult.results.filter(r => !r.success).map(r => (
+                  <div key={r.stationId} style={{ color: 'var(--text-muted)' }}>
+                    {r.name}: {r.error}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {stations.length === 0 ? (
         <div className="card" style={{ textAlign: 'center', padding: 'var(--spacing-xl)' }}>
           <Icons.BatteryCharging size={48} style={{ color: 'var(--text-muted)', margin: '0 auto var(--spacing-md)' }} />
@@ -121,13 +409,36 @@ export default function Stations() {
                   <h3 className="card-title">{station.name}</h3>
                   <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '4px' }}>
                     {station.zone} • {station.protocol?.toUpperCase()}
+                    {station.group && ` • ${station.group}`}
                   </div>
+                  {station.tags?.length > 0 && (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
+                      {station.tags.map(tag => (
+                        <span key={tag} className="badge">{tag}</span>
+                      ))}
+                    </div>
+                  )}
                 </div>
-                <div className={`badge ${getStatusBadge(station.status)}`}>
-                  {station.status}
+                <div className={`badge ${getAvailabilityBadge(station).className}`}>
+                  {getAvailabilityBadge(station).label}
                 </div>
               </div>
               <div className="card-body">
+                {(station.availability || 'operative') !== 'operative' && (
+                  <div style={{ padding: 'var(--spacing-md)', background: 'var(--bg-secondary)', borderRadius: 'var(--radius-md)', marginBottom: 'var(--spacing-md)', fontSize: '0.875rem' }}>
+                    <div style={{ fontWeight: 600 }}>{station.availabilityReason || 'No reason given'}</div>
+                    {station.expectedReturn && (
+                      <div style={{ color: new Date(station.expectedReturn) < new Date() ? 'var(--danger)' : 'var(--text-muted)' }}>
+                        Expected back {new Date(station.expectedReturn).toLocaleString()}
+                        {new Date(station.expectedReturn) < new Date() && ' (overdue)'}
+                      </div>
+                    )}
+                    {station.availabilitySync && station.availabilitySync !== 'accepted' && (
+                      <div style={{ color: 'var(--text-muted)' }}>Charger sync: {station.availabilitySync}</div>
+                    )}
+                  </div>
+                )}
+
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
                   <div>
                     <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Current Power</div>
@@ -167,11 +478,128 @@ export default function Stations() {
                   </div>
                 )}
 
+                {getConnectors(station).length > 0 && (
+                  <div style={{ padding: 'var(--spacing-md)', background: 'var(--bg-secondary)', borderRadius: 'var(--radius-md)', marginBottom: 'var(--spacing-md)' }}>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '4px' }}>Connectors</div>
+                    {getConnectors(station).map(connector => (
+                      <div
+                        key={connector.connectorId}
+                        style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-sm)', fontSize: '0.875rem', padding: '4px 0' }}
+                      >
+                        <div style={{ fontWeight: 600 }}>#{connector.connectorId}</div>
+                        <div className={`badge ${getStatusBadge(connector.status)}`}>{connector.status}</div>
+                        <div>{(connector.currentPower || 0).toFixed(1)} / {connector.maxPower} kW</div>
+                        <div style={{ color: 'var(--text-muted)' }}>{connector.user?.name || '-'}</div>
+                        <button
+                          className="btn btn-secondary"
+                          style={{ padding: '2px 8px', fontSize: '0.75rem' }}
+                          onClick={() => handleToggleDetails(station.id, connector.connectorId)}
+                        >
+                          Details
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {detailsStationId === station.id && (
+                  <div style={{ padding: 'var(--spacing-md)', background: 'var(--bg-secondary)', borderRadius: 'var(--radius-md)', marginBottom: 'var(--spacing-md)' }}>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '4px' }}>
+                      Allocation Decision{detailsConnectorId !== undefined && ` (connector #${detailsConnectorId})`}
+                    </div>
+                    {!explanation || explanation.stationId !== getPointId(station.id, detailsConnectorId) ? (
+                      <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>Loading...</div>
+                    ) : explanation.error ? (
+                      <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>{explanation.error}</div>
+                    ) : (
+                      <>
+                        <div style={{ fontWeight: 600, marginBottom: 'var(--spacing-sm)' }}>{explanation.summary}</div>
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px', fontSize: '0.875rem' }}>
+                          <div style={{ color: 'var(--text-muted)' }}>Rank</div>
+                          <div>{explanation.rank} of {explanation.activeStations} ({explanation.strategy})</div>
+                          <div style={{ color: 'var(--text-muted)' }}>Minimum pass</div>
+                          <div>
+                            {explanation.minPass
+                              ? `${explanation.minPass.admitted ? 'Admitted' : 'Rejected'} (min ${explanation.minPass.minPower.toFixed(1)} kW, headroom ${explanation.minPass.headroom.toFixed(1)} kW)`
+                              : '-'}
+                          </div>
+                          <div style={{ color: 'var(--text-muted)' }}>Binding constraint</div>
+                          <div>
+                            {explanation.bindingConstraint
+                              ? `${explanation.bindingConstraint.type}: ${explanation.bindingConstraint.name}`
+                              : '-'}
+                          </div>
+                          <div style={{ color: 'var(--text-muted)' }}>Site capacity</div>
+                          <div>{explanation.capacity.available.toFixed(1)} kW available</div>
+                        </div>
+                        {explanation.adjustments.length > 0 && (
+                          <div style={{ marginTop: 'var(--spacing-sm)', fontSize: '0.875rem' }}>
+                            {explanation.adjustments.map((adjustment, index) => (
+                              <div key={index} style={{ color: 'var(--text-muted)' }}>
+                                {adjustment.type}: {adjustment.from.toFixed(1)} → {adjustment.to.toFixed(1)} kW
+                                {adjustment.reason && ` (${adjustment.reason})`}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        <div style={{ marginTop: 'var(--spacing-sm)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                          {new Date(explanation.timestamp).toLocaleTimeString()}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {availabilityForm?.stationId === station.id && (
+                  <div style={{ padding: 'var(--spacing-md)', background: 'var(--bg-secondary)', borderRadius: 'var(--radius-md)', marginBottom: 'var(--spacing-md)', display: 'flex', flexDirection: 'column', gap: 'var(--spacing-sm)' }}>
+                    <select
+                      className="form-input"
+                      value={availabilityForm.availability}
+                      onChange={(e) => setAvailabilityForm(prev => ({ ...prev, availability: e.target.value }))}
+                    >
+                      <option value="operative">Operative</option>
+                      <option value="inoperative">Inoperative</option>
+                      <option value="maintenance">Maintenance</option>
+                    </select>
+                    {availabilityForm.availability !== 'operative' && (
+                      <>
+                        <input
+                          type="text"
+                          className="form-input"
+                          placeholder={availabilityForm.availability === 'maintenance' ? 'Reason (required)' : 'Reason'}
+                          value={availabilityForm.reason}
+                          onChange={(e) => setAvailabilityForm(prev => ({ ...prev, reason: e.target.value }))}
+                        />
+                        <input
+                          type="datetime-local"
+                          className="form-input"
+                          value={availabilityForm.expectedReturn}
+                          onChange={(e) => setAvailabilityForm(prev => ({ ...prev, expectedReturn: e.target.value }))}
+                        />
+                      </>
+                    )}
+                    <button
+                      className="btn btn-primary"
+                      disabled={availabilityForm.availability === 'maintenance' && !availabilityForm.reason}
+                      onClick={handleSaveAvailability}
+                    >
+                      Save Availability
+                    </button>
+                  </div>
+                )}
+
                 <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
-                  <button className="btn btn-secondary" style={{ flex: 1 }}>
+                  <button
+                    className="btn btn-secondary"
+                    style={{ flex: 1 }}
+                    onClick={() => handleToggleDetails(station.id, getConnectors(station)[0]?.connectorId)}
+                  >
                     <Icons.Power size={16} />
                     Details
                   </button>
+                  <button className="btn btn-secondary" onClick={() => handleEditAvailability(station)}>
+                    Availability
+                  </button>
                   <button
                     className="btn btn-danger"
                     onClick={() => handleDeleteStation(station.id, station.name)}
@@ -0,0 +1,323 @@
+/**
+ * Mock OpenADR 2.0b VTN (simple HTTP pull) for local testing of the VEN
+ *
+ * Usage: node scripts/mock-vtn.js [port]   (default 8080)
+ *
+ * Queue an event (JSON, all fields optional):
+ *   curl -X POST localhost:8080/mock/events -H 'Content-Type: application/json' \
+ *     -d '{"signalName":"LOAD_DISPATCH","signalType":"setpoint","value":150,"units":"W","scale":"k","durationMinutes":30}'
+ *
+ * Other mock endpoints:
+ *   GET  /mock/state           - Registrations, events, opts and received reports
+ *   POST /mock/events/:id/cancel
+ *   POST /mock/reregister      - Ask the VEN to re-register on its next poll
+ */
+
+import http from 'http';
+import { v4 as uuidv4 } from 'uuid';
+import { parseXml, escapeXml, findElement, findDescendant, textAt } from '../src/utils/SimpleXml.js';
+
+const PORT = parseInt(process.argv[2]) || parseInt(process.env.MOCK_VTN_PORT) || 8080;
+const VTN_ID = 'MOCK_VTN';
+const POLL_FREQ = 'PT5S';
+const REPORT_REQUEST_ID = 'telemetry-1';
+
+const NAMESPACES = 'xmlns:oadr="http://openadr.org/oadr-2.0b/2012/07" ' +
+  'xmlns:pyld="http://docs.oasis-open.org/ns/energyinterop/201110/payloads" ' +
+  'xmlns:ei="http://docs.oasis-open.org/ns/energyinterop/201110" ' +
+  'xmlns:emix="http://docs.oasis-open.org/ns/emix/2011/06" ' +
+  'xmlns:power="http://docs.oasis-open.org/ns/emix/2011/06/power" ' +
+  'xmlns:scale="http://docs.oasis-open.org/ns/emix/2011/06/siscale" ' +
+  'xmlns:xcal="urn:ietf:params:xml:ns:icalendar-2.0" ' +
+  'xmlns:strm="urn:ietf:params:xml:ns:icalendar-2.0:stream"';
+
+const vtn = {
+  registrations: new Map(), // venId -> { registrationId, venName }
+  events: new Map(), // eventId -> event
+  opts: [],
+  reports: [],
+  pending: [] // messages for the next polls
+};
+
+function payload(message) {
+  return `<?xml version="1.0" encoding="utf-8"?>\n` +
+    `<oadr:oadrPayload ${NAMESPACES}><oadr:oadrSignedObject>${message}</oadr:oadrSignedObject></oadr:oadrPayload>`;
+}
+
+function eiResponse(requestId = '', code = 200, description = 'OK') {
+  return `<ei:eiResponse><ei:responseCode>${code}</ei:responseCode>` +
+    `<ei:responseDescription>${escapeXml(description)}</ei:responseDescription>` +
+    `<pyld:requestID>${escapeXml(requestId)}</pyld:requestID></ei:eiResponse>`;
+}
+
+function oadrResponse(requestId, venId, code = 200, description = 'OK') {
+  return `<oadr:oadrResponse ei:schemaVersion="2.0b">${eiResponse(requestId, code, description)}` +
+    `<ei:venID>${escapeXml(venId || '')}</ei:venID></oadr:oadrResponse>`;
+}
+
+function createdPartyRegistration(requestId, venId, registrationId) {
+  return `<oadr:oadrCreatedPartyRegistration ei:schemaVersion="2.0b">` +
+    eiResponse(requestId) +
+    `<ei:registrationID>${registrationId}</ei:registrationID>` +
+    `<ei:venID>${escapeXml(venId)}</ei:venID>` +
+    `<ei:vtnID>${VTN_ID}</ei:vtnID>` +
+    `<oadr:oadrProfiles><oadr:oadrProfile><oadr:oadrProfileName>2.0b</oadr:oadrProfileName>` +
+    `<oadr:oadrTransports><oadr:oadrTransport><oadr:oadrTransportName>simpleHttp</oadr:oadrTransportName>` +
+    `</oadr:oadrTransport></oadr:oadrTransports></oadr:oadrProfile></oadr:oadrProfiles>` +
+    `<oadr:oadrRequestedOadrPollFreq><xcal:duration>${POLL_FREQ}</xcal:duration></oadr:oadrRequestedOadrPollFreq>` +
+    `</oadr:oadrCreatedPartyRegistration>`;
+}
+
+function distributeEvent() {
+  const events = Array.from(vtn.events.values()).map(event =>
+    `<oadr:oadrEvent><ei:eiEvent>` +
+    `<ei:eventDescriptor>` +
+    `<ei:eventID>${event.eventId}</ei:eventID>` +
+    `<ei:modificationNumber>${event.modificationNumber}</ei:modificationNumber>` +
+    `<ei:priority>${event.priority}</ei:priority>` +
+    `<ei:eiMarketContext><emix:marketContext>http://mock-vtn/market</emix:marketContext></ei:eiMarketContext>` +
+    `<ei:createdDateTime>${event.createdAt}</ei:createdDateTime>` +
+    `<ei:eventStatus>${eventStatus(event)}</ei:eventStatus>` +
+    `<ei:testEvent>false</ei:testEvent>` +
+    `</ei:eventDescriptor>` +
+    `<ei:eiActivePeriod><xcal:properties>` +
+    `<xcal:dtstart><xcal:date-time>${event.start}</xcal:date-time></xcal:dtstart>` +
+    `<xcal:duration><xcal:duration>PT${event.durationMinutes}M</xcal:duration></xcal:duration>` +
+    `</xcal:properties><xcal:components/></ei:eiActivePeriod>` +
+    `<ei:eiEventSignals><ei:eiEventSignal>` +
+    `<strm:intervals><ei:interval>` +
+    `<xcal:duration><xcal:duration>PT${event.durationMinutes}M</xcal:duration></xcal:duration>` +
+    `<xcal:uid><xcal:text>0</xcal:text></xcal:uid>` +
+    `<ei:signalPayload><ei:payloadFloat><ei:value>${event.value}</ei:value></ei:payloadFloat></ei:signalPayload>` +
+    `</ei:interval></strm:intervals>` +
+    `<ei:signalName>${event.signalName}</ei:signalName>` +
+    `<ei:signalType>${event.signalType}</ei:signalType>` +
+    `<ei:signalID>${event.eventId}-signal</ei:signalID>` +
+    (event.units
+      ? `<power:powerReal><power:itemDescription>RealPower</power:itemDescription>` +
+        `<power:itemUnits>${event.units}</power:itemUnits><scale:siScaleCode>${event.scale || 'none'}</scale:siScaleCode>` +
+        `<power:powerAttributes><power:hertz>50</power:hertz><power:voltage>230</power:voltage><power:ac>true</power:ac></power:powerAttributes>` +
+        `</power:powerReal>`
+      : '') +
+    `<ei:currentValue><ei:payloadFloat><ei:value>${event.value}</ei:value></ei:payloadFloat></ei:currentValue>` +
+    `</ei:eiEventSignal></ei:eiEventSignals>` +
+    `<ei:eiTarget/>` +
+    `</ei:eiEvent>` +
+    `<oadr:oadrResponseRequired>always</oadr:oadrResponseRequired>` +
+    `</oadr:oadrEvent>`
+  ).join('');
+
+  return `<oadr:oadrDistributeEvent ei:schemaVersion="2.0b">` +
+    eiResponse() +
+    `<pyld:requestID>${uuidv4()}</pyld:requestID>` +
+    `<ei:vtnID>${VTN_ID}</ei:vtnID>` +
+    events +
+    `</oadr:oadrDistributeEvent>`;
+}
+
+function eventStatus(event) {
+  if (event.cancelled) return 'cancelled';
+
+  const now = Date.now();
+  const start = new Date(event.start).getTime();
+  if (now < start) return 'far';
+  if (now < start + event.durationMinutes * 60000) return 'active';
+  return 'completed';
+}
+
+function reportRequest(rIds) {
+  return `<oadr:oadrReportRequest>` +
+    `<ei:reportRequestID>${REPORT_REQUEST_ID}</ei:reportRequestID>` +
+    `<ei:reportSpecifier>` +
+    `<ei:reportSpecifierID>TELEMETRY_USAGE</ei:reportSpecifierID>` +
+    `<xcal:granularity><xcal:duration>PT10S</xcal:duration></xcal:granularity>` +
+    `<ei:reportBackDuration><xcal:duration>PT10S</xcal:duration></ei:reportBackDuration>` +
+    rIds.map(rId => `<ei:specifierPayload><ei:rID>${escapeXml(rId)}</ei:rID>` +
+      `<ei:readingType>Direct Read</ei:readingType></ei:specifierPayload>`).join('') +
+    `</ei:reportSpecifier>` +
+    `</oadr:oadrReportRequest>`;
+}
+
+/**
+ * Handle an OpenADR service request, return the response message
+ */
+function handleService(service, element) {
+  const venId = textAt(element, 'venID');
+  const requestId = textAt(element, 'requestID') || '';
+
+  switch (element.name) {
+    case 'oadrQueryRegistration':
+    case 'oadrCreatePartyRegistration': {
+      const id = venId || `VEN_${uuidv4().slice(0, 8)}`;
+      const registrationId = `REG_${uuidv4().slice(0, 8)}`;
+      vtn.registrations.set(id, { registrationId, venName: textAt(element, 'oadrVenName') });
+      console.log(`[MockVTN] Registered VEN ${id} (${textAt(element, 'oadrVenName')})`);
+
+      // Send current events on the next poll
+      if (vtn.events.size > 0) vtn.pending.push(distributeEvent);
+      return createdPartyRegistration(requestId, id, registrationId);
+    }
+
+    case 'oadrPoll': {
+      const next = vtn.pending.shift();
+      return next ? next() : oadrResponse('', venId);
+    }
+
+    case 'oadrCreatedEvent': {
+      for (const response of findDescendant(element, 'eventResponses')?.children || []) {
+        const eventId = findDescendant(response, 'eventID')?.text;
+        const optType = textAt(response, 'optType');
+        vtn.opts.push({ eventId, optType, source: 'createdEvent', timestamp: new Date().toISOString() });
+        console.log(`[MockVTN] ${eventId}: ${optType}`);
+      }
+      return oadrResponse(requestId, venId);
+    }
+
+    case 'oadrCreateOpt': {
+      const eventId = findDescendant(element, 'eventID')?.text;
+      const optType = textAt(element, 'optType');
+      vtn.opts.push({ eventId, optType, reason: textAt(element, 'optReason'), source: 'createOpt', timestamp: new Date().toISOString() });
+      console.log(`[MockVTN] ${eventId}: ${optType} (opt)`);
+      return `<oadr:oadrCreatedOpt ei:schemaVersion="2.0b">${eiResponse(requestId)}` +
+        `<ei:optID>${escapeXml(textAt(element, 'optID') || '')}</ei:optID></oadr:oadrCreatedOpt>`;
+    }
+
+    case 'oadrRegisterReport': {
+      const rIds = (findDescendant(element, 'oadrReport')?.children || [])
+        .filter(child => child.name === 'oadrReportDescription')
+        .map(description => textAt(description, 'rID'));
+      console.log(`[MockVTN] Report registered: ${rIds.join(', ')}`);
+
+      // Request telemetry in the registered report response
+      return `<oadr:oadrRegisteredReport ei:schemaVersion="2.0b">${eiResponse(requestId)}` +
+        reportRequest(rIds) +
+        `<ei:venID>${escapeXml(venId || '')}</ei:venID></oadr:oadrRegisteredReport>`;
+    }
+
+    case 'oadrCreatedReport':
+      return oadrResponse(requestId, venId);
+
+    case 'oadrUpdateReport': {
+      const report = findDescendant(element, 'oadrReport');
+      const values = (findDescendant(report, 'interval')?.children || [])
+        .filter(child => child.name === 'oadrReportPayload')
+        .map(p => ({ rId: textAt(p, 'rID'), value: parseFloat(findDescendant(p, 'value')?.text) }));
+
+      vtn.reports.push({ reportRequestId: textAt(report, 'reportRequestID'), values, timestamp: new Date().toISOString() });
+      vtn.reports.splice(0, Math.max(0, vtn.reports.length - 100));
+      console.log(`[MockVTN] Report: ${values.map(v => `${v.rId}=${v.value}`).join(', ')}`);
+
+      return `<oadr:oadrUpdatedReport ei:schemaVersion="2.0b">${eiResponse(requestId)}` +
+        `<ei:venID>${escapeXml(venId || '')}</ei:venID></oadr:oadrUpdatedReport>`;
+    }
+
+    default:
+      console.warn(`[MockVTN] Unsupported ${service} message: ${element.name}`);
+      return oadrResponse(requestId, venId, 459, `Unsupported message ${element.name}`);
+  }
+}
+
+/**
+ * Queue an event from a JSON description
+ */
+function createEvent(body) {
+  const eventId = body.eventId || `EVT_${uuidv4().slice(0, 8)}`;
+  const event = {
+    eventId,
+    modificationNumber: 0,
+    priority: body.priority || 1,
+    signalName: body.signalName || 'SIMPLE',
+    signalType: body.signalType || 'level',
+    value: body.value ?? 1,
+    units: body.units || null,
+    scale: body.scale || null,
+    start: new Date(body.start || Date.now()).toISOString(),
+    durationMinutes: body.durationMinutes || 60,
+    createdAt: new Date().toISOString(),
+    cancelled: false
+  };
+
+  vtn.events.set(eventId, event);
+  vtn.pending.push(distributeEvent);
+  console.log(`[MockVTN] Event ${eventId}: ${event.signalName}/${event.signalType} = ${event.value}`);
+
+  return event;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const body = await readBody(req);
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    const serviceMatch = url.pathname.match(/^\/OpenADR2\/Simple\/2\.0b\/(\w+)$/);
+    if (req.method === 'POST' && serviceMatch) {
+      const signedObject = findElement(parseXml(body), 'oadrSignedObject');
+      const message = handleService(serviceMatch[1], signedObject.children[0]);
+
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(payload(message));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/mock/events') {
+      sendJson(res, 201, createEvent(body ? JSON.parse(body) : {}));
+      return;
+    }
+
+    const cancelMatch = url.pathname.match(/^\/mock\/events\/([^/]+)\/cancel$/);
+    if (req.method === 'POST' && cancelMatch) {
+      const event = vtn.events.get(cancelMatch[1]);
+      if (!event) {
+        sendJson(res, 404, { error: 'Event not found' });
+        return;
+      }
+
+      event.cancelled = true;
+      event.modificationNumber++;
+      vtn.pending.push(distributeEvent);
+      sendJson(res, 200, event);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/mock/reregister') {
+      vtn.pending.push(() => `<oadr:oadrRequestReregistration ei:schemaVersion="2.0b">${eiResponse()}` +
+        `<ei:venID></ei:venID></oadr:oadrRequestReregistration>`);
+      sendJson(res, 200, { queued: true });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/mock/state') {
+      sendJson(res, 200, {
+        registrations: Object.fromEntries(vtn.registrations),
+        events: Array.from(vtn.events.values()).map(e => ({ ...e, status: eventStatus(e) })),
+        opts: vtn.opts,
+        reports: vtn.reports,
+        pending: vtn.pending.length
+      });
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  } catch (error) {
+    console.error('[MockVTN] Request failed:', error.message);
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[MockVTN] OpenADR 2.0b mock VTN listening on http://localhost:${PORT}`);
+});
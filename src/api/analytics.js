@@ -20,6 +20,15 @@ router.get('/overview', (req, res) => {
       activeStations: stations.filter(s => s.status === 'charging').length,
       readyStations: stations.filter(s => s.status === 'ready').length,
       offlineStations: stations.filter(s => s.status === 'offline').length,
+      outOfServiceStations: stations
+        .filter(s => (s.availability || 'operative') !== 'operative')
+        .map(s => ({
+          id: s.id,
+          name: s.name,
+          availability: s.availability,
+          availabilityReason: s.availabilityReason || null,
+          expectedReturn: s.expectedReturn || null
+        })),
 
       totalEnergyDelivered: stations.reduce((sum, s) => sum + (s.energyDelivered || 0), 0),
       currentLoad: state.currentLoad.total,
@@ -64,6 +73,8 @@ router.get('/stations', (req, res) => {
       maxPower: station.maxPower,
       priority: station.priority,
       uptime: station.online ? 'online' : 'offline',
+      greenMode: station.sessionGreenMode ?? station.greenMode ?? false,
+      sessionEmissions: state.carbonIntensityManager?.getSessionEmissions(station.id) || null,
       lastUpdate: station.lastUpdate
     }));
 
@@ -129,4 +140,57 @@ router.get('/zones', (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/fairness
+ * Get the per-user energy debt ledger (delivered vs. fair share)
+ */
+router.get('/fairness', (req, res) => {
+  try {
+    const ledger = state.loadManager.getFairnessLedger();
+
+    res.json({
+      success: true,
+      data: ledger,
+      count: ledger.users.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/emissions
+ * Get charging emissions per session (gCO2/kWh, total gCO2) and totals
+ * Query: from, to, stationId, limit
+ */
+router.get('/emissions', (req, res) => {
+  try {
+    const { from, to, stationId } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to value'
+      });
+    }
+
+    const report = state.carbonIntensityManager.getEmissionsReport({ from, to, stationId, limit });
+
+    res.json({
+      success: true,
+      data: report,
+      count: report.sessions.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,102 @@
+/**
+ * API routes for utility demand response (OpenADR)
+ */
+
+import express from 'express';
+import { state } from '../index.js';
+import auditLogger from '../services/AuditLogger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/demand-response/status
+ * Get VEN registration, events and the actions applied
+ */
+router.get('/status', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.demandResponseManager.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/demand-response/events
+ * Get the events received from the VTN
+ */
+router.get('/events', (req, res) => {
+  try {
+    const { events } = state.demandResponseManager.getStatus();
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/demand-response/events/:eventId/opt
+ * Opt in to or out of an event (optType: optIn | optOut, reason)
+ */
+router.post('/events/:eventId/opt', async (req, res) => {
+  try {
+    const { optType, reason } = req.body;
+
+    const event = await state.demandResponseManager.setOpt(req.params.eventId, optType, reason);
+
+    auditLogger.logConfigChange(
+      { type: 'api', id: req.ip },
+      `demand_response_event:${req.params.eventId}`,
+      { optType, reason }
+    );
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/demand-response/register
+ * Re-register with the VTN
+ */
+router.post('/register', async (req, res) => {
+  try {
+    if (!state.demandResponseManager.driver) {
+      throw new Error('OpenADR is not enabled');
+    }
+
+    await state.demandResponseManager.register();
+
+    res.json({
+      success: true,
+      data: state.demandResponseManager.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -3,10 +3,20 @@
  */
 
 import express from 'express';
+import multer from 'multer';
 import { state } from '../index.js';
+import { detectFormat } from '../utils/TimeSeries.js';
 
 const router = express.Router();
 
+// Price series uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
+
 /**
  * GET /api/energy/status
  * Get current energy status
@@ -45,6 +55,141 @@ router.get('/pv', (req, res) => {
   }
 });
 
+/**
+ * GET /api/energy/export
+ * Get export limit status: effective limit, measured export, charging
+ * raised to absorb it, inverter curtailment and active alert
+ */
+router.get('/export', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.loadManager.getExportLimitStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/export
+ * Configure the export limit (limitKW, limitPercent of PV peak power,
+ * null = no limit of that kind; curtailmentEnabled)
+ */
+router.post('/export', async (req, res) => {
+  try {
+    const { limitKW, limitPercent, curtailmentEnabled } = req.body;
+
+    const data = await state.loadManager.setExportLimit({ limitKW, limitPercent, curtailmentEnabled });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/energy/batteries
+ * Get stationary batteries with SoC, power, dispatch mode and site totals
+ */
+router.get('/batteries', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.batteryManager.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/batteries
+ * Register a battery (name, protocol modbus/mqtt, communication, capacity
+ * kWh, maxChargePower/maxDischargePower kW, reserveSoc, maxSoc %)
+ */
+router.post('/batteries', async (req, res) => {
+  try {
+    const battery = await state.batteryManager.registerBattery(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: battery
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/energy/batteries/:id
+ * Update a battery's name, limits, SoC window or enabled flag
+ */
+router.put('/batteries/:id', async (req, res) => {
+  try {
+    if (!state.batteries.has(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Battery not found'
+      });
+    }
+
+    const battery = await state.batteryManager.updateBattery(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: battery
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/energy/batteries/:id
+ * Remove a battery (set to idle first)
+ */
+router.delete('/batteries/:id', async (req, res) => {
+  try {
+    if (!state.batteries.has(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Battery not found'
+      });
+    }
+
+    await state.batteryManager.deleteBattery(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Battery deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/energy/pv/simulate
  * Simulate PV production (for testing)
@@ -131,6 +276,47 @@ router.get('/consumption', (req, res) => {
   }
 });
 
+/**
+ * GET /api/energy/demand
+ * Get peak demand status: monthly billing peak, target and current
+ * demand interval with its predicted end value
+ */
+router.get('/demand', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.loadManager.getPeakDemandStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/demand
+ * Configure peak shaving (enabled, target kW)
+ */
+router.post('/demand', async (req, res) => {
+  try {
+    const { enabled, target } = req.body;
+
+    const data = await state.loadManager.setPeakShaving({ enabled, target });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/energy/costs
  * Calculate energy costs
@@ -141,12 +327,17 @@ router.get('/costs', (req, res) => {
     const totalEnergy = stations.reduce((sum, s) => sum + (s.energyDelivered || 0), 0);
 
     const isPeakDemand = state.currentLoad.total >= state.config.peakDemandThreshold;
-    const costPerKWh = isPeakDemand
-      ? state.config.peakCostPerKWh
-      : state.config.energyCostPerKWh;
+    const dynamicPrice = state.tariffManager.getPrice();
+    const costPerKWh = dynamicPrice !== null
+      ? dynamicPrice
+      : (isPeakDemand ? state.config.peakCostPerKWh : state.config.energyCostPerKWh);
 
     const totalCost = totalEnergy * costPerKWh;
 
+    // Demand charge on the month's highest interval average
+    const billingPeak = state.loadManager.peakDemand.getMonthlyPeak();
+    const demandCharge = billingPeak ? billingPeak.value * state.config.demandChargePerKW : 0;
+
     res.json({
       success: true,
       data: {
@@ -154,6 +345,10 @@ router.get('/costs', (req, res) => {
         costPerKWh,
         totalCost,
         isPeakDemand,
+        isDynamicPrice: dynamicPrice !== null,
+        billingPeak: billingPeak ? billingPeak.value : null,
+        demandChargePerKW: state.config.demandChargePerKW,
+        demandCharge,
         currency: 'USD'
       }
     });
@@ -165,4 +360,267 @@ router.get('/costs', (req, res) => {
   }
 });
 
+/**
+ * GET /api/energy/tariff
+ * Get tariff status and the price curve (from, to; default 6 h back to
+ * the end of the known prices, at least 24 h ahead)
+ */
+router.get('/tariff', (req, res) => {
+  try {
+    const now = Date.now();
+    const status = state.tariffManager.getStatus(now);
+
+    const from = req.query.from ? new Date(req.query.from).getTime() : now - 6 * 3600000;
+    const to = req.query.to
+      ? new Date(req.query.to).getTime()
+      : Math.max(now + 24 * 3600000, status.coveredUntil ? new Date(status.coveredUntil).getTime() : 0);
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to range'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        curve: state.tariffManager.getPriceCurve(from, to).map(slot => ({
+          ...slot,
+          start: new Date(slot.start).toISOString(),
+          end: new Date(slot.end).toISOString()
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/tariff/import
+ * Import a price series: multipart upload (field "file", .json or .csv)
+ * or JSON body { prices: [...] } / { format, content }, optional unit (kWh | MWh)
+ */
+router.post('/tariff/import', upload.single('file'), async (req, res) => {
+  try {
+    let result;
+    const unit = req.body.unit;
+
+    if (req.file) {
+      result = await state.tariffManager.importPrices(
+        req.file.buffer.toString('utf8'),
+        detectFormat(req.file.originalname),
+        { unit, source: `upload:${req.file.originalname}` }
+      );
+    } else if (Array.isArray(req.body.prices)) {
+      result = await state.tariffManager.importPrices(req.body, 'json', { unit });
+    } else if (req.body.content && req.body.format) {
+      result = await state.tariffManager.importPrices(req.body.content, req.body.format, { unit });
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a file, a prices array or format and content'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/tariff/refresh
+ * Fetch prices from the active provider now
+ */
+router.post('/tariff/refresh', async (req, res) => {
+  try {
+    if (!state.tariffManager.activeProvider) {
+      return res.status(400).json({
+        success: false,
+        error: 'No tariff provider configured'
+      });
+    }
+
+    const result = await state.tariffManager.refresh();
+
+    if (!result) {
+      throw new Error(state.tariffManager.lastError?.message || 'Refresh failed');
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/energy/tariff/plan
+ * Get price-optimized charging plans of flexible sessions
+ */
+router.get('/tariff/plan', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.loadManager.getCostPlans()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/tariff/optimization
+ * Enable or disable price-optimized charging (enabled)
+ */
+router.post('/tariff/optimization', async (req, res) => {
+  try {
+    const data = await state.loadManager.setTariffOptimization({ enabled: req.body.enabled });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/energy/carbon
+ * Get grid carbon intensity status and the intensity curve (from, to;
+ * default 6 h back to the end of the known intensities, at least 24 h ahead)
+ */
+router.get('/carbon', (req, res) => {
+  try {
+    const now = Date.now();
+    const status = state.carbonIntensityManager.getStatus(now);
+
+    const from = req.query.from ? new Date(req.query.from).getTime() : now - 6 * 3600000;
+    const to = req.query.to
+      ? new Date(req.query.to).getTime()
+      : Math.max(now + 24 * 3600000, status.coveredUntil ? new Date(status.coveredUntil).getTime() : 0);
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to range'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        curve: state.carbonIntensityManager.getIntensityCurve(from, to).map(slot => ({
+          ...slot,
+          start: new Date(slot.start).toISOString(),
+          end: new Date(slot.end).toISOString()
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/carbon/import
+ * Import a carbon intensity series (gCO2/kWh): multipart upload (field
+ * "file", .json or .csv) or JSON body { intensities: [...] } / { format, content }
+ */
+router.post('/carbon/import', upload.single('file'), async (req, res) => {
+  try {
+    let result;
+
+    if (req.file) {
+      result = await state.carbonIntensityManager.importIntensity(
+        req.file.buffer.toString('utf8'),
+        detectFormat(req.file.originalname),
+        { source: `upload:${req.file.originalname}` }
+      );
+    } else if (Array.isArray(req.body.intensities)) {
+      result = await state.carbonIntensityManager.importIntensity(req.body, 'json');
+    } else if (req.body.content && req.body.format) {
+      result = await state.carbonIntensityManager.importIntensity(req.body.content, req.body.format);
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a file, an intensities array or format and content'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/energy/carbon/refresh
+ * Read the configured carbon intensity file now
+ */
+router.post('/carbon/refresh', async (req, res) => {
+  try {
+    if (!state.config.carbonIntensityFile) {
+      return res.status(400).json({
+        success: false,
+        error: 'No carbon intensity file configured'
+      });
+    }
+
+    const result = await state.carbonIntensityManager.refresh();
+
+    if (!result) {
+      throw new Error(state.carbonIntensityManager.lastError?.message || 'Refresh failed');
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 export default router;
@@ -3,6 +3,7 @@
  */
 
 import express from 'express';
+import { state } from '../index.js';
 import healthCheckService from '../services/HealthCheckService.js';
 import { circuitBreakerRegistry } from '../utils/CircuitBreaker.js';
 import { watchdogRegistry } from '../utils/Watchdog.js';
@@ -146,7 +147,7 @@ router.post('/fail-safe/:stationId/test', async (req, res) => {
  */
 router.get('/load-shedding', (req, res) => {
   try {
-    const status = loadSheddingService.getStatus();
+    const status = state.loadManager.getLoadSheddingStatus();
     res.json({ success: true, ...status });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -187,6 +188,7 @@ router.post('/load-shedding/configure', (req, res) => {
 router.post('/load-shedding/reset', (req, res) => {
   try {
     loadSheddingService.reset();
+    state.loadManager.requestRebalance('load_shedding_reset');
 
     auditLogger.logConfigChange(
       { type: 'api', id: req.ip },
@@ -197,7 +199,7 @@ router.post('/load-shedding/reset', (req, res) => {
     res.json({
       success: true,
       message: 'Load shedding reset',
-      status: loadSheddingService.getStatus()
+      status: state.loadManager.getLoadSheddingStatus()
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -238,12 +240,25 @@ router.get('/site-constraints/violations', (req, res) => {
   }
 });
 
+/**
+ * GET /api/health/site-constraints/topology - Electrical topology with kW limits
+ */
+router.get('/site-constraints/topology', (req, res) => {
+  try {
+    const topology = siteConstraintsManager.getTopology();
+    res.json({ success: true, ...topology });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/health/site-constraints/service - Configure service constraints
  */
 router.post('/site-constraints/service', (req, res) => {
   try {
     siteConstraintsManager.configureService(req.body);
+    state.loadManager.requestRebalance('site_constraints');
 
     auditLogger.logConfigChange(
       { type: 'api', id: req.ip },
@@ -267,6 +282,7 @@ router.post('/site-constraints/feeder', (req, res) => {
   try {
     const feederId = req.body.id || `feeder_${Date.now()}`;
     siteConstraintsManager.configureFeeder(feederId, req.body);
+    state.loadManager.requestRebalance('site_constraints');
 
     auditLogger.logConfigChange(
       { type: 'api', id: req.ip },
@@ -291,6 +307,7 @@ router.post('/site-constraints/transformer', (req, res) => {
   try {
     const transformerId = req.body.id || `transformer_${Date.now()}`;
     siteConstraintsManager.configureTransformer(transformerId, req.body);
+    state.loadManager.requestRebalance('site_constraints');
 
     auditLogger.logConfigChange(
       { type: 'api', id: req.ip },
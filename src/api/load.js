@@ -4,6 +4,7 @@
 
 import express from 'express';
 import { state } from '../index.js';
+import { isMultiConnector, getChargingPointId } from '../utils/ChargingPoints.js';
 
 const router = express.Router();
 
@@ -59,7 +60,7 @@ router.get('/capacity', (req, res) => {
  * POST /api/load/limits
  * Update load limits
  */
-router.post('/limits', (req, res) => {
+router.post('/limits', async (req, res) => {
   try {
     const { maxGridCapacity, peakDemandThreshold } = req.body;
 
@@ -70,7 +71,7 @@ router.post('/limits', (req, res) => {
           error: 'Invalid maxGridCapacity value'
         });
       }
-      state.loadManager.setGridCapacity(maxGridCapacity);
+      await state.loadManager.setGridCapacity(maxGridCapacity);
     }
 
     if (peakDemandThreshold !== undefined) {
@@ -80,7 +81,7 @@ router.post('/limits', (req, res) => {
           error: 'Invalid peakDemandThreshold value'
         });
       }
-      state.config.peakDemandThreshold = peakDemandThreshold;
+      await state.loadManager.setPeakShaving({ target: peakDemandThreshold });
     }
 
     res.json({
@@ -100,20 +101,37 @@ router.post('/limits', (req, res) => {
 
 /**
  * GET /api/load/history
- * Get allocation history
+ * Get persisted allocation history
+ * Query: from, to (ISO time, default last 24h), stationId, interval (seconds,
+ * downsampling), limit, offset, order (desc|asc)
  */
-router.get('/history', (req, res) => {
+router.get('/history', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const history = state.loadManager.getAllocationHistory(limit);
+    const { from, to, stationId, order } = req.query;
+
+    const history = await state.loadManager.getAllocationHistory({
+      from,
+      to,
+      stationId,
+      order,
+      interval: req.query.interval !== undefined ? Number(req.query.interval) : undefined,
+      limit: req.query.limit !== undefined ? Number(req.query.limit) : 100,
+      offset: req.query.offset !== undefined ? Number(req.query.offset) : 0
+    });
 
     res.json({
       success: true,
-      data: history,
-      count: history.length
+      data: history.entries,
+      count: history.entries.length,
+      total: history.total,
+      offset: history.offset,
+      limit: history.limit,
+      from: history.from,
+      to: history.to,
+      interval: history.interval
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message
     });
@@ -126,7 +144,7 @@ router.get('/history', (req, res) => {
  */
 router.post('/rebalance', (req, res) => {
   try {
-    state.loadManager.balanceLoad();
+    state.loadManager.requestRebalance('manual', { urgent: true });
 
     res.json({
       success: true,
@@ -140,4 +158,423 @@ router.post('/rebalance', (req, res) => {
   }
 });
 
+/**
+ * POST /api/load/simulate
+ * What-if dry run: allocations for hypothetical stations, capacity, PV and
+ * building load. Nothing is applied to real stations or broadcast.
+ */
+router.post('/simulate', (req, res) => {
+  try {
+    const result = state.loadManager.simulate(req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/load/plan
+ * Get departure deadline plans and sessions at risk of missing their target
+ */
+router.get('/plan', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.loadManager.getSessionPlans()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/load/explain/:stationId
+ * Explain the station's allocation in the last cycle (priority rank,
+ * minimum pass result, binding constraint and later adjustments)
+ * Query: connectorId for a connector of a multi-connector station
+ */
+router.get('/explain/:stationId', (req, res) => {
+  try {
+    const station = state.stations.get(req.params.stationId);
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        error: 'Station not found'
+      });
+    }
+
+    const { connectorId } = req.query;
+    if (connectorId !== undefined && !station.connectors?.some(c => String(c.connectorId) === connectorId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Connector not found'
+      });
+    }
+
+    if (isMultiConnector(station) && connectorId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'connectorId is required for multi-connector stations'
+      });
+    }
+
+    const pointId = isMultiConnector(station) ? getChargingPointId(station.id, connectorId) : station.id;
+    const explanation = state.loadManager.getExplanation(pointId);
+
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Station was not part of the last allocation cycle'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: explanation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/load/rotation
+ * Get the round-robin rotation schedule for starved sessions
+ */
+router.get('/rotation', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.loadManager.getRotation()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/load/rotation
+ * Configure rotation (enabled, slotMinutes)
+ */
+router.post('/rotation', async (req, res) => {
+  try {
+    const { enabled, slotMinutes } = req.body;
+
+    const rotation = await state.loadManager.setRotation({ enabled, slotMinutes });
+
+    res.json({
+      success: true,
+      data: rotation
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/load/fairness
+ * Configure fairness mode (enabled, windowDays)
+ */
+router.post('/fairness', async (req, res) => {
+  try {
+    const { enabled, windowDays } = req.body;
+
+    const fairness = await state.loadManager.setFairness({ enabled, windowDays });
+
+    res.json({
+      success: true,
+      data: fairness
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/load/strategy
+ * Get available allocation strategies and the active one
+ */
+router.get('/strategy', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.loadManager.getStrategies()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/load/strategy
+ * Select the allocation strategy
+ */
+router.post('/strategy', async (req, res) => {
+  try {
+    const { strategy } = req.body;
+
+    if (typeof strategy !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Strategy id required'
+      });
+    }
+
+    const data = await state.loadManager.setStrategy(strategy);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/load/zones
+ * Get all zones/housing units with their limits and usage
+ */
+router.get('/zones', (req, res) => {
+  try {
+    const zones = state.loadManager.getZones();
+
+    res.json({
+      success: true,
+      data: zones,
+      count: zones.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/load/zones/:id
+ * Get a specific zone
+ */
+router.get('/zones/:id', (req, res) => {
+  try {
+    const zone = state.loadManager.getZone(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/load/zones
+ * Create a zone/housing unit
+ */
+router.post('/zones', async (req, res) => {
+  try {
+    const zone = await state.loadManager.createZone(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/load/zones/:id
+ * Update a zone's limits
+ */
+router.put('/zones/:id', async (req, res) => {
+  try {
+    if (!state.loadManager.getZone(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+
+    const zone = await state.loadManager.updateZone(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/load/zones/:id
+ * Delete a zone
+ */
+router.delete('/zones/:id', async (req, res) => {
+  try {
+    if (!state.loadManager.getZone(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Zone not found'
+      });
+    }
+
+    await state.loadManager.deleteZone(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Zone deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/load/flexible-loads
+ * Get flexible loads (heat pumps, water heaters) with switching state
+ */
+router.get('/flexible-loads', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...state.flexibleLoadManager.getStatus(),
+        lastPlan: state.loadManager.flexibleLoadPlan
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/load/flexible-loads
+ * Register a flexible load (name, type, protocol modbus/mqtt/http,
+ * communication, power kW, priority, minOnTime/minOffTime seconds)
+ */
+router.post('/flexible-loads', async (req, res) => {
+  try {
+    const load = await state.flexibleLoadManager.registerLoad(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: load
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/load/flexible-loads/:id
+ * Update a flexible load's power, priority, min on/off times or enabled flag
+ */
+router.put('/flexible-loads/:id', async (req, res) => {
+  try {
+    if (!state.flexibleLoads.has(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flexible load not found'
+      });
+    }
+
+    const load = await state.flexibleLoadManager.updateLoad(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: load
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/load/flexible-loads/:id
+ * Remove a flexible load (released first)
+ */
+router.delete('/flexible-loads/:id', async (req, res) => {
+  try {
+    if (!state.flexibleLoads.has(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flexible load not found'
+      });
+    }
+
+    await state.flexibleLoadManager.deleteLoad(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Flexible load deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 export default router;
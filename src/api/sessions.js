@@ -0,0 +1,78 @@
+/**
+ * API routes for charging session records
+ */
+
+import express from 'express';
+import { state } from '../index.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions
+ * List charging sessions, active ones included
+ * Query: from, to (ISO time), stationId, connectorId, userId, rfidCard,
+ * status (active|completed), stopReason, limit, offset, order (desc|asc)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { from, to, stationId, userId, rfidCard, status, stopReason, order } = req.query;
+
+    const result = state.sessionStore.query({
+      from,
+      to,
+      stationId,
+      userId,
+      rfidCard,
+      status,
+      stopReason,
+      order,
+      connectorId: req.query.connectorId !== undefined ? Number(req.query.connectorId) : undefined,
+      limit: req.query.limit !== undefined ? Number(req.query.limit) : 50,
+      offset: req.query.offset !== undefined ? Number(req.query.offset) : 0
+    });
+
+    res.json({
+      success: true,
+      data: result.sessions,
+      count: result.sessions.length,
+      total: result.total,
+      offset: result.offset,
+      limit: result.limit,
+      totals: result.totals
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * Get a session with its allocation timeline
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const session = state.sessionStore.getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -3,17 +3,57 @@
  */
 
 import express from 'express';
+import multer from 'multer';
+import path from 'path';
 import { state } from '../index.js';
+import auditLogger from '../services/AuditLogger.js';
 
 const router = express.Router();
 
+// Station import files are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
+
+/**
+ * Run a bulk action on the stations matching req.body.filter
+ * Responds with per-station results (failed stations included); 400 when
+ * the filter or parameters are invalid.
+ */
+async function runBulk(req, res, action, params) {
+  try {
+    const result = await state.stationManager.runBulkOperation(
+      req.body.filter,
+      action,
+      params,
+      { type: 'api', id: req.ip }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 /**
  * GET /api/stations
  * Get all charging stations
+ * Query: tags (comma-separated, all must match), group, zone, status,
+ * protocol, availability
  */
 router.get('/', (req, res) => {
   try {
-    const stations = state.stationManager.getAllStations();
+    const { tags, group, zone, status, protocol, availability } = req.query;
+    const stations = state.stationManager.findStations({ tags, group, zone, status, protocol, availability });
 
     res.json({
       success: true,
@@ -28,6 +68,132 @@ router.get('/', (req, res) => {
   }
 });
 
+/**
+ * GET /api/stations/groups
+ * Get the station groups and tags in use with their station counts
+ */
+router.get('/groups', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: state.stationManager.getGroups()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/stations/export
+ * Download station configurations (format: json or csv; same filters as
+ * GET /api/stations)
+ */
+router.get('/export', (req, res) => {
+  try {
+    const { format = 'json', tags, group, zone, status, protocol, availability } = req.query;
+    const result = state.stationTransfer.exportStations(
+      format,
+      { tags, group, zone, status, protocol, availability }
+    );
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    res.send(result.content);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/stations/import
+ * Import station configurations: multipart upload (field "file", .json or
+ * .csv), JSON body { stations: [...] } or { format, content }
+ * dryRun (body or query) only validates. With any invalid row nothing is
+ * imported and the per-row errors are returned with status 400.
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const dryRun = [true, 'true', '1'].includes(req.body.dryRun ?? req.query.dryRun);
+    let report;
+
+    if (req.file) {
+      report = await state.stationTransfer.importStations(
+        req.file.buffer.toString('utf8'),
+        // Format from the file extension; others are rejected by the import
+        path.extname(req.file.originalname).slice(1).toLowerCase(),
+        { dryRun }
+      );
+    } else if (Array.isArray(req.body.stations)) {
+      report = await state.stationTransfer.importStations(req.body, 'json', { dryRun });
+    } else if (req.body.content && req.body.format) {
+      report = await state.stationTransfer.importStations(req.body.content, req.body.format, { dryRun });
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a file, a stations array or format and content'
+      });
+    }
+
+    res.status(report.invalid > 0 ? 400 : (report.imported ? 201 : 200)).json({
+      success: report.invalid === 0,
+      data: report
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/stations/bulk/priority
+ * Set the priority of all stations matching `filter`
+ */
+router.post('/bulk/priority', (req, res) => {
+  runBulk(req, res, 'set_priority', { priority: req.body.priority });
+});
+
+/**
+ * POST /api/stations/bulk/max-power
+ * Set the max power of all stations matching `filter`
+ */
+router.post('/bulk/max-power', (req, res) => {
+  runBulk(req, res, 'set_max_power', { maxPower: req.body.maxPower });
+});
+
+/**
+ * POST /api/stations/bulk/availability
+ * Set the availability of all stations matching `filter`
+ */
+router.post('/bulk/availability', (req, res) => {
+  const { availability, reason, expectedReturn } = req.body;
+  runBulk(req, res, 'set_availability', { availability, reason, expectedReturn });
+});
+
+/**
+ * POST /api/stations/bulk/session/start
+ * Start sessions on all stations matching `filter`
+ */
+router.post('/bulk/session/start', (req, res) => {
+  const { user, departureTime, energyRequired, greenMode, connectorId } = req.body;
+  runBulk(req, res, 'start_session', { user, departureTime, energyRequired, greenMode, connectorId });
+});
+
+/**
+ * POST /api/stations/bulk/session/stop
+ * Stop the sessions on all stations matching `filter`
+ */
+router.post('/bulk/session/stop', (req, res) => {
+  runBulk(req, res, 'stop_session', { connectorId: req.body.connectorId });
+});
+
 /**
  * GET /api/stations/:id
  * Get a specific charging station
@@ -55,6 +221,34 @@ router.get('/:id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/stations/:id/connectors
+ * Get the connectors of a station with their status, session and power
+ */
+router.get('/:id/connectors', (req, res) => {
+  try {
+    if (!state.stationManager.getStation(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Station not found'
+      });
+    }
+
+    const connectors = state.stationManager.getConnectors(req.params.id);
+
+    res.json({
+      success: true,
+      data: connectors,
+      count: connectors.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/stations
  * Register a new charging station
@@ -95,6 +289,35 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/stations/:id/availability
+ * Set the operator availability of a station (operative, inoperative or
+ * maintenance with reason and optional expectedReturn)
+ */
+router.put('/:id/availability', async (req, res) => {
+  try {
+    const { availability, reason, expectedReturn } = req.body;
+    const station = await state.stationManager.setAvailability(req.params.id, availability, { reason, expectedReturn });
+
+    auditLogger.logStationControl(
+      { type: 'api', id: req.ip },
+      station.id,
+      'set_availability',
+      { availability, reason, expectedReturn, sync: station.availabilitySync }
+    );
+
+    res.json({
+      success: true,
+      data: station
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/stations/:id
  * Delete a charging station
@@ -117,11 +340,11 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * POST /api/stations/:id/power
- * Set charging power for a station
+ * Set charging power for a station (connectorId for multi-connector stations)
  */
 router.post('/:id/power', async (req, res) => {
   try {
-    const { power } = req.body;
+    const { power, connectorId } = req.body;
 
     if (typeof power !== 'number' || power < 0) {
       return res.status(400).json({
@@ -130,12 +353,12 @@ router.post('/:id/power', async (req, res) => {
       });
     }
 
-    await state.stationManager.setPower(req.params.id, power);
+    await state.stationManager.setPower(req.params.id, power, { connectorId });
 
     res.json({
       success: true,
       message: 'Power set successfully',
-      data: { power }
+      data: { power, connectorId }
     });
   } catch (error) {
     res.status(400).json({
@@ -147,11 +370,11 @@ router.post('/:id/power', async (req, res) => {
 
 /**
  * POST /api/stations/:id/session/start
- * Start a charging session
+ * Start a charging session (connectorId for multi-connector stations)
  */
 router.post('/:id/session/start', async (req, res) => {
   try {
-    const { user } = req.body;
+    const { user, departureTime, energyRequired, greenMode, connectorId } = req.body;
 
     if (!user) {
       return res.status(400).json({
@@ -160,7 +383,37 @@ router.post('/:id/session/start', async (req, res) => {
       });
     }
 
-    const station = await state.stationManager.startChargingSession(req.params.id, user);
+    const station = await state.stationManager.startChargingSession(req.params.id, user, {
+      departureTime,
+      energyRequired,
+      greenMode
+    }, { connectorId });
+
+    res.json({
+      success: true,
+      data: station
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/stations/:id/session/needs
+ * Update departure time, energy need and green mode of the running session
+ */
+router.post('/:id/session/needs', async (req, res) => {
+  try {
+    const { departureTime, energyRequired, greenMode, connectorId } = req.body;
+
+    const station = await state.stationManager.updateSessionNeeds(req.params.id, {
+      departureTime,
+      energyRequired,
+      greenMode
+    }, { connectorId });
 
     res.json({
       success: true,
@@ -176,11 +429,13 @@ router.post('/:id/session/start', async (req, res) => {
 
 /**
  * POST /api/stations/:id/session/stop
- * Stop a charging session
+ * Stop a charging session (connectorId for multi-connector stations)
  */
 router.post('/:id/session/stop', async (req, res) => {
   try {
-    const sessionData = await state.stationManager.stopChargingSession(req.params.id);
+    const sessionData = await state.stationManager.stopChargingSession(req.params.id, {
+      connectorId: req.body?.connectorId
+    });
 
     res.json({
       success: true,
@@ -8,9 +8,16 @@ import { dirname, join } from 'path';
 // Import services
 import { LoadManager } from './services/LoadManager.js';
 import { ChargingStationManager } from './services/ChargingStationManager.js';
+import { StationTransfer } from './services/StationTransfer.js';
+import { SessionStore } from './services/SessionStore.js';
 import { PVManager } from './services/PVManager.js';
 import { ScheduleManager } from './services/ScheduleManager.js';
 import { DataLogger } from './services/DataLogger.js';
+import { DemandResponseManager } from './services/DemandResponseManager.js';
+import { TariffManager } from './services/TariffManager.js';
+import { CarbonIntensityManager } from './services/CarbonIntensityManager.js';
+import { BatteryManager } from './services/BatteryManager.js';
+import { FlexibleLoadManager } from './services/FlexibleLoadManager.js';
 import { StatePersistence } from './persistence/StatePersistence.js';
 import EnergyMeterManager from './services/EnergyMeterManager.js';
 
@@ -34,6 +41,8 @@ import energyMetersRouter from './api/energy-meters.js';
 import healthRouter from './api/health.js';
 import controlRouter from './api/control.js';
 import demoRouter from './api/demo.js';
+import demandResponseRouter from './api/demand-response.js';
+import sessionsRouter from './api/sessions.js';
 
 // Import middleware
 import { rateLimiters } from './middleware/rateLimiter.js';
@@ -64,6 +73,9 @@ export const state = {
   stations: new Map(),
   schedules: new Map(),
   energyMeters: new Map(),
+  zones: new Map(),
+  batteries: new Map(),
+  flexibleLoads: new Map(),
   clients: new Set(),
   config: {
     maxGridCapacity: parseFloat(process.env.MAX_GRID_CAPACITY_KW) || 500,
@@ -73,8 +85,54 @@ export const state = {
     energyCostPerKWh: parseFloat(process.env.ENERGY_COST_PER_KWH) || 0.12,
     peakCostPerKWh: parseFloat(process.env.PEAK_COST_PER_KWH) || 0.25,
     pvSystemEnabled: process.env.PV_SYSTEM_ENABLED === 'true',
+    pvMaxCapacity: parseFloat(process.env.PV_MAX_CAPACITY_KW) || 100,
+    exportLimitKW: process.env.EXPORT_LIMIT_KW ? parseFloat(process.env.EXPORT_LIMIT_KW) : null,
+    exportLimitPercent: process.env.EXPORT_LIMIT_PERCENT ? parseFloat(process.env.EXPORT_LIMIT_PERCENT) : null,
+    exportLimitMargin: parseFloat(process.env.EXPORT_LIMIT_MARGIN_KW) || 0.5,
+    exportAlertTolerance: parseFloat(process.env.EXPORT_ALERT_TOLERANCE_KW) || 1,
+    exportAlertDelay: parseInt(process.env.EXPORT_ALERT_DELAY_S) || 60,
+    pvCurtailmentEnabled: process.env.PV_CURTAILMENT_ENABLED === 'true',
+    batteryReserveSoc: parseFloat(process.env.BATTERY_RESERVE_SOC) || 20,
+    pvInverter: {
+      host: process.env.PV_INVERTER_HOST || null,
+      port: parseInt(process.env.PV_INVERTER_PORT) || 502,
+      unitId: parseInt(process.env.PV_INVERTER_UNIT_ID) || 1,
+      limitRegister: process.env.PV_INVERTER_LIMIT_REGISTER ? parseInt(process.env.PV_INVERTER_LIMIT_REGISTER) : null,
+      limitScale: parseInt(process.env.PV_INVERTER_LIMIT_SCALE) || 100
+    },
     enableLoadBalancing: process.env.ENABLE_LOAD_BALANCING === 'true',
-    enablePVExcessCharging: process.env.ENABLE_PV_EXCESS_CHARGING === 'true'
+    enablePVExcessCharging: process.env.ENABLE_PV_EXCESS_CHARGING === 'true',
+    allocationStrategy: process.env.ALLOCATION_STRATEGY || 'priority_fill',
+    allocationHistoryDays: parseInt(process.env.ALLOCATION_HISTORY_DAYS) || 30,
+    sessionHistoryDays: parseInt(process.env.SESSION_HISTORY_DAYS) || 365,
+    setpointDeadband: process.env.SETPOINT_DEADBAND_KW ? parseFloat(process.env.SETPOINT_DEADBAND_KW) : 0.1,
+    setpointMinDwellTime: parseFloat(process.env.SETPOINT_MIN_DWELL_S) || 0,
+    setpointMaxRampRate: parseFloat(process.env.SETPOINT_MAX_RAMP_KW_PER_S) || null,
+    rotationEnabled: process.env.ROTATION_ENABLED === 'true',
+    rotationSlotMinutes: parseFloat(process.env.ROTATION_SLOT_MINUTES) || 15,
+    rebalanceDebounce: parseInt(process.env.REBALANCE_DEBOUNCE_MS) || 200,
+    rebalanceMaxDelay: parseInt(process.env.REBALANCE_MAX_DELAY_MS) || 1000,
+    rebalanceFallbackInterval: parseInt(process.env.REBALANCE_FALLBACK_INTERVAL_MS) || 5000,
+    peakShavingEnabled: process.env.PEAK_SHAVING_ENABLED === 'true',
+    demandIntervalMinutes: parseInt(process.env.DEMAND_INTERVAL_MINUTES) || 15,
+    demandChargePerKW: parseFloat(process.env.DEMAND_CHARGE_PER_KW) || 0,
+    tariffOptimizationEnabled: process.env.TARIFF_OPTIMIZATION_ENABLED === 'true',
+    tariffProvider: process.env.TARIFF_PROVIDER || null,
+    tariffFile: process.env.TARIFF_FILE || null,
+    tariffPriceUnit: process.env.TARIFF_PRICE_UNIT || 'kWh',
+    tariffRefreshMinutes: parseInt(process.env.TARIFF_REFRESH_MINUTES) || 60,
+    carbonIntensityFile: process.env.CARBON_INTENSITY_FILE || null,
+    carbonDefaultIntensity: parseFloat(process.env.CARBON_DEFAULT_INTENSITY) || 400,
+    carbonRefreshMinutes: parseInt(process.env.CARBON_REFRESH_MINUTES) || 60,
+    loadSheddingEnabled: process.env.ENABLE_LOAD_SHEDDING === 'true',
+    fairnessEnabled: process.env.FAIRNESS_ENABLED === 'true',
+    fairnessWindowDays: parseFloat(process.env.FAIRNESS_WINDOW_DAYS) || 7,
+    openadrEnabled: process.env.OPENADR_ENABLED === 'true',
+    openadrVtnUrl: process.env.OPENADR_VTN_URL || 'http://localhost:8080',
+    openadrVenName: process.env.OPENADR_VEN_NAME || 'wago-dlm',
+    openadrVenId: process.env.OPENADR_VEN_ID || null,
+    openadrDefaultOpt: process.env.OPENADR_DEFAULT_OPT || 'optIn',
+    openadrPriceThreshold: parseFloat(process.env.OPENADR_PRICE_THRESHOLD) || null
   },
   currentLoad: {
     total: 0,
@@ -88,12 +146,23 @@ export const state = {
 
 // Initialize services
 state.persistence = new StatePersistence(join(__dirname, '..', 'persistence'));
+
+// Load persisted state before the services read the configuration
+await state.persistence.load(state);
+
 state.dataLogger = new DataLogger();
 state.energyMeterManager = new EnergyMeterManager(state, state.dataLogger);
+state.sessionStore = new SessionStore(state);
 state.stationManager = new ChargingStationManager(state);
+state.stationTransfer = new StationTransfer(state);
+state.tariffManager = new TariffManager(state);
+state.carbonIntensityManager = new CarbonIntensityManager(state);
+state.batteryManager = new BatteryManager(state);
+state.flexibleLoadManager = new FlexibleLoadManager(state);
 state.loadManager = new LoadManager(state);
 state.pvManager = new PVManager(state);
 state.scheduleManager = new ScheduleManager(state);
+state.demandResponseManager = new DemandResponseManager(state);
 
 // Initialize demo mode service with state reference
 demoModeService.initialize(state);
@@ -124,7 +193,7 @@ async function initializeEnhancedServices() {
   });
 
   // Configure load shedding
-  if (process.env.ENABLE_LOAD_SHEDDING === 'true') {
+  if (state.config.loadSheddingEnabled) {
     loadSheddingService.updateHysteresis({
       upperThreshold: parseFloat(process.env.LOAD_SHEDDING_UPPER_THRESHOLD) || 0.95,
       lowerThreshold: parseFloat(process.env.LOAD_SHEDDING_LOWER_THRESHOLD) || 0.85
@@ -187,6 +256,7 @@ app.use('/api/demo', demoRouter);
 app.use('/api/health', healthRouter);
 app.use('/api/control', controlRouter);
 app.use('/api/stations', stationsRouter);
+app.use('/api/sessions', sessionsRouter);
 app.use('/api/load', loadRouter);
 app.use('/api/energy', energyRouter);
 app.use('/api/schedules', schedulesRouter);
@@ -194,6 +264,7 @@ app.use('/api/analytics', analyticsRouter);
 app.use('/api/ai-config', aiConfigRouter);
 app.use('/api/ai-meter', aiMeterRouter);
 app.use('/api/energy-meters', energyMetersRouter(state.energyMeterManager));
+app.use('/api/demand-response', demandResponseRouter);
 
 // System info endpoint
 app.get('/api/system/info', (req, res) => {
@@ -296,15 +367,18 @@ wss.on('connection', (ws) => {
 
 console.log(`🔌 WebSocket server running on port ${WS_PORT}\n`);
 
-// Load persisted state
-await state.persistence.load(state);
-
 // Initialize services
 await state.energyMeterManager.initialize();
+await state.sessionStore.initialize();
 await state.stationManager.initialize();
+await state.tariffManager.initialize();
+await state.carbonIntensityManager.initialize();
+await state.batteryManager.initialize();
+await state.flexibleLoadManager.initialize();
 await state.loadManager.initialize();
 await state.pvManager.initialize();
 await state.scheduleManager.initialize();
+await state.demandResponseManager.initialize();
 
 console.log('✅ All services initialized\n');
 
@@ -315,7 +389,14 @@ process.on('SIGINT', async () => {
   await state.persistence.save(state);
   await state.energyMeterManager.shutdown();
   await state.stationManager.shutdown();
+  await state.loadManager.shutdown();
+  await state.sessionStore.shutdown();
+  await state.tariffManager.shutdown();
+  await state.carbonIntensityManager.shutdown();
   await state.pvManager.shutdown();
+  await state.batteryManager.shutdown();
+  await state.flexibleLoadManager.shutdown();
+  await state.demandResponseManager.shutdown();
 
   wss.close();
   process.exit(0);
@@ -327,7 +408,14 @@ process.on('SIGTERM', async () => {
   await state.persistence.save(state);
   await state.energyMeterManager.shutdown();
   await state.stationManager.shutdown();
+  await state.loadManager.shutdown();
+  await state.sessionStore.shutdown();
+  await state.tariffManager.shutdown();
+  await state.carbonIntensityManager.shutdown();
   await state.pvManager.shutdown();
+  await state.batteryManager.shutdown();
+  await state.flexibleLoadManager.shutdown();
+  await state.demandResponseManager.shutdown();
 
   wss.close();
   process.exit(0);
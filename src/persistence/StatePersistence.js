@@ -0,0 +1,142 @@
+/**
+ * StatePersistence - Saves the site configuration across restarts
+ *
+ * Stations, schedules, energy meters, zones, batteries and flexible loads
+ * are written to state.json together with the settings changed through the
+ * API. Those are kept as overrides of the environment configuration: a
+ * setting never changed at runtime always comes from .env. Live readings are
+ * not kept: restored stations start offline until their communication is
+ * initialized again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isMultiConnector } from '../utils/ChargingPoints.js';
+
+const STATE_VERSION = 2;
+
+// state maps saved as [key, value] entries
+const COLLECTIONS = ['stations', 'schedules', 'energyMeters', 'zones', 'batteries', 'flexibleLoads'];
+
+// state.config keys the API can change; saved overrides of other keys are ignored
+const SETTINGS = [
+  'maxGridCapacity',
+  'peakDemandThreshold',
+  'peakShavingEnabled',
+  'exportLimitKW',
+  'exportLimitPercent',
+  'pvCurtailmentEnabled',
+  'tariffOptimizationEnabled',
+  'allocationStrategy',
+  'rotationEnabled',
+  'rotationSlotMinutes',
+  'fairnessEnabled',
+  'fairnessWindowDays'
+];
+
+export class StatePersistence {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.stateFile = path.join(dataDir, 'state.json');
+    this.pending = Promise.resolve();
+    this.overrides = {}; // settings changed through the API
+  }
+
+  /**
+   * Restore saved collections and settings into the state
+   */
+  async load(state) {
+    let saved;
+    try {
+      saved = JSON.parse(await fs.promises.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[StatePersistence] Failed to load state:', error);
+      }
+      return;
+    }
+
+    for (const name of COLLECTIONS) {
+      for (const [key, value] of saved[name] || []) {
+        state[name].set(key, value);
+      }
+    }
+
+    for (const [key, value] of Object.entries(saved.overrides || {})) {
+      if (SETTINGS.includes(key)) {
+        this.overrides[key] = value;
+        state.config[key] = value;
+      }
+    }
+
+    for (const station of state.stations.values()) {
+      resetStation(station);
+    }
+
+    console.log(`💾 Restored state from ${saved.savedAt} (${state.stations.size} stations, ${state.zones.size} zones)`);
+  }
+
+  /**
+   * Change settings through the API; they are saved as overrides
+   * (undefined values are left unchanged)
+   */
+  setConfig(state, settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      if (value === undefined) continue;
+
+      if (!SETTINGS.includes(key)) {
+        throw new Error(`Setting ${key} cannot be changed at runtime`);
+      }
+
+      state.config[key] = value;
+      this.overrides[key] = value;
+    }
+  }
+
+  /**
+   * Save the state; saves are written one after another so the file always
+   * holds the latest complete one
+   */
+  save(state) {
+    const content = JSON.stringify({
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      ...Object.fromEntries(COLLECTIONS.map(name => [name, Array.from(state[name].entries())])),
+      overrides: this.overrides
+    }, null, 2);
+
+    this.pending = this.pending.then(() => this.write(content));
+    return this.pending;
+  }
+
+  /**
+   * Write through a temporary file, so a crash never leaves half a file
+   */
+  async write(content) {
+    const tmpFile = `${this.stateFile}.tmp`;
+
+    try {
+      await fs.promises.mkdir(this.dataDir, { recursive: true });
+      await fs.promises.writeFile(tmpFile, content);
+      await fs.promises.rename(tmpFile, this.stateFile);
+    } catch (error) {
+      console.error('[StatePersistence] Failed to save state:', error);
+    }
+  }
+}
+
+/**
+ * Clear the live readings of a restored station
+ */
+function resetStation(station) {
+  station.online = false;
+  station.status = 'offline';
+  station.currentPower = 0;
+
+  if (isMultiConnector(station)) {
+    for (const connector of station.connectors) {
+      connector.status = 'offline';
+      connector.currentPower = 0;
+    }
+  }
+}
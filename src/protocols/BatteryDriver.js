@@ -0,0 +1,157 @@
+/**
+ * BatteryDriver - Reads state and writes power setpoints of stationary batteries
+ *
+ * A driver implements:
+ *
+ *   {
+ *     async start(onReading)  // onReading({ soc, power }) on every new reading
+ *     async setPower(power)   // kW, positive = charge, negative = discharge
+ *     async stop()
+ *   }
+ *
+ * Modbus: holding registers for SoC, power and the power setpoint, each
+ * with a scale (register value * scale = % or kW). Power registers are
+ * signed 16-bit; set invertPower for devices that count discharge as positive.
+ *
+ * MQTT: a state topic with JSON { soc, power } (or soc/power topics with
+ * plain values) and a setpoint topic receiving { power } in kW.
+ */
+
+const DEFAULT_POLL_INTERVAL = 5000; // ms
+
+/**
+ * Convert an unsigned 16-bit register value to signed
+ */
+function toSigned16(value) {
+  return value > 0x7fff ? value - 0x10000 : value;
+}
+
+export class ModbusBatteryDriver {
+  constructor(communication, { modbusDriver, pollInterval = DEFAULT_POLL_INTERVAL }) {
+    const { host, registers } = communication || {};
+
+    if (!host || !registers || registers.soc === undefined || registers.setpoint === undefined) {
+      throw new Error('Modbus battery needs host and soc/setpoint registers');
+    }
+
+    this.communication = { port: 502, unitId: 1, ...communication };
+    this.modbusDriver = modbusDriver;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+  }
+
+  async start(onReading) {
+    const poll = async () => {
+      try {
+        onReading(await this.read());
+      } catch (error) {
+        onReading(null, error);
+      }
+    };
+
+    await poll();
+    this.timer = setInterval(poll, this.pollInterval);
+  }
+
+  async read() {
+    const { host, port, unitId, registers, invertPower } = this.communication;
+
+    const soc = await this.modbusDriver.readRegister(host, port, unitId, registers.soc) * (registers.socScale ?? 1);
+    let power = null;
+
+    if (registers.power !== undefined) {
+      const raw = toSigned16(await this.modbusDriver.readRegister(host, port, unitId, registers.power));
+      power = raw * (registers.powerScale ?? 0.001) * (invertPower ? -1 : 1);
+    }
+
+    return { soc, power };
+  }
+
+  async setPower(power) {
+    const { host, port, unitId, registers, invertPower } = this.communication;
+    const value = Math.round((invertPower ? -power : power) / (registers.setpointScale ?? 0.001));
+
+    // Two's complement for negative setpoints
+    await this.modbusDriver.writeRegister(host, port, unitId, registers.setpoint, value < 0 ? value + 0x10000 : value);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+  }
+}
+
+export class MqttBatteryDriver {
+  constructor(communication, { mqttDriver }) {
+    const { topicState, topicSoc, topicSetpoint } = communication || {};
+
+    if (!mqttDriver) {
+      throw new Error('MQTT battery needs MQTT_BROKER_URL to be configured');
+    }
+
+    if ((!topicState && !topicSoc) || !topicSetpoint) {
+      throw new Error('MQTT battery needs a state (or soc) topic and a setpoint topic');
+    }
+
+    this.communication = communication;
+    this.mqttDriver = mqttDriver;
+    this.reading = { soc: null, power: null };
+  }
+
+  async start(onReading) {
+    const { topicState, topicSoc, topicPower } = this.communication;
+    const update = (values) => {
+      this.reading = { ...this.reading, ...values };
+      onReading({ ...this.reading });
+    };
+
+    if (topicState) {
+      await this.mqttDriver.subscribe(topicState, (message) => {
+        try {
+          const data = JSON.parse(message);
+          update({
+            soc: data.soc ?? this.reading.soc,
+            power: data.power ?? this.reading.power
+          });
+        } catch (error) {
+          console.error('Error parsing battery state:', error.message);
+        }
+      });
+    }
+
+    if (topicSoc) {
+      await this.mqttDriver.subscribe(topicSoc, (message) => update({ soc: parseFloat(message) }));
+    }
+
+    if (topicPower) {
+      await this.mqttDriver.subscribe(topicPower, (message) => update({ power: parseFloat(message) }));
+    }
+  }
+
+  async setPower(power) {
+    await this.mqttDriver.publish(this.communication.topicSetpoint, { power });
+  }
+
+  async stop() {
+    const { topicState, topicSoc, topicPower } = this.communication;
+
+    for (const topic of [topicState, topicSoc, topicPower].filter(Boolean)) {
+      await this.mqttDriver.unsubscribe(topic);
+    }
+  }
+}
+
+/**
+ * Create the driver for a battery's protocol
+ * @param {Object} battery - Battery with protocol, communication and pollInterval
+ * @param {Object} drivers - { modbusDriver, mqttDriver } shared protocol drivers
+ */
+export function createBatteryDriver(battery, drivers) {
+  switch (battery.protocol) {
+    case 'modbus':
+      return new ModbusBatteryDriver(battery.communication, { ...drivers, pollInterval: battery.pollInterval });
+    case 'mqtt':
+      return new MqttBatteryDriver(battery.communication, drivers);
+    default:
+      throw new Error(`Unsupported battery protocol: ${battery.protocol}`);
+  }
+}
@@ -110,6 +110,23 @@ export class ModbusDriver {
     }
   }
 
+  /**
+   * Write single coil
+   */
+  async writeCoil(host, port, unitId, address, value) {
+    try {
+      const client = await this.getClient(host, port);
+      client.setID(unitId);
+
+      await client.writeCoil(address, value);
+      return true;
+
+    } catch (error) {
+      console.error(`Modbus coil write error (${host}:${port} unit ${unitId} addr ${address}):`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Disconnect from all Modbus devices
    */
@@ -152,6 +152,10 @@ export class OCPPDriver {
           response = await this.handleAuthorize(chargePointId, payload);
           break;
 
+        case 'NotifyEVChargingNeeds':
+          response = await this.handleNotifyEVChargingNeeds(chargePointId, payload);
+          break;
+
         default:
           console.warn(`Unhandled OCPP action: ${action}`);
           response = {};
@@ -160,9 +164,10 @@ export class OCPPDriver {
       // Send CALLRESULT
       this.sendCallResult(chargePointId, messageId, response);
 
-      // Notify external handler if registered
+      // Notify external handler if registered; the response carries what
+      // the central system assigned (e.g. the StartTransaction transactionId)
       if (handler) {
-        handler({ action, payload, chargePointId });
+        handler({ action, payload, response, chargePointId });
       }
 
     } catch (error) {
@@ -302,6 +307,13 @@ export class OCPPDriver {
     };
   }
 
+  async handleNotifyEVChargingNeeds(chargePointId, payload) {
+    console.log(`🚗 NotifyEVChargingNeeds from ${chargePointId}:`, payload);
+    return {
+      status: 'Accepted'
+    };
+  }
+
   // ========== Control Commands ==========
 
   /**
@@ -349,6 +361,17 @@ export class OCPPDriver {
     });
   }
 
+  /**
+   * Change availability (connectorId 0 = whole charge point)
+   * @param {string} type - Operative or Inoperative
+   */
+  async changeAvailability(chargePointId, type, connectorId = 0) {
+    return this.sendCall(chargePointId, 'ChangeAvailability', {
+      connectorId,
+      type
+    });
+  }
+
   /**
    * Get configuration
    */
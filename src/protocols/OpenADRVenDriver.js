@@ -0,0 +1,427 @@
+/**
+ * OpenADRVenDriver - OpenADR 2.0b Virtual End Node (VEN), simple HTTP pull
+ *
+ * Implements the VEN side of the 2.0b services over HTTP POST:
+ * - EiRegisterParty: query/create registration
+ * - OadrPoll: poll the VTN for events, report requests and re-registration
+ * - EiEvent: oadrCreatedEvent (opt-in/opt-out response to distributed events)
+ * - EiOpt: oadrCreateOpt (opt out of an event after responding)
+ * - EiReport: register, create and update reports (telemetry)
+ *
+ * Payloads are built as XML strings and read with SimpleXml (namespace
+ * prefixes ignored). XML signatures are not supported; transport security
+ * is TLS with client certificates as the 2.0b profile requires.
+ */
+
+import fs from 'fs';
+import https from 'https';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { parseXml, escapeXml, childElements, findElement, findDescendant, textAt } from '../utils/SimpleXml.js';
+
+const SERVICE_PATH = '/OpenADR2/Simple/2.0b';
+const SCHEMA_VERSION = '2.0b';
+
+const NAMESPACES = [
+  'xmlns:oadr="http://openadr.org/oadr-2.0b/2012/07"',
+  'xmlns:pyld="http://docs.oasis-open.org/ns/energyinterop/201110/payloads"',
+  'xmlns:ei="http://docs.oasis-open.org/ns/energyinterop/201110"',
+  'xmlns:emix="http://docs.oasis-open.org/ns/emix/2011/06"',
+  'xmlns:power="http://docs.oasis-open.org/ns/emix/2011/06/power"',
+  'xmlns:scale="http://docs.oasis-open.org/ns/emix/2011/06/siscale"',
+  'xmlns:xcal="urn:ietf:params:xml:ns:icalendar-2.0"',
+  'xmlns:strm="urn:ietf:params:xml:ns:icalendar-2.0:stream"'
+].join(' ');
+
+// SI scale codes to multiplier relative to the base unit
+const SI_SCALE = { p: 1e-12, n: 1e-9, micro: 1e-6, m: 1e-3, c: 1e-2, d: 1e-1, none: 1, k: 1e3, M: 1e6, G: 1e9, T: 1e12 };
+
+export class OpenADRVenDriver {
+  constructor(options = {}) {
+    if (!options.vtnUrl) {
+      throw new Error('VTN URL is required');
+    }
+
+    this.vtnUrl = options.vtnUrl.replace(/\/+$/, '');
+    this.venName = options.venName || 'wago-dlm';
+    this.venId = options.venId || null;
+    this.registrationId = null;
+    this.vtnId = null;
+    this.timeout = options.timeout || 10000;
+
+    // TLS client certificate (optional for plain HTTP test VTNs)
+    this.httpsAgent = options.tls?.cert
+      ? new https.Agent({
+        cert: fs.readFileSync(options.tls.cert),
+        key: fs.readFileSync(options.tls.key),
+        ca: options.tls.ca ? fs.readFileSync(options.tls.ca) : undefined
+      })
+      : undefined;
+  }
+
+  /**
+   * POST a payload to a VTN service and return the message it answered with
+   * @returns {{ type: string, element: Object }}
+   */
+  async send(service, message) {
+    const body = `<?xml version="1.0" encoding="utf-8"?>\n` +
+      `<oadr:oadrPayload ${NAMESPACES}><oadr:oadrSignedObject>${message}</oadr:oadrSignedObject></oadr:oadrPayload>`;
+
+    const response = await axios.post(`${this.vtnUrl}${SERVICE_PATH}/${service}`, body, {
+      headers: { 'Content-Type': 'application/xml' },
+      timeout: this.timeout,
+      httpsAgent: this.httpsAgent,
+      responseType: 'text',
+      transformResponse: data => data
+    });
+
+    if (!response.data) {
+      return { type: null, element: null };
+    }
+
+    const payload = parseXml(response.data);
+    const signedObject = findElement(payload, 'oadrSignedObject') || payload;
+    const element = signedObject.children[0] || null;
+
+    return { type: element ? element.name : null, element };
+  }
+
+  /**
+   * Check the eiResponse of a VTN message, throw on a non-2xx code
+   */
+  checkResponse(element) {
+    const eiResponse = findDescendant(element, 'eiResponse');
+    if (!eiResponse) return;
+
+    const code = textAt(eiResponse, 'responseCode');
+    if (code && !code.startsWith('2')) {
+      throw new Error(`VTN error ${code}: ${textAt(eiResponse, 'responseDescription') || 'no description'}`);
+    }
+  }
+
+  /**
+   * Query registration details (VTN id, profiles, poll frequency)
+   */
+  async queryRegistration() {
+    const { element } = await this.send('EiRegisterParty',
+      `<oadr:oadrQueryRegistration ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<pyld:requestID>${uuidv4()}</pyld:requestID>` +
+      `</oadr:oadrQueryRegistration>`
+    );
+
+    this.checkResponse(element);
+    return this.parseRegistration(element);
+  }
+
+  /**
+   * Register this VEN with the VTN (pull model)
+   */
+  async register() {
+    const { type, element } = await this.send('EiRegisterParty',
+      `<oadr:oadrCreatePartyRegistration ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<pyld:requestID>${uuidv4()}</pyld:requestID>` +
+      (this.registrationId ? `<ei:registrationID>${escapeXml(this.registrationId)}</ei:registrationID>` : '') +
+      (this.venId ? `<ei:venID>${escapeXml(this.venId)}</ei:venID>` : '') +
+      `<oadr:oadrProfileName>2.0b</oadr:oadrProfileName>` +
+      `<oadr:oadrTransportName>simpleHttp</oadr:oadrTransportName>` +
+      `<oadr:oadrReportOnly>false</oadr:oadrReportOnly>` +
+      `<oadr:oadrXmlSignature>false</oadr:oadrXmlSignature>` +
+      `<oadr:oadrVenName>${escapeXml(this.venName)}</oadr:oadrVenName>` +
+      `<oadr:oadrHttpPullModel>true</oadr:oadrHttpPullModel>` +
+      `</oadr:oadrCreatePartyRegistration>`
+    );
+
+    if (type !== 'oadrCreatedPartyRegistration') {
+      throw new Error(`Unexpected registration response: ${type}`);
+    }
+
+    this.checkResponse(element);
+
+    const registration = this.parseRegistration(element);
+    this.registrationId = registration.registrationId;
+    this.venId = registration.venId || this.venId;
+    this.vtnId = registration.vtnId;
+
+    return registration;
+  }
+
+  /**
+   * Read registration fields of an oadrCreatedPartyRegistration
+   */
+  parseRegistration(element) {
+    const pollFreq = findDescendant(element, 'oadrRequestedOadrPollFreq');
+
+    return {
+      registrationId: textAt(element, 'registrationID'),
+      venId: textAt(element, 'venID'),
+      vtnId: textAt(element, 'vtnID'),
+      pollFreq: pollFreq ? parseDuration(textAt(pollFreq, 'duration')) : null
+    };
+  }
+
+  /**
+   * Poll the VTN for pending messages
+   */
+  async poll() {
+    return this.send('OadrPoll',
+      `<oadr:oadrPoll ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<ei:venID>${escapeXml(this.venId)}</ei:venID>` +
+      `</oadr:oadrPoll>`
+    );
+  }
+
+  /**
+   * Respond to distributed events (opt-in/opt-out per event)
+   * @param {string} requestId - requestID of the oadrDistributeEvent
+   * @param {Array} responses - [{ eventId, modificationNumber, optType }]
+   */
+  async createdEvent(requestId, responses) {
+    const eventResponses = responses.map(r =>
+      `<ei:eventResponse>` +
+      `<ei:responseCode>200</ei:responseCode>` +
+      `<ei:responseDescription>OK</ei:responseDescription>` +
+      `<pyld:requestID>${escapeXml(requestId)}</pyld:requestID>` +
+      `<ei:qualifiedEventID><ei:eventID>${escapeXml(r.eventId)}</ei:eventID>` +
+      `<ei:modificationNumber>${r.modificationNumber}</ei:modificationNumber></ei:qualifiedEventID>` +
+      `<ei:optType>${r.optType}</ei:optType>` +
+      `</ei:eventResponse>`
+    ).join('');
+
+    const { element } = await this.send('EiEvent',
+      `<oadr:oadrCreatedEvent ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<pyld:eiCreatedEvent>` +
+      `<ei:eiResponse><ei:responseCode>200</ei:responseCode><ei:responseDescription>OK</ei:responseDescription>` +
+      `<pyld:requestID/></ei:eiResponse>` +
+      `<ei:eventResponses>${eventResponses}</ei:eventResponses>` +
+      `<ei:venID>${escapeXml(this.venId)}</ei:venID>` +
+      `</pyld:eiCreatedEvent>` +
+      `</oadr:oadrCreatedEvent>`
+    );
+
+    this.checkResponse(element);
+  }
+
+  /**
+   * Change participation in an event after the initial response
+   */
+  async createOpt({ eventId, modificationNumber, optType, optReason }) {
+    const { element } = await this.send('EiOpt',
+      `<oadr:oadrCreateOpt ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<ei:optID>${uuidv4()}</ei:optID>` +
+      `<ei:optType>${optType}</ei:optType>` +
+      `<ei:optReason>${escapeXml(optReason)}</ei:optReason>` +
+      `<ei:venID>${escapeXml(this.venId)}</ei:venID>` +
+      `<ei:createdDateTime>${new Date().toISOString()}</ei:createdDateTime>` +
+      `<pyld:requestID>${uuidv4()}</pyld:requestID>` +
+      `<ei:qualifiedEventID><ei:eventID>${escapeXml(eventId)}</ei:eventID>` +
+      `<ei:modificationNumber>${modificationNumber}</ei:modificationNumber></ei:qualifiedEventID>` +
+      `<ei:eiTarget><ei:venID>${escapeXml(this.venId)}</ei:venID></ei:eiTarget>` +
+      `</oadr:oadrCreateOpt>`
+    );
+
+    this.checkResponse(element);
+  }
+
+  /**
+   * Register the reports this VEN can provide (metadata)
+   * @param {Array} descriptions - [{ rId, reportType, readingType, units }]
+   * @returns VTN response message (may carry report requests)
+   */
+  async registerReport(specifierId, descriptions) {
+    const reportDescriptions = descriptions.map(d =>
+      `<oadr:oadrReportDescription>` +
+      `<ei:rID>${escapeXml(d.rId)}</ei:rID>` +
+      `<ei:reportType>${d.reportType}</ei:reportType>` +
+      `<power:realPower><power:itemDescription>RealPower</power:itemDescription>` +
+      `<power:itemUnits>W</power:itemUnits><scale:siScaleCode>k</scale:siScaleCode>` +
+      `<power:powerAttributes><power:hertz>50</power:hertz><power:voltage>230</power:voltage><power:ac>true</power:ac></power:powerAttributes>` +
+      `</power:realPower>` +
+      `<ei:readingType>${d.readingType}</ei:readingType>` +
+      `<oadr:oadrSamplingRate><oadr:oadrMinPeriod>PT10S</oadr:oadrMinPeriod>` +
+      `<oadr:oadrMaxPeriod>PT1H</oadr:oadrMaxPeriod><oadr:oadrOnChange>false</oadr:oadrOnChange></oadr:oadrSamplingRate>` +
+      `</oadr:oadrReportDescription>`
+    ).join('');
+
+    const response = await this.send('EiReport',
+      `<oadr:oadrRegisterReport ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<pyld:requestID>${uuidv4()}</pyld:requestID>` +
+      `<oadr:oadrReport>` +
+      `<xcal:duration><xcal:duration>PT1H</xcal:duration></xcal:duration>` +
+      reportDescriptions +
+      `<ei:reportRequestID>0</ei:reportRequestID>` +
+      `<ei:reportSpecifierID>${escapeXml(specifierId)}</ei:reportSpecifierID>` +
+      `<ei:reportName>METADATA_${escapeXml(specifierId)}</ei:reportName>` +
+      `<ei:createdDateTime>${new Date().toISOString()}</ei:createdDateTime>` +
+      `</oadr:oadrReport>` +
+      `<ei:venID>${escapeXml(this.venId)}</ei:venID>` +
+      `</oadr:oadrRegisterReport>`
+    );
+
+    this.checkResponse(response.element);
+    return response;
+  }
+
+  /**
+   * Acknowledge report requests
+   */
+  async createdReport(pendingRequestIds) {
+    const { element } = await this.send('EiReport',
+      `<oadr:oadrCreatedReport ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<ei:eiResponse><ei:responseCode>200</ei:responseCode><ei:responseDescription>OK</ei:responseDescription>` +
+      `<pyld:requestID/></ei:eiResponse>` +
+      `<oadr:oadrPendingReports>` +
+      pendingRequestIds.map(id => `<ei:reportRequestID>${escapeXml(id)}</ei:reportRequestID>`).join('') +
+      `</oadr:oadrPendingReports>` +
+      `<ei:venID>${escapeXml(this.venId)}</ei:venID>` +
+      `</oadr:oadrCreatedReport>`
+    );
+
+    this.checkResponse(element);
+  }
+
+  /**
+   * Send report data
+   * @param {Object} report - { reportRequestId, specifierId, start, durationSeconds, values: [{ rId, value }] }
+   */
+  async updateReport(report) {
+    const start = new Date(report.start).toISOString();
+    const duration = `PT${Math.max(1, Math.round(report.durationSeconds))}S`;
+    const payloads = report.values.map(v =>
+      `<oadr:oadrReportPayload>` +
+      `<ei:rID>${escapeXml(v.rId)}</ei:rID>` +
+      `<ei:payloadFloat><ei:value>${Number(v.value).toFixed(3)}</ei:value></ei:payloadFloat>` +
+      `<oadr:oadrDataQuality>Quality Good - Non Specific</oadr:oadrDataQuality>` +
+      `</oadr:oadrReportPayload>`
+    ).join('');
+
+    const { element } = await this.send('EiReport',
+      `<oadr:oadrUpdateReport ei:schemaVersion="${SCHEMA_VERSION}">` +
+      `<pyld:requestID>${uuidv4()}</pyld:requestID>` +
+      `<oadr:oadrReport>` +
+      `<xcal:dtstart><xcal:date-time>${start}</xcal:date-time></xcal:dtstart>` +
+      `<xcal:duration><xcal:duration>${duration}</xcal:duration></xcal:duration>` +
+      `<strm:intervals><ei:interval>` +
+      `<xcal:dtstart><xcal:date-time>${start}</xcal:date-time></xcal:dtstart>` +
+      `<xcal:duration><xcal:duration>${duration}</xcal:duration></xcal:duration>` +
+      payloads +
+      `</ei:interval></strm:intervals>` +
+      `<ei:eiReportID>${uuidv4()}</ei:eiReportID>` +
+      `<ei:reportRequestID>${escapeXml(report.reportRequestId)}</ei:reportRequestID>` +
+      `<ei:reportSpecifierID>${escapeXml(report.specifierId)}</ei:reportSpecifierID>` +
+      `<ei:reportName>${escapeXml(report.specifierId)}</ei:reportName>` +
+      `<ei:createdDateTime>${new Date().toISOString()}</ei:createdDateTime>` +
+      `</oadr:oadrReport>` +
+      `<ei:venID>${escapeXml(this.venId)}</ei:venID>` +
+      `</oadr:oadrUpdateReport>`
+    );
+
+    this.checkResponse(element);
+  }
+
+  /**
+   * Read the events of an oadrDistributeEvent
+   */
+  parseDistributeEvent(element) {
+    return {
+      requestId: textAt(element, 'requestID'),
+      vtnId: textAt(element, 'vtnID'),
+      events: childElements(element, 'oadrEvent').map(oadrEvent => this.parseEvent(oadrEvent))
+    };
+  }
+
+  /**
+   * Read one oadrEvent
+   */
+  parseEvent(oadrEvent) {
+    const eiEvent = findElement(oadrEvent, 'eiEvent');
+    const descriptor = findElement(eiEvent, 'eventDescriptor');
+    const properties = findElement(eiEvent, 'eiActivePeriod/properties');
+
+    const start = new Date(textAt(properties, 'dtstart/date-time')).getTime();
+    const duration = parseDuration(textAt(properties, 'duration/duration'));
+
+    const signals = childElements(findElement(eiEvent, 'eiEventSignals'), 'eiEventSignal').map(signal => {
+      const scaleCode = findDescendant(signal, 'siScaleCode')?.text;
+      let intervalStart = start;
+
+      return {
+        id: textAt(signal, 'signalID'),
+        name: textAt(signal, 'signalName'),
+        type: textAt(signal, 'signalType'),
+        units: findDescendant(signal, 'itemUnits')?.text || null,
+        scale: scaleCode ? (SI_SCALE[scaleCode] ?? 1) : 1,
+        currentValue: parseFloat(findDescendant(findElement(signal, 'currentValue'), 'value')?.text),
+        intervals: childElements(findElement(signal, 'intervals'), 'interval').map(interval => {
+          const intervalDuration = parseDuration(textAt(interval, 'duration/duration'));
+          const entry = {
+            start: intervalStart,
+            end: intervalDuration === 0 ? Infinity : intervalStart + intervalDuration,
+            value: parseFloat(findDescendant(findElement(interval, 'signalPayload'), 'value')?.text)
+          };
+
+          intervalStart = entry.end;
+          return entry;
+        })
+      };
+    });
+
+    return {
+      eventId: textAt(descriptor, 'eventID'),
+      modificationNumber: parseInt(textAt(descriptor, 'modificationNumber')) || 0,
+      status: textAt(descriptor, 'eventStatus'),
+      priority: parseInt(textAt(descriptor, 'priority')) || 0,
+      marketContext: textAt(descriptor, 'eiMarketContext/marketContext'),
+      testEvent: textAt(descriptor, 'testEvent') === 'true',
+      start,
+      // A duration of zero means the event is open-ended
+      end: duration === 0 ? Infinity : start + duration,
+      responseRequired: textAt(oadrEvent, 'oadrResponseRequired') || 'always',
+      signals
+    };
+  }
+
+  /**
+   * Read report requests of an oadrCreateReport / oadrRegisteredReport
+   */
+  parseReportRequests(element) {
+    return childElements(element, 'oadrReportRequest').map(request => {
+      const specifier = findElement(request, 'reportSpecifier');
+
+      return {
+        reportRequestId: textAt(request, 'reportRequestID'),
+        specifierId: textAt(specifier, 'reportSpecifierID'),
+        granularity: parseDuration(textAt(specifier, 'granularity/duration')),
+        reportBackDuration: parseDuration(textAt(specifier, 'reportBackDuration/duration')),
+        rIds: childElements(specifier, 'specifierPayload').map(p => textAt(p, 'rID'))
+      };
+    });
+  }
+
+  /**
+   * Read the ids of cancelled report requests
+   */
+  parseCancelReport(element) {
+    return childElements(element, 'reportRequestID').map(e => e.text);
+  }
+}
+
+/**
+ * Parse an ISO 8601 duration (e.g. PT10S, PT1H30M, P1D) to milliseconds
+ */
+export function parseDuration(value) {
+  if (!value) return 0;
+
+  const match = value.match(/^([+-])?P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = (parseFloat(weeks || 0) * 604800 +
+    parseFloat(days || 0) * 86400 +
+    parseFloat(hours || 0) * 3600 +
+    parseFloat(minutes || 0) * 60 +
+    parseFloat(seconds || 0)) * 1000;
+
+  return sign === '-' ? -ms : ms;
+}
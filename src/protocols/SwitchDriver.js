@@ -0,0 +1,112 @@
+/**
+ * SwitchDriver - Switches flexible loads (heat pumps, water heaters, ...)
+ *
+ * A driver implements:
+ *
+ *   {
+ *     async switch(on)  // true = released (load may run), false = blocked
+ *   }
+ *
+ * Modbus: a coil written true/false (set invert for blocking contacts,
+ * e.g. a utility lock input that blocks the load when closed).
+ *
+ * MQTT: { on } published as JSON to a command topic, or plain
+ * payloadOn/payloadOff strings when configured.
+ *
+ * HTTP: a request with { on } as JSON body (or bodyOn/bodyOff), e.g. to a
+ * building automation gateway or smart relay.
+ */
+
+import axios from 'axios';
+
+const HTTP_TIMEOUT = 5000; // ms
+
+export class ModbusCoilSwitch {
+  constructor(communication, { modbusDriver }) {
+    const { host, coil } = communication || {};
+
+    if (!host || coil === undefined) {
+      throw new Error('Modbus load needs host and coil');
+    }
+
+    this.communication = { port: 502, unitId: 1, ...communication };
+    this.modbusDriver = modbusDriver;
+  }
+
+  async switch(on) {
+    const { host, port, unitId, coil, invert } = this.communication;
+
+    await this.modbusDriver.writeCoil(host, port, unitId, coil, invert ? !on : on);
+  }
+}
+
+export class MqttSwitch {
+  constructor(communication, { mqttDriver }) {
+    if (!mqttDriver) {
+      throw new Error('MQTT load needs MQTT_BROKER_URL to be configured');
+    }
+
+    if (!communication?.topicCommand) {
+      throw new Error('MQTT load needs a command topic');
+    }
+
+    this.communication = communication;
+    this.mqttDriver = mqttDriver;
+  }
+
+  async switch(on) {
+    const { topicCommand, payloadOn, payloadOff } = this.communication;
+    const payload = payloadOn !== undefined && payloadOff !== undefined
+      ? (on ? payloadOn : payloadOff)
+      : { on };
+
+    await this.mqttDriver.publish(topicCommand, payload, { retain: true });
+  }
+}
+
+export class HttpSwitch {
+  constructor(communication) {
+    if (!communication?.url) {
+      throw new Error('HTTP load needs a url');
+    }
+
+    this.communication = communication;
+  }
+
+  async switch(on) {
+    const { url, method, headers, authToken, bodyOn, bodyOff } = this.communication;
+    const data = bodyOn !== undefined && bodyOff !== undefined
+      ? (on ? bodyOn : bodyOff)
+      : { on };
+
+    await axios({
+      method: method || 'POST',
+      url,
+      data,
+      timeout: HTTP_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(authToken && { 'Authorization': `Bearer ${authToken}` }),
+        ...headers
+      }
+    });
+  }
+}
+
+/**
+ * Create the switch driver for a flexible load's protocol
+ * @param {Object} load - Flexible load with protocol and communication
+ * @param {Object} drivers - { modbusDriver, mqttDriver } shared protocol drivers
+ */
+export function createSwitchDriver(load, drivers) {
+  switch (load.protocol) {
+    case 'modbus':
+      return new ModbusCoilSwitch(load.communication, drivers);
+    case 'mqtt':
+      return new MqttSwitch(load.communication, drivers);
+    case 'http':
+      return new HttpSwitch(load.communication);
+    default:
+      throw new Error(`Unsupported load protocol: ${load.protocol}`);
+  }
+}
@@ -0,0 +1,299 @@
+/**
+ * Allocation History Store
+ *
+ * Persists load allocation cycles as daily JSON Lines files so allocation
+ * decisions can be investigated days or weeks later without InfluxDB.
+ *
+ * - One file per day: allocations-YYYY-MM-DD.jsonl
+ * - Buffered writes, flushed periodically and on shutdown
+ * - Files older than the retention period are removed
+ * - Queries support time range, station filter, downsampling and pagination
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILE_PATTERN = /^allocations-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_QUERY_RANGE = DAY_MS; // Without a start time, query the last 24 hours
+
+export class AllocationHistoryStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../../logs/allocations');
+    this.retentionDays = options.retentionDays || 30;
+    this.flushInterval = options.flushInterval || 5000; // Flush every 5s
+
+    this.buffer = [];
+    this.flushTimer = null;
+  }
+
+  /**
+   * Create the data directory, remove expired files and start flushing
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    await this.cleanupOldFiles();
+
+    this.flushTimer = setInterval(() => {
+      this.flush();
+    }, this.flushInterval);
+
+    console.log(`[AllocationHistory] Initialized (dir: ${this.dataDir}, retention: ${this.retentionDays} days)`);
+  }
+
+  /**
+   * Add an allocation cycle
+   */
+  append(entry) {
+    this.buffer.push(entry);
+  }
+
+  /**
+   * Write buffered entries to their daily files
+   */
+  async flush() {
+    if (this.buffer.length === 0) return;
+
+    const entries = this.buffer;
+    this.buffer = [];
+
+    try {
+      // Group by day so entries around midnight land in the right file
+      const byFile = new Map();
+      for (const entry of entries) {
+        const file = this.getFileForDate(entry.timestamp);
+        if (!byFile.has(file)) byFile.set(file, []);
+        byFile.get(file).push(JSON.stringify(entry));
+      }
+
+      for (const [file, lines] of byFile) {
+        await fs.promises.appendFile(file, lines.join('\n') + '\n');
+      }
+    } catch (error) {
+      console.error('[AllocationHistory] Failed to flush buffer:', error);
+      // Put entries back in buffer if write failed
+      this.buffer.unshift(...entries);
+    }
+  }
+
+  /**
+   * Get file path for the day of a timestamp
+   */
+  getFileForDate(timestamp) {
+    const date = new Date(timestamp).toISOString().split('T')[0]; // YYYY-MM-DD
+    return path.join(this.dataDir, `allocations-${date}.jsonl`);
+  }
+
+  /**
+   * Remove files older than the retention period
+   */
+  async cleanupOldFiles() {
+    try {
+      const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString().split('T')[0];
+
+      for (const { name, date } of await this.listFiles()) {
+        if (date < cutoff) {
+          await fs.promises.unlink(path.join(this.dataDir, name));
+          console.log(`[AllocationHistory] Removed expired file: ${name}`);
+        }
+      }
+    } catch (error) {
+      console.error('[AllocationHistory] Failed to cleanup old files:', error);
+    }
+  }
+
+  /**
+   * List history files with their date, oldest first
+   */
+  async listFiles() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+      .filter(f => f.match)
+      .map(f => ({ name: f.name, date: f.match[1] }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Read all entries within a time range (persisted and buffered), oldest first
+   */
+  async readRange(from, to) {
+    const fromDate = new Date(from).toISOString().split('T')[0];
+    const toDate = new Date(to).toISOString().split('T')[0];
+    const entries = [];
+
+    for (const { name, date } of await this.listFiles()) {
+      if (date < fromDate || date > toDate) continue;
+
+      const content = await fs.promises.readFile(path.join(this.dataDir, name), 'utf8');
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // Skip malformed lines
+        }
+      }
+    }
+
+    entries.push(...this.buffer);
+
+    return entries
+      .filter(e => {
+        const time = new Date(e.timestamp).getTime();
+        return time >= from && time <= to;
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Query allocation history
+   * @param {Object} filters
+   * @param {string|number} filters.from - Start time (default: 24 hours before `to`)
+   * @param {string|number} filters.to - End time (default: now)
+   * @param {string} filters.stationId - Only cycles including this station
+   * @param {number} filters.interval - Downsampling bucket size in seconds
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Entries to skip
+   * @param {string} filters.order - 'desc' (newest first, default) or 'asc'
+   */
+  async query(filters = {}) {
+    const {
+      stationId,
+      interval,
+      limit = 100,
+      offset = 0,
+      order = 'desc'
+    } = filters;
+
+    const to = filters.to !== undefined ? new Date(filters.to).getTime() : Date.now();
+    const from = filters.from !== undefined ? new Date(filters.from).getTime() : to - DEFAULT_QUERY_RANGE;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error('Invalid time range');
+    }
+
+    if (from > to) {
+      throw new Error('Start of time range must be before its end');
+    }
+
+    if (interval !== undefined && (!Number.isFinite(interval) || interval <= 0)) {
+      throw new Error('Invalid interval value');
+    }
+
+    if (!Number.isInteger(limit) || limit <= 0 || !Number.isInteger(offset) || offset < 0) {
+      throw new Error('Invalid pagination parameters');
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error('Invalid order (must be asc or desc)');
+    }
+
+    let entries = await this.readRange(from, to);
+
+    if (stationId) {
+      entries = entries
+        .map(entry => ({
+          ...entry,
+          allocations: entry.allocations.filter(a => a.stationId === stationId)
+        }))
+        .filter(entry => entry.allocations.length > 0);
+    }
+
+    if (interval) {
+      entries = this.downsample(entries, interval * 1000);
+    }
+
+    if (order === 'desc') {
+      entries.reverse();
+    }
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      interval: interval || null,
+      total: entries.length,
+      offset,
+      limit,
+      entries: entries.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Average entries into fixed time buckets
+   * Per station the average and peak power are reported, together with the
+   * binding constraint of the latest cycle in the bucket.
+   */
+  downsample(entries, bucketMs) {
+    const buckets = new Map();
+
+    for (const entry of entries) {
+      const bucketStart = Math.floor(new Date(entry.timestamp).getTime() / bucketMs) * bucketMs;
+      if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+      buckets.get(bucketStart).push(entry);
+    }
+
+    return Array.from(buckets.entries()).map(([bucketStart, bucketEntries]) => {
+      const stations = new Map();
+
+      for (const entry of bucketEntries) {
+        for (const allocation of entry.allocations) {
+          if (!stations.has(allocation.stationId)) {
+            stations.set(allocation.stationId, { ...allocation, samples: [] });
+          }
+
+          const station = stations.get(allocation.stationId);
+          station.samples.push(allocation.power);
+          station.zone = allocation.zone;
+          station.bindingConstraint = allocation.bindingConstraint;
+          station.reason = allocation.reason;
+        }
+      }
+
+      return {
+        timestamp: new Date(bucketStart).toISOString(),
+        samples: bucketEntries.length,
+        allocations: Array.from(stations.values()).map(({ samples, ...allocation }) => ({
+          ...allocation,
+          power: average(samples),
+          peakPower: Math.max(...samples),
+          samples: samples.length
+        })),
+        totalAllocated: average(bucketEntries.map(e => e.totalAllocated)),
+        availableCapacity: average(bucketEntries.map(e => e.availableCapacity))
+      };
+    });
+  }
+
+  /**
+   * Stop flushing and write remaining entries
+   */
+  async shutdown() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.flush();
+  }
+}
+
+/**
+ * Average of a list of numbers
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + (v || 0), 0) / values.length : 0;
+}
@@ -0,0 +1,416 @@
+/**
+ * Allocation Strategies
+ *
+ * Policies LoadManager delegates power distribution to. Every strategy
+ * allocates through a CapacityTree, so grid, topology and zone limits
+ * are respected no matter how the power is shared out.
+ *
+ * Built-in strategies:
+ * - priority_fill: minimum to everyone, then fill in priority order (default)
+ * - equal_share: minimum to everyone, then split the rest equally
+ * - priority_weighted: minimum to everyone, then split proportionally to priority
+ * - energy_need: minimum to everyone, then split proportionally to remaining kWh need
+ * - strict_priority: fill each station completely before serving the next
+ * - deadline: least-laxity first, guaranteeing each session the power it
+ *   needs to reach its energy target before departure
+ */
+
+import deadlinePlanner from './DeadlinePlanner.js';
+import capabilityManager from './CapabilityManager.js';
+
+const EPSILON = 0.01; // kW
+const MAX_FILL_ROUNDS = 20;
+
+/**
+ * Base strategy: admit stations at minimum power in priority order,
+ * then hand out the remaining headroom via fill()
+ */
+class AllocationStrategy {
+  constructor({ id, name, description }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+  }
+
+  /**
+   * Allocate power to prioritized stations
+   */
+  allocate(stations, tree, config) {
+    const allocations = this.admit(stations, tree, config);
+
+    this.fill(allocations.filter(a => a.power > 0), tree, config);
+
+    this.resolveBindingConstraints(allocations, tree, config);
+
+    return allocations;
+  }
+
+  /**
+   * First pass: Allocate minimum power to all stations
+   */
+  admit(stations, tree, config) {
+    const allocations = [];
+
+    for (const station of stations) {
+      const { minPower, targetPower } = this.getLimits(station, config);
+      const { headroom, node } = tree.getHeadroom(station.id);
+
+      if (headroom >= minPower) {
+        // Allocate minimum or requested power (whichever is lower)
+        const allocated = Math.min(minPower, targetPower, headroom);
+
+        allocations.push({
+          station,
+          power: allocated,
+          isMinimum: true,
+          minPass: { admitted: true, minPower, headroom, power: allocated }
+        });
+
+        tree.allocate(station.id, allocated);
+      } else {
+        allocations.push(this.reject(station, node, tree, { admitted: false, minPower, headroom, power: 0 }));
+      }
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Second pass: Distribute remaining headroom in priority order
+   */
+  fill(allocations, tree, config) {
+    for (const allocation of allocations) {
+      this.grant(allocation, this.getRemainingNeed(allocation, config), tree);
+    }
+  }
+
+  /**
+   * Give a station up to `amount` kW, limited by the headroom on its path
+   */
+  grant(allocation, amount, tree) {
+    if (amount <= 0) return 0;
+
+    const { headroom } = tree.getHeadroom(allocation.station.id);
+    const granted = Math.min(amount, headroom);
+
+    if (granted > 0) {
+      allocation.power += granted;
+      allocation.isMinimum = false;
+      tree.allocate(allocation.station.id, granted);
+    }
+
+    return granted;
+  }
+
+  /**
+   * Split remaining headroom proportionally to a weight per station.
+   * Each round a station's share is bounded by its weighted share of every
+   * node on its path, so shared feeders/zones are split fairly as well.
+   */
+  weightedFill(allocations, tree, config, weightOf) {
+    let active = allocations.filter(a => this.getRemainingNeed(a, config) > EPSILON);
+
+    const weights = new Map(active.map(a => [a.station.id, Math.max(0, weightOf(a.station))]));
+    if (active.every(a => weights.get(a.station.id) === 0)) {
+      active.forEach(a => weights.set(a.station.id, 1));
+    }
+
+    for (let round = 0; round < MAX_FILL_ROUNDS && active.length > 0; round++) {
+      // Total weight of active stations behind each node
+      const nodeWeights = new Map();
+      for (const allocation of active) {
+        for (const node of tree.getPath(allocation.station.id)) {
+          nodeWeights.set(node.id, (nodeWeights.get(node.id) || 0) + weights.get(allocation.station.id));
+        }
+      }
+
+      // Compute all shares from the headroom at the start of the round
+      const shares = active.map(allocation => {
+        const weight = weights.get(allocation.station.id);
+        let share = weight > 0 ? Infinity : 0;
+
+        for (const node of tree.getPath(allocation.station.id)) {
+          share = Math.min(share, Math.max(0, node.remaining) * weight / nodeWeights.get(node.id));
+        }
+
+        return Math.min(share, this.getRemainingNeed(allocation, config));
+      });
+
+      let grantedThisRound = 0;
+      active.forEach((allocation, i) => {
+        grantedThisRound += this.grant(allocation, shares[i], tree);
+      });
+
+      if (grantedThisRound < EPSILON) break;
+
+      active = active.filter(a =>
+        this.getRemainingNeed(a, config) > EPSILON &&
+        tree.getHeadroom(a.station.id).headroom > EPSILON
+      );
+    }
+  }
+
+  /**
+   * Record which node limited each station
+   */
+  resolveBindingConstraints(allocations, tree, config) {
+    for (const allocation of allocations) {
+      if (allocation.power === 0) continue;
+
+      const { targetPower, capabilityLimited } = this.getLimits(allocation.station, config);
+
+      if (allocation.power >= targetPower - EPSILON) {
+        // The station's own request/rating (or discovered capability) is what limits it
+        allocation.bindingConstraint = {
+          id: allocation.station.id,
+          type: capabilityLimited ? 'capability' : 'station',
+          name: allocation.station.name,
+          limit: targetPower
+        };
+        continue;
+      }
+
+      const { node } = tree.getHeadroom(allocation.station.id);
+      allocation.bindingConstraint = tree.describe(node);
+      allocation.zoneLimited = node?.type === 'zone';
+    }
+  }
+
+  /**
+   * Build a zero allocation for a station that cannot get its minimum
+   */
+  reject(station, node, tree, minPass) {
+    return {
+      station,
+      power: 0,
+      isMinimum: false,
+      minPass,
+      zoneLimited: node?.type === 'zone',
+      bindingConstraint: tree.describe(node),
+      reason: getConstraintReason(node)
+    };
+  }
+
+  /**
+   * Get min/max/target power of a station
+   * The target is also clamped to the charger's discovered power capability.
+   */
+  getLimits(station, config) {
+    const minPower = station.minPower || config.minChargingPower;
+    const maxPower = station.maxPower || config.maxChargingPowerPerStation;
+    const requestedPower = station.requestedPower || maxPower;
+    const capabilityMax = capabilityManager.getCapabilities(station.id)?.power?.max ?? Infinity;
+
+    return {
+      minPower,
+      maxPower,
+      targetPower: Math.min(requestedPower, maxPower, capabilityMax),
+      capabilityLimited: capabilityMax < Math.min(requestedPower, maxPower)
+    };
+  }
+
+  /**
+   * Get how much more power a station could take
+   */
+  getRemainingNeed(allocation, config) {
+    return this.getLimits(allocation.station, config).targetPower - allocation.power;
+  }
+
+  /**
+   * Describe strategy for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description
+    };
+  }
+}
+
+/**
+ * Minimum first, then fill by priority order
+ */
+class PriorityFillStrategy extends AllocationStrategy {
+  constructor() {
+    super({
+      id: 'priority_fill',
+      name: 'Priority Fill',
+      description: 'Minimum power to every station, remaining capacity filled in priority order'
+    });
+  }
+}
+
+/**
+ * Minimum first, then equal split
+ */
+class EqualShareStrategy extends AllocationStrategy {
+  constructor() {
+    super({
+      id: 'equal_share',
+      name: 'Equal Share',
+      description: 'Minimum power to every station, remaining capacity split equally'
+    });
+  }
+
+  fill(allocations, tree, config) {
+    this.weightedFill(allocations, tree, config, () => 1);
+  }
+}
+
+/**
+ * Minimum first, then split proportionally to priority (1-10)
+ */
+class PriorityWeightedStrategy extends AllocationStrategy {
+  constructor() {
+    super({
+      id: 'priority_weighted',
+      name: 'Priority Weighted',
+      description: 'Minimum power to every station, remaining capacity split proportionally to priority'
+    });
+  }
+
+  fill(allocations, tree, config) {
+    this.weightedFill(allocations, tree, config, station => station.priority || 5);
+  }
+}
+
+/**
+ * Minimum first, then split proportionally to remaining energy need
+ */
+class EnergyNeedStrategy extends AllocationStrategy {
+  constructor() {
+    super({
+      id: 'energy_need',
+      name: 'Energy Need Proportional',
+      description: 'Minimum power to every station, remaining capacity split proportionally to remaining kWh need'
+    });
+  }
+
+  fill(allocations, tree, config) {
+    // Sessions without a known need are weighted like the average known need
+    const knownNeeds = allocations
+      .map(a => deadlinePlanner.getEnergyNeed(a.station))
+      .filter(need => need !== null);
+    const defaultNeed = knownNeeds.length > 0
+      ? knownNeeds.reduce((sum, need) => sum + need, 0) / knownNeeds.length
+      : 1;
+
+    this.weightedFill(allocations, tree, config, station => deadlinePlanner.getEnergyNeed(station) ?? defaultNeed);
+  }
+}
+
+/**
+ * Fill each station completely before serving the next one
+ */
+class StrictPriorityStrategy extends AllocationStrategy {
+  constructor() {
+    super({
+      id: 'strict_priority',
+      name: 'Strict Priority',
+      description: 'Each station gets its full request in priority order until capacity runs out'
+    });
+  }
+
+  admit(stations, tree, config) {
+    const allocations = [];
+
+    for (const station of stations) {
+      const { minPower, targetPower } = this.getLimits(station, config);
+      const { headroom, node } = tree.getHeadroom(station.id);
+      const allocated = Math.min(targetPower, headroom);
+
+      if (allocated >= minPower) {
+        allocations.push({
+          station,
+          power: allocated,
+          isMinimum: allocated <= minPower,
+          minPass: { admitted: true, minPower, headroom, power: allocated }
+        });
+
+        tree.allocate(station.id, allocated);
+      } else {
+        allocations.push(this.reject(station, node, tree, { admitted: false, minPower, headroom, power: 0 }));
+      }
+    }
+
+    return allocations;
+  }
+
+  fill() {
+    // Everything is handed out during admission
+  }
+}
+
+/**
+ * Least-laxity first: secure every session's on-time power, then fill
+ */
+class DeadlineStrategy extends AllocationStrategy {
+  constructor() {
+    super({
+      id: 'deadline',
+      name: 'Departure Deadline',
+      description: 'Most urgent sessions first (least laxity), each guaranteed the power to finish before departure'
+    });
+  }
+
+  allocate(stations, tree, config) {
+    const getMaxPower = station => this.getLimits(station, config).maxPower;
+    const ordered = deadlinePlanner.sortByUrgency(stations, getMaxPower);
+
+    return super.allocate(ordered, tree, config);
+  }
+
+  fill(allocations, tree, config) {
+    // Secure the on-time power for sessions with a deadline
+    for (const allocation of allocations) {
+      const plan = deadlinePlanner.planSession(
+        allocation.station,
+        this.getLimits(allocation.station, config).maxPower
+      );
+      if (!plan) continue;
+
+      const needed = Math.min(plan.requiredPower, this.getLimits(allocation.station, config).targetPower);
+      this.grant(allocation, needed - allocation.power, tree);
+    }
+
+    // Then hand out what is left in urgency order
+    super.fill(allocations, tree, config);
+  }
+}
+
+/**
+ * Map a binding constraint node to an allocation reason
+ */
+function getConstraintReason(node) {
+  if (!node || node.type === 'grid') {
+    return 'insufficient_capacity';
+  }
+
+  return `${node.type}_limit`;
+}
+
+/**
+ * Create the built-in strategies
+ */
+function createDefaultStrategies() {
+  return [
+    new PriorityFillStrategy(),
+    new EqualShareStrategy(),
+    new PriorityWeightedStrategy(),
+    new EnergyNeedStrategy(),
+    new StrictPriorityStrategy(),
+    new DeadlineStrategy()
+  ];
+}
+
+export {
+  AllocationStrategy,
+  PriorityFillStrategy,
+  EqualShareStrategy,
+  PriorityWeightedStrategy,
+  EnergyNeedStrategy,
+  StrictPriorityStrategy,
+  DeadlineStrategy,
+  createDefaultStrategies
+};
@@ -0,0 +1,400 @@
+/**
+ * BatteryManager - Stationary battery storage (BESS)
+ *
+ * Batteries are controllable site assets next to the chargers:
+ * - State of charge and measured power are read through a Modbus or MQTT
+ *   driver (see protocols/BatteryDriver.js)
+ * - LoadManager decides every cycle how much the batteries discharge to
+ *   boost charging capacity during peaks, or charge from PV surplus, and
+ *   dispatch() splits that over the batteries in proportion to their limits
+ * - Batteries never discharge below their reserve SoC or charge above their
+ *   maximum SoC
+ *
+ * Power sign: positive = charging, negative = discharging (kW).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ModbusDriver } from '../protocols/ModbusDriver.js';
+import { MQTTDriver } from '../protocols/MQTTDriver.js';
+import { createBatteryDriver } from '../protocols/BatteryDriver.js';
+
+const SETPOINT_DEADBAND = 0.1; // kW, smaller setpoint changes are not sent
+const READING_MAX_AGE = 60000; // ms, batteries without a recent reading are not dispatched
+
+export class BatteryManager {
+  constructor(state) {
+    this.state = state;
+    this.modbusDriver = new ModbusDriver();
+    this.mqttDriver = null;
+    this.drivers = new Map(); // batteryId -> driver
+  }
+
+  async initialize() {
+    console.log('🔋 Initializing Battery Manager...');
+
+    for (const battery of this.state.batteries.values()) {
+      await this.startBattery(battery);
+    }
+
+    console.log(`✅ Battery Manager initialized (${this.state.batteries.size} batteries)`);
+  }
+
+  /**
+   * Register a new battery
+   */
+  async registerBattery(batteryData) {
+    if (!batteryData.name) {
+      throw new Error('Battery name is required');
+    }
+
+    const battery = {
+      id: uuidv4(),
+      name: batteryData.name,
+      protocol: batteryData.protocol, // modbus or mqtt
+      communication: batteryData.communication,
+      pollInterval: batteryData.pollInterval || 5000, // ms (Modbus)
+
+      ...this.validateSettings({
+        capacity: batteryData.capacity,
+        maxChargePower: batteryData.maxChargePower,
+        maxDischargePower: batteryData.maxDischargePower,
+        reserveSoc: batteryData.reserveSoc ?? this.state.config.batteryReserveSoc,
+        maxSoc: batteryData.maxSoc ?? 100,
+        enabled: batteryData.enabled ?? true
+      }),
+
+      // Measured state
+      status: 'offline', // offline, online, error
+      soc: null, // %
+      power: 0, // kW, positive = charging
+      setpoint: 0, // kW last sent to the battery
+      mode: 'idle', // idle, charging, discharging
+      reason: null, // peak_support or pv_surplus while dispatched
+      lastUpdate: null,
+      lastError: null,
+
+      createdAt: new Date().toISOString()
+    };
+
+    // Fails on an unknown protocol or missing registers/topics before anything is stored
+    createBatteryDriver(battery, await this.getProtocolDrivers(battery));
+
+    this.state.batteries.set(battery.id, battery);
+    await this.startBattery(battery);
+
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'battery.registered',
+      data: battery
+    });
+
+    console.log(`🔋 Registered battery: ${battery.name} (${battery.id})`);
+
+    return battery;
+  }
+
+  /**
+   * Update battery settings (limits, reserve SoC, enabled)
+   */
+  async updateBattery(batteryId, updates) {
+    const battery = this.getBattery(batteryId);
+
+    const settings = this.validateSettings({
+      capacity: updates.capacity ?? battery.capacity,
+      maxChargePower: updates.maxChargePower ?? battery.maxChargePower,
+      maxDischargePower: updates.maxDischargePower ?? battery.maxDischargePower,
+      reserveSoc: updates.reserveSoc ?? battery.reserveSoc,
+      maxSoc: updates.maxSoc ?? battery.maxSoc,
+      enabled: updates.enabled ?? battery.enabled
+    });
+
+    Object.assign(battery, settings);
+
+    if (updates.name !== undefined) {
+      battery.name = updates.name;
+    }
+
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'battery.updated',
+      data: battery
+    });
+
+    this.state.loadManager?.requestRebalance('battery_updated');
+
+    return battery;
+  }
+
+  /**
+   * Remove a battery (its setpoint is reset to idle first)
+   */
+  async deleteBattery(batteryId) {
+    const battery = this.getBattery(batteryId);
+
+    await this.sendSetpoint(battery, 0);
+    await this.stopBattery(batteryId);
+
+    this.state.batteries.delete(batteryId);
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'battery.deleted',
+      data: { id: batteryId }
+    });
+
+    this.state.loadManager?.requestRebalance('battery_deleted');
+  }
+
+  /**
+   * Validate power/energy limits and SoC window
+   */
+  validateSettings(settings) {
+    const { capacity, maxChargePower, maxDischargePower, reserveSoc, maxSoc, enabled } = settings;
+
+    for (const [field, value] of Object.entries({ capacity, maxChargePower, maxDischargePower })) {
+      if (typeof value !== 'number' || value <= 0) {
+        throw new Error(`Invalid ${field} value`);
+      }
+    }
+
+    if (typeof reserveSoc !== 'number' || reserveSoc < 0 || reserveSoc > 100) {
+      throw new Error('Invalid reserveSoc value');
+    }
+
+    if (typeof maxSoc !== 'number' || maxSoc <= reserveSoc || maxSoc > 100) {
+      throw new Error('maxSoc must be above reserveSoc and at most 100');
+    }
+
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+
+    return { capacity, maxChargePower, maxDischargePower, reserveSoc, maxSoc, enabled };
+  }
+
+  /**
+   * Shared protocol drivers; MQTT connects on first use
+   */
+  async getProtocolDrivers(battery) {
+    if (battery.protocol === 'mqtt' && !this.mqttDriver && process.env.MQTT_BROKER_URL) {
+      this.mqttDriver = new MQTTDriver(process.env.MQTT_BROKER_URL);
+      await this.mqttDriver.connect();
+    }
+
+    return { modbusDriver: this.modbusDriver, mqttDriver: this.mqttDriver };
+  }
+
+  /**
+   * Create the driver of a battery and start reading it
+   */
+  async startBattery(battery) {
+    try {
+      const driver = createBatteryDriver(battery, await this.getProtocolDrivers(battery));
+      this.drivers.set(battery.id, driver);
+
+      await driver.start((reading, error) => this.handleReading(battery.id, reading, error));
+    } catch (error) {
+      console.error(`[BatteryManager] Failed to start ${battery.name}:`, error.message);
+      battery.status = 'error';
+      battery.lastError = error.message;
+    }
+  }
+
+  /**
+   * Stop reading a battery
+   */
+  async stopBattery(batteryId) {
+    const driver = this.drivers.get(batteryId);
+    if (!driver) return;
+
+    this.drivers.delete(batteryId);
+    await driver.stop();
+  }
+
+  /**
+   * Store a reading (or read error) from a battery driver
+   */
+  handleReading(batteryId, reading, error = null) {
+    const battery = this.state.batteries.get(batteryId);
+    if (!battery) return;
+
+    if (error || !reading || typeof reading.soc !== 'number' || isNaN(reading.soc)) {
+      battery.status = 'error';
+      battery.lastError = error ? error.message : 'Reading without SoC';
+    } else {
+      battery.status = 'online';
+      battery.soc = reading.soc;
+      battery.power = typeof reading.power === 'number' && !isNaN(reading.power) ? reading.power : battery.setpoint;
+      battery.lastUpdate = new Date().toISOString();
+      battery.lastError = null;
+    }
+
+    this.state.broadcast({
+      type: 'battery.reading',
+      data: {
+        id: battery.id,
+        status: battery.status,
+        soc: battery.soc,
+        power: battery.power,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Check if a battery can be dispatched (enabled, recent reading)
+   */
+  isAvailable(battery, now = Date.now()) {
+    return battery.enabled &&
+      battery.status === 'online' &&
+      battery.lastUpdate !== null &&
+      now - new Date(battery.lastUpdate).getTime() <= READING_MAX_AGE;
+  }
+
+  /**
+   * Discharge power (kW) a battery can give, 0 at or below its reserve SoC
+   */
+  getDischargeLimit(battery) {
+    return this.isAvailable(battery) && battery.soc > battery.reserveSoc ? battery.maxDischargePower : 0;
+  }
+
+  /**
+   * Charge power (kW) a battery can take, 0 at or above its maximum SoC
+   */
+  getChargeLimit(battery) {
+    return this.isAvailable(battery) && battery.soc < battery.maxSoc ? battery.maxChargePower : 0;
+  }
+
+  /**
+   * Total discharge power available (kW)
+   */
+  getAvailableDischarge() {
+    return Array.from(this.state.batteries.values()).reduce((sum, b) => sum + this.getDischargeLimit(b), 0);
+  }
+
+  /**
+   * Total charge power available (kW)
+   */
+  getAvailableCharge() {
+    return Array.from(this.state.batteries.values()).reduce((sum, b) => sum + this.getChargeLimit(b), 0);
+  }
+
+  /**
+   * Measured battery power (kW) of online batteries, positive = charging
+   */
+  getMeasuredPower() {
+    return Array.from(this.state.batteries.values())
+      .filter(b => b.status === 'online')
+      .reduce((sum, b) => sum + (b.power || 0), 0);
+  }
+
+  /**
+   * Split a total battery power over the batteries in proportion to their limits
+   * @param {number} power - kW, positive = charge, negative = discharge
+   * @returns {number} Power actually dispatched
+   */
+  async dispatch(power, reason = null) {
+    const batteries = Array.from(this.state.batteries.values());
+    const discharging = power < 0;
+    const limits = new Map(batteries.map(b => [b.id, discharging ? this.getDischargeLimit(b) : this.getChargeLimit(b)]));
+    const totalLimit = Array.from(limits.values()).reduce((sum, limit) => sum + limit, 0);
+    const share = totalLimit > 0 ? Math.min(1, Math.abs(power) / totalLimit) : 0;
+
+    let dispatched = 0;
+
+    for (const battery of batteries) {
+      const magnitude = limits.get(battery.id) * share;
+      const setpoint = discharging ? -magnitude : magnitude;
+
+      battery.mode = setpoint > 0 ? 'charging' : (setpoint < 0 ? 'discharging' : 'idle');
+      battery.reason = setpoint !== 0 ? reason : null;
+
+      if (await this.sendSetpoint(battery, setpoint)) {
+        dispatched += setpoint;
+      }
+    }
+
+    return dispatched;
+  }
+
+  /**
+   * Send a setpoint unless it is within the deadband of the last one
+   * Returns false when the battery could not be reached.
+   */
+  async sendSetpoint(battery, setpoint) {
+    const changed = Math.abs(setpoint - battery.setpoint) >= SETPOINT_DEADBAND ||
+      (setpoint === 0 && battery.setpoint !== 0);
+    if (!changed) return true;
+
+    const driver = this.drivers.get(battery.id);
+    if (!driver) return false;
+
+    try {
+      await driver.setPower(setpoint);
+      battery.setpoint = setpoint;
+      return true;
+    } catch (error) {
+      console.error(`[BatteryManager] Failed to set ${battery.name} to ${setpoint.toFixed(1)} kW:`, error.message);
+      battery.status = 'error';
+      battery.lastError = error.message;
+      return false;
+    }
+  }
+
+  /**
+   * Get all batteries
+   */
+  getAllBatteries() {
+    return Array.from(this.state.batteries.values());
+  }
+
+  /**
+   * Get a battery, throws when unknown
+   */
+  getBattery(batteryId) {
+    const battery = this.state.batteries.get(batteryId);
+    if (!battery) {
+      throw new Error(`Battery ${batteryId} not found`);
+    }
+    return battery;
+  }
+
+  /**
+   * Get battery status with site totals
+   */
+  getStatus() {
+    const batteries = this.getAllBatteries();
+    const online = batteries.filter(b => b.status === 'online');
+
+    return {
+      batteries,
+      totals: {
+        count: batteries.length,
+        online: online.length,
+        capacity: batteries.reduce((sum, b) => sum + b.capacity, 0),
+        storedEnergy: online.reduce((sum, b) => sum + b.capacity * (b.soc || 0) / 100, 0),
+        power: this.getMeasuredPower(),
+        setpoint: batteries.reduce((sum, b) => sum + (b.setpoint || 0), 0),
+        availableDischarge: this.getAvailableDischarge(),
+        availableCharge: this.getAvailableCharge()
+      },
+      defaultReserveSoc: this.state.config.batteryReserveSoc,
+      lastDispatch: this.state.loadManager?.batteryDispatch || null
+    };
+  }
+
+  async shutdown() {
+    for (const battery of this.state.batteries.values()) {
+      await this.sendSetpoint(battery, 0);
+      await this.stopBattery(battery.id);
+    }
+
+    await this.modbusDriver.disconnectAll();
+
+    if (this.mqttDriver) {
+      await this.mqttDriver.disconnect();
+    }
+  }
+}
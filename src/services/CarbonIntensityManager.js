@@ -0,0 +1,335 @@
+/**
+ * CarbonIntensityManager - Grid CO2 intensity and charging emissions
+ *
+ * Holds the grid carbon intensity series (gCO2/kWh) used by green charging:
+ * - Imported from JSON/CSV uploads, or refreshed from a local file
+ *   (same formats as price series, with an intensity column)
+ * - Where no slot covers a time, the configured default intensity applies
+ *
+ * Emissions of every charging session are accounted from the energy
+ * charged and the intensity at that time. Completed sessions are appended
+ * to logs/carbon/sessions.jsonl.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseTimeSeries, detectFormat, TimeSeriesStore } from '../utils/TimeSeries.js';
+import { getAllChargingPoints } from '../utils/ChargingPoints.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ACCOUNTING_INTERVAL = 30000; // ms
+const MAX_SAMPLE_GAP = 5 * 60 * 1000; // Longer gaps (e.g. downtime) are not accounted
+const MAX_COMPLETED_SESSIONS = 1000; // Kept in memory for reporting
+
+export class CarbonIntensityManager {
+  constructor(state) {
+    this.state = state;
+    this.series = new TimeSeriesStore({
+      file: path.join(__dirname, '../../logs/carbon/intensity.json'),
+      field: 'intensity'
+    });
+    this.sessionsFile = path.join(__dirname, '../../logs/carbon/sessions.jsonl');
+
+    this.activeSessions = new Map(); // charging point ID -> session being accounted
+    this.completedSessions = [];
+    this.lastImport = null;
+    this.lastError = null;
+    this.accountingTimer = null;
+    this.refreshTimer = null;
+  }
+
+  async initialize() {
+    console.log('🌱 Initializing Carbon Intensity Manager...');
+
+    const meta = await this.series.load();
+    this.lastImport = meta.lastImport || null;
+
+    await this.loadCompletedSessions();
+
+    if (this.state.config.carbonIntensityFile) {
+      await this.refresh();
+
+      this.refreshTimer = setInterval(() => {
+        this.refresh();
+      }, (this.state.config.carbonRefreshMinutes || 60) * 60000);
+    }
+
+    this.accountingTimer = setInterval(() => {
+      this.accountEmissions();
+    }, ACCOUNTING_INTERVAL);
+
+    console.log(`✅ Carbon Intensity Manager initialized (${this.series.slots.length} intensity slots)`);
+  }
+
+  /**
+   * Load recent completed sessions from the log
+   */
+  async loadCompletedSessions() {
+    try {
+      const content = await fs.promises.readFile(this.sessionsFile, 'utf8');
+
+      this.completedSessions = content
+        .split('\n')
+        .filter(line => line.trim())
+        .slice(-MAX_COMPLETED_SESSIONS)
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[CarbonIntensity] Failed to load sessions:', error);
+      }
+    }
+  }
+
+  /**
+   * Read the configured intensity file
+   */
+  async refresh() {
+    const file = this.state.config.carbonIntensityFile;
+    if (!file) return null;
+
+    try {
+      const content = await fs.promises.readFile(file, 'utf8');
+      const result = await this.importIntensity(content, detectFormat(file), { source: `file:${path.basename(file)}` });
+      this.lastError = null;
+      return result;
+    } catch (error) {
+      console.error('[CarbonIntensity] Refresh failed:', error.message);
+      this.lastError = { message: error.message, timestamp: new Date().toISOString() };
+      return null;
+    }
+  }
+
+  /**
+   * Import an intensity series (gCO2/kWh, or kgCO2/MWh which is the same)
+   * @param {string|Object} content - CSV text, JSON text or parsed JSON
+   * @param {string} format - 'json' or 'csv'
+   */
+  async importIntensity(content, format, { source = 'upload' } = {}) {
+    const slots = parseTimeSeries(content, format, {
+      field: 'intensity',
+      listKey: 'intensities'
+    });
+
+    this.lastImport = {
+      source,
+      ...this.series.merge(slots),
+      timestamp: new Date().toISOString()
+    };
+
+    await this.series.save({ lastImport: this.lastImport });
+
+    console.log(`[CarbonIntensity] Imported ${slots.length} intensity slots from ${source}`);
+
+    this.state.broadcast({
+      type: 'energy.carbon.updated',
+      data: this.lastImport
+    });
+
+    // New intensities can change green charging plans
+    this.state.loadManager?.requestRebalance('carbon_intensity_updated');
+
+    return this.lastImport;
+  }
+
+  /**
+   * Get the intensity (gCO2/kWh) at a time, or null without a slot
+   */
+  getIntensity(time = Date.now()) {
+    return this.series.getValue(time);
+  }
+
+  /**
+   * Get intensities covering a period without gaps
+   * Gaps are filled with the default intensity and marked as estimated.
+   */
+  getIntensityCurve(from, to) {
+    return this.series.getCurve(from, to, this.state.config.carbonDefaultIntensity);
+  }
+
+  /**
+   * Integrate energy and emissions of charging sessions since the last sample
+   * Metered session energy is used where stations report it, otherwise
+   * the measured power over the elapsed time. Each connector of a
+   * multi-connector station has its own session.
+   */
+  accountEmissions(now = Date.now()) {
+    const seen = new Set();
+
+    for (const station of getAllChargingPoints(this.state.stations)) {
+      if (!station.chargingStartedAt) continue;
+      seen.add(station.id);
+
+      let session = this.activeSessions.get(station.id);
+
+      // A new session on the same station
+      if (session && session.startTime !== station.chargingStartedAt) {
+        this.completeSession(session);
+        session = null;
+      }
+
+      if (!session) {
+        session = {
+          pointId: station.id,
+          stationId: station.stationId ?? station.id,
+          connectorId: station.connectorId,
+          stationName: station.name,
+          userId: station.user?.id || null,
+          startTime: station.chargingStartedAt,
+          endTime: null,
+          greenMode: false,
+          energy: 0,
+          emissions: 0,
+          estimated: false,
+          lastSample: null
+        };
+        this.activeSessions.set(station.id, session);
+      }
+
+      const last = session.lastSample;
+      if (last && now - last.time > 0 && now - last.time <= MAX_SAMPLE_GAP) {
+        const energy = station.sessionEnergy > 0
+          ? Math.max(0, station.sessionEnergy - last.sessionEnergy)
+          : last.power * (now - last.time) / 3600000;
+        const intensity = this.getIntensity(last.time);
+
+        session.energy += energy;
+        session.emissions += energy * (intensity ?? this.state.config.carbonDefaultIntensity);
+        session.estimated = session.estimated || (intensity === null && energy > 0);
+      }
+
+      session.greenMode = session.greenMode || isGreenMode(station);
+      session.lastSample = { time: now, power: station.currentPower || 0, sessionEnergy: station.sessionEnergy || 0 };
+    }
+
+    for (const [pointId, session] of this.activeSessions) {
+      if (!seen.has(pointId)) {
+        this.completeSession(session);
+      }
+    }
+  }
+
+  /**
+   * Close a session and append it to the log
+   */
+  completeSession(session) {
+    this.activeSessions.delete(session.pointId);
+
+    const record = {
+      ...describeSession(session),
+      endTime: new Date(session.lastSample?.time || Date.now()).toISOString()
+    };
+
+    this.completedSessions.push(record);
+    if (this.completedSessions.length > MAX_COMPLETED_SESSIONS) {
+      this.completedSessions.shift();
+    }
+
+    fs.promises.appendFile(this.sessionsFile, JSON.stringify(record) + '\n').catch(error => {
+      console.error('[CarbonIntensity] Failed to write session:', error);
+    });
+
+    this.state.broadcast({
+      type: 'energy.carbon.session',
+      data: record
+    });
+  }
+
+  /**
+   * Get the emissions of the running session of a charging point, or null
+   */
+  getSessionEmissions(pointId) {
+    const session = this.activeSessions.get(pointId);
+    return session ? describeSession(session) : null;
+  }
+
+  /**
+   * Emissions report of active and completed sessions
+   * @param {Object} filters - { from, to, stationId, limit }
+   */
+  getEmissionsReport({ from, to, stationId, limit = 100 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const sessions = this.completedSessions
+      .filter(s => !stationId || s.stationId === stationId)
+      .filter(s => fromTime === null || new Date(s.endTime).getTime() >= fromTime)
+      .filter(s => toTime === null || new Date(s.startTime).getTime() <= toTime)
+      .reverse();
+
+    const active = Array.from(this.activeSessions.values())
+      .filter(s => !stationId || s.stationId === stationId)
+      .map(describeSession);
+
+    const all = [...active, ...sessions];
+    const energy = all.reduce((sum, s) => sum + s.energy, 0);
+    const emissions = all.reduce((sum, s) => sum + s.emissions, 0);
+    const green = all.filter(s => s.greenMode);
+    const greenEnergy = green.reduce((sum, s) => sum + s.energy, 0);
+
+    return {
+      currentIntensity: this.getIntensity(),
+      defaultIntensity: this.state.config.carbonDefaultIntensity,
+      totals: {
+        sessions: all.length,
+        energy,
+        emissions,
+        averageIntensity: energy > 0 ? emissions / energy : null,
+        greenSessions: green.length,
+        greenAverageIntensity: greenEnergy > 0 ? green.reduce((sum, s) => sum + s.emissions, 0) / greenEnergy : null
+      },
+      activeSessions: active,
+      sessions: sessions.slice(0, limit)
+    };
+  }
+
+  /**
+   * Get carbon intensity status
+   */
+  getStatus(now = Date.now()) {
+    const coveredUntil = this.series.getCoveredUntil();
+
+    return {
+      currentIntensity: this.getIntensity(now),
+      defaultIntensity: this.state.config.carbonDefaultIntensity,
+      coveredUntil: coveredUntil && coveredUntil > now ? new Date(coveredUntil).toISOString() : null,
+      slotCount: this.series.slots.length,
+      file: this.state.config.carbonIntensityFile || null,
+      lastImport: this.lastImport,
+      lastError: this.lastError
+    };
+  }
+
+  async shutdown() {
+    clearInterval(this.accountingTimer);
+    clearInterval(this.refreshTimer);
+  }
+}
+
+/**
+ * Whether a station charges in green mode (session setting, else station setting)
+ */
+export function isGreenMode(station) {
+  return (station.sessionGreenMode ?? station.greenMode) === true;
+}
+
+/**
+ * Session emissions in API form (energy kWh, emissions gCO2)
+ */
+function describeSession(session) {
+  return {
+    stationId: session.stationId,
+    connectorId: session.connectorId,
+    stationName: session.stationName,
+    userId: session.userId,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    greenMode: session.greenMode,
+    energy: session.energy,
+    emissions: session.emissions,
+    intensity: session.energy > 0 ? session.emissions / session.energy : null,
+    estimated: session.estimated
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Charging Rotation
+ *
+ * Round-robin time slicing for sites that cannot serve every session at
+ * minimum power. Instead of always starving the lowest-ranked stations,
+ * sessions take turns in fixed time slots:
+ *
+ * - During a slot, stations charging in that slot are admitted first
+ * - When the slot ends, the sessions that waited longest are admitted first
+ * - Paused stations that fit (e.g. after another car leaves) join right away
+ * - Rotation ends as soon as every session fits again
+ *
+ * Rotation only decides the admission order; the allocation strategy still
+ * decides how much power each admitted station gets.
+ */
+
+// Constraints that hold a station at zero on purpose rather than for lack
+// of capacity; rotation leaves those stations and their reason alone
+const HOLD_CONSTRAINTS = new Set(['cost_plan', 'green_plan', 'load_shedding']);
+
+export class ChargingRotation {
+  constructor() {
+    this.active = false;
+    this.slotStartedAt = null;
+    this.slotEndsAt = null;
+    this.members = new Set(); // Stations charging in the current slot
+    this.lastServed = new Map(); // stationId -> last time the station was charging
+  }
+
+  /**
+   * Order prioritized stations for admission
+   */
+  order(stations, settings, now = Date.now()) {
+    if (!settings.enabled) {
+      this.reset();
+      return stations;
+    }
+
+    // Forget stations that left, start the waiting clock for new ones
+    const activeIds = new Set(stations.map(s => s.id));
+    for (const stationId of this.lastServed.keys()) {
+      if (!activeIds.has(stationId)) {
+        this.lastServed.delete(stationId);
+        this.members.delete(stationId);
+      }
+    }
+    for (const station of stations) {
+      if (!this.lastServed.has(station.id)) {
+        this.lastServed.set(station.id, now);
+      }
+    }
+
+    if (!this.active) {
+      return stations;
+    }
+
+    // Waiting stations, longest waiting first (priority order breaks ties)
+    const members = stations.filter(s => this.members.has(s.id));
+    const waiting = stations
+      .filter(s => !this.members.has(s.id))
+      .sort((a, b) => this.lastServed.get(a.id) - this.lastServed.get(b.id));
+
+    if (now >= this.slotEndsAt) {
+      // New slot: waiting stations take their turn
+      this.startSlot(settings, now);
+      return [...waiting, ...members];
+    }
+
+    // Current slot members keep charging, waiting stations fill spare capacity
+    return [...members, ...waiting];
+  }
+
+  /**
+   * Record the outcome of an allocation cycle
+   * Starts rotation when a charging session is starved for capacity and
+   * ends it once all fit.
+   * Returns true when the rotation schedule changed.
+   */
+  update(allocations, settings, now = Date.now()) {
+    if (!settings.enabled) return false;
+
+    const starved = allocations.filter(isStarved);
+    const charging = allocations.filter(a => a.power > 0).map(a => a.station.id);
+    let changed = false;
+
+    if (!this.active && starved.length > 0) {
+      this.active = true;
+      this.startSlot(settings, now);
+      changed = true;
+    } else if (this.active && starved.length === 0) {
+      this.active = false;
+      this.slotStartedAt = null;
+      this.slotEndsAt = null;
+      changed = true;
+    }
+
+    if (charging.length !== this.members.size || charging.some(id => !this.members.has(id))) {
+      changed = true;
+    }
+
+    this.members = new Set(charging);
+    for (const stationId of charging) {
+      this.lastServed.set(stationId, now);
+    }
+
+    if (this.active) {
+      for (const allocation of starved) {
+        allocation.reason = 'rotation_paused';
+        allocation.rotationResumesAt = new Date(this.slotEndsAt).toISOString();
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Start a new time slot
+   */
+  startSlot(settings, now) {
+    this.slotStartedAt = now;
+    this.slotEndsAt = now + settings.slotMinutes * 60000;
+  }
+
+  /**
+   * Clear all rotation state
+   */
+  reset() {
+    this.active = false;
+    this.slotStartedAt = null;
+    this.slotEndsAt = null;
+    this.members.clear();
+    this.lastServed.clear();
+  }
+
+  /**
+   * Get the rotation schedule
+   */
+  getSchedule(settings, now = Date.now()) {
+    const waiting = Array.from(this.lastServed.entries())
+      .filter(([stationId]) => !this.members.has(stationId))
+      .sort((a, b) => a[1] - b[1])
+      .map(([stationId, lastServed], index) => ({
+        stationId,
+        position: index + 1,
+        waitingSince: new Date(lastServed).toISOString(),
+        waitingMinutes: (now - lastServed) / 60000
+      }));
+
+    return {
+      enabled: settings.enabled,
+      active: this.active,
+      slotMinutes: settings.slotMinutes,
+      slotStartedAt: this.slotStartedAt ? new Date(this.slotStartedAt).toISOString() : null,
+      slotEndsAt: this.slotEndsAt ? new Date(this.slotEndsAt).toISOString() : null,
+      charging: Array.from(this.members),
+      waiting: this.active ? waiting : []
+    };
+  }
+}
+
+/**
+ * Check if a charging session got no power because capacity ran out
+ * The session is told by its start time rather than the status: stations
+ * paused at zero (e.g. by rotation itself) report ready while the EV
+ * stays plugged in.
+ */
+function isStarved(allocation) {
+  return allocation.power === 0 &&
+    Boolean(allocation.station.chargingStartedAt) &&
+    !HOLD_CONSTRAINTS.has(allocation.bindingConstraint?.type);
+}
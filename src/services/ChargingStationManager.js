@@ -1,18 +1,36 @@
 /**
  * ChargingStationManager - Manages charging stations and their communication
+ *
+ * Stations have one or more connectors sharing the station's supply.
+ * Status, session, power and meter values of multi-connector stations are
+ * tracked per connector (see utils/ChargingPoints.js).
  */
 
 import { v4 as uuidv4 } from 'uuid';
 import { ModbusDriver } from '../protocols/ModbusDriver.js';
 import { MQTTDriver } from '../protocols/MQTTDriver.js';
 import { OCPPDriver } from '../protocols/OCPPDriver.js';
+import auditLogger from './AuditLogger.js';
+import {
+  CONNECTOR_STATE_FIELDS,
+  isMultiConnector,
+  getChargingPointId,
+  createConnectorState,
+  getChargingPoints,
+  aggregateConnectors
+} from '../utils/ChargingPoints.js';
+
+const AVAILABILITY_STATES = ['operative', 'inoperative', 'maintenance'];
+const MAX_REASON_LENGTH = 200;
+const BULK_ACTIONS = ['set_priority', 'set_max_power', 'set_availability', 'start_session', 'stop_session'];
+const MAX_TAG_LENGTH = 50;
 
 export class ChargingStationManager {
   constructor(state) {
     this.state = state;
     this.drivers = new Map();
     this.pollingIntervals = new Map();
-    this.ocppTransactions = new Map(); // stationId -> transactionId
+    this.ocppTransactions = new Map(); // charging point ID -> transactionId
   }
 
   async initialize() {
@@ -26,13 +44,25 @@ export class ChargingStationManager {
     await this.mqttDriver.connect();
     await this.ocppDriver.start();
 
-    console.log('✅ Charging Station Manager initialized');
+    // Reconnect stations restored from the saved state
+    for (const station of this.state.stations.values()) {
+      await this.initializeStationCommunication(station);
+    }
+
+    console.log(`✅ Charging Station Manager initialized (${this.state.stations.size} stations)`);
   }
 
   /**
    * Register a new charging station
    */
   async registerStation(stationData) {
+    const maxPower = stationData.maxPower || this.state.config.maxChargingPowerPerStation;
+    const connectors = this.createConnectors(stationData.connectors, maxPower);
+
+    if (connectors.length > 1 && stationData.protocol === 'modbus') {
+      throw new Error('Multi-connector stations are supported over OCPP and MQTT');
+    }
+
     const station = {
       id: uuidv4(),
       name: stationData.name,
@@ -40,25 +70,48 @@ export class ChargingStationManager {
       zone: stationData.zone || 'default',
       location: stationData.location || '',
 
-      // Power specifications
-      maxPower: stationData.maxPower || this.state.config.maxChargingPowerPerStation,
+      // Grouping for filtering and bulk operations
+      group: this.validateGroup(stationData.group ?? null),
+      tags: this.validateTags(stationData.tags ?? []),
+
+      // Power specifications (maxPower is shared by all connectors)
+      maxPower,
       minPower: stationData.minPower || this.state.config.minChargingPower,
       currentPower: 0,
       requestedPower: 0,
+      connectors,
 
       // Status
       status: 'offline', // offline, ready, charging, error, unavailable
       online: false,
 
+      // Operator-set availability: operative, inoperative or maintenance;
+      // only operative stations get power
+      availability: 'operative',
+      availabilityReason: null,
+      expectedReturn: null, // ISO timestamp the station is expected back in service
+      availabilityChangedAt: null,
+      availabilitySync: null, // OCPP ChangeAvailability result: accepted, scheduled, rejected, failed or pending
+
       // Priority
       priority: stationData.priority || 5, // 1-10, higher = more important
       scheduledCharging: false,
+      greenMode: stationData.greenMode === true, // Prefer low-carbon intervals
 
       // User/Vehicle info
       user: null,
       vehicle: null,
       rfidCard: null,
 
+      // Session charging needs (for deadline-based charging)
+      departureTime: null, // ISO timestamp the vehicle leaves
+      energyRequired: null, // kWh to deliver this session
+      sessionGreenMode: null, // Overrides greenMode for this session (null = station setting)
+
+      // Setpoint stability (null = site default)
+      setpointControl: this.validateSetpointControl(stationData.setpointControl || {}),
+      lastSetpointChange: null,
+
       // Communication
       protocol: stationData.protocol, // modbus or mqtt
       communication: stationData.communication,
@@ -98,6 +151,97 @@ export class ChargingStationManager {
     return station;
   }
 
+  /**
+   * Build the connectors of a new station
+   * @param {number|Array} config - Number of connectors, or [{ connectorId, maxPower }]
+   *   (maxPower defaults to the station's); one connector when omitted
+   */
+  createConnectors(config = 1, stationMaxPower) {
+    const list = typeof config === 'number'
+      ? Array.from({ length: config }, (_, i) => ({ connectorId: i + 1 }))
+      : config;
+
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('connectors must be a positive number or a non-empty array');
+    }
+
+    const connectors = list.map((connector, index) => {
+      const connectorId = connector.connectorId ?? index + 1;
+      const maxPower = connector.maxPower ?? stationMaxPower;
+
+      if (!Number.isInteger(connectorId) || connectorId < 1) {
+        throw new Error('Invalid connectorId (must be a positive integer)');
+      }
+
+      if (typeof maxPower !== 'number' || maxPower <= 0) {
+        throw new Error(`Invalid maxPower for connector ${connectorId}`);
+      }
+
+      return { connectorId, maxPower };
+    });
+
+    if (new Set(connectors.map(c => c.connectorId)).size !== connectors.length) {
+      throw new Error('Duplicate connectorId');
+    }
+
+    // Single-connector stations keep their state on the station itself
+    return connectors.length > 1
+      ? connectors.map(connector => ({ ...connector, ...createConnectorState() }))
+      : connectors;
+  }
+
+  /**
+   * Object holding a connector's status and session: the station itself
+   * for single-connector stations, the connector otherwise
+   */
+  getSessionTarget(station, connectorId) {
+    if (!isMultiConnector(station)) {
+      return station;
+    }
+
+    const connector = station.connectors.find(c => c.connectorId === Number(connectorId));
+    if (!connector) {
+      throw new Error(connectorId === undefined || connectorId === null
+        ? `Station ${station.id} has several connectors, connectorId is required`
+        : `Connector ${connectorId} not found on station ${station.id}`);
+    }
+
+    return connector;
+  }
+
+  /**
+   * Charging point ID of a session target (see getSessionTarget())
+   */
+  getSessionPointId(station, target) {
+    return target === station ? station.id : getChargingPointId(station.id, target.connectorId);
+  }
+
+  /**
+   * Session energy (kWh) reported by the station, or null
+   * OCPP meter values are register readings; OCPP sessions are metered
+   * from their transaction's meter start and stop instead.
+   */
+  getReportedSessionEnergy(station, target) {
+    return station.protocol === 'ocpp' ? null : (target.sessionEnergy || null);
+  }
+
+  /**
+   * Get the connectors of a station with their status, session and power
+   */
+  getConnectors(stationId) {
+    const station = this.state.stations.get(stationId);
+    if (!station) {
+      throw new Error(`Station ${stationId} not found`);
+    }
+
+    return getChargingPoints(station).map(point => ({
+      id: point.id,
+      connectorId: point.connectorId ?? station.connectors?.[0]?.connectorId ?? 1,
+      maxPower: point.maxPower,
+      ...Object.fromEntries(CONNECTOR_STATE_FIELDS.map(field => [field, point[field] ?? null]))
+    }));
+  }
+
   /**
    * Initialize communication with a station based on protocol
    */
@@ -114,6 +258,10 @@ export class ChargingStationManager {
       station.online = true;
       station.status = 'ready';
 
+      if (isMultiConnector(station)) {
+        station.connectors.forEach(connector => { connector.status = 'ready'; });
+      }
+
       // Start polling for status updates (not needed for OCPP)
       if (station.protocol !== 'ocpp') {
         this.startStationPolling(station);
@@ -169,22 +317,31 @@ export class ChargingStationManager {
    */
   handleMQTTStatus(station, message) {
     const data = JSON.parse(message);
-    this.updateStationStatus(station, data.status);
+    this.updateStationStatus(station, data.status, data.connectorId);
+
+    const target = this.getSessionTarget(station, data.connectorId);
 
     if (data.user) {
-      station.user = data.user;
+      target.user = data.user;
     }
 
     if (data.rfidCard) {
-      station.rfidCard = data.rfidCard;
+      target.rfidCard = data.rfidCard;
+    }
+
+    if (data.user || data.rfidCard) {
+      this.state.sessionStore?.setSessionUser(this.getSessionPointId(station, target), target.user, target.rfidCard);
     }
 
+    aggregateConnectors(station);
+
     this.state.broadcast({
       type: 'station.updated',
       data: {
         id: station.id,
-        status: station.status,
-        user: station.user
+        connectorId: data.connectorId,
+        status: target.status,
+        user: target.user
       }
     });
   }
@@ -194,8 +351,12 @@ export class ChargingStationManager {
    */
   handleMQTTPower(station, message) {
     const data = JSON.parse(message);
-    station.currentPower = data.power || 0;
-    station.lastUpdate = new Date().toISOString();
+    const target = this.getSessionTarget(station, data.connectorId);
+
+    target.currentPower = data.power || 0;
+    target.lastUpdate = new Date().toISOString();
+    station.lastUpdate = target.lastUpdate;
+    aggregateConnectors(station);
   }
 
   /**
@@ -203,6 +364,15 @@ export class ChargingStationManager {
    */
   handleMQTTEnergy(station, message) {
     const data = JSON.parse(message);
+
+    if (isMultiConnector(station)) {
+      const connector = this.getSessionTarget(station, data.connectorId);
+      connector.sessionEnergy = data.sessionEnergy || 0;
+      connector.meterValue = data.totalEnergy ?? connector.meterValue;
+      aggregateConnectors(station);
+      return;
+    }
+
     station.sessionEnergy = data.sessionEnergy || 0;
     station.energyDelivered = data.totalEnergy || 0;
   }
@@ -210,7 +380,7 @@ export class ChargingStationManager {
   /**
    * Update station status
    */
-  updateStationStatus(station, statusCode) {
+  updateStationStatus(station, statusCode, connectorId) {
     const statusMap = {
       0: 'offline',
       1: 'ready',
@@ -220,18 +390,35 @@ export class ChargingStationManager {
     };
 
     const newStatus = statusMap[statusCode] || 'offline';
+    const target = this.getSessionTarget(station, connectorId);
+    const changed = newStatus !== target.status;
 
-    if (newStatus === 'charging' && station.status !== 'charging') {
+    if (newStatus === 'charging' && target.status !== 'charging') {
       // Charging started
-      station.chargingStartedAt = new Date().toISOString();
-      station.sessionEnergy = 0;
-    } else if (newStatus !== 'charging' && station.status === 'charging') {
+      target.chargingStartedAt = new Date().toISOString();
+      target.sessionEnergy = 0;
+      this.state.sessionStore?.startSession(station, target);
+    } else if (newStatus !== 'charging' && target.status === 'charging') {
       // Charging stopped
-      station.chargingStartedAt = null;
+      this.state.sessionStore?.stopSession(this.getSessionPointId(station, target), {
+        reason: 'status_change',
+        reportedEnergy: this.getReportedSessionEnergy(station, target)
+      });
+      target.chargingStartedAt = null;
+      this.clearSessionNeeds(target);
+    }
+
+    target.status = newStatus;
+
+    if (target === station) {
+      station.online = newStatus !== 'offline';
+    } else {
+      aggregateConnectors(station);
     }
 
-    station.status = newStatus;
-    station.online = newStatus !== 'offline';
+    if (changed && this.state.loadManager) {
+      this.state.loadManager.requestRebalance('station_status');
+    }
   }
 
   /**
@@ -282,8 +469,10 @@ export class ChargingStationManager {
 
   /**
    * Set charging power for a station
+   * Manual setpoints also become the station's requested power; load
+   * manager setpoints pass updateRequest: false so they don't overwrite it.
    */
-  async setPower(stationId, power) {
+  async setPower(stationId, power, { updateRequest = true, connectorId } = {}) {
     const station = this.state.stations.get(stationId);
     if (!station) {
       throw new Error(`Station ${stationId} not found`);
@@ -293,23 +482,31 @@ export class ChargingStationManager {
       throw new Error(`Station ${stationId} is offline`);
     }
 
-    // Clamp power to station limits
-    const clampedPower = Math.max(0, Math.min(power, station.maxPower));
+    const target = this.getSessionTarget(station, connectorId);
+
+    // Clamp power to station (and connector) limits
+    const maxPower = target === station ? station.maxPower : Math.min(target.maxPower, station.maxPower);
+    const clampedPower = Math.max(0, Math.min(power, maxPower));
+    const targetConnectorId = target === station ? undefined : target.connectorId;
 
     if (station.protocol === 'modbus') {
       await this.setPowerModbus(station, clampedPower);
     } else if (station.protocol === 'mqtt') {
-      await this.setPowerMQTT(station, clampedPower);
+      await this.setPowerMQTT(station, clampedPower, targetConnectorId);
     } else if (station.protocol === 'ocpp') {
-      await this.setPowerOCPP(station, clampedPower);
+      await this.setPowerOCPP(station, clampedPower, targetConnectorId);
     }
 
-    station.requestedPower = clampedPower;
-    station.lastUpdate = new Date().toISOString();
+    if (updateRequest) {
+      target.requestedPower = clampedPower;
+    }
+    target.lastUpdate = new Date().toISOString();
+    station.lastUpdate = target.lastUpdate;
+    aggregateConnectors(station);
 
     // Log to InfluxDB
     if (this.state.dataLogger) {
-      this.state.dataLogger.logStationPower(stationId, clampedPower);
+      this.state.dataLogger.logStationPower(target === station ? stationId : getChargingPointId(stationId, targetConnectorId), clampedPower);
     }
   }
 
@@ -334,12 +531,13 @@ export class ChargingStationManager {
   /**
    * Set power via MQTT
    */
-  async setPowerMQTT(station, power) {
+  async setPowerMQTT(station, power, connectorId) {
     const { topics } = station.communication;
 
     await this.mqttDriver.publish(topics.control, JSON.stringify({
       command: 'set_power',
       power: power,
+      ...(connectorId !== undefined && { connectorId }),
       timestamp: new Date().toISOString()
     }));
   }
@@ -363,9 +561,16 @@ export class ChargingStationManager {
    * Handle OCPP message from charge point
    */
   handleOCPPMessage(station, message) {
-    const { action, payload } = message;
+    const { action, payload, response } = message;
 
     switch (action) {
+      case 'BootNotification':
+        // Availability changed while the charge point was offline
+        if (station.availabilitySync === 'pending') {
+          this.syncOCPPAvailability(station);
+        }
+        break;
+
       case 'StatusNotification':
         this.handleOCPPStatusNotification(station, payload);
         break;
@@ -375,12 +580,16 @@ export class ChargingStationManager {
         break;
 
       case 'StartTransaction':
-        this.handleOCPPStartTransaction(station, payload);
+        this.handleOCPPStartTransaction(station, payload, response);
         break;
 
       case 'StopTransaction':
         this.handleOCPPStopTransaction(station, payload);
         break;
+
+      case 'NotifyEVChargingNeeds':
+        this.handleOCPPChargingNeeds(station, payload);
+        break;
     }
   }
 
@@ -402,6 +611,25 @@ export class ChargingStationManager {
 
     const newStatus = statusMap[payload.status] || 'offline';
 
+    // Connectors of multi-connector stations report their own status;
+    // connector 0 is the charge point as a whole
+    if (isMultiConnector(station)) {
+      if (!payload.connectorId) {
+        station.online = newStatus !== 'offline';
+        return;
+      }
+
+      if (payload.status === 'Available') {
+        this.closeUnpluggedSession(station, this.getSessionTarget(station, payload.connectorId));
+      }
+      this.handleOCPPConnectorStatus(station, payload.connectorId, newStatus);
+      return;
+    }
+
+    if (payload.status === 'Available') {
+      this.closeUnpluggedSession(station, station);
+    }
+
     if (newStatus !== station.status) {
       station.status = newStatus;
       station.online = newStatus !== 'offline';
@@ -414,13 +642,61 @@ export class ChargingStationManager {
           online: station.online
         }
       });
+
+      if (this.state.loadManager) {
+        this.state.loadManager.requestRebalance('station_status');
+      }
     }
   }
 
+  /**
+   * Update a connector of a multi-connector station from a StatusNotification
+   */
+  handleOCPPConnectorStatus(station, connectorId, newStatus) {
+    const connector = this.getSessionTarget(station, connectorId);
+    if (newStatus === connector.status) return;
+
+    connector.status = newStatus;
+    connector.lastUpdate = new Date().toISOString();
+    aggregateConnectors(station);
+
+    this.state.broadcast({
+      type: 'station.updated',
+      data: {
+        id: station.id,
+        connectorId: connector.connectorId,
+        status: station.status,
+        connectorStatus: connector.status,
+        online: station.online
+      }
+    });
+
+    if (this.state.loadManager) {
+      this.state.loadManager.requestRebalance('station_status');
+    }
+  }
+
+  /**
+   * Close the session of a point reporting Available without a
+   * StopTransaction: the EV was unplugged. Suspended sessions
+   * (SuspendedEVSE) stay open, the EV is still plugged in.
+   */
+  closeUnpluggedSession(station, target) {
+    this.state.sessionStore?.stopSession(this.getSessionPointId(station, target), {
+      reason: 'EVDisconnected'
+    });
+    target.chargingStartedAt = null;
+    this.clearSessionNeeds(target);
+  }
+
   /**
    * Handle OCPP MeterValues
    */
   handleOCPPMeterValues(station, payload) {
+    // Connector 0 is the charge point's main meter, not a session
+    if (isMultiConnector(station) && !payload.connectorId) return;
+
+    const target = this.getSessionTarget(station, payload.connectorId);
     const meterValues = payload.meterValue || [];
 
     for (const meterValue of meterValues) {
@@ -429,40 +705,61 @@ export class ChargingStationManager {
       for (const sample of sampledValues) {
         if (sample.measurand === 'Power.Active.Import') {
           // Power in W, convert to kW
-          station.currentPower = parseFloat(sample.value) / 1000;
+          target.currentPower = parseFloat(sample.value) / 1000;
         } else if (sample.measurand === 'Energy.Active.Import.Register') {
           // Energy in Wh, convert to kWh
-          station.sessionEnergy = parseFloat(sample.value) / 1000;
+          target.sessionEnergy = parseFloat(sample.value) / 1000;
+          if (target !== station) {
+            target.meterValue = target.sessionEnergy;
+          }
         }
       }
     }
 
-    station.lastUpdate = new Date().toISOString();
+    target.lastUpdate = new Date().toISOString();
+    station.lastUpdate = target.lastUpdate;
+    aggregateConnectors(station);
   }
 
   /**
    * Handle OCPP StartTransaction
+   * The transaction ID is assigned by the central system, so it comes from
+   * the StartTransaction response rather than the request payload.
    */
-  handleOCPPStartTransaction(station, payload) {
-    station.status = 'charging';
-    station.chargingStartedAt = new Date().toISOString();
-    station.sessionEnergy = 0;
+  handleOCPPStartTransaction(station, payload, response = {}) {
+    const target = this.getSessionTarget(station, payload.connectorId);
+    const connectorId = target === station ? undefined : target.connectorId;
+    const { transactionId } = response;
+
+    target.status = 'charging';
+    target.chargingStartedAt = new Date().toISOString();
+    target.sessionEnergy = 0;
+    aggregateConnectors(station);
 
     // Store transaction ID
-    this.ocppTransactions.set(station.id, payload.transactionId);
+    const pointId = this.getSessionPointId(station, target);
+    this.ocppTransactions.set(pointId, transactionId);
+
+    this.state.sessionStore?.startSession(station, target, {
+      transactionId,
+      rfidCard: payload.idTag,
+      // Meter start in Wh, convert to kWh
+      meterStart: payload.meterStart !== undefined ? payload.meterStart / 1000 : null
+    });
 
     this.state.broadcast({
       type: 'station.session.started',
       data: {
         stationId: station.id,
-        transactionId: payload.transactionId,
-        timestamp: station.chargingStartedAt
+        connectorId,
+        transactionId,
+        timestamp: target.chargingStartedAt
       }
     });
 
     // Trigger load rebalancing
     if (this.state.loadManager) {
-      this.state.loadManager.balanceLoad();
+      this.state.loadManager.requestRebalance('session_started');
     }
   }
 
@@ -470,34 +767,79 @@ export class ChargingStationManager {
    * Handle OCPP StopTransaction
    */
   handleOCPPStopTransaction(station, payload) {
-    station.status = 'ready';
-    station.chargingStartedAt = null;
+    // StopTransaction only carries the transaction, find its connector
+    const connector = isMultiConnector(station)
+      ? station.connectors.find(c => this.ocppTransactions.get(getChargingPointId(station.id, c.connectorId)) === payload.transactionId)
+      : null;
+    if (isMultiConnector(station) && !connector) {
+      console.error(`Unknown transaction ${payload.transactionId} on station ${station.id}`);
+      return;
+    }
+
+    const target = connector || station;
+    const pointId = this.getSessionPointId(station, target);
+
+    // OCPP: a missing reason means the session was stopped locally
+    this.state.sessionStore?.stopSession(pointId, {
+      reason: payload.reason || 'Local',
+      meterStop: payload.meterStop !== undefined ? payload.meterStop / 1000 : null
+    });
+
+    target.status = 'ready';
+    target.chargingStartedAt = null;
+    this.clearSessionNeeds(target);
+    aggregateConnectors(station);
 
-    const transactionId = this.ocppTransactions.get(station.id);
-    this.ocppTransactions.delete(station.id);
+    const transactionId = this.ocppTransactions.get(pointId);
+    this.ocppTransactions.delete(pointId);
 
     this.state.broadcast({
       type: 'station.session.stopped',
       data: {
         stationId: station.id,
+        connectorId: connector?.connectorId,
         transactionId: transactionId,
-        energyDelivered: station.sessionEnergy
+        energyDelivered: target.sessionEnergy
       }
     });
 
     // Trigger load rebalancing
     if (this.state.loadManager) {
-      this.state.loadManager.balanceLoad();
+      this.state.loadManager.requestRebalance('session_stopped');
+    }
+  }
+
+  /**
+   * Handle OCPP 2.0.1 NotifyEVChargingNeeds (ISO 15118 departure time and energy amount)
+   */
+  handleOCPPChargingNeeds(station, payload) {
+    const needs = payload.chargingNeeds || {};
+    const energyAmount = needs.acChargingParameters?.energyAmount ??
+      needs.dcChargingParameters?.energyAmount;
+
+    try {
+      this.setSessionNeeds(station, {
+        departureTime: needs.departureTime,
+        // Energy amount in Wh, convert to kWh
+        energyRequired: energyAmount !== undefined ? energyAmount / 1000 : undefined
+      }, { connectorId: payload.evseId });
+    } catch (error) {
+      console.error(`Invalid charging needs from station ${station.id}:`, error.message);
     }
   }
 
   /**
    * Set power via OCPP
    */
-  async setPowerOCPP(station, power) {
-    const { chargePointId, connectorId = 1 } = station.communication;
+  async setPowerOCPP(station, power, connectorId) {
+    const { chargePointId } = station.communication;
 
-    await this.ocppDriver.setChargingPower(chargePointId, power, connectorId);
+    // Single-connector stations use the configured connector (default 1)
+    await this.ocppDriver.setChargingPower(
+      chargePointId,
+      power,
+      connectorId ?? station.communication.connectorId ?? 1
+    );
   }
 
   /**
@@ -509,14 +851,43 @@ export class ChargingStationManager {
       throw new Error(`Station ${stationId} not found`);
     }
 
+    // Validate before changing anything
+    this.validatePowerLimits(
+      updates.maxPower !== undefined ? updates.maxPower : station.maxPower,
+      updates.minPower !== undefined ? updates.minPower : station.minPower
+    );
+
+    const setpointControl = updates.setpointControl !== undefined
+      ? this.validateSetpointControl({ ...station.setpointControl, ...updates.setpointControl })
+      : null;
+
+    if (updates.greenMode !== undefined && typeof updates.greenMode !== 'boolean') {
+      throw new Error('greenMode must be a boolean');
+    }
+
+    const tags = updates.tags !== undefined ? this.validateTags(updates.tags) : undefined;
+    const group = updates.group !== undefined ? this.validateGroup(updates.group) : undefined;
+
     // Update allowed fields
-    const allowedFields = ['name', 'zone', 'location', 'priority', 'maxPower', 'minPower'];
+    const allowedFields = ['name', 'zone', 'location', 'priority', 'maxPower', 'minPower', 'greenMode'];
     for (const field of allowedFields) {
       if (updates[field] !== undefined) {
         station[field] = updates[field];
       }
     }
 
+    if (setpointControl) {
+      station.setpointControl = setpointControl;
+    }
+
+    if (tags !== undefined) {
+      station.tags = tags;
+    }
+
+    if (group !== undefined) {
+      station.group = group;
+    }
+
     station.lastUpdate = new Date().toISOString();
 
     await this.state.persistence.save(this.state);
@@ -526,9 +897,230 @@ export class ChargingStationManager {
       data: station
     });
 
+    if (this.state.loadManager) {
+      this.state.loadManager.requestRebalance('station_updated');
+    }
+
+    return station;
+  }
+
+  /**
+   * Validate a station's power limits (kW)
+   */
+  validatePowerLimits(maxPower, minPower) {
+    if (typeof maxPower !== 'number' || !(maxPower > 0)) {
+      throw new Error('Invalid maxPower value');
+    }
+
+    if (typeof minPower !== 'number' || !(minPower > 0)) {
+      throw new Error('Invalid minPower value');
+    }
+
+    if (minPower >= maxPower) {
+      throw new Error('minPower must be less than maxPower');
+    }
+  }
+
+  /**
+   * Validate per-station setpoint stability settings
+   * - deadband: kW, changes smaller than this are not sent
+   * - minDwellTime: s, minimum time between two setpoint changes
+   * - maxRampRate: kW/s, maximum rate of change
+   * null falls back to the site default.
+   */
+  validateSetpointControl(settings) {
+    if (typeof settings !== 'object' || settings === null) {
+      throw new Error('setpointControl must be an object');
+    }
+
+    const result = {};
+
+    for (const field of ['deadband', 'minDwellTime', 'maxRampRate']) {
+      const value = settings[field] ?? null;
+
+      if (value !== null && (typeof value !== 'number' || value < 0)) {
+        throw new Error(`Invalid setpointControl.${field} value`);
+      }
+
+      result[field] = value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate station tags: distinct non-empty strings
+   */
+  validateTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new Error('tags must be an array');
+    }
+
+    for (const tag of tags) {
+      if (typeof tag !== 'string' || !tag.trim() || tag.length > MAX_TAG_LENGTH) {
+        throw new Error(`Invalid tag (must be a non-empty string of up to ${MAX_TAG_LENGTH} characters)`);
+      }
+    }
+
+    return [...new Set(tags.map(tag => tag.trim()))];
+  }
+
+  /**
+   * Validate a station group (null = no group)
+   */
+  validateGroup(group) {
+    if (group === null || group === '') {
+      return null;
+    }
+
+    if (typeof group !== 'string' || group.length > MAX_TAG_LENGTH) {
+      throw new Error(`Invalid group (must be a string of up to ${MAX_TAG_LENGTH} characters)`);
+    }
+
+    return group.trim();
+  }
+
+  /**
+   * Set the operator availability of a station
+   * Stations out of service (inoperative or maintenance) are left out of
+   * load allocation and refuse new sessions.
+   * @param {Object} details - { reason, expectedReturn }; maintenance needs a reason
+   */
+  async setAvailability(stationId, availability, details = {}) {
+    const station = this.state.stations.get(stationId);
+    if (!station) {
+      throw new Error(`Station ${stationId} not found`);
+    }
+
+    await this.applyAvailability(station, this.validateAvailability(availability, details));
+
+    await this.state.persistence.save(this.state);
+
+    if (this.state.loadManager) {
+      this.state.loadManager.requestRebalance('station_availability');
+    }
+
     return station;
   }
 
+  /**
+   * Validate an availability change
+   * @returns {Object} { availability, reason, expectedReturn }
+   */
+  validateAvailability(availability, { reason = null, expectedReturn = null } = {}) {
+    if (!AVAILABILITY_STATES.includes(availability)) {
+      throw new Error(`Invalid availability (must be one of: ${AVAILABILITY_STATES.join(', ')})`);
+    }
+
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+      throw new Error(`reason must be a string of up to ${MAX_REASON_LENGTH} characters`);
+    }
+
+    if (availability === 'maintenance' && !reason?.trim()) {
+      throw new Error('A reason is required for maintenance');
+    }
+
+    let expected = null;
+    if (expectedReturn !== null && expectedReturn !== '') {
+      if (availability === 'operative') {
+        throw new Error('expectedReturn only applies to stations out of service');
+      }
+
+      expected = new Date(expectedReturn);
+      if (isNaN(expected.getTime())) {
+        throw new Error('Invalid expectedReturn timestamp');
+      }
+    }
+
+    return {
+      availability,
+      reason: availability === 'operative' ? null : (reason?.trim() || null),
+      expectedReturn: expected ? expected.toISOString() : null
+    };
+  }
+
+  /**
+   * Apply a validated availability without saving
+   * A station taken out of service is set to 0 kW (load management no
+   * longer sets its power) and OCPP charge points get a ChangeAvailability.
+   */
+  async applyAvailability(station, { availability, reason, expectedReturn }) {
+    const previous = station.availability || 'operative';
+
+    station.availabilityReason = reason;
+    station.expectedReturn = expectedReturn;
+
+    if (previous !== availability) {
+      station.availability = availability;
+      station.availabilityChangedAt = new Date().toISOString();
+
+      if (previous === 'operative' && station.online) {
+        await this.stopStationPower(station);
+      }
+
+      // Inoperative and maintenance are the same to the charge point
+      if (station.protocol === 'ocpp' && (previous === 'operative') !== (availability === 'operative')) {
+        await this.syncOCPPAvailability(station);
+      }
+    }
+
+    station.lastUpdate = new Date().toISOString();
+
+    this.state.broadcast({
+      type: 'station.updated',
+      data: {
+        id: station.id,
+        availability: station.availability,
+        availabilityReason: station.availabilityReason,
+        expectedReturn: station.expectedReturn,
+        availabilitySync: station.availabilitySync
+      }
+    });
+  }
+
+  /**
+   * Set every connector of a station to 0 kW
+   */
+  async stopStationPower(station) {
+    const connectorIds = isMultiConnector(station)
+      ? station.connectors.map(c => c.connectorId)
+      : [undefined];
+
+    for (const connectorId of connectorIds) {
+      try {
+        await this.setPower(station.id, 0, { updateRequest: false, connectorId });
+        this.getSessionTarget(station, connectorId).currentPower = 0;
+      } catch (error) {
+        console.error(`Failed to stop power of station ${station.id}:`, error.message);
+      }
+    }
+
+    aggregateConnectors(station);
+  }
+
+  /**
+   * Send the station's availability to its OCPP charge point
+   * (ChangeAvailability on connector 0, i.e. the whole charge point).
+   * Charge points that are not connected get it when they boot.
+   */
+  async syncOCPPAvailability(station) {
+    const { chargePointId } = station.communication;
+
+    if (!this.ocppDriver || !this.ocppDriver.isConnected(chargePointId)) {
+      station.availabilitySync = 'pending';
+      return;
+    }
+
+    try {
+      const type = station.availability === 'operative' ? 'Operative' : 'Inoperative';
+      const result = await this.ocppDriver.changeAvailability(chargePointId, type);
+      station.availabilitySync = (result?.status || 'Accepted').toLowerCase();
+    } catch (error) {
+      console.error(`ChangeAvailability failed for station ${station.id}:`, error.message);
+      station.availabilitySync = 'failed';
+    }
+  }
+
   /**
    * Delete station
    */
@@ -545,6 +1137,8 @@ export class ChargingStationManager {
       this.pollingIntervals.delete(stationId);
     }
 
+    this.state.sessionStore?.stopStationSessions(stationId, 'station_deleted');
+
     // Remove from state
     this.state.stations.delete(stationId);
 
@@ -560,36 +1154,55 @@ export class ChargingStationManager {
 
   /**
    * Start charging session (e.g., via RFID)
+   * Optional needs: { departureTime, energyRequired } for deadline-based charging,
+   * { greenMode } to prefer low-carbon intervals for this session
    */
-  async startChargingSession(stationId, user) {
+  async startChargingSession(stationId, user, needs = {}, { connectorId } = {}) {
     const station = this.state.stations.get(stationId);
     if (!station) {
       throw new Error(`Station ${stationId} not found`);
     }
 
-    station.user = {
+    if ((station.availability || 'operative') !== 'operative') {
+      throw new Error(`Station ${stationId} is out of service (${station.availability})`);
+    }
+
+    const target = this.getSessionTarget(station, connectorId);
+
+    this.clearSessionNeeds(target);
+    this.setSessionNeeds(station, needs, { rebalance: false, connectorId });
+
+    target.user = {
       id: user.id,
       name: user.name,
       rfidCard: user.rfidCard,
       priorityClass: user.priorityClass || 5
     };
 
-    station.status = 'charging';
-    station.chargingStartedAt = new Date().toISOString();
-    station.sessionEnergy = 0;
+    target.status = 'charging';
+    target.chargingStartedAt = new Date().toISOString();
+    target.sessionEnergy = 0;
+    aggregateConnectors(station);
+
+    const session = this.state.sessionStore?.startSession(station, target);
 
     this.state.broadcast({
       type: 'station.session.started',
       data: {
         stationId: station.id,
-        user: station.user,
-        timestamp: station.chargingStartedAt
+        connectorId: target === station ? undefined : target.connectorId,
+        sessionId: session?.id,
+        user: target.user,
+        departureTime: target.departureTime,
+        energyRequired: target.energyRequired,
+        greenMode: target.sessionGreenMode ?? station.greenMode,
+        timestamp: target.chargingStartedAt
       }
     });
 
     // Trigger load rebalancing
     if (this.state.loadManager) {
-      this.state.loadManager.balanceLoad();
+      this.state.loadManager.requestRebalance('session_started');
     }
 
     return station;
@@ -597,29 +1210,41 @@ export class ChargingStationManager {
 
   /**
    * Stop charging session
+   * @param {Object} options - { connectorId, reason } (reason for the session record, default remote)
    */
-  async stopChargingSession(stationId) {
+  async stopChargingSession(stationId, { connectorId, reason = 'remote' } = {}) {
     const station = this.state.stations.get(stationId);
     if (!station) {
       throw new Error(`Station ${stationId} not found`);
     }
 
+    const target = this.getSessionTarget(station, connectorId);
+
+    const session = this.state.sessionStore?.stopSession(this.getSessionPointId(station, target), {
+      reason,
+      reportedEnergy: this.getReportedSessionEnergy(station, target)
+    });
+
     const sessionData = {
       stationId: station.id,
-      user: station.user,
-      startTime: station.chargingStartedAt,
+      connectorId: target === station ? undefined : target.connectorId,
+      sessionId: session?.id,
+      user: target.user,
+      startTime: target.chargingStartedAt,
       endTime: new Date().toISOString(),
-      energyDelivered: station.sessionEnergy,
-      duration: station.chargingStartedAt
-        ? (new Date() - new Date(station.chargingStartedAt)) / 1000 / 60
+      energyDelivered: target.sessionEnergy,
+      duration: target.chargingStartedAt
+        ? (new Date() - new Date(target.chargingStartedAt)) / 1000 / 60
         : 0
     };
 
-    station.user = null;
-    station.status = 'ready';
-    station.chargingStartedAt = null;
+    target.user = null;
+    target.status = 'ready';
+    target.chargingStartedAt = null;
+    this.clearSessionNeeds(target);
+    aggregateConnectors(station);
 
-    await this.setPower(stationId, 0);
+    await this.setPower(stationId, 0, { connectorId });
 
     this.state.broadcast({
       type: 'station.session.stopped',
@@ -628,12 +1253,91 @@ export class ChargingStationManager {
 
     // Trigger load rebalancing
     if (this.state.loadManager) {
-      this.state.loadManager.balanceLoad();
+      this.state.loadManager.requestRebalance('session_stopped');
     }
 
     return sessionData;
   }
 
+  /**
+   * Update departure time / energy need / green mode of the running session
+   */
+  async updateSessionNeeds(stationId, needs, { connectorId } = {}) {
+    const station = this.state.stations.get(stationId);
+    if (!station) {
+      throw new Error(`Station ${stationId} not found`);
+    }
+
+    this.setSessionNeeds(station, needs, { connectorId });
+
+    return station;
+  }
+
+  /**
+   * Validate and apply session charging needs
+   */
+  setSessionNeeds(station, needs, { rebalance = true, connectorId } = {}) {
+    const { departureTime, energyRequired, greenMode } = needs;
+    const target = this.getSessionTarget(station, connectorId);
+
+    // Validate all before applying anything
+    const departure = departureTime ? new Date(departureTime) : null;
+    if (departure && isNaN(departure.getTime())) {
+      throw new Error('Invalid departureTime value');
+    }
+
+    if (energyRequired !== undefined && energyRequired !== null &&
+        (typeof energyRequired !== 'number' || energyRequired <= 0)) {
+      throw new Error('Invalid energyRequired value');
+    }
+
+    if (greenMode !== undefined && greenMode !== null && typeof greenMode !== 'boolean') {
+      throw new Error('Invalid greenMode value');
+    }
+
+    if (departureTime !== undefined) {
+      target.departureTime = departure ? departure.toISOString() : null;
+    }
+
+    if (energyRequired !== undefined) {
+      target.energyRequired = energyRequired;
+    }
+
+    if (greenMode !== undefined) {
+      target.sessionGreenMode = greenMode;
+    }
+
+    if (departureTime === undefined && energyRequired === undefined && greenMode === undefined) {
+      return;
+    }
+
+    this.state.broadcast({
+      type: 'station.session.needs.updated',
+      data: {
+        stationId: station.id,
+        connectorId: target === station ? undefined : target.connectorId,
+        departureTime: target.departureTime,
+        energyRequired: target.energyRequired,
+        greenMode: target.sessionGreenMode ?? station.greenMode
+      }
+    });
+
+    // Trigger load rebalancing
+    if (rebalance && this.state.loadManager) {
+      this.state.loadManager.requestRebalance('session_needs_updated');
+    }
+  }
+
+  /**
+   * Clear session charging needs when a session ends
+   * @param {Object} target - Station or connector holding the session
+   */
+  clearSessionNeeds(target) {
+    target.departureTime = null;
+    target.energyRequired = null;
+    target.sessionGreenMode = null;
+  }
+
   /**
    * Get all stations
    */
@@ -641,6 +1345,218 @@ export class ChargingStationManager {
     return Array.from(this.state.stations.values());
   }
 
+  /**
+   * Find stations matching a filter
+   * @param {Object} filter - { stationIds, tags (all must match), group, zone,
+   *   status, protocol, availability }
+   */
+  findStations(filter = {}) {
+    const tags = typeof filter.tags === 'string'
+      ? filter.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      : filter.tags;
+
+    if (filter.stationIds !== undefined && !Array.isArray(filter.stationIds)) {
+      throw new Error('stationIds must be an array');
+    }
+
+    if (tags !== undefined && !Array.isArray(tags)) {
+      throw new Error('tags must be an array or a comma-separated list');
+    }
+
+    return this.getAllStations().filter(station =>
+      (!filter.stationIds || filter.stationIds.includes(station.id)) &&
+      (!tags || tags.every(tag => station.tags?.includes(tag))) &&
+      (!filter.group || station.group === filter.group) &&
+      (!filter.zone || station.zone === filter.zone) &&
+      (!filter.status || station.status === filter.status) &&
+      (!filter.protocol || station.protocol === filter.protocol) &&
+      (!filter.availability || (station.availability || 'operative') === filter.availability)
+    );
+  }
+
+  /**
+   * Get the groups and tags in use with their station counts
+   */
+  getGroups() {
+    const groups = new Map();
+    const tags = new Map();
+
+    for (const station of this.getAllStations()) {
+      if (station.group) {
+        groups.set(station.group, (groups.get(station.group) || 0) + 1);
+      }
+
+      for (const tag of station.tags || []) {
+        tags.set(tag, (tags.get(tag) || 0) + 1);
+      }
+    }
+
+    const toList = (counts, key) => Array.from(counts, ([name, count]) => ({ [key]: name, count }))
+      .sort((a, b) => a[key].localeCompare(b[key]));
+
+    return {
+      groups: toList(groups, 'group'),
+      tags: toList(tags, 'tag')
+    };
+  }
+
+  /**
+   * Run an action on every station matching a filter
+   * Stations are handled one by one; a failing station does not stop the
+   * others. Each station gets an audit entry with its outcome.
+   * @param {Object} filter - See findStations(); at least one criterion is required
+   * @param {string} action - set_priority, set_max_power, set_availability,
+   *   start_session or stop_session
+   * @param {Object} params - { priority }, { maxPower }, { availability, reason, expectedReturn },
+   *   { user, departureTime, energyRequired, greenMode, connectorId } or { connectorId }
+   * @param {Object} actor - Audit actor
+   */
+  async runBulkOperation(filter, action, params = {}, actor = { type: 'system', id: 'bulk' }) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`Unknown bulk action: ${action}`);
+    }
+
+    const criteria = ['stationIds', 'tags', 'group', 'zone', 'status', 'protocol', 'availability'];
+    if (!filter || !criteria.some(key => filter[key] !== undefined && filter[key] !== '')) {
+      throw new Error(`A station filter is required (${criteria.join(', ')})`);
+    }
+
+    this.validateBulkParams(action, params);
+
+    const stations = this.findStations(filter);
+    const results = [];
+
+    for (const station of stations) {
+      try {
+        await this.applyBulkAction(station, action, params);
+        results.push({ stationId: station.id, name: station.name, success: true });
+      } catch (error) {
+        results.push({ stationId: station.id, name: station.name, success: false, error: error.message });
+      }
+
+      const result = results[results.length - 1];
+      auditLogger.logStationControl(actor, station.id, `bulk_${action}`, {
+        ...params,
+        success: result.success,
+        error: result.error
+      });
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+
+    if (['set_priority', 'set_max_power', 'set_availability'].includes(action) && succeeded > 0) {
+      await this.state.persistence.save(this.state);
+
+      if (this.state.loadManager) {
+        this.state.loadManager.requestRebalance('station_bulk_update');
+      }
+    }
+
+    const summary = {
+      action,
+      matched: stations.length,
+      succeeded,
+      failed: results.length - succeeded
+    };
+
+    this.state.broadcast({
+      type: 'station.bulk.completed',
+      data: summary
+    });
+
+    return { ...summary, results };
+  }
+
+  /**
+   * Validate the parameters of a bulk action before touching any station
+   */
+  validateBulkParams(action, params) {
+    if (action === 'set_priority' && (!Number.isInteger(params.priority) || params.priority < 1 || params.priority > 10)) {
+      throw new Error('Invalid priority (must be 1-10)');
+    }
+
+    if (action === 'set_max_power' && (typeof params.maxPower !== 'number' || params.maxPower <= 0)) {
+      throw new Error('Invalid maxPower value');
+    }
+
+    if (action === 'set_availability') {
+      this.validateAvailability(params.availability, params);
+    }
+
+    if (action === 'start_session' && !params.user) {
+      throw new Error('User information required');
+    }
+  }
+
+  /**
+   * Apply a bulk action to one station
+   * Setting changes are saved once for the whole operation.
+   */
+  async applyBulkAction(station, action, params) {
+    switch (action) {
+      case 'set_priority':
+      case 'set_max_power': {
+        const field = action === 'set_priority' ? 'priority' : 'maxPower';
+
+        if (field === 'maxPower') {
+          this.validatePowerLimits(params.maxPower, station.minPower);
+        }
+
+        station[field] = params[field];
+        station.lastUpdate = new Date().toISOString();
+
+        this.state.broadcast({
+          type: 'station.updated',
+          data: { id: station.id, [field]: station[field] }
+        });
+        break;
+      }
+      case 'set_availability':
+        await this.applyAvailability(station, this.validateAvailability(params.availability, params));
+        break;
+      case 'start_session': {
+        const { user, connectorId, ...needs } = params;
+        await this.startChargingSession(station.id, user, needs, {
+          connectorId: connectorId ?? this.getFreeConnectorId(station)
+        });
+        break;
+      }
+      case 'stop_session': {
+        // Without a connectorId, every charging connector is stopped
+        const targets = params.connectorId === undefined && isMultiConnector(station)
+          ? station.connectors
+          : [this.getSessionTarget(station, params.connectorId)];
+        const active = targets.filter(target => target.chargingStartedAt || target.status === 'charging');
+
+        if (active.length === 0) {
+          throw new Error('No active session');
+        }
+
+        for (const target of active) {
+          await this.stopChargingSession(station.id, {
+            connectorId: target === station ? undefined : target.connectorId
+          });
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * First ready connector of a multi-connector station, for sessions
+   * started without a connectorId (undefined for single-connector stations)
+   */
+  getFreeConnectorId(station) {
+    if (!isMultiConnector(station)) return undefined;
+
+    const connector = station.connectors.find(c => c.status === 'ready');
+    if (!connector) {
+      throw new Error(`No free connector on station ${station.id}`);
+    }
+
+    return connector.connectorId;
+  }
+
   /**
    * Get station by ID
    */
@@ -0,0 +1,140 @@
+/**
+ * Cost Planner
+ *
+ * Shifts flexible charging sessions to the cheapest (or, in green mode,
+ * the lowest-carbon) slots before departure. A session is flexible when it
+ * has a departure time and an energy need and could still finish at full
+ * power with time to spare.
+ *
+ * - The energy need (plus a safety margin) is covered by the best slots
+ *   between now and departure, charging at full station power
+ * - Plans are recomputed every balancing cycle: energy not delivered in a
+ *   planned slot (e.g. capacity was short) moves to the next cheapest slots,
+ *   and once slack is used up every remaining slot is planned
+ */
+
+import deadlinePlanner from './DeadlinePlanner.js';
+
+const PLANNING_MARGIN = 1.1; // Plan 10% more energy than needed
+
+// Slot field ranked by each objective; the other field breaks ties
+const OBJECTIVE_FIELDS = {
+  cost: ['price', 'intensity'],
+  carbon: ['intensity', 'price']
+};
+
+class CostPlanner {
+  /**
+   * Plan a session over a price / carbon intensity curve
+   * @param {Object} station - Station with departureTime / energyRequired
+   * @param {number} maxPower - Full station power (kW)
+   * @param {Array} curve - Gapless slots { start, end, price, intensity?, estimated } covering now..departure
+   * @param {Object} options - { now, minPower, objective: 'cost' | 'carbon' }
+   * @returns {Object|null} Plan, or null when the session is not flexible
+   */
+  planSession(station, maxPower, curve, { now = Date.now(), minPower = 0, objective = 'cost' } = {}) {
+    const [primary, secondary] = OBJECTIVE_FIELDS[objective] || OBJECTIVE_FIELDS.cost;
+    const deadline = deadlinePlanner.planSession(station, maxPower, now);
+
+    if (!deadline || deadline.energyRemaining <= 0 || deadline.hoursLeft <= 0 || !deadline.feasible || maxPower <= 0) {
+      return null;
+    }
+
+    const departure = new Date(station.departureTime).getTime();
+    const candidates = curve
+      .map(slot => ({ ...slot, start: Math.max(slot.start, now), end: Math.min(slot.end, departure) }))
+      .filter(slot => slot.end > slot.start);
+
+    // Best slot first, then the other field, then the earlier slot
+    const byObjective = [...candidates].sort((a, b) =>
+      compareValues(a[primary], b[primary]) || compareValues(a[secondary], b[secondary]) || a.start - b.start
+    );
+
+    let energyToPlan = Math.min(deadline.energyRemaining * PLANNING_MARGIN, maxPower * deadline.hoursLeft);
+    const schedule = [];
+
+    for (const slot of byObjective) {
+      if (energyToPlan <= 1e-6) break;
+
+      const hours = (slot.end - slot.start) / 3600000;
+      const energy = Math.min(energyToPlan, maxPower * hours);
+      const power = Math.max(energy / hours, Math.min(minPower, maxPower));
+
+      schedule.push({ ...slot, power, energy });
+      energyToPlan -= energy;
+    }
+
+    schedule.sort((a, b) => a.start - b.start);
+
+    const current = schedule.find(slot => now >= slot.start && now < slot.end) || null;
+    const next = schedule.find(slot => slot.start > now) || null;
+
+    // Cost and emissions of charging straight away at full power, for comparison
+    let energyLeft = deadline.energyRemaining;
+    let immediateCost = 0;
+    let immediateEmissions = 0;
+    for (const slot of candidates) {
+      if (energyLeft <= 1e-6) break;
+      const energy = Math.min(energyLeft, maxPower * (slot.end - slot.start) / 3600000);
+      immediateCost += energy * slot.price;
+      immediateEmissions += energy * (slot.intensity ?? 0);
+      energyLeft -= energy;
+    }
+
+    const plannedEnergy = schedule.reduce((sum, slot) => sum + slot.energy, 0);
+    const plannedCost = schedule.reduce((sum, slot) => sum + slot.energy * slot.price, 0);
+    const plannedEmissions = schedule.reduce((sum, slot) => sum + slot.energy * (slot.intensity ?? 0), 0);
+    // Cost and emissions of the energy actually needed, at the plan's averages
+    const neededShare = plannedEnergy > 0 ? deadline.energyRemaining / plannedEnergy : 0;
+    const estimatedCost = plannedCost * neededShare;
+    const estimatedEmissions = plannedEmissions * neededShare;
+    const hasIntensity = candidates.some(slot => slot.intensity !== undefined && slot.intensity !== null);
+
+    return {
+      stationId: station.id,
+      stationName: station.name,
+      objective,
+      departureTime: station.departureTime,
+      energyRemaining: deadline.energyRemaining,
+      currentPower: current ? current.power : 0,
+      currentPrice: candidates[0]?.price ?? null,
+      nextSlotStart: !current && next ? new Date(next.start).toISOString() : null,
+      nextSlotPrice: !current && next ? next.price : null,
+      currentIntensity: hasIntensity ? candidates[0]?.intensity ?? null : null,
+      nextSlotIntensity: hasIntensity && !current && next ? next.intensity : null,
+      estimatedCost,
+      immediateCost,
+      savings: Math.max(0, immediateCost - estimatedCost),
+      estimatedEmissions: hasIntensity ? estimatedEmissions : null,
+      immediateEmissions: hasIntensity ? immediateEmissions : null,
+      emissionsAvoided: hasIntensity ? Math.max(0, immediateEmissions - estimatedEmissions) : null,
+      schedule: schedule.map(slot => ({
+        start: new Date(slot.start).toISOString(),
+        end: new Date(slot.end).toISOString(),
+        price: slot.price,
+        intensity: slot.intensity ?? null,
+        estimated: slot.estimated,
+        power: slot.power,
+        energy: slot.energy
+      }))
+    };
+  }
+}
+
+/**
+ * Compare slot values, unknown values last
+ */
+function compareValues(a, b) {
+  const hasA = a !== undefined && a !== null;
+  const hasB = b !== undefined && b !== null;
+
+  if (hasA && hasB) return a - b;
+  if (hasA) return -1;
+  if (hasB) return 1;
+  return 0;
+}
+
+// Singleton instance
+const costPlanner = new CostPlanner();
+
+export default costPlanner;
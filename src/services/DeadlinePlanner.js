@@ -0,0 +1,134 @@
+/**
+ * Deadline Planner
+ *
+ * Works out how urgent each charging session is from its departure time
+ * and energy need, and whether the current allocation gets the vehicle
+ * to its target before it leaves.
+ *
+ * - Required power: remaining kWh / hours until departure
+ * - Laxity: hours until departure minus hours needed at full station power
+ *   (negative laxity = target cannot be reached even at full power)
+ */
+
+class DeadlinePlanner {
+  /**
+   * Get remaining energy need (kWh) of a session, or null if unknown
+   */
+  getEnergyNeed(station) {
+    if (!station.energyRequired) return null;
+
+    return Math.max(0, station.energyRequired - (station.sessionEnergy || 0));
+  }
+
+  /**
+   * Calculate urgency figures for a session with departure time and energy need
+   * Returns null if the session has no deadline information.
+   */
+  planSession(station, maxPower, now = Date.now()) {
+    const energyRemaining = this.getEnergyNeed(station);
+
+    if (!station.departureTime || energyRemaining === null) {
+      return null;
+    }
+
+    const hoursLeft = Math.max(0, (new Date(station.departureTime).getTime() - now) / 3600000);
+    const requiredPower = hoursLeft > 0
+      ? energyRemaining / hoursLeft
+      : (energyRemaining > 0 ? Infinity : 0);
+    const laxity = hoursLeft - (maxPower > 0 ? energyRemaining / maxPower : Infinity);
+
+    return {
+      departureTime: station.departureTime,
+      energyRequired: station.energyRequired,
+      energyRemaining,
+      hoursLeft,
+      requiredPower,
+      laxity,
+      feasible: laxity >= 0
+    };
+  }
+
+  /**
+   * Sort stations by urgency: least laxity first, then earliest departure.
+   * Sessions without deadline keep their relative (priority) order after them.
+   */
+  sortByUrgency(stations, getMaxPower, now = Date.now()) {
+    const plans = new Map(stations.map(s => [s.id, this.planSession(s, getMaxPower(s), now)]));
+
+    return stations
+      .map((station, index) => ({ station, index, plan: plans.get(station.id) }))
+      .sort((a, b) => {
+        if (a.plan && !b.plan) return -1;
+        if (!a.plan && b.plan) return 1;
+
+        if (a.plan && b.plan) {
+          if (a.plan.laxity !== b.plan.laxity) {
+            return a.plan.laxity - b.plan.laxity;
+          }
+          return new Date(a.plan.departureTime) - new Date(b.plan.departureTime);
+        }
+
+        return a.index - b.index;
+      })
+      .map(entry => entry.station);
+  }
+
+  /**
+   * Evaluate allocations against session deadlines
+   * A session is at risk when its allocated power is below the power
+   * needed to reach the energy target before departure.
+   */
+  evaluate(allocations, getMaxPower, now = Date.now()) {
+    const plans = [];
+
+    for (const allocation of allocations) {
+      const station = allocation.station;
+      const plan = this.planSession(station, getMaxPower(station), now);
+      if (!plan) continue;
+
+      const projectedEnergy = Math.min(plan.energyRemaining, allocation.power * plan.hoursLeft);
+
+      // Holding back for a cheaper or greener slot is planned; the plan meets the deadline
+      const waitingForCheaperSlot = ['cost_plan', 'green_plan'].includes(allocation.bindingConstraint?.type);
+
+      let riskReason = null;
+      if (!plan.feasible) {
+        riskReason = 'station_power_insufficient';
+      } else if (allocation.power < plan.requiredPower - 0.01 && !waitingForCheaperSlot) {
+        riskReason = allocation.bindingConstraint
+          ? getRiskReason(allocation.bindingConstraint)
+          : 'insufficient_capacity';
+      }
+
+      plans.push({
+        stationId: station.id,
+        stationName: station.name,
+        ...plan,
+        requiredPower: Number.isFinite(plan.requiredPower) ? plan.requiredPower : null,
+        allocatedPower: allocation.power,
+        projectedEnergy,
+        projectedShortfall: plan.energyRemaining - projectedEnergy,
+        atRisk: riskReason !== null,
+        riskReason
+      });
+    }
+
+    return plans.sort((a, b) => a.laxity - b.laxity);
+  }
+}
+
+/**
+ * Describe why an under-allocated session is at risk
+ */
+function getRiskReason(constraint) {
+  if (constraint.type === 'grid') {
+    return 'insufficient_capacity';
+  }
+
+  return `${constraint.type}_limit`;
+}
+
+// Singleton instance
+const deadlinePlanner = new DeadlinePlanner();
+
+export default deadlinePlanner;
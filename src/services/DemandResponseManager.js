@@ -0,0 +1,509 @@
+/**
+ * DemandResponseManager - Utility demand response via OpenADR 2.0b
+ *
+ * Runs the VEN (simple HTTP pull) against the utility's VTN and turns
+ * active events into control actions:
+ * - SIMPLE (level 1-3): forced load shedding level in LoadSheddingService
+ * - LOAD_DISPATCH setpoint / delta and LOAD_CONTROL x-loadControlCapacity:
+ *   temporary grid import limit in LoadManager
+ * - ELECTRICITY_PRICE price: recorded; at or above the configured price
+ *   threshold charging is shed at level 1
+ *
+ * Events are opted in by default; operators can opt out per event.
+ * Requested telemetry (charging load, grid import) is reported back.
+ */
+
+import { OpenADRVenDriver } from '../protocols/OpenADRVenDriver.js';
+import loadSheddingService from './LoadSheddingService.js';
+import auditLogger from './AuditLogger.js';
+
+const SOURCE = 'openadr';
+const DEFAULT_POLL_INTERVAL = 10000; // ms, until the VTN requests a frequency
+const APPLY_INTERVAL = 5000; // ms, event intervals are checked this often
+const RETRY_INTERVAL = 30000; // ms, registration retry after a failure
+const MIN_REPORT_INTERVAL = 10000; // ms
+const TELEMETRY_SPECIFIER = 'TELEMETRY_USAGE';
+
+// SIMPLE signal level -> shedding level (moderate, high, special)
+const SIMPLE_LEVEL_SHEDDING = { 0: 0, 1: 2, 2: 4, 3: 5 };
+
+export class DemandResponseManager {
+  constructor(state) {
+    this.state = state;
+    this.driver = null;
+
+    this.registration = null;
+    this.events = new Map(); // eventId -> event (with optType)
+    this.reportRequests = new Map(); // reportRequestId -> { request, timer, lastSentAt }
+    this.applied = { gridLimit: null, sheddingLevel: 0, price: null, eventIds: [] };
+
+    this.pollTimer = null;
+    this.applyTimer = null;
+    this.pollInterval = DEFAULT_POLL_INTERVAL;
+    this.lastPoll = null;
+    this.lastError = null;
+  }
+
+  async initialize() {
+    const { openadrEnabled, openadrVtnUrl, openadrVenName, openadrVenId } = this.state.config;
+
+    if (!openadrEnabled) {
+      console.log('📡 OpenADR demand response disabled');
+      return;
+    }
+
+    console.log('📡 Initializing OpenADR VEN...');
+
+    this.driver = new OpenADRVenDriver({
+      vtnUrl: openadrVtnUrl,
+      venName: openadrVenName,
+      venId: openadrVenId,
+      tls: process.env.OPENADR_CLIENT_CERT
+        ? {
+          cert: process.env.OPENADR_CLIENT_CERT,
+          key: process.env.OPENADR_CLIENT_KEY,
+          ca: process.env.OPENADR_CA_CERT
+        }
+        : null
+    });
+
+    this.applyTimer = setInterval(() => {
+      this.applyEvents();
+    }, APPLY_INTERVAL);
+
+    // Registration and polling run in the background so a VTN outage does not block startup
+    this.schedulePoll(0);
+
+    console.log(`✅ OpenADR VEN initialized (VTN: ${openadrVtnUrl})`);
+  }
+
+  /**
+   * Register with the VTN and announce the telemetry report
+   */
+  async register() {
+    const registration = await this.driver.register();
+
+    this.registration = {
+      ...registration,
+      registeredAt: new Date().toISOString()
+    };
+
+    if (registration.pollFreq) {
+      this.pollInterval = Math.max(1000, registration.pollFreq);
+    }
+
+    console.log(`📡 Registered with VTN ${registration.vtnId} as VEN ${registration.venId}`);
+
+    auditLogger.logStateChange('openadr_ven', 'unregistered', 'registered', `VTN ${registration.vtnId}`);
+
+    // Announce telemetry; the VTN may answer with report requests right away
+    const response = await this.driver.registerReport(TELEMETRY_SPECIFIER, [
+      { rId: 'charging_load', reportType: 'usage', readingType: 'Direct Read' },
+      { rId: 'grid_import', reportType: 'usage', readingType: 'Direct Read' }
+    ]);
+    await this.handleMessage(response);
+
+    this.broadcastStatus();
+  }
+
+  /**
+   * Schedule the next poll cycle
+   */
+  schedulePoll(delay = this.pollInterval) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => {
+      this.pollCycle();
+    }, delay);
+  }
+
+  /**
+   * Register if needed, then poll until the VTN has nothing more to send
+   */
+  async pollCycle() {
+    let retry = false;
+
+    try {
+      if (!this.registration) {
+        await this.register();
+      }
+
+      // The VTN returns one message per poll; keep polling while it has more
+      for (let i = 0; i < 10; i++) {
+        const message = await this.driver.poll();
+        this.lastPoll = new Date().toISOString();
+
+        if (!message.type || message.type === 'oadrResponse') break;
+        await this.handleMessage(message);
+      }
+
+      this.lastError = null;
+    } catch (error) {
+      console.error('[OpenADR] Poll failed:', error.message);
+      this.lastError = { message: error.message, timestamp: new Date().toISOString() };
+      retry = !this.registration;
+    }
+
+    if (this.driver) {
+      this.schedulePoll(retry ? RETRY_INTERVAL : this.pollInterval);
+    }
+  }
+
+  /**
+   * Handle a message received from the VTN
+   */
+  async handleMessage({ type, element }) {
+    switch (type) {
+      case 'oadrDistributeEvent':
+        await this.handleDistributeEvent(this.driver.parseDistributeEvent(element));
+        break;
+
+      case 'oadrCreateReport':
+      case 'oadrRegisteredReport':
+        await this.handleReportRequests(this.driver.parseReportRequests(element), type === 'oadrCreateReport');
+        break;
+
+      case 'oadrCancelReport':
+        for (const reportRequestId of this.driver.parseCancelReport(element)) {
+          this.cancelReport(reportRequestId);
+        }
+        break;
+
+      case 'oadrRequestReregistration':
+        console.log('[OpenADR] VTN requested re-registration');
+        await this.register();
+        break;
+
+      case 'oadrCancelPartyRegistration':
+        console.warn('[OpenADR] VTN cancelled the registration');
+        this.registration = null;
+        break;
+
+      default:
+        if (type && type !== 'oadrResponse') {
+          console.warn(`[OpenADR] Ignoring unsupported message: ${type}`);
+        }
+    }
+  }
+
+  /**
+   * Update events from an oadrDistributeEvent
+   * The VTN always sends the complete set of events for this VEN, so
+   * events that are missing have ended.
+   */
+  async handleDistributeEvent({ requestId, events }) {
+    const responses = [];
+    const received = new Set();
+
+    for (const event of events) {
+      received.add(event.eventId);
+
+      const existing = this.events.get(event.eventId);
+      const isNew = !existing || existing.modificationNumber !== event.modificationNumber;
+
+      const optType = existing?.optType || this.state.config.openadrDefaultOpt || 'optIn';
+      this.events.set(event.eventId, { ...event, optType, receivedAt: existing?.receivedAt || new Date().toISOString() });
+
+      if (isNew) {
+        console.log(`[OpenADR] Event ${event.eventId} (mod ${event.modificationNumber}, ${event.status}): ${event.signals.map(s => s.name).join(', ')}`);
+
+        this.state.broadcast({
+          type: 'demand_response.event.received',
+          data: this.describeEvent(this.events.get(event.eventId))
+        });
+
+        auditLogger.logLoadManagement({
+          action: 'demand_response_event_received',
+          eventId: event.eventId,
+          modificationNumber: event.modificationNumber,
+          status: event.status,
+          signals: event.signals.map(s => ({ name: s.name, type: s.type })),
+          start: new Date(event.start).toISOString(),
+          optType
+        });
+
+        if (event.responseRequired === 'always') {
+          responses.push({ eventId: event.eventId, modificationNumber: event.modificationNumber, optType });
+        }
+      }
+    }
+
+    for (const eventId of this.events.keys()) {
+      if (!received.has(eventId)) {
+        this.events.delete(eventId);
+      }
+    }
+
+    if (responses.length > 0) {
+      await this.driver.createdEvent(requestId, responses);
+    }
+
+    this.applyEvents();
+  }
+
+  /**
+   * Opt in to or out of an event
+   */
+  async setOpt(eventId, optType, optReason) {
+    if (optType !== 'optIn' && optType !== 'optOut') {
+      throw new Error('optType must be optIn or optOut');
+    }
+
+    const event = this.events.get(eventId);
+    if (!event) {
+      throw new Error(`Event ${eventId} not found`);
+    }
+
+    event.optType = optType;
+
+    if (this.driver && this.registration) {
+      await this.driver.createOpt({
+        eventId,
+        modificationNumber: event.modificationNumber,
+        optType,
+        optReason: optReason || (optType === 'optIn' ? 'participating' : 'notParticipating')
+      });
+    }
+
+    this.applyEvents();
+
+    return this.describeEvent(event);
+  }
+
+  /**
+   * Translate the currently active, opted-in events into control actions
+   */
+  applyEvents(now = Date.now()) {
+    const { maxGridCapacity, openadrPriceThreshold } = this.state.config;
+    let gridLimit = null;
+    let sheddingLevel = 0;
+    let price = null;
+    const eventIds = [];
+
+    for (const event of this.events.values()) {
+      if (event.status === 'cancelled' || event.optType !== 'optIn') continue;
+      if (now < event.start || now >= event.end) continue;
+
+      eventIds.push(event.eventId);
+
+      for (const signal of event.signals) {
+        const interval = signal.intervals.find(i => now >= i.start && now < i.end);
+        const value = interval ? interval.value : signal.currentValue;
+        if (!Number.isFinite(value)) continue;
+
+        if (signal.name === 'SIMPLE') {
+          sheddingLevel = Math.max(sheddingLevel, SIMPLE_LEVEL_SHEDDING[Math.round(value)] ?? 5);
+        } else if (signal.name === 'ELECTRICITY_PRICE' && signal.type === 'price') {
+          price = price === null ? value : Math.max(price, value);
+          if (openadrPriceThreshold && value >= openadrPriceThreshold) {
+            sheddingLevel = Math.max(sheddingLevel, 1);
+          }
+        } else {
+          const limit = this.getSignalGridLimit(signal, value, maxGridCapacity);
+          if (limit !== null) {
+            gridLimit = gridLimit === null ? limit : Math.min(gridLimit, limit);
+          }
+        }
+      }
+    }
+
+    const previous = this.applied;
+    if (previous.gridLimit === gridLimit && previous.sheddingLevel === sheddingLevel &&
+        previous.price === price && previous.eventIds.join() === eventIds.join()) {
+      return;
+    }
+
+    this.applied = { gridLimit, sheddingLevel, price, eventIds };
+
+    if (gridLimit !== null) {
+      this.state.loadManager.setTemporaryGridLimit(SOURCE, gridLimit, { reason: `OpenADR ${eventIds.join(', ')}` });
+    } else {
+      this.state.loadManager.clearTemporaryGridLimit(SOURCE);
+    }
+
+    loadSheddingService.setForcedLevel(SOURCE, sheddingLevel);
+    if (sheddingLevel !== previous.sheddingLevel) {
+      this.state.loadManager.requestRebalance('demand_response', { urgent: true });
+    }
+
+    console.log(`[OpenADR] Applied: grid limit ${gridLimit !== null ? gridLimit.toFixed(1) + ' kW' : 'none'}, shedding level ${sheddingLevel}`);
+
+    auditLogger.logLoadManagement({
+      action: 'demand_response_applied',
+      eventIds,
+      gridLimit,
+      sheddingLevel,
+      price
+    });
+
+    this.broadcastStatus();
+  }
+
+  /**
+   * Grid import limit (kW) requested by a load signal, or null
+   */
+  getSignalGridLimit(signal, value, maxGridCapacity) {
+    if (signal.name === 'LOAD_DISPATCH' && signal.type === 'setpoint') {
+      return Math.max(0, toKilowatts(signal, value));
+    }
+
+    if (signal.name === 'LOAD_DISPATCH' && signal.type === 'delta') {
+      return Math.max(0, maxGridCapacity - Math.abs(toKilowatts(signal, value)));
+    }
+
+    if (signal.name === 'LOAD_CONTROL' && signal.type === 'x-loadControlCapacity') {
+      return Math.max(0, Math.min(1, value)) * maxGridCapacity;
+    }
+
+    return null;
+  }
+
+  /**
+   * Start reporting for requested reports
+   * @param {boolean} acknowledge - Answer with oadrCreatedReport
+   */
+  async handleReportRequests(requests, acknowledge) {
+    const accepted = [];
+
+    for (const request of requests) {
+      if (request.specifierId !== TELEMETRY_SPECIFIER) {
+        console.warn(`[OpenADR] Ignoring request for unknown report ${request.specifierId}`);
+        continue;
+      }
+
+      this.cancelReport(request.reportRequestId);
+
+      const interval = Math.max(MIN_REPORT_INTERVAL, request.reportBackDuration || request.granularity || 60000);
+      const entry = { request, lastSentAt: Date.now(), timer: null };
+
+      entry.timer = setInterval(() => {
+        this.sendTelemetry(entry);
+      }, interval);
+
+      this.reportRequests.set(request.reportRequestId, entry);
+      accepted.push(request.reportRequestId);
+    }
+
+    if (acknowledge || accepted.length > 0) {
+      await this.driver.createdReport(Array.from(this.reportRequests.keys()));
+    }
+  }
+
+  /**
+   * Send one telemetry report
+   */
+  async sendTelemetry(entry) {
+    const { request } = entry;
+    const { currentLoad, config } = this.state;
+    const chargingLoad = currentLoad.chargingLoad || 0;
+    const pvProduction = config.pvSystemEnabled ? (currentLoad.pvProduction || 0) : 0;
+    const gridImport = (currentLoad.buildingConsumption || 0) + chargingLoad - pvProduction;
+    const values = { charging_load: chargingLoad, grid_import: gridImport };
+
+    const now = Date.now();
+
+    try {
+      await this.driver.updateReport({
+        reportRequestId: request.reportRequestId,
+        specifierId: request.specifierId,
+        start: entry.lastSentAt,
+        durationSeconds: (now - entry.lastSentAt) / 1000,
+        values: (request.rIds.length > 0 ? request.rIds : Object.keys(values))
+          .filter(rId => values[rId] !== undefined)
+          .map(rId => ({ rId, value: values[rId] }))
+      });
+      entry.lastSentAt = now;
+    } catch (error) {
+      console.error(`[OpenADR] Report ${request.reportRequestId} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Stop a report
+   */
+  cancelReport(reportRequestId) {
+    const entry = this.reportRequests.get(reportRequestId);
+    if (entry) {
+      clearInterval(entry.timer);
+      this.reportRequests.delete(reportRequestId);
+    }
+  }
+
+  /**
+   * Event in API form
+   */
+  describeEvent(event, now = Date.now()) {
+    return {
+      eventId: event.eventId,
+      modificationNumber: event.modificationNumber,
+      status: event.status,
+      priority: event.priority,
+      marketContext: event.marketContext,
+      testEvent: event.testEvent,
+      start: new Date(event.start).toISOString(),
+      end: Number.isFinite(event.end) ? new Date(event.end).toISOString() : null,
+      active: event.status !== 'cancelled' && now >= event.start && now < event.end,
+      optType: event.optType,
+      receivedAt: event.receivedAt,
+      signals: event.signals.map(signal => ({
+        name: signal.name,
+        type: signal.type,
+        units: signal.units,
+        intervals: signal.intervals.map(i => ({
+          start: new Date(i.start).toISOString(),
+          end: Number.isFinite(i.end) ? new Date(i.end).toISOString() : null,
+          value: i.value
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Get demand response status
+   */
+  getStatus() {
+    return {
+      enabled: this.state.config.openadrEnabled === true,
+      vtnUrl: this.state.config.openadrVtnUrl || null,
+      registration: this.registration,
+      pollInterval: this.pollInterval,
+      lastPoll: this.lastPoll,
+      lastError: this.lastError,
+      applied: this.applied,
+      events: Array.from(this.events.values()).map(e => this.describeEvent(e)),
+      reports: Array.from(this.reportRequests.values()).map(({ request, lastSentAt }) => ({
+        ...request,
+        lastSentAt: new Date(lastSentAt).toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Broadcast the status to WebSocket clients
+   */
+  broadcastStatus() {
+    this.state.broadcast({
+      type: 'demand_response.updated',
+      data: this.getStatus()
+    });
+  }
+
+  async shutdown() {
+    clearTimeout(this.pollTimer);
+    clearInterval(this.applyTimer);
+
+    for (const reportRequestId of Array.from(this.reportRequests.keys())) {
+      this.cancelReport(reportRequestId);
+    }
+
+    this.driver = null;
+  }
+}
+
+/**
+ * Convert a power signal value to kW
+ * Values with W units are scaled by their SI scale code; values without
+ * units are taken as kW.
+ */
+function toKilowatts(signal, value) {
+  return signal.units === 'W' ? value * signal.scale / 1000 : value;
+}
@@ -16,6 +16,7 @@
 import { ModbusDriver } from '../protocols/ModbusDriver.js';
 import { MQTTDriver } from '../protocols/MQTTDriver.js';
 import axios from 'axios';
+import siteConstraintsManager from './SiteConstraintsManager.js';
 
 class EnergyMeterManager {
   constructor(state, dataLogger) {
@@ -327,6 +328,9 @@ class EnergyMeterManager {
 
     // Update meter object
     Object.assign(meter, updates);
+    if (updates.power !== undefined) {
+      meter.currentPower = updates.power;
+    }
 
     // Store current reading
     this.currentReadings.set(meterId, {
@@ -362,6 +366,56 @@ class EnergyMeterManager {
         ...updates
       }
     });
+
+    // Grid meters measure the service entrance
+    if (meter.meterType === 'grid' && updates.power !== undefined) {
+      this.updateServiceMeasurements();
+    }
+
+    // Building/grid load changes the capacity available for charging
+    if (this.state.loadManager && (meter.meterType === 'grid' || meter.meterType === 'building')) {
+      this.state.loadManager.requestRebalance('meter_reading');
+    }
+  }
+
+  /**
+   * Feed the combined grid meter readings to SiteConstraintsManager
+   * Skipped while a grid meter is in error: a partial sum would understate
+   * the load, and a stale measurement is ignored for headroom after a while.
+   */
+  updateServiceMeasurements() {
+    const gridMeters = Array.from(this.meters.values()).filter(m => m.meterType === 'grid');
+
+    if (gridMeters.some(m => m.status === 'error')) {
+      return;
+    }
+
+    const measurements = {
+      power: gridMeters.reduce((sum, m) => sum + (m.currentPower || 0), 0),
+      powerFactor: Math.min(...gridMeters.map(m => m.powerFactor || 1.0))
+    };
+
+    // Per-phase currents ({ A, B, C }); a single value is taken as balanced
+    const currents = gridMeters.filter(m => m.current);
+    if (currents.length > 0) {
+      measurements.current = { A: 0, B: 0, C: 0 };
+
+      for (const meter of currents) {
+        for (const phase of ['A', 'B', 'C']) {
+          measurements.current[phase] += typeof meter.current === 'object'
+            ? (meter.current[phase] || 0)
+            : meter.current;
+        }
+      }
+    }
+
+    // Voltage is only compared per phase
+    const voltageMeter = gridMeters.find(m => m.voltage && typeof m.voltage === 'object');
+    if (voltageMeter) {
+      measurements.voltage = voltageMeter.voltage;
+    }
+
+    siteConstraintsManager.updateServiceMeasurements(measurements);
   }
 
   /**
@@ -0,0 +1,123 @@
+/**
+ * Export Limit Controller
+ *
+ * Keeps PV feed-in at or below the site's export limit (e.g. 0 kW for
+ * zero-export sites, or 70% of the PV peak power) using the signed power
+ * measured by the grid meter (negative = export).
+ *
+ * - Charging floor: the charging power needed so that the measured export
+ *   stays below the limit (minus a small control margin). The floor is
+ *   derived from the measured grid power and charging load, so once
+ *   charging has been raised it stays raised while the PV surplus lasts.
+ * - Curtailment: what charging cannot absorb lowers the inverter's power
+ *   limit; unused charging headroom raises it again step by step.
+ * - Alerts: raised when export stays above the limit (or cannot be
+ *   measured) for longer than the alert delay, cleared when it recovers.
+ */
+
+const CURTAILMENT_RELEASE_STEP = 0.1; // Share of PV capacity released per cycle
+
+export class ExportLimitController {
+  constructor(options = {}) {
+    this.margin = options.margin ?? 0.5; // kW kept below the limit
+    this.alertTolerance = options.alertTolerance ?? 1; // kW above the limit before alerting
+    this.alertDelay = (options.alertDelaySeconds ?? 60) * 1000;
+
+    this.curtailmentLimit = null; // kW inverter limit, null = not curtailed
+    this.violationSince = null;
+    this.alert = null; // { type, message, since, ... } while active
+  }
+
+  /**
+   * Charging power (kW) needed to keep export within the limit
+   * @param {Object} measured - { limit, gridPower, chargingLoad } in kW
+   */
+  getChargingFloor({ limit, gridPower, chargingLoad }) {
+    // Grid power without charging is gridPower - chargingLoad; it has to stay above -limit
+    return Math.max(0, chargingLoad - gridPower - limit + this.margin);
+  }
+
+  /**
+   * Work out the inverter limit for this cycle
+   * @param {Object} cycle - { shortfall, spare, pvProduction, maxCapacity } in kW:
+   *   export charging could not absorb, unused charging headroom, current
+   *   production and rated PV power
+   * @returns {number|null} Inverter limit (kW), null = not curtailed
+   */
+  updateCurtailment({ shortfall, spare, pvProduction, maxCapacity }) {
+    if (this.curtailmentLimit === null) {
+      if (shortfall > 0) {
+        this.curtailmentLimit = Math.max(0, pvProduction - shortfall);
+      }
+      return this.curtailmentLimit;
+    }
+
+    const limit = shortfall > 0
+      ? this.curtailmentLimit - shortfall
+      : this.curtailmentLimit + Math.min(spare, maxCapacity * CURTAILMENT_RELEASE_STEP);
+
+    this.curtailmentLimit = limit >= maxCapacity ? null : Math.max(0, limit);
+    return this.curtailmentLimit;
+  }
+
+  /**
+   * Stop curtailing (export limit removed or curtailment disabled)
+   */
+  resetCurtailment() {
+    this.curtailmentLimit = null;
+  }
+
+  /**
+   * Track how long the export limit has been violated
+   * @param {Object} measured - { limit, gridPower } in kW, gridPower null when not measured
+   * @returns {Object|null} { raised } or { cleared } on a change, both when
+   *   the type of violation changed, else null
+   */
+  checkAlert({ limit, gridPower }, now = Date.now()) {
+    const exported = gridPower !== null ? Math.max(0, -gridPower) : null;
+    const violation = exported === null
+      ? { type: 'export_limit_unmonitored', severity: 'warning', message: 'No recent grid meter reading, export cannot be controlled' }
+      : exported > limit + this.alertTolerance
+        ? { type: 'export_limit_exceeded', severity: 'critical', message: `Export ${exported.toFixed(1)} kW exceeds the ${limit.toFixed(1)} kW export limit` }
+        : null;
+
+    if (!violation) {
+      this.violationSince = null;
+
+      if (this.alert) {
+        const cleared = { ...this.alert, clearedAt: new Date(now).toISOString() };
+        this.alert = null;
+        return { cleared };
+      }
+      return null;
+    }
+
+    this.violationSince = this.violationSince ?? now;
+
+    if (this.alert?.type === violation.type) {
+      // Keep the latest values on the active alert
+      Object.assign(this.alert, violation, { value: exported });
+      return null;
+    }
+
+    // A different violation replaces the active alert right away
+    if (this.alert) {
+      const cleared = { ...this.alert, clearedAt: new Date(now).toISOString() };
+      this.violationSince = now;
+      this.alert = { ...violation, value: exported, limit, since: new Date(now).toISOString() };
+      return { cleared, raised: this.alert };
+    }
+
+    if (now - this.violationSince < this.alertDelay) {
+      return null;
+    }
+
+    this.alert = {
+      ...violation,
+      value: exported,
+      limit,
+      since: new Date(this.violationSince).toISOString()
+    };
+    return { raised: this.alert };
+  }
+}
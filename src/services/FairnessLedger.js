@@ -0,0 +1,277 @@
+/**
+ * Fairness Ledger
+ *
+ * Energy-debt accounting per user for shared parking. Every balancing cycle
+ * the charging power is compared with each user's fair share:
+ *
+ * - Fair share: the power delivered in the cycle split max-min fairly among
+ *   all plugged-in users (nobody's share exceeds what their car can take)
+ * - Debt: fair share minus energy delivered, summed over a rolling window
+ * - Users with a positive debt were under-served and are ranked first
+ *   among stations of equal priority
+ *
+ * Energy is kept in hourly buckets so the window rolls smoothly. The ledger
+ * is saved to logs/fairness/ledger.json so debts survive restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BUCKET_MS = 60 * 60 * 1000; // 1 hour
+const MAX_CYCLE_GAP = 5 * 60 * 1000; // Longer gaps (e.g. downtime) are not accounted
+const SAVE_INTERVAL = 60000; // ms
+
+export class FairnessLedger {
+  constructor(options = {}) {
+    this.file = options.file || path.join(__dirname, '../../logs/fairness/ledger.json');
+    this.windowDays = options.windowDays || 7;
+
+    this.users = new Map(); // userId -> { userId, name, lastSeen, buckets: Map(bucketStart -> { delivered, fairShare }) }
+    this.lastCycle = null; // { time, entries: [{ userId, power, fairShare }] }
+    this.saveTimer = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Load the saved ledger and start saving periodically
+   */
+  async initialize() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+
+      for (const user of saved.users || []) {
+        this.users.set(user.userId, {
+          userId: user.userId,
+          name: user.name,
+          lastSeen: user.lastSeen,
+          buckets: new Map(user.buckets.map(b => [b.start, { delivered: b.delivered, fairShare: b.fairShare }]))
+        });
+      }
+
+      this.prune();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[FairnessLedger] Failed to load ledger:', error);
+      }
+    }
+
+    this.saveTimer = setInterval(() => {
+      this.save();
+    }, SAVE_INTERVAL);
+
+    console.log(`[FairnessLedger] Initialized (${this.users.size} users, window: ${this.windowDays} days)`);
+  }
+
+  /**
+   * Record an allocation cycle
+   * The previous cycle's powers held until now, so they are accounted over
+   * the elapsed time. Sessions without a user are not tracked.
+   * @param {Array} allocations - Allocations of this cycle
+   * @param {Function} getCap - station => maximum power the station can take (kW)
+   */
+  record(allocations, getCap, now = Date.now()) {
+    if (this.lastCycle) {
+      const elapsed = now - this.lastCycle.time;
+
+      if (elapsed > 0 && elapsed <= MAX_CYCLE_GAP) {
+        const hours = elapsed / 3600000;
+
+        for (const entry of this.lastCycle.entries) {
+          const bucket = this.getBucket(entry.userId, this.lastCycle.time);
+          bucket.delivered += entry.power * hours;
+          bucket.fairShare += entry.fairShare * hours;
+          this.dirty = true;
+        }
+      }
+    }
+
+    const sessions = allocations.filter(a => a.station.user?.id);
+    const total = sessions.reduce((sum, a) => sum + a.power, 0);
+    const shares = fairShares(total, sessions.map(a => getCap(a.station)));
+
+    this.lastCycle = {
+      time: now,
+      entries: sessions.map((allocation, index) => {
+        const user = allocation.station.user;
+        this.touchUser(user, now);
+
+        return { userId: user.id, power: allocation.power, fairShare: shares[index] };
+      })
+    };
+  }
+
+  /**
+   * Register a user or refresh its name and last activity
+   */
+  touchUser(user, now) {
+    if (!this.users.has(user.id)) {
+      this.users.set(user.id, { userId: user.id, name: user.name, lastSeen: null, buckets: new Map() });
+    }
+
+    const entry = this.users.get(user.id);
+    entry.name = user.name || entry.name;
+    entry.lastSeen = new Date(now).toISOString();
+  }
+
+  /**
+   * Get (or create) the bucket of a user containing a timestamp
+   */
+  getBucket(userId, time) {
+    const user = this.users.get(userId);
+    const start = Math.floor(time / BUCKET_MS) * BUCKET_MS;
+
+    if (!user.buckets.has(start)) {
+      user.buckets.set(start, { delivered: 0, fairShare: 0 });
+    }
+
+    return user.buckets.get(start);
+  }
+
+  /**
+   * Get the energy debt of a user within the window (kWh, positive = under-served)
+   */
+  getDebt(userId, now = Date.now()) {
+    const user = this.users.get(userId);
+    if (!user) return 0;
+
+    const { delivered, fairShare } = this.sumBuckets(user, now);
+    return fairShare - delivered;
+  }
+
+  /**
+   * Sum a user's buckets within the window
+   */
+  sumBuckets(user, now) {
+    const cutoff = now - this.windowDays * 24 * BUCKET_MS;
+    let delivered = 0;
+    let fairShare = 0;
+
+    for (const [start, bucket] of user.buckets) {
+      if (start + BUCKET_MS <= cutoff) continue;
+      delivered += bucket.delivered;
+      fairShare += bucket.fairShare;
+    }
+
+    return { delivered, fairShare };
+  }
+
+  /**
+   * Remove buckets outside the window and users without any
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.windowDays * 24 * BUCKET_MS;
+
+    for (const [userId, user] of this.users) {
+      for (const start of user.buckets.keys()) {
+        if (start + BUCKET_MS <= cutoff) {
+          user.buckets.delete(start);
+        }
+      }
+
+      if (user.buckets.size === 0 && !this.lastCycle?.entries.some(e => e.userId === userId)) {
+        this.users.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Get the debt ledger, most under-served users first
+   */
+  getLedger(now = Date.now()) {
+    const users = Array.from(this.users.values()).map(user => {
+      const { delivered, fairShare } = this.sumBuckets(user, now);
+
+      return {
+        userId: user.userId,
+        name: user.name || null,
+        delivered,
+        fairShare,
+        debt: fairShare - delivered,
+        lastSeen: user.lastSeen
+      };
+    });
+
+    users.sort((a, b) => b.debt - a.debt);
+
+    return {
+      windowDays: this.windowDays,
+      from: new Date(now - this.windowDays * 24 * BUCKET_MS).toISOString(),
+      to: new Date(now).toISOString(),
+      totalDelivered: users.reduce((sum, u) => sum + u.delivered, 0),
+      users
+    };
+  }
+
+  /**
+   * Write the ledger to disk
+   */
+  async save() {
+    if (!this.dirty) return;
+
+    this.prune();
+    this.dirty = false;
+
+    const data = {
+      savedAt: new Date().toISOString(),
+      users: Array.from(this.users.values()).map(user => ({
+        userId: user.userId,
+        name: user.name,
+        lastSeen: user.lastSeen,
+        buckets: Array.from(user.buckets.entries()).map(([start, b]) => ({ start, ...b }))
+      }))
+    };
+
+    try {
+      await fs.promises.writeFile(this.file, JSON.stringify(data));
+    } catch (error) {
+      console.error('[FairnessLedger] Failed to save ledger:', error);
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Stop saving and write the ledger
+   */
+  async shutdown() {
+    if (this.saveTimer) {
+      clearInterval(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    await this.save();
+  }
+}
+
+/**
+ * Max-min fair split of a total among consumers with individual caps
+ */
+function fairShares(total, caps) {
+  const shares = caps.map(() => 0);
+  let remaining = total;
+  let open = caps.map((cap, index) => index);
+
+  while (remaining > 1e-9 && open.length > 0) {
+    const equal = remaining / open.length;
+    const capped = open.filter(index => caps[index] - shares[index] <= equal);
+
+    if (capped.length === 0) {
+      for (const index of open) shares[index] += equal;
+      break;
+    }
+
+    for (const index of capped) {
+      remaining -= caps[index] - shares[index];
+      shares[index] = caps[index];
+    }
+
+    open = open.filter(index => !capped.includes(index));
+  }
+
+  return shares;
+}
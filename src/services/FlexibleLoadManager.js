@@ -0,0 +1,331 @@
+/**
+ * FlexibleLoadManager - Curtailable building loads (heat pumps, water heaters, ...)
+ *
+ * Flexible loads are switched, not modulated:
+ * - on = released (the load may run at up to its power rating),
+ *   off = blocked (e.g. SG-Ready / utility lock input)
+ * - LoadManager decides every cycle which loads are released, by priority
+ *   against the charging stations, and LoadSheddingService blocks them at
+ *   shedding levels that cover their priority
+ * - Minimum on/off times protect compressors from short cycling; a switch
+ *   request inside them is held back until the time has passed
+ * - A released load is counted at its power rating, since it is part of
+ *   the measured building load
+ *
+ * Loads start released and are released again when they are disabled,
+ * deleted or on shutdown, so they run normally without load management.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ModbusDriver } from '../protocols/ModbusDriver.js';
+import { MQTTDriver } from '../protocols/MQTTDriver.js';
+import { createSwitchDriver } from '../protocols/SwitchDriver.js';
+
+const LOAD_TYPES = ['heat_pump', 'water_heater', 'other'];
+
+export class FlexibleLoadManager {
+  constructor(state) {
+    this.state = state;
+    this.modbusDriver = new ModbusDriver();
+    this.mqttDriver = null;
+    this.drivers = new Map(); // loadId -> switch driver
+  }
+
+  async initialize() {
+    console.log('🔌 Initializing Flexible Load Manager...');
+
+    for (const load of this.state.flexibleLoads.values()) {
+      await this.createDriver(load);
+    }
+
+    console.log(`✅ Flexible Load Manager initialized (${this.state.flexibleLoads.size} loads)`);
+  }
+
+  /**
+   * Register a new flexible load
+   */
+  async registerLoad(loadData) {
+    if (!loadData.name) {
+      throw new Error('Load name is required');
+    }
+
+    const load = {
+      id: uuidv4(),
+      name: loadData.name,
+      protocol: loadData.protocol, // modbus, mqtt or http
+      communication: loadData.communication,
+
+      ...this.validateSettings({
+        type: loadData.type ?? 'other',
+        power: loadData.power,
+        priority: loadData.priority ?? 5,
+        minOnTime: loadData.minOnTime ?? 0,
+        minOffTime: loadData.minOffTime ?? 0,
+        enabled: loadData.enabled ?? true
+      }),
+
+      // Switching state
+      on: true, // released
+      lastSwitch: null,
+      reason: null, // capacity or load_shedding while blocked
+      status: 'unknown', // unknown, online, error
+      lastError: null,
+
+      createdAt: new Date().toISOString()
+    };
+
+    // Fails on an unknown protocol or missing settings before anything is stored
+    createSwitchDriver(load, await this.getProtocolDrivers(load));
+
+    this.state.flexibleLoads.set(load.id, load);
+    await this.createDriver(load);
+
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'flexible_load.registered',
+      data: load
+    });
+
+    console.log(`🔌 Registered flexible load: ${load.name} (${load.id})`);
+
+    this.state.loadManager?.requestRebalance('flexible_load_registered');
+
+    return load;
+  }
+
+  /**
+   * Update load settings (power, priority, min on/off times, enabled)
+   */
+  async updateLoad(loadId, updates) {
+    const load = this.getLoad(loadId);
+
+    const settings = this.validateSettings({
+      type: updates.type ?? load.type,
+      power: updates.power ?? load.power,
+      priority: updates.priority ?? load.priority,
+      minOnTime: updates.minOnTime ?? load.minOnTime,
+      minOffTime: updates.minOffTime ?? load.minOffTime,
+      enabled: updates.enabled ?? load.enabled
+    });
+
+    Object.assign(load, settings);
+
+    if (updates.name !== undefined) {
+      load.name = updates.name;
+    }
+
+    // Disabled loads are no longer managed and run normally
+    if (!load.enabled && !load.on) {
+      await this.switchLoad(load, true, null);
+    }
+
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'flexible_load.updated',
+      data: load
+    });
+
+    this.state.loadManager?.requestRebalance('flexible_load_updated');
+
+    return load;
+  }
+
+  /**
+   * Remove a load (released first)
+   */
+  async deleteLoad(loadId) {
+    const load = this.getLoad(loadId);
+
+    if (!load.on) {
+      await this.switchLoad(load, true, null);
+    }
+
+    this.drivers.delete(loadId);
+    this.state.flexibleLoads.delete(loadId);
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'flexible_load.deleted',
+      data: { id: loadId }
+    });
+
+    this.state.loadManager?.requestRebalance('flexible_load_deleted');
+  }
+
+  /**
+   * Validate type, power rating, priority and min on/off times
+   */
+  validateSettings(settings) {
+    const { type, power, priority, minOnTime, minOffTime, enabled } = settings;
+
+    if (!LOAD_TYPES.includes(type)) {
+      throw new Error(`Invalid load type (must be one of: ${LOAD_TYPES.join(', ')})`);
+    }
+
+    if (typeof power !== 'number' || power <= 0) {
+      throw new Error('Invalid power value');
+    }
+
+    if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+      throw new Error('Invalid priority (must be 1-10)');
+    }
+
+    for (const [field, value] of Object.entries({ minOnTime, minOffTime })) {
+      if (typeof value !== 'number' || value < 0) {
+        throw new Error(`Invalid ${field} value`);
+      }
+    }
+
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+
+    return { type, power, priority, minOnTime, minOffTime, enabled };
+  }
+
+  /**
+   * Shared protocol drivers; MQTT connects on first use
+   */
+  async getProtocolDrivers(load) {
+    if (load.protocol === 'mqtt' && !this.mqttDriver && process.env.MQTT_BROKER_URL) {
+      this.mqttDriver = new MQTTDriver(process.env.MQTT_BROKER_URL);
+      await this.mqttDriver.connect();
+    }
+
+    return { modbusDriver: this.modbusDriver, mqttDriver: this.mqttDriver };
+  }
+
+  /**
+   * Create the switch driver of a load
+   */
+  async createDriver(load) {
+    try {
+      this.drivers.set(load.id, createSwitchDriver(load, await this.getProtocolDrivers(load)));
+    } catch (error) {
+      console.error(`[FlexibleLoadManager] Failed to set up ${load.name}:`, error.message);
+      load.status = 'error';
+      load.lastError = error.message;
+    }
+  }
+
+  /**
+   * Check whether the min on/off time allows switching a load now
+   */
+  canSwitch(load, on, now = Date.now()) {
+    if (load.on === on || !load.lastSwitch) return true;
+
+    const elapsed = (now - new Date(load.lastSwitch).getTime()) / 1000;
+    return elapsed >= (load.on ? load.minOnTime : load.minOffTime);
+  }
+
+  /**
+   * Power (kW) of the managed loads that are currently released
+   */
+  getReleasedPower() {
+    return this.getManagedLoads()
+      .filter(load => load.on)
+      .reduce((sum, load) => sum + load.power, 0);
+  }
+
+  /**
+   * Enabled loads, i.e. the ones load management may block
+   */
+  getManagedLoads() {
+    return this.getAllLoads().filter(load => load.enabled);
+  }
+
+  /**
+   * Switch a load and record why
+   * Returns false when the load could not be reached.
+   */
+  async switchLoad(load, on, reason) {
+    if (load.on === on) {
+      load.reason = reason;
+      return true;
+    }
+
+    const driver = this.drivers.get(load.id);
+    if (!driver) return false;
+
+    try {
+      await driver.switch(on);
+    } catch (error) {
+      console.error(`[FlexibleLoadManager] Failed to switch ${load.name} ${on ? 'on' : 'off'}:`, error.message);
+      load.status = 'error';
+      load.lastError = error.message;
+      return false;
+    }
+
+    load.on = on;
+    load.reason = reason;
+    load.lastSwitch = new Date().toISOString();
+    load.status = 'online';
+    load.lastError = null;
+
+    this.state.broadcast({
+      type: 'flexible_load.switched',
+      data: {
+        id: load.id,
+        name: load.name,
+        on,
+        reason,
+        timestamp: load.lastSwitch
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Get all loads
+   */
+  getAllLoads() {
+    return Array.from(this.state.flexibleLoads.values());
+  }
+
+  /**
+   * Get a load, throws when unknown
+   */
+  getLoad(loadId) {
+    const load = this.state.flexibleLoads.get(loadId);
+    if (!load) {
+      throw new Error(`Flexible load ${loadId} not found`);
+    }
+    return load;
+  }
+
+  /**
+   * Get loads with released/blocked totals
+   */
+  getStatus() {
+    const managed = this.getManagedLoads();
+
+    return {
+      loads: this.getAllLoads(),
+      totals: {
+        count: managed.length,
+        released: managed.filter(load => load.on).length,
+        blocked: managed.filter(load => !load.on).length,
+        releasedPower: this.getReleasedPower(),
+        blockedPower: managed.filter(load => !load.on).reduce((sum, load) => sum + load.power, 0)
+      }
+    };
+  }
+
+  async shutdown() {
+    // Leave the building running normally
+    for (const load of this.state.flexibleLoads.values()) {
+      if (!load.on) {
+        await this.switchLoad(load, true, null);
+      }
+    }
+
+    await this.modbusDriver.disconnectAll();
+
+    if (this.mqttDriver) {
+      await this.mqttDriver.disconnect();
+    }
+  }
+}
@@ -361,11 +361,11 @@ class HealthCheckService {
     // Load manager check
     if (managers.loadManager) {
       this.registerCheck('loadManager', async () => {
-        const isRunning = managers.loadManager.balancingInterval !== null;
+        const scheduler = managers.loadManager.getSchedulerStats();
         return {
-          healthy: isRunning,
-          message: isRunning ? 'Load manager running' : 'Load manager stopped',
-          details: { running: isRunning }
+          healthy: scheduler.started,
+          message: scheduler.started ? 'Load manager running' : 'Load manager stopped',
+          details: { running: scheduler.started, lastRunAt: scheduler.lastRunAt, runs: scheduler.runs }
         };
       }, { critical: true });
     }
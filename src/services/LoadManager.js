@@ -6,263 +6,1979 @@
  * - Station priorities
  * - Schedules
  * - Building/housing unit limits
+ * - Electrical topology limits (transformers, feeders)
+ *
+ * Power is allocated per charging point: each connector of a
+ * multi-connector station is allocated on its own, within the station's
+ * shared supply (see utils/ChargingPoints.js).
  */
 
+import siteConstraintsManager from './SiteConstraintsManager.js';
+import { CapacityTree } from '../utils/CapacityTree.js';
+import { combineCurves } from '../utils/TimeSeries.js';
+import { createDefaultStrategies } from './AllocationStrategies.js';
+import deadlinePlanner from './DeadlinePlanner.js';
+import costPlanner from './CostPlanner.js';
+import { isGreenMode } from './CarbonIntensityManager.js';
+import { AllocationHistoryStore } from './AllocationHistoryStore.js';
+import { ChargingRotation } from './ChargingRotation.js';
+import { RebalanceScheduler } from '../utils/RebalanceScheduler.js';
+import { PeakDemandManager } from './PeakDemandManager.js';
+import { FairnessLedger } from './FairnessLedger.js';
+import { ExportLimitController } from './ExportLimitController.js';
+import loadSheddingService from './LoadSheddingService.js';
+import auditLogger from './AuditLogger.js';
+import { getAllChargingPoints, aggregateConnectors, isMultiConnector } from '../utils/ChargingPoints.js';
+
+const DEFAULT_STRATEGY = 'priority_fill';
+const HISTORY_HEARTBEAT = 60000; // Persist unchanged allocations at least once a minute
+const FALLBACK_INTERVAL = 5000; // ms, rebalance at least this often
+const EPSILON = 0.01; // kW
+
+const BATTERY_SURPLUS_MARGIN = 0.5; // kW of PV surplus left to the grid when charging batteries
+
+// Physical limits that still apply when charging is raised to absorb PV export
+const EXPORT_LIMITED_NODE_TYPES = ['zone', 'feeder', 'transformer'];
+const FAIRNESS_DEBT_STEP = 0.5; // kWh, smaller debt differences do not reorder stations
+
 export class LoadManager {
   constructor(state) {
     this.state = state;
-    this.updateInterval = null;
-    this.allocationHistory = [];
+    this.scheduler = new RebalanceScheduler(() => this.balanceLoad(), {
+      debounce: state.config.rebalanceDebounce,
+      maxDelay: state.config.rebalanceMaxDelay,
+      fallbackInterval: state.config.rebalanceFallbackInterval || FALLBACK_INTERVAL
+    });
+    this.history = new AllocationHistoryStore({
+      retentionDays: state.config.allocationHistoryDays
+    });
+    this.lastHistorySignature = null;
+    this.lastHistoryWrite = 0;
+    this.constraintSummary = [];
+    this.capacityTree = null;
+    this.sessionPlans = [];
+    this.costPlans = new Map(); // stationId -> price-optimized charging plan
+    this.explanations = new Map(); // stationId -> decision trace of the last cycle
+    this.rotation = new ChargingRotation();
+    this.peakDemand = new PeakDemandManager({
+      intervalMinutes: state.config.demandIntervalMinutes
+    });
+    this.demandChargingLimit = null;
+    this.fairness = new FairnessLedger({
+      windowDays: state.config.fairnessWindowDays
+    });
+    this.sheddingOverrides = new Map(); // stationId -> { power, level, action, reason }
+    this.temporaryGridLimits = new Map(); // source -> { limit, reason, until }
+    this.exportLimit = new ExportLimitController({
+      margin: state.config.exportLimitMargin,
+      alertTolerance: state.config.exportAlertTolerance,
+      alertDelaySeconds: state.config.exportAlertDelay
+    });
+    this.exportLimitStatus = null;
+    this.lastCurtailmentError = null;
+    this.batteryDispatch = null; // Battery power set in the last cycle
+    this.flexibleLoadPlan = null; // Flexible loads released/blocked in the last cycle
+
+    // Allocation strategies
+    this.strategies = new Map();
+    for (const strategy of createDefaultStrategies()) {
+      this.registerStrategy(strategy);
+    }
+  }
+
+  async initialize() {
+    console.log('⚡ Initializing Load Manager...');
+
+    await this.history.initialize();
+    await this.peakDemand.initialize();
+    await this.fairness.initialize();
+
+    // Rebalance on events, with a periodic fallback tick
+    this.scheduler.start();
+    this.requestRebalance('startup');
+
+    console.log('✅ Load Manager initialized');
+  }
+
+  /**
+   * Request a load balancing cycle
+   * Requests are coalesced and never run concurrently. A measured overload
+   * is handled without debounce.
+   */
+  requestRebalance(reason, { urgent = false } = {}) {
+    this.scheduler.request(reason, { urgent: urgent || this.isOverloaded() });
+  }
+
+  /**
+   * Check if measured building load plus charging exceeds site capacity
+   */
+  isOverloaded() {
+    const { load, capacity } = this.measureSiteLoad();
+    return load > capacity;
+  }
+
+  /**
+   * Measured site load (building + charging) and site capacity (grid + PV)
+   */
+  measureSiteLoad() {
+    const { maxGridCapacity, pvSystemEnabled } = this.state.config;
+    const { chargingLoad = 0, pvProduction = 0 } = this.state.currentLoad;
+
+    // A discharging battery adds supply, a charging one adds load
+    return {
+      load: this.getBuildingLoad() + chargingLoad,
+      capacity: maxGridCapacity + (pvSystemEnabled ? pvProduction : 0) - this.getBatteryPower()
+    };
+  }
+
+  /**
+   * Main load balancing algorithm
+   * Run through requestRebalance() so cycles never overlap.
+   */
+  async balanceLoad() {
+    try {
+      const stations = getAllChargingPoints(this.state.stations);
+      const activeStations = stations.filter(isAllocatable);
+
+      // Track the demand interval with the load measured before this cycle
+      let chargingLimit = this.trackDemand();
+
+      // Escalate or de-escalate load shedding on the measured load
+      this.evaluateLoadShedding(activeStations);
+
+      if (activeStations.length === 0) {
+        this.costPlans.clear();
+        this.fairness.record([], () => 0);
+        this.state.sessionStore?.recordCycle([]);
+        this.explanations.clear();
+        this.rotation.reset();
+        this.applyExportLimit([]);
+        await this.switchFlexibleLoads(this.planFlexibleLoads([], {
+          availableCapacity: this.calculateAvailableCapacity(),
+          chargingLimit,
+          serviceLimit: this.getServiceChargingLimit(),
+          temporaryLimit: this.getTemporaryChargingLimit()
+        }));
+        await this.dispatchBatteries([], {});
+        this.updateCurrentLoad(0, 0);
+        return;
+      }
+
+      // Calculate available capacity
+      let availableCapacity = this.calculateAvailableCapacity();
+      let serviceLimit = this.getServiceChargingLimit();
+      let temporaryLimit = this.getTemporaryChargingLimit();
+
+      // Release flexible loads by priority against the charging demand; the
+      // limits above contain the released loads through the building load
+      const flexiblePlan = this.planFlexibleLoads(activeStations, { availableCapacity, chargingLimit, serviceLimit, temporaryLimit });
+      const flexibleBoost = flexiblePlan ? flexiblePlan.boost : 0;
+      if (flexibleBoost !== 0) {
+        availableCapacity = Math.max(0, availableCapacity + flexibleBoost);
+        chargingLimit = chargingLimit !== null ? Math.max(0, chargingLimit + flexibleBoost) : null;
+        serviceLimit = serviceLimit && { ...serviceLimit, limit: Math.max(0, serviceLimit.limit + flexibleBoost) };
+        temporaryLimit = temporaryLimit && { ...temporaryLimit, limit: Math.max(0, temporaryLimit.limit + flexibleBoost) };
+      }
+
+      // Battery discharge can cover charging beyond the grid-side limits
+      const batteryBoost = this.state.batteryManager ? this.state.batteryManager.getAvailableDischarge() : 0;
+
+      // Shift flexible sessions to cheap price slots
+      const costPlans = this.planChargingCosts(activeStations);
+
+      // Get stations sorted by priority
+      const prioritizedStations = this.prioritizeStations(activeStations);
+
+      // Let starved sessions take turns when capacity is short
+      const rotationSettings = this.getRotationSettings();
+      const orderedStations = this.rotation.order(prioritizedStations, rotationSettings);
+
+      // Distribute power
+      const allocations = this.distributePower(orderedStations, availableCapacity, { chargingLimit, serviceLimit, temporaryLimit, costPlans, batteryBoost });
+
+      if (this.rotation.update(allocations, rotationSettings)) {
+        this.state.broadcast({
+          type: 'load.rotation.updated',
+          data: this.getRotation()
+        });
+      }
+
+      // Shedding actions override the strategy until de-escalation
+      this.applyLoadShedding(allocations);
+
+      // Absorb PV export above the export limit, curtail what is left
+      this.applyExportLimit(allocations);
+
+      // Hold back small/frequent setpoint changes (deadband, dwell time, ramp)
+      this.stabilizeSetpoints(allocations);
+
+      // Check sessions against their departure deadlines
+      this.evaluateSessionPlans(allocations);
+
+      // Record why each station got its power
+      this.explainAllocations(allocations, availableCapacity, { batteryBoost, flexibleBoost });
+
+      // Block flexible loads before charging takes their capacity
+      await this.switchFlexibleLoads(flexiblePlan);
+
+      // Apply allocations
+      await this.applyAllocations(allocations);
+
+      // Add energy, peak power and allocation changes to the session records
+      this.state.sessionStore?.recordCycle(allocations);
+
+      // Discharge batteries for charging beyond the grid-side limits, or charge them from PV surplus
+      await this.dispatchBatteries(allocations, { availableCapacity, chargingLimit, serviceLimit, temporaryLimit });
+
+      // Account delivered energy against each user's fair share
+      const strategy = this.getActiveStrategy();
+      this.fairness.record(allocations, station => strategy.getLimits(station, this.state.config).targetPower);
+
+      // Update current load metrics
+      const totalAllocated = allocations.reduce((sum, a) => sum + a.power, 0);
+      const effectiveCapacity = Math.min(
+        availableCapacity,
+        serviceLimit ? serviceLimit.limit : Infinity,
+        temporaryLimit ? temporaryLimit.limit : Infinity
+      );
+      this.updateCurrentLoad(totalAllocated, effectiveCapacity);
+
+      // Log allocation
+      this.logAllocation(allocations);
+
+      // Broadcast update
+      this.state.broadcast({
+        type: 'load.updated',
+        data: {
+          totalLoad: this.state.currentLoad.total,
+          availableCapacity: this.state.currentLoad.available,
+          pvProduction: this.state.currentLoad.pvProduction,
+          allocations: allocations.map(a => ({
+            stationId: a.station.id,
+            stationName: a.station.name,
+            connectorId: a.station.connectorId,
+            power: a.power,
+            priority: a.station.priority,
+            reason: a.reason,
+            bindingConstraint: a.bindingConstraint
+          })),
+          sessionsAtRisk: this.sessionPlans.filter(p => p.atRisk).map(p => p.stationId),
+          sheddingLevel: loadSheddingService.sheddingLevel
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in load balancing:', error);
+    }
+  }
+
+  /**
+   * Calculate available capacity considering grid, PV, and other consumers
+   */
+  calculateAvailableCapacity() {
+    const { maxGridCapacity, pvSystemEnabled } = this.state.config;
+
+    // Subtract actual building consumption from energy meters (if available)
+    const buildingLoad = this.getBuildingLoad();
+
+    // Update state with actual building consumption
+    this.state.currentLoad.buildingConsumption = buildingLoad;
+
+    return this.computeAvailableCapacity({
+      maxGridCapacity,
+      pvProduction: pvSystemEnabled ? this.state.currentLoad.pvProduction : 0,
+      buildingLoad
+    });
+  }
+
+  /**
+   * Charging limit from the measured service entrance headroom
+   * (SiteConstraintsManager: NEC 625 continuous factor, phase currents,
+   * imbalance). Returns null without a recent service measurement.
+   */
+  getServiceChargingLimit() {
+    const service = siteConstraintsManager.getServiceHeadroom();
+    if (!service) return null;
+
+    // Headroom is on top of the charging and battery load included in the measurement
+    const chargingLoad = this.state.currentLoad.chargingLoad || 0;
+    const batteryPower = this.getBatteryPower();
+
+    return {
+      limit: Math.max(0, chargingLoad + batteryPower + service.headroom),
+      name: `Service entrance (${service.binding.message})`,
+      binding: service.binding.type
+    };
+  }
+
+  /**
+   * Set a temporary grid import limit (kW) below the configured capacity,
+   * e.g. from a demand response event. One limit per source; the lowest applies.
+   */
+  setTemporaryGridLimit(source, limit, { reason = null, until = null } = {}) {
+    if (typeof limit !== 'number' || limit < 0) {
+      throw new Error('Invalid limit value');
+    }
+
+    this.temporaryGridLimits.set(source, {
+      limit,
+      reason,
+      until: until ? new Date(until).toISOString() : null
+    });
+
+    this.requestRebalance('temporary_grid_limit', { urgent: true });
+  }
+
+  /**
+   * Remove the temporary grid limit of a source
+   */
+  clearTemporaryGridLimit(source) {
+    if (this.temporaryGridLimits.delete(source)) {
+      this.requestRebalance('temporary_grid_limit');
+    }
+  }
+
+  /**
+   * Charging limit from the lowest temporary grid limit (grid limit + PV -
+   * building load, like the configured capacity). Expired limits are removed.
+   */
+  getTemporaryChargingLimit(now = Date.now()) {
+    let lowest = null;
+
+    for (const [source, entry] of this.temporaryGridLimits) {
+      if (entry.until && new Date(entry.until).getTime() <= now) {
+        this.temporaryGridLimits.delete(source);
+        continue;
+      }
+
+      if (!lowest || entry.limit < lowest.limit) {
+        lowest = { source, ...entry };
+      }
+    }
+
+    if (!lowest) return null;
+
+    const { pvSystemEnabled } = this.state.config;
+
+    return {
+      limit: this.computeAvailableCapacity({
+        maxGridCapacity: lowest.limit,
+        pvProduction: pvSystemEnabled ? this.state.currentLoad.pvProduction : 0,
+        buildingLoad: this.getBuildingLoad()
+      }),
+      name: `Temporary grid limit ${lowest.limit.toFixed(1)} kW (${lowest.reason || lowest.source})`
+    };
+  }
+
+  /**
+   * Get active temporary grid limits
+   */
+  getTemporaryGridLimits() {
+    return Array.from(this.temporaryGridLimits.entries()).map(([source, entry]) => ({ source, ...entry }));
+  }
+
+  /**
+   * Get measured building (non-charging) load
+   */
+  getBuildingLoad() {
+    if (this.state.energyMeterManager) {
+      const consumption = this.state.energyMeterManager.getBuildingConsumption();
+      return consumption.currentPower || 0;
+    }
+
+    // Fallback to simulated/estimated consumption
+    return this.state.currentLoad.gridConsumption || 0;
+  }
+
+  /**
+   * Record grid import in the current demand interval and derive the
+   * charging power that keeps the interval below the monthly peak target
+   * Returns the charging limit (kW), or null when peak shaving is off.
+   */
+  trackDemand() {
+    const { config, currentLoad } = this.state;
+    const buildingLoad = this.getBuildingLoad();
+    const pvProduction = config.pvSystemEnabled ? (currentLoad.pvProduction || 0) : 0;
+    const gridImport = Math.max(0, buildingLoad + (currentLoad.chargingLoad || 0) + this.getBatteryPower() - pvProduction);
+
+    const completed = this.peakDemand.record(gridImport);
+    if (completed) {
+      this.state.broadcast({
+        type: 'energy.demand.interval',
+        data: {
+          interval: completed,
+          monthlyPeak: this.peakDemand.getMonthlyPeak()
+        }
+      });
+    }
+
+    if (!config.peakShavingEnabled) {
+      this.demandChargingLimit = null;
+      return null;
+    }
+
+    const target = this.peakDemand.getTarget(config.peakDemandThreshold);
+    const importLimit = this.peakDemand.getImportLimit(target);
+
+    this.demandChargingLimit = Math.max(0, importLimit - buildingLoad + pvProduction);
+    return this.demandChargingLimit;
+  }
+
+  /**
+   * Get peak demand status: billing peak, target and current interval
+   */
+  getPeakDemandStatus() {
+    const { config } = this.state;
+    const target = this.peakDemand.getTarget(config.peakDemandThreshold);
+
+    return {
+      enabled: config.peakShavingEnabled === true,
+      intervalMinutes: this.peakDemand.intervalMinutes,
+      configuredTarget: config.peakDemandThreshold,
+      target,
+      monthlyPeak: this.peakDemand.getMonthlyPeak(),
+      currentInterval: this.peakDemand.getCurrentInterval(),
+      importLimit: this.peakDemand.getImportLimit(target),
+      chargingLimit: this.demandChargingLimit,
+      recentIntervals: this.peakDemand.recentIntervals.slice(-8)
+    };
+  }
+
+  /**
+   * Configure peak shaving and persist the settings
+   */
+  async setPeakShaving({ enabled, target }) {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+
+    if (target !== undefined && (typeof target !== 'number' || target <= 0)) {
+      throw new Error('Invalid target value');
+    }
+
+    this.state.persistence.setConfig(this.state, {
+      peakShavingEnabled: enabled,
+      peakDemandThreshold: target
+    });
+
+    await this.state.persistence.save(this.state);
+
+    this.requestRebalance('peak_shaving_changed');
+
+    return this.getPeakDemandStatus();
+  }
+
+  /**
+   * Run load shedding on the measured site load
+   * On escalation the service's actions become power caps that override the
+   * allocation strategy; on de-escalation the caps are raised or removed
+   * according to the restore actions.
+   */
+  evaluateLoadShedding(activeStations) {
+    const activeIds = new Set(activeStations.map(s => s.id));
+
+    // Caps end with the session
+    for (const stationId of this.sheddingOverrides.keys()) {
+      if (!activeIds.has(stationId)) {
+        this.sheddingOverrides.delete(stationId);
+      }
+    }
+
+    // Forced levels (demand response) apply even with load-based shedding disabled
+    const loadBased = this.state.config.loadSheddingEnabled === true;
+    if (!loadBased && loadSheddingService.getForcedLevel() === 0 && loadSheddingService.sheddingLevel === 0) {
+      this.sheddingOverrides.clear();
+      return null;
+    }
+
+    const measured = this.measureSiteLoad();
+    const capacity = measured.capacity;
+    const load = loadBased ? measured.load : 0;
+    if (capacity <= 0) return null;
+
+    const points = new Map(getAllChargingPoints(this.state.stations).map(point => [point.id, point]));
+    const transition = loadSheddingService.evaluate(load, capacity, points, this.state.flexibleLoads);
+
+    if (!transition) {
+      // Reset through the API while shedding was active
+      if (loadSheddingService.sheddingLevel === 0) {
+        this.sheddingOverrides.clear();
+      }
+      return null;
+    }
+
+    const escalated = transition.newLevel > transition.previousLevel;
+
+    if (transition.newLevel === 0) {
+      this.sheddingOverrides.clear();
+    } else if (escalated) {
+      for (const action of transition.actions) {
+        if (!points.has(action.stationId)) continue;
+
+        // Never raise a cap of a lower level while escalating
+        const existing = this.sheddingOverrides.get(action.stationId);
+        if (existing && existing.power <= action.newPower) continue;
+
+        this.sheddingOverrides.set(action.stationId, {
+          power: action.newPower,
+          level: transition.newLevel,
+          action: action.action,
+          reason: action.reason
+        });
+      }
+    } else {
+      this.restoreSheddingOverrides(points, transition.newLevel);
+    }
+
+    const type = escalated ? 'load.shedding.escalated' : 'load.shedding.deescalated';
+
+    this.state.broadcast({
+      type,
+      data: {
+        ...transition,
+        active: loadSheddingService.sheddingActive,
+        overrides: this.getSheddingOverrides()
+      }
+    });
+
+    auditLogger.logLoadManagement(
+      {
+        action: escalated ? 'load_shedding_escalated' : 'load_shedding_deescalated',
+        previousLevel: transition.previousLevel,
+        newLevel: transition.newLevel,
+        loadRatio: transition.loadRatio,
+        actions: transition.actions
+      },
+      { emergency: escalated && transition.newLevel >= 5 }
+    );
+
+    return transition;
+  }
+
+  /**
+   * Recompute every cap for a lower shedding level
+   * Restore actions only cover stations whose measured power is off, so
+   * caps are recomputed here rather than taken from the actions. Caps are
+   * only ever raised on de-escalation.
+   */
+  restoreSheddingOverrides(points, level) {
+    for (const [stationId, override] of this.sheddingOverrides) {
+      const station = points.get(stationId);
+      const power = loadSheddingService.getRestoredPower(station, level);
+
+      if (power >= (station.requestedPower || station.maxPower)) {
+        this.sheddingOverrides.delete(stationId);
+      } else if (power > override.power) {
+        this.sheddingOverrides.set(stationId, {
+          power,
+          level,
+          action: 'restore',
+          reason: `Partial restore to Level ${level}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Cap allocations of shed stations
+   * Freed capacity is not handed to other stations: shedding reacts to a
+   * measured overload the allocation did not foresee.
+   */
+  applyLoadShedding(allocations) {
+    for (const allocation of allocations) {
+      const override = this.sheddingOverrides.get(allocation.station.id);
+      if (!override || allocation.power <= override.power) continue;
+
+      allocation.adjustments = [
+        ...(allocation.adjustments || []),
+        { type: 'load_shedding', from: allocation.power, to: override.power, reason: override.reason }
+      ];
+      allocation.power = override.power;
+      allocation.reason = 'load_shedding';
+      allocation.bindingConstraint = {
+        type: 'load_shedding',
+        id: 'load_shedding',
+        name: `Load shedding level ${override.level}`,
+        limit: override.power
+      };
+    }
+  }
+
+  /**
+   * Get active shedding caps per station
+   */
+  getSheddingOverrides() {
+    return Array.from(this.sheddingOverrides.entries()).map(([stationId, override]) => ({
+      stationId,
+      ...override
+    }));
+  }
+
+  /**
+   * Get load shedding status including the caps applied to stations
+   */
+  getLoadSheddingStatus() {
+    return {
+      enabled: this.state.config.loadSheddingEnabled === true,
+      ...loadSheddingService.getStatus(),
+      overrides: this.getSheddingOverrides()
+    };
+  }
+
+  /**
+   * Effective export limit (kW): the lower of the absolute limit and the
+   * share of the PV peak power. Returns null when export is unlimited.
+   */
+  getExportLimit() {
+    const { exportLimitKW, exportLimitPercent, pvMaxCapacity } = this.state.config;
+    const limits = [];
+
+    if (exportLimitKW !== null && exportLimitKW !== undefined) {
+      limits.push(exportLimitKW);
+    }
+
+    if (exportLimitPercent !== null && exportLimitPercent !== undefined) {
+      limits.push(pvMaxCapacity * exportLimitPercent / 100);
+    }
+
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Keep PV export within the export limit
+   * Measured export above the limit is absorbed by raising charging, also
+   * of sessions held back by cost plans or rotation, up to station, zone,
+   * feeder and transformer limits. Grid import limits do not apply: the
+   * extra power comes from PV that would otherwise be exported. What
+   * charging cannot absorb is curtailed at the inverter when enabled.
+   */
+  applyExportLimit(allocations, now = Date.now()) {
+    const { config, currentLoad } = this.state;
+    const limit = this.getExportLimit();
+
+    if (limit === null) {
+      this.exportLimitStatus = null;
+      this.setInverterCurtailment(null);
+      this.exportLimit.resetCurtailment();
+      this.handleExportAlert(this.exportLimit.checkAlert({ limit: Infinity, gridPower: 0 }, now));
+      return null;
+    }
+
+    const gridPower = siteConstraintsManager.getGridPower();
+    this.handleExportAlert(this.exportLimit.checkAlert({ limit, gridPower }, now));
+
+    if (gridPower === null) {
+      this.exportLimitStatus = { limit, gridPower: null, export: null, chargingFloor: null, raised: 0, shortfall: null };
+      return this.exportLimitStatus;
+    }
+
+    const floor = this.exportLimit.getChargingFloor({ limit, gridPower, chargingLoad: currentLoad.chargingLoad || 0 });
+    const total = allocations.reduce((sum, a) => sum + a.power, 0);
+    let needed = floor - total;
+    let spare = 0;
+
+    // Physical limits on the station paths; import-side nodes do not apply
+    const tree = this.capacityTree;
+    const pathNodes = allocation => (tree ? tree.getPath(allocation.station.id) : [])
+      .filter(node => EXPORT_LIMITED_NODE_TYPES.includes(node.type));
+    const nodeLoad = new Map();
+    for (const allocation of allocations) {
+      for (const node of pathNodes(allocation)) {
+        nodeLoad.set(node.id, (nodeLoad.get(node.id) || 0) + allocation.power);
+      }
+    }
+
+    const strategy = this.getActiveStrategy();
+
+    for (const allocation of allocations) {
+      const station = allocation.station;
+      if (station.status !== 'charging' || this.sheddingOverrides.has(station.id)) continue;
+
+      const { minPower, targetPower } = strategy.getLimits(station, config);
+      const nodes = pathNodes(allocation);
+      const room = Math.min(
+        targetPower - allocation.power,
+        ...nodes.map(node => node.limit - (nodeLoad.get(node.id) || 0))
+      );
+      if (room <= EPSILON) continue;
+
+      if (needed <= EPSILON) {
+        spare += room;
+        continue;
+      }
+
+      let raise = Math.min(room, needed);
+
+      // Charging cannot start below minimum power
+      if (allocation.power === 0 && raise < minPower) {
+        if (room < minPower) continue;
+        raise = minPower;
+      }
+
+      const from = allocation.power;
+      allocation.power += raise;
+      allocation.adjustments = [
+        ...(allocation.adjustments || []),
+        { type: 'export_limit', from, to: allocation.power, reason: `PV export above the ${limit.toFixed(1)} kW export limit` }
+      ];
+      allocation.reason = 'export_limit';
+      allocation.bindingConstraint = null;
+
+      for (const node of nodes) {
+        nodeLoad.set(node.id, (nodeLoad.get(node.id) || 0) + raise);
+      }
+
+      needed -= raise;
+      spare += room - raise;
+    }
+
+    const shortfall = Math.max(0, needed);
+
+    if (config.pvCurtailmentEnabled) {
+      this.setInverterCurtailment(this.exportLimit.updateCurtailment({
+        shortfall,
+        spare,
+        pvProduction: currentLoad.pvProduction || 0,
+        maxCapacity: config.pvMaxCapacity
+      }));
+    } else {
+      this.setInverterCurtailment(null);
+      this.exportLimit.resetCurtailment();
+    }
+
+    this.exportLimitStatus = {
+      limit,
+      gridPower,
+      export: Math.max(0, -gridPower),
+      chargingFloor: floor,
+      raised: allocations
+        .flatMap(a => (a.adjustments || []).filter(adj => adj.type === 'export_limit'))
+        .reduce((sum, adj) => sum + adj.to - adj.from, 0),
+      shortfall
+    };
+
+    return this.exportLimitStatus;
+  }
+
+  /**
+   * Pass the curtailment limit to the inverter (PVManager skips unchanged limits)
+   */
+  setInverterCurtailment(limit) {
+    if (!this.state.pvManager) return;
+
+    this.state.pvManager.setCurtailment(limit).catch(error => {
+      // Retried every cycle; log each failure once
+      if (error.message !== this.lastCurtailmentError) {
+        console.error('[LoadManager] Inverter curtailment failed:', error.message);
+      }
+      this.lastCurtailmentError = error.message;
+    }).then(result => {
+      if (result) this.lastCurtailmentError = null;
+    });
+  }
+
+  /**
+   * Broadcast, record and audit export limit alerts
+   */
+  handleExportAlert(change) {
+    if (!change) return;
+
+    // A change of violation type clears the old alert before raising the new one
+    if (change.cleared) {
+      this.state.broadcast({
+        type: 'alert.cleared',
+        data: { source: 'export_limit', ...change.cleared }
+      });
+
+      auditLogger.logLoadManagement({ action: 'export_limit_alert_cleared', ...change.cleared });
+    }
+
+    if (change.raised) {
+      siteConstraintsManager.recordViolations('export', [change.raised]);
+
+      this.state.broadcast({
+        type: 'alert.triggered',
+        data: { source: 'export_limit', ...change.raised }
+      });
+
+      auditLogger.logLoadManagement({ action: 'export_limit_alert', ...change.raised });
+    }
+  }
+
+  /**
+   * Get export limit status: limit, measured export, charging raised and curtailment
+   */
+  getExportLimitStatus() {
+    const { config } = this.state;
+
+    return {
+      limitKW: config.exportLimitKW ?? null,
+      limitPercent: config.exportLimitPercent ?? null,
+      effectiveLimit: this.getExportLimit(),
+      curtailmentEnabled: config.pvCurtailmentEnabled === true,
+      curtailment: this.state.pvManager?.getCurtailment() || null,
+      lastCycle: this.exportLimitStatus,
+      alert: this.exportLimit.alert
+    };
+  }
+
+  /**
+   * Configure the export limit and persist the settings
+   * limitKW / limitPercent: number or null (no limit of that kind)
+   */
+  async setExportLimit({ limitKW, limitPercent, curtailmentEnabled }) {
+    if (limitKW !== undefined && limitKW !== null && (typeof limitKW !== 'number' || limitKW < 0)) {
+      throw new Error('Invalid limitKW value');
+    }
+
+    if (limitPercent !== undefined && limitPercent !== null &&
+        (typeof limitPercent !== 'number' || limitPercent < 0 || limitPercent > 100)) {
+      throw new Error('Invalid limitPercent value');
+    }
+
+    if (curtailmentEnabled !== undefined && typeof curtailmentEnabled !== 'boolean') {
+      throw new Error('curtailmentEnabled must be a boolean');
+    }
+
+    this.state.persistence.setConfig(this.state, {
+      exportLimitKW: limitKW,
+      exportLimitPercent: limitPercent,
+      pvCurtailmentEnabled: curtailmentEnabled
+    });
+
+    await this.state.persistence.save(this.state);
+
+    this.requestRebalance('export_limit_changed', { urgent: true });
+
+    return this.getExportLimitStatus();
+  }
+
+  /**
+   * Decide which flexible loads are released this cycle
+   * Stations and loads take the capacity left with all flexible loads
+   * blocked in priority order (stations first on equal priority); a load
+   * is released when its power rating still fits. Loads covered by the
+   * shedding level stay blocked, and min on/off times hold a load in its
+   * current state.
+   * @returns {Object|null} { boost, decisions } - boost is the capacity (kW)
+   *   freed for charging (negative when more loads are released), null
+   *   without managed loads
+   */
+  planFlexibleLoads(activeStations, { availableCapacity, chargingLimit = null, serviceLimit = null, temporaryLimit = null }) {
+    const manager = this.state.flexibleLoadManager;
+    const loads = manager ? manager.getManagedLoads() : [];
+
+    if (loads.length === 0) {
+      this.flexibleLoadPlan = null;
+      return null;
+    }
+
+    const now = Date.now();
+    const strategy = this.getActiveStrategy();
+    const releasedPower = manager.getReleasedPower();
+
+    let remaining = Math.min(
+      availableCapacity,
+      chargingLimit ?? Infinity,
+      serviceLimit ? serviceLimit.limit : Infinity,
+      temporaryLimit ? temporaryLimit.limit : Infinity
+    ) + releasedPower;
+
+    const entries = [
+      ...activeStations.map(station => ({ station, priority: station.priority || 5 })),
+      ...loads.map(load => ({ load, priority: load.priority }))
+    ].sort((a, b) => (b.priority - a.priority) || ((b.station ? 1 : 0) - (a.station ? 1 : 0)));
+
+    const decisions = [];
+
+    for (const { station, load } of entries) {
+      if (station) {
+        remaining -= strategy.getLimits(station, this.state.config).targetPower;
+        continue;
+      }
+
+      let on = true;
+      let reason = null;
+      if (loadSheddingService.shouldShedFlexibleLoad(load)) {
+        on = false;
+        reason = 'load_shedding';
+      } else if (load.power > remaining + EPSILON) {
+        on = false;
+        reason = 'capacity';
+      }
+
+      const held = !manager.canSwitch(load, on, now);
+      if (held) {
+        on = load.on;
+        reason = load.reason;
+      }
+
+      if (on) {
+        remaining -= load.power;
+      }
+
+      decisions.push({ load, on, reason, held });
+    }
+
+    const plannedPower = decisions.filter(d => d.on).reduce((sum, d) => sum + d.load.power, 0);
+
+    this.flexibleLoadPlan = {
+      timestamp: new Date(now).toISOString(),
+      releasedPower: plannedPower,
+      blockedPower: decisions.filter(d => !d.on).reduce((sum, d) => sum + d.load.power, 0),
+      boost: releasedPower - plannedPower,
+      loads: decisions.map(({ load, on, reason, held }) => ({
+        loadId: load.id,
+        loadName: load.name,
+        power: load.power,
+        priority: load.priority,
+        on,
+        reason,
+        held
+      }))
+    };
+
+    return { boost: this.flexibleLoadPlan.boost, decisions };
+  }
+
+  /**
+   * Switch flexible loads as planned, blocking before releasing
+   */
+  async switchFlexibleLoads(plan) {
+    if (!plan) return;
+
+    const manager = this.state.flexibleLoadManager;
+    const ordered = [...plan.decisions].sort((a, b) => Number(a.on) - Number(b.on));
+
+    for (const { load, on, reason } of ordered) {
+      await manager.switchLoad(load, on, reason);
+    }
+  }
+
+  /**
+   * Measured battery power (kW), positive = charging, 0 without batteries
+   */
+  getBatteryPower() {
+    return this.state.batteryManager ? this.state.batteryManager.getMeasuredPower() : 0;
+  }
+
+  /**
+   * Set battery power for this cycle
+   * Charging above the grid-side limits (grid capacity, peak demand target,
+   * service entrance, temporary limits) is covered by discharging. Otherwise
+   * PV that would be exported after charging is stored.
+   */
+  async dispatchBatteries(allocations, { availableCapacity = Infinity, chargingLimit = null, serviceLimit = null, temporaryLimit = null }) {
+    const batteryManager = this.state.batteryManager;
+    if (!batteryManager || batteryManager.getAllBatteries().length === 0) {
+      this.batteryDispatch = null;
+      return null;
+    }
+
+    const total = allocations.reduce((sum, a) => sum + a.power, 0);
+    const gridLimit = Math.min(
+      availableCapacity,
+      chargingLimit ?? Infinity,
+      serviceLimit ? serviceLimit.limit : Infinity,
+      temporaryLimit ? temporaryLimit.limit : Infinity
+    );
+    const deficit = Math.max(0, total - gridLimit);
+    const surplus = deficit > EPSILON ? 0 : this.getPvSurplus(total);
+
+    let requested = 0;
+    let reason = null;
+    if (deficit > EPSILON) {
+      requested = -deficit;
+      reason = 'peak_support';
+    } else if (surplus > EPSILON) {
+      requested = surplus;
+      reason = 'pv_surplus';
+    }
+
+    const power = await batteryManager.dispatch(requested, reason);
+
+    this.batteryDispatch = {
+      timestamp: new Date().toISOString(),
+      requested,
+      power,
+      reason,
+      deficit,
+      surplus
+    };
+
+    return this.batteryDispatch;
+  }
+
+  /**
+   * PV power (kW) that would be exported with the planned charging power
+   * From the grid meter when measured (minus the charging and battery power
+   * it includes), otherwise from PV production and building load.
+   */
+  getPvSurplus(chargingPower) {
+    const { config, currentLoad } = this.state;
+    const gridPower = siteConstraintsManager.getGridPower();
+
+    const baseLoad = gridPower !== null
+      ? gridPower - (currentLoad.chargingLoad || 0) - this.getBatteryPower()
+      : this.getBuildingLoad() - (config.pvSystemEnabled ? (currentLoad.pvProduction || 0) : 0);
+
+    return Math.max(0, -(baseLoad + chargingPower) - BATTERY_SURPLUS_MARGIN);
+  }
+
+  /**
+   * Compute available capacity from grid limit, PV production and building load
+   */
+  computeAvailableCapacity({ maxGridCapacity, pvProduction, buildingLoad }) {
+    let baseCapacity = maxGridCapacity;
+
+    // Add PV production
+    if (pvProduction > 0) {
+      baseCapacity += pvProduction;
+    }
+
+    const available = baseCapacity - buildingLoad;
+
+    return Math.max(0, available);
+  }
+
+  /**
+   * Prioritize stations based on multiple factors
+   */
+  prioritizeStations(stations) {
+    const fairness = this.getFairnessSettings().enabled;
+    const debtRank = new Map(stations.map(s => [
+      s.id,
+      fairness && s.user?.id ? Math.round(this.fairness.getDebt(s.user.id) / FAIRNESS_DEBT_STEP) : 0
+    ]));
+
+    return stations.sort((a, b) => {
+      // Priority 1: Explicit priority level (1-10)
+      if (a.priority !== b.priority) {
+        return b.priority - a.priority; // Higher priority first
+      }
+
+      // Priority 2: RFID/User class priority
+      const aPriorityClass = a.user?.priorityClass || 5;
+      const bPriorityClass = b.user?.priorityClass || 5;
+      if (aPriorityClass !== bPriorityClass) {
+        return aPriorityClass - bPriorityClass; // Lower class number = higher priority
+      }
+
+      // Priority 3: Scheduled charging
+      if (a.scheduledCharging && !b.scheduledCharging) return -1;
+      if (!a.scheduledCharging && b.scheduledCharging) return 1;
+
+      // Priority 4: Fairness mode - users with the largest energy debt first
+      if (debtRank.get(a.id) !== debtRank.get(b.id)) {
+        return debtRank.get(b.id) - debtRank.get(a.id);
+      }
+
+      // Priority 5: First come, first served (charging start time)
+      const aStart = new Date(a.chargingStartedAt || 0);
+      const bStart = new Date(b.chargingStartedAt || 0);
+      return aStart - bStart;
+    });
+  }
+
+  /**
+   * Distribute available power among stations
+   * Delegates to the active allocation strategy. Every allocation respects
+   * all nodes on the station's path through the electrical topology
+   * (zone → feeder → transformer → grid) at once.
+   */
+  distributePower(stations, availableCapacity, limits = {}) {
+    const { allocations, tree } = this.computeAllocations(stations, availableCapacity, this.getActiveStrategy(), limits);
+
+    this.constraintSummary = tree.getSummary();
+    this.capacityTree = tree;
+
+    return allocations;
+  }
+
+  /**
+   * Run the allocation strategy without touching any state
+   */
+  computeAllocations(stations, availableCapacity, strategy = this.getActiveStrategy(), limits = {}) {
+    const tree = this.buildCapacityTree(stations, availableCapacity, limits);
+
+    const allocations = strategy.allocate(stations, tree, this.state.config);
+
+    return { allocations, tree };
+  }
+
+  /**
+   * What-if dry run: allocations for a hypothetical scenario
+   * Nothing is applied to stations, logged or broadcast.
+   */
+  simulate(scenario = {}) {
+    const { config, currentLoad } = this.state;
+
+    const numericFields = ['maxGridCapacity', 'pvProduction', 'buildingLoad'];
+    for (const field of numericFields) {
+      if (scenario[field] !== undefined && (typeof scenario[field] !== 'number' || scenario[field] < 0)) {
+        throw new Error(`Invalid ${field} value`);
+      }
+    }
+
+    if (scenario.strategy !== undefined && !this.strategies.has(scenario.strategy)) {
+      throw new Error(`Unknown allocation strategy: ${scenario.strategy}`);
+    }
+
+    for (const key of ['stations', 'additionalStations']) {
+      if (scenario[key] !== undefined && !Array.isArray(scenario[key])) {
+        throw new Error(`${key} must be an array`);
+      }
+    }
+
+    // Hypothetical stations replace the real ones; additional stations are added on top
+    const baseStations = scenario.stations
+      ? scenario.stations.map((s, i) => this.createSimulatedStation(s, i))
+      : getAllChargingPoints(this.state.stations).map(s => ({ ...s }));
+    const additionalStations = (scenario.additionalStations || [])
+      .map((s, i) => this.createSimulatedStation(s, baseStations.length + i));
+
+    const activeStations = [...baseStations, ...additionalStations].filter(isAllocatable);
+
+    const maxGridCapacity = scenario.maxGridCapacity ?? config.maxGridCapacity;
+    const pvProduction = scenario.pvProduction ??
+      (config.pvSystemEnabled ? currentLoad.pvProduction : 0);
+    const buildingLoad = scenario.buildingLoad ?? (currentLoad.buildingConsumption || 0);
+
+    const availableCapacity = this.computeAvailableCapacity({ maxGridCapacity, pvProduction, buildingLoad });
+    const strategy = scenario.strategy ? this.strategies.get(scenario.strategy) : this.getActiveStrategy();
+
+    const { allocations, tree } = this.computeAllocations(
+      this.prioritizeStations(activeStations),
+      availableCapacity,
+      strategy
+    );
+
+    const totalAllocated = allocations.reduce((sum, a) => sum + a.power, 0);
+
+    return {
+      scenario: {
+        maxGridCapacity,
+        pvProduction,
+        buildingLoad,
+        strategy: strategy.id,
+        stationCount: activeStations.length
+      },
+      availableCapacity,
+      totalAllocated,
+      remainingCapacity: availableCapacity - totalAllocated,
+      allocations: allocations.map(a => ({
+        stationId: a.station.id,
+        stationName: a.station.name,
+        zone: a.station.zone,
+        priority: a.station.priority,
+        power: a.power,
+        isMinimum: a.isMinimum,
+        reason: a.reason,
+        bindingConstraint: a.bindingConstraint
+      })),
+      constraints: tree.getSummary(),
+      sessionPlans: deadlinePlanner.evaluate(
+        allocations,
+        station => station.maxPower || config.maxChargingPowerPerStation
+      )
+    };
+  }
+
+  /**
+   * Build a hypothetical station for simulation
+   */
+  createSimulatedStation(stationData, index) {
+    if (!stationData || typeof stationData !== 'object') {
+      throw new Error(`Invalid station at index ${index}`);
+    }
+
+    // Reference an existing station by id to reuse its settings
+    const existing = stationData.id ? this.state.stations.get(stationData.id) : null;
+
+    return {
+      ...(existing || {}),
+      id: stationData.id || `simulated-${index + 1}`,
+      name: stationData.name || existing?.name || `Simulated Station ${index + 1}`,
+      zone: stationData.zone || existing?.zone || 'default',
+      status: stationData.status || existing?.status || 'charging',
+      priority: stationData.priority ?? existing?.priority ?? 5,
+      minPower: stationData.minPower ?? existing?.minPower,
+      maxPower: stationData.maxPower ?? existing?.maxPower,
+      requestedPower: stationData.requestedPower ?? existing?.requestedPower,
+      user: stationData.user ?? existing?.user ?? null,
+      chargingStartedAt: stationData.chargingStartedAt ?? existing?.chargingStartedAt ?? null,
+      departureTime: stationData.departureTime ?? existing?.departureTime ?? null,
+      energyRequired: stationData.energyRequired ?? existing?.energyRequired ?? null,
+      sessionEnergy: stationData.sessionEnergy ?? existing?.sessionEnergy ?? 0
+    };
+  }
+
+  /**
+   * Get setpoint stability settings of a station (site defaults where unset)
+   */
+  getSetpointControl(station) {
+    const { config } = this.state;
+    const settings = station.setpointControl || {};
+
+    return {
+      deadband: settings.deadband ?? config.setpointDeadband ?? 0.1, // kW
+      minDwellTime: settings.minDwellTime ?? config.setpointMinDwellTime ?? 0, // s
+      maxRampRate: settings.maxRampRate ?? config.setpointMaxRampRate ?? null // kW/s, null = unlimited
+    };
+  }
+
+  /**
+   * Limit setpoint changes to what the station tolerates
+   * Changes within the deadband, before the minimum dwell time has passed or
+   * faster than the ramp rate are held back. Decreases needed to keep the
+   * station or any node on its path within its limit, and load shedding
+   * decreases, are never held back.
+   */
+  stabilizeSetpoints(allocations, now = Date.now()) {
+    const tree = this.capacityTree;
+    const strategy = this.getActiveStrategy();
+    const held = new Map();
+
+    for (const allocation of allocations) {
+      const current = allocation.station.currentPower || 0;
+      const { setpoint, reason } = this.getStableSetpoint(allocation.station, current, allocation.power, now);
+
+      if (reason) {
+        held.set(allocation.station.id, { setpoint, reason });
+      }
+    }
+
+    if (held.size === 0) return;
+
+    // Load on every node if the held setpoints were applied
+    const nodeLoad = new Map();
+    for (const allocation of allocations) {
+      const power = held.get(allocation.station.id)?.setpoint ?? allocation.power;
+
+      for (const node of tree.getPath(allocation.station.id)) {
+        nodeLoad.set(node.id, (nodeLoad.get(node.id) || 0) + power);
+      }
+    }
+
+    for (const allocation of allocations) {
+      const entry = held.get(allocation.station.id);
+      if (!entry) continue;
+
+      if (entry.setpoint > allocation.power) {
+        const { targetPower } = strategy.getLimits(allocation.station, this.state.config);
+        const overloaded = allocation.reason === 'load_shedding' ||
+          entry.setpoint > targetPower + EPSILON ||
+          tree.getPath(allocation.station.id).some(node => nodeLoad.get(node.id) > node.limit + EPSILON);
+
+        // Safety: apply the decrease immediately
+        if (overloaded) continue;
+      }
+
+      allocation.adjustments = [
+        ...(allocation.adjustments || []),
+        { type: 'setpoint_stability', from: allocation.power, to: entry.setpoint, reason: entry.reason }
+      ];
+      allocation.power = entry.setpoint;
+    }
+  }
+
+  /**
+   * Get the setpoint a station should receive on its way to the target
+   * Returns a reason when the target is held back.
+   */
+  getStableSetpoint(station, current, target, now) {
+    const { deadband, minDwellTime, maxRampRate } = this.getSetpointControl(station);
+    const delta = target - current;
+
+    if (Math.abs(delta) <= deadband) {
+      return { setpoint: current, reason: delta === 0 ? null : 'deadband' };
+    }
+
+    const sinceLastChange = station.lastSetpointChange
+      ? now - new Date(station.lastSetpointChange).getTime()
+      : Infinity;
+
+    if (sinceLastChange < minDwellTime * 1000) {
+      return { setpoint: current, reason: 'min_dwell_time' };
+    }
+
+    if (maxRampRate) {
+      // Ramp over at most one balancing interval (or dwell time) per change
+      const elapsed = Math.min(sinceLastChange, Math.max(this.scheduler.fallbackInterval, minDwellTime * 1000));
+      const maxStep = maxRampRate * elapsed / 1000;
+      const minPower = station.minPower || this.state.config.minChargingPower;
+
+      if (delta > maxStep) {
+        // Charging cannot start below minimum power
+        return { setpoint: Math.min(target, Math.max(current + maxStep, minPower)), reason: 'ramp_limit' };
+      }
+
+      if (-delta > maxStep && current - maxStep >= minPower) {
+        return { setpoint: current - maxStep, reason: 'ramp_limit' };
+      }
+    }
+
+    return { setpoint: target, reason: null };
+  }
+
+  /**
+   * Evaluate allocations against session departure deadlines
+   */
+  evaluateSessionPlans(allocations) {
+    const { maxChargingPowerPerStation } = this.state.config;
+    const previouslyAtRisk = new Set(this.sessionPlans.filter(p => p.atRisk).map(p => p.stationId));
+
+    this.sessionPlans = deadlinePlanner.evaluate(
+      allocations,
+      station => station.maxPower || maxChargingPowerPerStation
+    );
+
+    // Notify when a session newly becomes at risk
+    for (const plan of this.sessionPlans) {
+      if (plan.atRisk && !previouslyAtRisk.has(plan.stationId)) {
+        this.state.broadcast({
+          type: 'station.session.at_risk',
+          data: plan
+        });
+      }
+    }
+
+    return this.sessionPlans;
+  }
+
+  /**
+   * Get deadline plans of sessions with departure time and energy need
+   */
+  getSessionPlans() {
+    return {
+      sessions: this.sessionPlans,
+      atRiskCount: this.sessionPlans.filter(p => p.atRisk).length
+    };
+  }
+
+  /**
+   * Plan flexible sessions over the price and carbon intensity curves
+   * Green mode sessions are planned for low carbon intensity when the
+   * current intensity is known; other sessions for low prices with tariff
+   * optimization enabled and a price for the current time.
+   * Returns stationId -> plan; its currentPower caps the station.
+   */
+  planChargingCosts(stations, now = Date.now()) {
+    this.costPlans = new Map();
+
+    const { tariffManager, carbonIntensityManager } = this.state;
+    if (!tariffManager) {
+      return this.costPlans;
+    }
+
+    const costEnabled = this.state.config.tariffOptimizationEnabled === true && tariffManager.getPrice(now) !== null;
+    const greenEnabled = !!carbonIntensityManager && carbonIntensityManager.getIntensity(now) !== null;
+
+    const objectives = new Map();
+    for (const station of stations) {
+      if (greenEnabled && isGreenMode(station)) {
+        objectives.set(station.id, 'carbon');
+      } else if (costEnabled) {
+        objectives.set(station.id, 'cost');
+      }
+    }
+
+    const departures = stations
+      .filter(s => objectives.has(s.id) && s.departureTime)
+      .map(s => new Date(s.departureTime).getTime())
+      .filter(time => time > now);
+    if (departures.length === 0) {
+      return this.costPlans;
+    }
+
+    const until = Math.max(...departures);
+    const curves = { price: tariffManager.getPriceCurve(now, until) };
+    if (greenEnabled) {
+      curves.intensity = carbonIntensityManager.getIntensityCurve(now, until);
+    }
+    const curve = combineCurves(curves);
+    const strategy = this.getActiveStrategy();
+
+    for (const station of stations) {
+      const objective = objectives.get(station.id);
+      if (!objective) continue;
+
+      const { minPower, targetPower } = strategy.getLimits(station, this.state.config);
+      const plan = costPlanner.planSession(station, targetPower, curve, { now, minPower, objective });
+
+      if (plan) {
+        this.costPlans.set(station.id, plan);
+      }
+    }
+
+    return this.costPlans;
+  }
+
+  /**
+   * Get the price-optimized and green charging plans of the last cycle
+   */
+  getCostPlans() {
+    const sessions = Array.from(this.costPlans.values());
+
+    return {
+      enabled: this.state.config.tariffOptimizationEnabled === true,
+      sessions,
+      greenSessions: sessions.filter(p => p.objective === 'carbon').length,
+      estimatedCost: sessions.reduce((sum, p) => sum + p.estimatedCost, 0),
+      savings: sessions.reduce((sum, p) => sum + p.savings, 0),
+      emissionsAvoided: sessions.reduce((sum, p) => sum + (p.emissionsAvoided || 0), 0)
+    };
+  }
+
+  /**
+   * Enable or disable price-optimized charging
+   */
+  async setTariffOptimization({ enabled }) {
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+
+    this.state.persistence.setConfig(this.state, { tariffOptimizationEnabled: enabled });
+
+    await this.state.persistence.save(this.state);
+
+    this.requestRebalance('tariff_optimization_changed');
+
+    return this.getCostPlans();
+  }
+
+  /**
+   * Record a decision trace per station for this allocation cycle
+   * Later stages append { type, from, to, reason } to allocation.adjustments
+   * when they change the strategy's result, so the trace shows every step
+   * that shaped the setpoint.
+   */
+  explainAllocations(allocations, availableCapacity, { batteryBoost = 0, flexibleBoost = 0 } = {}) {
+    const { config, currentLoad } = this.state;
+    const strategy = this.getActiveStrategy();
+    const timestamp = new Date().toISOString();
+    const capacity = {
+      maxGridCapacity: config.maxGridCapacity,
+      pvProduction: config.pvSystemEnabled ? (currentLoad.pvProduction || 0) : 0,
+      buildingLoad: currentLoad.buildingConsumption || 0,
+      batteryBoost,
+      flexibleBoost,
+      available: availableCapacity
+    };
+
+    this.explanations.clear();
+
+    allocations.forEach((allocation, index) => {
+      const station = allocation.station;
+      const limits = strategy.getLimits(station, config);
+      const sessionPlan = this.sessionPlans.find(p => p.stationId === station.id) || null;
+
+      this.explanations.set(station.id, {
+        stationId: station.id,
+        stationName: station.name,
+        timestamp,
+        strategy: strategy.id,
+        rank: index + 1,
+        activeStations: allocations.length,
+        priority: station.priority,
+        zone: station.zone || 'default',
+        limits,
+        minPass: allocation.minPass || null,
+        power: allocation.power,
+        isMinimum: allocation.isMinimum,
+        bindingConstraint: allocation.bindingConstraint || null,
+        reason: allocation.reason || null,
+        capacity,
+        adjustments: allocation.adjustments || [],
+        sessionPlan,
+        costPlan: this.costPlans.get(station.id) || null,
+        summary: describeAllocation(allocation, capacity)
+      });
+    });
+  }
+
+  /**
+   * Get the decision trace of a station from the last allocation cycle
+   */
+  getExplanation(stationId) {
+    return this.explanations.get(stationId) || null;
+  }
+
+  /**
+   * Build the capacity tree for this allocation cycle
+   * Nodes: grid (available capacity), peak demand charging limit, temporary
+   * grid limits (demand response), measured
+   * service entrance headroom, transformers and feeders from
+   * SiteConstraintsManager (configured limit, lowered by measured headroom),
+   * zones with a configured limit, the shared supply of multi-connector
+   * stations, and per-station cost plan limits.
+   */
+  buildCapacityTree(stations, availableCapacity, { chargingLimit = null, serviceLimit = null, temporaryLimit = null, costPlans = null, batteryBoost = 0 } = {}) {
+    const tree = new CapacityTree();
+    const topology = siteConstraintsManager.getTopology();
+
+    // Walk connector → station → feeder → transformer → service → grid
+    const paths = new Map();
+    for (const station of stations) {
+      const path = [`cost_plan:${station.id}`];
+
+      if (station.stationId) {
+        path.push(`station:${station.stationId}`);
+      }
+
+      path.push(`zone:${station.zone || 'default'}`);
+
+      for (const feeder of topology.feeders) {
+        if (!feeder.connectedStations.includes(station.stationId ?? station.id)) continue;
+
+        path.push(`feeder:${feeder.id}`);
+
+        for (const transformer of topology.transformers) {
+          if (transformer.connectedFeeders.includes(feeder.id)) {
+            path.push(`transformer:${transformer.id}`);
+          }
+        }
+      }
+
+      path.push('site_constraints', 'temporary_limit', 'peak_demand', 'grid');
+
+      paths.set(station.id, [...new Set(path)]);
+    }
+
+    // Measured headroom is on top of what stations behind the node draw now
+    const measuredLimit = (nodeId, limit, headroom) => {
+      if (headroom === null || headroom === undefined) return limit;
+
+      const charging = stations
+        .filter(s => paths.get(s.id).includes(nodeId))
+        .reduce((sum, s) => sum + (s.currentPower || 0), 0);
+      const measured = Math.max(0, charging + headroom);
+
+      return limit !== null ? Math.min(limit, measured) : measured;
+    };
+
+    // Grid-side limits; battery discharge is available on top of each of them
+    tree.addNode('grid', {
+      type: 'grid',
+      name: batteryBoost > 0 ? 'Grid connection + battery' : 'Grid connection',
+      limit: availableCapacity + batteryBoost
+    });
+
+    if (chargingLimit !== null) {
+      tree.addNode('peak_demand', { type: 'peak_demand', name: 'Monthly peak demand target', limit: chargingLimit + batteryBoost });
+    }
+
+    if (serviceLimit !== null) {
+      tree.addNode('site_constraints', { type: 'service', name: serviceLimit.name, limit: serviceLimit.limit + batteryBoost });
+    }
+
+    if (temporaryLimit !== null) {
+      tree.addNode('temporary_limit', { type: 'temporary_limit', name: temporaryLimit.name, limit: temporaryLimit.limit + batteryBoost });
+    }
+
+    for (const [stationId, plan] of costPlans || []) {
+      tree.addNode(`cost_plan:${stationId}`, {
+        type: plan.objective === 'carbon' ? 'green_plan' : 'cost_plan',
+        name: describeCostPlan(plan),
+        limit: plan.currentPower
+      });
+    }
+
+    // Connectors share the supply of their station
+    for (const station of stations) {
+      if (!station.stationId || tree.hasNode(`station:${station.stationId}`)) continue;
+
+      const parent = this.state.stations.get(station.stationId);
+      tree.addNode(`station:${station.stationId}`, {
+        type: 'station_supply',
+        name: `${parent?.name || station.stationId} supply`,
+        limit: parent?.maxPower ?? station.maxPower
+      });
+    }
+
+    for (const zone of this.state.zones.values()) {
+      const limit = this.getZoneLimit(zone.id);
+      if (limit !== null) {
+        tree.addNode(`zone:${zone.id}`, { type: 'zone', name: zone.name, limit });
+      }
+    }
+
+    for (const transformer of topology.transformers) {
+      const id = `transformer:${transformer.id}`;
+      const limit = measuredLimit(id, transformer.limit, transformer.headroom);
+
+      if (limit !== null) {
+        tree.addNode(id, { type: 'transformer', name: transformer.name, limit });
+      }
+    }
+
+    for (const feeder of topology.feeders) {
+      const id = `feeder:${feeder.id}`;
+      const limit = measuredLimit(id, feeder.limit, feeder.headroom);
+
+      if (limit !== null) {
+        tree.addNode(id, { type: 'feeder', name: feeder.name, limit });
+      }
+    }
+
+    for (const [stationId, path] of paths) {
+      tree.setPath(stationId, path);
+    }
+
+    return tree;
   }
 
-  async initialize() {
-    console.log('⚡ Initializing Load Manager...');
+  /**
+   * Register an allocation strategy
+   */
+  registerStrategy(strategy) {
+    this.strategies.set(strategy.id, strategy);
+  }
 
-    // Start periodic load balancing
-    this.updateInterval = setInterval(() => {
-      this.balanceLoad();
-    }, 5000); // Every 5 seconds
+  /**
+   * Get the configured strategy (falls back to priority fill)
+   */
+  getActiveStrategy() {
+    return this.strategies.get(this.state.config.allocationStrategy) ||
+      this.strategies.get(DEFAULT_STRATEGY);
+  }
 
-    console.log('✅ Load Manager initialized');
+  /**
+   * Get all strategies and the active one
+   */
+  getStrategies() {
+    return {
+      active: this.getActiveStrategy().id,
+      strategies: Array.from(this.strategies.values()).map(s => s.toJSON())
+    };
   }
 
   /**
-   * Main load balancing algorithm
+   * Select the allocation strategy and persist the choice
    */
-  balanceLoad() {
-    try {
-      const stations = Array.from(this.state.stations.values());
-      const activeStations = stations.filter(s => s.status === 'charging' || s.status === 'ready');
+  async setStrategy(strategyId) {
+    if (!this.strategies.has(strategyId)) {
+      throw new Error(`Unknown allocation strategy: ${strategyId}`);
+    }
 
-      if (activeStations.length === 0) {
-        this.updateCurrentLoad(0, 0);
-        return;
-      }
+    const previous = this.getActiveStrategy().id;
+    this.state.persistence.setConfig(this.state, { allocationStrategy: strategyId });
 
-      // Calculate available capacity
-      const availableCapacity = this.calculateAvailableCapacity();
+    await this.state.persistence.save(this.state);
 
-      // Get stations sorted by priority
-      const prioritizedStations = this.prioritizeStations(activeStations);
+    this.state.broadcast({
+      type: 'load.strategy.changed',
+      data: {
+        previous,
+        active: strategyId
+      }
+    });
 
-      // Distribute power
-      const allocations = this.distributePower(prioritizedStations, availableCapacity);
+    this.requestRebalance('strategy_changed');
 
-      // Apply allocations
-      this.applyAllocations(allocations);
+    return this.getStrategies();
+  }
 
-      // Update current load metrics
-      const totalAllocated = allocations.reduce((sum, a) => sum + a.power, 0);
-      this.updateCurrentLoad(totalAllocated, availableCapacity);
+  /**
+   * Get round-robin rotation settings
+   */
+  getRotationSettings() {
+    return {
+      enabled: this.state.config.rotationEnabled === true,
+      slotMinutes: this.state.config.rotationSlotMinutes || 15
+    };
+  }
 
-      // Log allocation
-      this.logAllocation(allocations);
+  /**
+   * Get the rotation schedule (charging stations, waiting queue, slot times)
+   * Note: the deadline strategy orders by urgency and overrides rotation order.
+   */
+  getRotation() {
+    return this.rotation.getSchedule(this.getRotationSettings());
+  }
 
-      // Broadcast update
-      this.state.broadcast({
-        type: 'load.updated',
-        data: {
-          totalLoad: this.state.currentLoad.total,
-          availableCapacity: this.state.currentLoad.available,
-          pvProduction: this.state.currentLoad.pvProduction,
-          allocations: allocations.map(a => ({
-            stationId: a.station.id,
-            stationName: a.station.name,
-            power: a.power,
-            priority: a.station.priority
-          }))
-        }
-      });
+  /**
+   * Configure round-robin rotation and persist the settings
+   */
+  async setRotation({ enabled, slotMinutes }) {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
 
-    } catch (error) {
-      console.error('Error in load balancing:', error);
+    if (slotMinutes !== undefined && (typeof slotMinutes !== 'number' || slotMinutes <= 0)) {
+      throw new Error('Invalid slotMinutes value');
     }
+
+    this.state.persistence.setConfig(this.state, {
+      rotationEnabled: enabled,
+      rotationSlotMinutes: slotMinutes
+    });
+
+    await this.state.persistence.save(this.state);
+
+    this.requestRebalance('rotation_changed');
+
+    const rotation = this.getRotation();
+
+    this.state.broadcast({
+      type: 'load.rotation.updated',
+      data: rotation
+    });
+
+    return rotation;
   }
 
   /**
-   * Calculate available capacity considering grid, PV, and other consumers
+   * Get fairness mode settings
    */
-  calculateAvailableCapacity() {
-    const { maxGridCapacity, pvSystemEnabled } = this.state.config;
+  getFairnessSettings() {
+    return {
+      enabled: this.state.config.fairnessEnabled === true,
+      windowDays: this.fairness.windowDays
+    };
+  }
 
-    let baseCapacity = maxGridCapacity;
+  /**
+   * Get the per-user energy debt ledger
+   * The ledger is kept whether or not fairness mode is enabled; the mode
+   * only decides if debts reorder stations.
+   */
+  getFairnessLedger() {
+    return {
+      ...this.getFairnessSettings(),
+      ...this.fairness.getLedger()
+    };
+  }
 
-    // Add PV production if enabled
-    if (pvSystemEnabled && this.state.currentLoad.pvProduction > 0) {
-      baseCapacity += this.state.currentLoad.pvProduction;
+  /**
+   * Configure fairness mode and persist the settings
+   */
+  async setFairness({ enabled, windowDays }) {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
     }
 
-    // Subtract actual building consumption from energy meters (if available)
-    let buildingLoad = 0;
-    if (this.state.energyMeterManager) {
-      const consumption = this.state.energyMeterManager.getBuildingConsumption();
-      buildingLoad = consumption.currentPower || 0;
-    } else {
-      // Fallback to simulated/estimated consumption
-      buildingLoad = this.state.currentLoad.gridConsumption || 0;
+    if (windowDays !== undefined && (typeof windowDays !== 'number' || windowDays <= 0)) {
+      throw new Error('Invalid windowDays value');
     }
 
-    // Update state with actual building consumption
-    this.state.currentLoad.buildingConsumption = buildingLoad;
+    this.state.persistence.setConfig(this.state, {
+      fairnessEnabled: enabled,
+      fairnessWindowDays: windowDays
+    });
 
-    const available = baseCapacity - buildingLoad;
+    if (windowDays !== undefined) {
+      this.fairness.windowDays = windowDays;
+    }
 
-    return Math.max(0, available);
+    await this.state.persistence.save(this.state);
+
+    this.requestRebalance('fairness_changed');
+
+    return this.getFairnessSettings();
   }
 
   /**
-   * Prioritize stations based on multiple factors
+   * Get power limit (kW) for a specific zone/housing unit
+   * The effective limit is the lower of the kW limit and the per-phase amp limit.
    */
-  prioritizeStations(stations) {
-    return stations.sort((a, b) => {
-      // Priority 1: Explicit priority level (1-10)
-      if (a.priority !== b.priority) {
-        return b.priority - a.priority; // Higher priority first
-      }
+  getZoneLimit(zoneId) {
+    const zone = this.state.zones.get(zoneId);
+    if (!zone) {
+      return null;
+    }
 
-      // Priority 2: RFID/User class priority
-      const aPriorityClass = a.user?.priorityClass || 5;
-      const bPriorityClass = b.user?.priorityClass || 5;
-      if (aPriorityClass !== bPriorityClass) {
-        return aPriorityClass - bPriorityClass; // Lower class number = higher priority
-      }
+    const limits = [];
 
-      // Priority 3: Scheduled charging
-      if (a.scheduledCharging && !b.scheduledCharging) return -1;
-      if (!a.scheduledCharging && b.scheduledCharging) return 1;
+    if (zone.maxPower) {
+      limits.push(zone.maxPower);
+    }
 
-      // Priority 4: First come, first served (charging start time)
-      const aStart = new Date(a.chargingStartedAt || 0);
-      const bStart = new Date(b.chargingStartedAt || 0);
-      return aStart - bStart;
-    });
+    if (zone.maxCurrentPerPhase) {
+      limits.push(zone.maxCurrentPerPhase * zone.voltage * zone.phases / 1000);
+    }
+
+    return limits.length > 0 ? Math.min(...limits) : null;
   }
 
   /**
-   * Distribute available power among stations
+   * Create a zone/housing unit with its contractual limits
    */
-  distributePower(stations, availableCapacity) {
-    const allocations = [];
-    const { minChargingPower, maxChargingPowerPerStation } = this.state.config;
+  async createZone(zoneData) {
+    if (!zoneData.id || typeof zoneData.id !== 'string') {
+      throw new Error('Zone id is required');
+    }
+
+    if (this.state.zones.has(zoneData.id)) {
+      throw new Error(`Zone ${zoneData.id} already exists`);
+    }
 
-    let remainingCapacity = availableCapacity;
+    const zone = {
+      id: zoneData.id,
+      name: zoneData.name || zoneData.id,
+      description: zoneData.description || '',
 
-    // First pass: Allocate minimum power to all stations
-    for (const station of stations) {
-      const minPower = station.minPower || minChargingPower;
+      // Limits (null = unlimited)
+      maxPower: null, // kW
+      maxCurrentPerPhase: null, // A
+      phases: 3,
+      voltage: 230, // Phase-to-neutral voltage, used to convert amps to kW
 
-      if (remainingCapacity >= minPower) {
-        const maxPower = station.maxPower || maxChargingPowerPerStation;
-        const requestedPower = station.requestedPower || maxPower;
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
 
-        // Allocate minimum or requested power (whichever is lower)
-        const allocated = Math.min(minPower, requestedPower, remainingCapacity);
+    this.applyZoneFields(zone, zoneData);
 
-        allocations.push({
-          station,
-          power: allocated,
-          isMinimum: true
-        });
+    this.state.zones.set(zone.id, zone);
 
-        remainingCapacity -= allocated;
-      } else {
-        // Not enough power for this station
-        allocations.push({
-          station,
-          power: 0,
-          isMinimum: false,
-          reason: 'insufficient_capacity'
-        });
-      }
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'zone.created',
+      data: zone
+    });
+
+    this.requestRebalance('zone_changed');
+
+    return zone;
+  }
+
+  /**
+   * Update a zone/housing unit
+   */
+  async updateZone(zoneId, updates) {
+    const zone = this.state.zones.get(zoneId);
+    if (!zone) {
+      throw new Error(`Zone ${zoneId} not found`);
     }
 
-    // Second pass: Distribute remaining capacity to stations that need more
-    if (remainingCapacity > 0) {
-      for (const allocation of allocations) {
-        if (allocation.power === 0) continue;
+    // Validate on a copy so a rejected update leaves the zone untouched
+    const updated = { ...zone };
+    this.applyZoneFields(updated, updates);
+    Object.assign(zone, updated, { updatedAt: new Date().toISOString() });
 
-        const station = allocation.station;
-        const maxPower = station.maxPower || maxChargingPowerPerStation;
-        const requestedPower = station.requestedPower || maxPower;
+    await this.state.persistence.save(this.state);
 
-        const additionalNeeded = Math.min(
-          requestedPower - allocation.power,
-          maxPower - allocation.power
-        );
+    this.state.broadcast({
+      type: 'zone.updated',
+      data: zone
+    });
 
-        if (additionalNeeded > 0 && remainingCapacity > 0) {
-          const additionalAllocated = Math.min(additionalNeeded, remainingCapacity);
-          allocation.power += additionalAllocated;
-          allocation.isMinimum = false;
-          remainingCapacity -= additionalAllocated;
-        }
-      }
+    this.requestRebalance('zone_changed');
+
+    return zone;
+  }
+
+  /**
+   * Delete a zone/housing unit (its stations become unlimited)
+   */
+  async deleteZone(zoneId) {
+    if (!this.state.zones.has(zoneId)) {
+      throw new Error(`Zone ${zoneId} not found`);
     }
 
-    // Handle housing unit/zone limits
-    this.applyZoneLimits(allocations);
+    this.state.zones.delete(zoneId);
 
-    return allocations;
+    await this.state.persistence.save(this.state);
+
+    this.state.broadcast({
+      type: 'zone.deleted',
+      data: { id: zoneId }
+    });
+
+    this.requestRebalance('zone_changed');
   }
 
   /**
-   * Apply power limits per housing unit or zone
+   * Validate and copy editable zone fields
    */
-  applyZoneLimits(allocations) {
-    const zoneGroups = new Map();
+  applyZoneFields(zone, data) {
+    const numericFields = ['maxPower', 'maxCurrentPerPhase', 'phases', 'voltage'];
 
-    // Group stations by zone
-    for (const allocation of allocations) {
-      const zone = allocation.station.zone || 'default';
-      if (!zoneGroups.has(zone)) {
-        zoneGroups.set(zone, []);
+    for (const field of numericFields) {
+      if (data[field] === undefined) continue;
+
+      // Limits can be cleared with null
+      if (data[field] === null && (field === 'maxPower' || field === 'maxCurrentPerPhase')) {
+        zone[field] = null;
+        continue;
+      }
+
+      if (typeof data[field] !== 'number' || data[field] <= 0) {
+        throw new Error(`Invalid ${field} value`);
       }
-      zoneGroups.get(zone).push(allocation);
+
+      zone[field] = data[field];
     }
 
-    // Check and enforce zone limits
-    for (const [zone, zoneAllocations] of zoneGroups) {
-      const totalZonePower = zoneAllocations.reduce((sum, a) => sum + a.power, 0);
+    if (zone.phases !== 1 && zone.phases !== 3) {
+      throw new Error('Invalid phases value (must be 1 or 3)');
+    }
 
-      // Get zone limit (could be configured per zone)
-      const zoneLimit = this.getZoneLimit(zone);
+    if (data.name !== undefined) {
+      zone.name = data.name;
+    }
 
-      if (zoneLimit && totalZonePower > zoneLimit) {
-        // Scale down all stations in this zone proportionally
-        const scale = zoneLimit / totalZonePower;
-        for (const allocation of zoneAllocations) {
-          allocation.power *= scale;
-          allocation.zoneLimited = true;
-        }
-      }
+    if (data.description !== undefined) {
+      zone.description = data.description;
     }
   }
 
   /**
-   * Get power limit for a specific zone/housing unit
+   * Get all zones with their effective limit and current usage
+   */
+  getZones() {
+    const stations = Array.from(this.state.stations.values());
+
+    return Array.from(this.state.zones.values()).map(zone => {
+      const zoneStations = stations.filter(s => (s.zone || 'default') === zone.id);
+      const currentPower = zoneStations.reduce((sum, s) => sum + (s.currentPower || 0), 0);
+      const effectiveLimit = this.getZoneLimit(zone.id);
+
+      return {
+        ...zone,
+        effectiveLimit,
+        currentPower,
+        stationCount: zoneStations.length,
+        utilizationPercent: effectiveLimit ? (currentPower / effectiveLimit) * 100 : null
+      };
+    });
+  }
+
+  /**
+   * Get a single zone with its effective limit and current usage
    */
-  getZoneLimit(zone) {
-    // This could be configured per zone
-    // For now, return null (no limit)
-    return null;
+  getZone(zoneId) {
+    return this.getZones().find(zone => zone.id === zoneId);
   }
 
   /**
    * Apply power allocations to stations
+   * Connector allocations are written back to the connector, and the
+   * station's totals are updated from its connectors.
    */
   async applyAllocations(allocations) {
     for (const allocation of allocations) {
       const station = allocation.station;
+      const stationId = station.stationId ?? station.id;
       const newPower = Math.round(allocation.power * 10) / 10; // Round to 1 decimal
 
-      // Only update if power changed significantly (>0.1 kW difference)
-      if (Math.abs((station.currentPower || 0) - newPower) > 0.1) {
-        station.currentPower = newPower;
-        station.lastUpdate = new Date().toISOString();
+      // Small changes were already held back by stabilizeSetpoints()
+      if (newPower !== (station.currentPower || 0)) {
+        for (const target of [station, station.connector].filter(Boolean)) {
+          target.currentPower = newPower;
+          target.lastUpdate = new Date().toISOString();
+          target.lastSetpointChange = target.lastUpdate;
+        }
+
+        if (station.connector) {
+          aggregateConnectors(this.state.stations.get(stationId));
+        }
 
         // Update physical station via protocol driver
         try {
-          await this.state.stationManager.setPower(station.id, newPower);
+          await this.state.stationManager.setPower(stationId, newPower, { updateRequest: false, connectorId: station.connectorId });
         } catch (error) {
           console.error(`Failed to set power for station ${station.id}:`, error.message);
         }
@@ -271,7 +1987,8 @@ export class LoadManager {
         this.state.broadcast({
           type: 'station.power.updated',
           data: {
-            stationId: station.id,
+            stationId,
+            connectorId: station.connectorId,
             power: newPower,
             reason: allocation.reason || 'load_balancing'
           }
@@ -302,25 +2019,38 @@ export class LoadManager {
 
   /**
    * Log allocation for history/analytics
+   * Cycles are persisted when an allocation or binding constraint changes,
+   * and at least once a minute while nothing changes.
    */
   logAllocation(allocations) {
+    const now = Date.now();
     const entry = {
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(now).toISOString(),
+      strategy: this.getActiveStrategy().id,
       allocations: allocations.map(a => ({
         stationId: a.station.id,
-        power: a.power,
+        power: Math.round(a.power * 100) / 100,
         priority: a.station.priority,
+        zone: a.station.zone,
+        zoneLimited: a.zoneLimited || false,
+        bindingConstraint: a.bindingConstraint,
         reason: a.reason
       })),
       totalAllocated: allocations.reduce((sum, a) => sum + a.power, 0),
       availableCapacity: this.state.currentLoad.available
     };
 
-    // Keep last 100 entries
-    this.allocationHistory.push(entry);
-    if (this.allocationHistory.length > 100) {
-      this.allocationHistory.shift();
+    const signature = entry.allocations
+      .map(a => `${a.stationId}:${a.power.toFixed(1)}:${a.bindingConstraint?.id || ''}`)
+      .join('|');
+
+    if (signature === this.lastHistorySignature && now - this.lastHistoryWrite < HISTORY_HEARTBEAT) {
+      return;
     }
+
+    this.lastHistorySignature = signature;
+    this.lastHistoryWrite = now;
+    this.history.append(entry);
   }
 
   /**
@@ -331,12 +2061,29 @@ export class LoadManager {
       currentLoad: this.state.currentLoad,
       gridCapacity: this.state.config.maxGridCapacity,
       utilizationPercent: (this.state.currentLoad.total / this.state.config.maxGridCapacity) * 100,
+      strategy: this.getActiveStrategy().id,
+      constraints: this.constraintSummary,
+      rotation: this.getRotation(),
+      fairness: this.getFairnessSettings(),
+      tariffOptimization: this.state.config.tariffOptimizationEnabled === true,
+      exportLimit: this.exportLimitStatus,
+      battery: this.batteryDispatch,
+      flexibleLoads: this.flexibleLoadPlan,
+      temporaryGridLimits: this.getTemporaryGridLimits(),
+      loadShedding: {
+        level: loadSheddingService.sheddingLevel,
+        overrides: this.getSheddingOverrides()
+      },
+      scheduler: this.scheduler.getStats(),
       stations: Array.from(this.state.stations.values()).map(s => ({
         id: s.id,
         name: s.name,
         currentPower: s.currentPower || 0,
         status: s.status,
-        priority: s.priority
+        priority: s.priority,
+        connectors: isMultiConnector(s)
+          ? s.connectors.map(c => ({ connectorId: c.connectorId, currentPower: c.currentPower || 0, status: c.status }))
+          : undefined
       }))
     };
   }
@@ -344,22 +2091,145 @@ export class LoadManager {
   /**
    * Set grid capacity limit
    */
-  setGridCapacity(capacity) {
-    this.state.config.maxGridCapacity = capacity;
-    this.balanceLoad(); // Rebalance immediately
+  async setGridCapacity(capacity) {
+    this.state.persistence.setConfig(this.state, { maxGridCapacity: capacity });
+
+    await this.state.persistence.save(this.state);
+
+    this.requestRebalance('grid_capacity_changed', { urgent: true });
+  }
+
+  /**
+   * Query persisted allocation history
+   * See AllocationHistoryStore.query() for the supported filters.
+   */
+  async getAllocationHistory(filters = {}) {
+    return this.history.query(filters);
   }
 
   /**
-   * Get allocation history
+   * Get rebalance scheduler statistics
    */
-  getAllocationHistory(limit = 10) {
-    return this.allocationHistory.slice(-limit);
+  getSchedulerStats() {
+    return this.scheduler.getStats();
   }
 
   async shutdown() {
-    if (this.updateInterval) {
-      clearInterval(this.updateInterval);
-    }
+    this.scheduler.stop();
+    await this.history.shutdown();
+    await this.fairness.shutdown();
     console.log('⚡ Load Manager shut down');
   }
 }
+
+/**
+ * Check if a station takes part in allocation: ready or charging, and not
+ * taken out of service by the operator
+ */
+function isAllocatable(station) {
+  return (station.status === 'charging' || station.status === 'ready') &&
+    (station.availability || 'operative') === 'operative';
+}
+
+/**
+ * One-line human readable explanation of an allocation
+ */
+function describeAllocation(allocation, capacity) {
+  const power = `${allocation.power.toFixed(1)} kW`;
+  const constraint = allocation.bindingConstraint;
+
+  if (allocation.reason === 'load_shedding') {
+    return `Shed to ${power}: ${allocation.adjustments.find(a => a.type === 'load_shedding').reason}`;
+  }
+
+  if (constraint?.type === 'cost_plan' && allocation.power === 0) {
+    return `Waiting for cheaper energy: ${describeConstraint(constraint, capacity)}`;
+  }
+
+  if (constraint?.type === 'green_plan' && allocation.power === 0) {
+    return `Waiting for low-carbon energy: ${describeConstraint(constraint, capacity)}`;
+  }
+
+  if (allocation.reason === 'export_limit') {
+    return `Raised to ${power}: ${allocation.adjustments.find(a => a.type === 'export_limit').reason}`;
+  }
+
+  if (allocation.reason === 'rotation_paused') {
+    return `Paused: taking turns with other sessions, next slot starts ${allocation.rotationResumesAt}`;
+  }
+
+  if (allocation.minPass && !allocation.minPass.admitted) {
+    return `Not charging: only ${allocation.minPass.headroom.toFixed(1)} kW headroom, ` +
+      `minimum is ${allocation.minPass.minPower.toFixed(1)} kW (${describeConstraint(constraint, capacity)})`;
+  }
+
+  if (!constraint) {
+    return `Allocated ${power}`;
+  }
+
+  return `Allocated ${power}, limited by ${describeConstraint(constraint, capacity)}`;
+}
+
+/**
+ * Describe a binding constraint node
+ */
+function describeConstraint(constraint, capacity) {
+  if (!constraint) {
+    return 'site capacity';
+  }
+
+  const limit = constraint.limit !== undefined && constraint.limit !== null
+    ? ` (${constraint.limit.toFixed(1)} kW)`
+    : '';
+
+  switch (constraint.type) {
+    case 'station':
+      return `the station's requested/rated power${limit}`;
+    case 'capability':
+      return `the charger's power capability${limit}`;
+    case 'station_supply':
+      return `the ${constraint.name} shared by its connectors${limit}`;
+    case 'service':
+      return `the ${constraint.name} (charging limited to ${constraint.limit.toFixed(1)} kW)`;
+    case 'temporary_limit':
+    case 'cost_plan':
+    case 'green_plan':
+      return constraint.name.charAt(0).toLowerCase() + constraint.name.slice(1);
+    case 'peak_demand':
+      return `the monthly peak demand target (charging limited to ${constraint.limit.toFixed(1)} kW)`;
+    case 'grid': {
+      const flexible = capacity.flexibleBoost > 0
+        ? ` + blocked flexible loads ${capacity.flexibleBoost.toFixed(1)} kW`
+        : (capacity.flexibleBoost < 0 ? ` - released flexible loads ${(-capacity.flexibleBoost).toFixed(1)} kW` : '');
+      const battery = capacity.batteryBoost > 0 ? ` + battery ${capacity.batteryBoost.toFixed(1)} kW` : '';
+      return capacity.pvProduction > 0
+        ? `site capacity: grid ${capacity.maxGridCapacity} kW + PV ${capacity.pvProduction.toFixed(1)} kW - building ${capacity.buildingLoad.toFixed(1)} kW${flexible}${battery}`
+        : `site capacity: grid ${capacity.maxGridCapacity} kW - building ${capacity.buildingLoad.toFixed(1)} kW${flexible}${battery}`;
+    }
+    default:
+      return `${constraint.type} "${constraint.name}"${limit}`;
+  }
+}
+
+/**
+ * Name of a cost plan node: the slot the station charges in or waits for
+ */
+function describeCostPlan(plan) {
+  if (plan.objective === 'carbon') {
+    if (plan.currentPower > 0) {
+      return `Green plan (low-carbon slot at ${plan.currentIntensity.toFixed(0)} gCO2/kWh)`;
+    }
+
+    return plan.nextSlotStart
+      ? `Green plan (charging from ${new Date(plan.nextSlotStart).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} at ${plan.nextSlotIntensity.toFixed(0)} gCO2/kWh, now ${plan.currentIntensity.toFixed(0)} gCO2/kWh)`
+      : 'Green plan';
+  }
+
+  if (plan.currentPower > 0) {
+    return `Cost plan (cheap slot at ${plan.currentPrice.toFixed(3)}/kWh)`;
+  }
+
+  return plan.nextSlotStart
+    ? `Cost plan (charging from ${new Date(plan.nextSlotStart).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} at ${plan.nextSlotPrice.toFixed(3)}/kWh, now ${plan.currentPrice.toFixed(3)}/kWh)`
+    : 'Cost plan';
+}
@@ -6,6 +6,9 @@
  *
  * Priority-based shedding ensures critical loads are maintained
  * while non-critical loads are shed first.
+ *
+ * Flexible loads (heat pumps, water heaters) cannot be reduced, so they
+ * are switched off at every level whose priority threshold covers them.
  */
 
 class LoadSheddingService {
@@ -20,6 +23,8 @@ class LoadSheddingService {
     // State
     this.sheddingActive = false;
     this.sheddingLevel = 0; // 0-5 levels of severity
+    this.loadLevel = 0; // Level required by the measured load
+    this.forcedLevels = new Map(); // source -> minimum level (e.g. demand response events)
     this.lastShedTime = null;
     this.lastRestoreTime = null;
     this.sheddingHistory = [];
@@ -109,7 +114,7 @@ class LoadSheddingService {
   /**
    * Evaluate if load shedding is needed
    */
-  evaluate(currentLoad, capacity, stations) {
+  evaluate(currentLoad, capacity, stations, flexibleLoads = new Map()) {
     const now = Date.now();
 
     // Enforce minimum update interval
@@ -121,28 +126,50 @@ class LoadSheddingService {
     const loadRatio = this.updateLoad(currentLoad, capacity);
 
     // Determine shedding action using hysteresis
-    let targetLevel = 0;
-
     if (loadRatio >= this.hysteresis.upperThreshold) {
       // Overload - activate or increase shedding
-      targetLevel = this.calculateSheddingLevel(loadRatio);
+      this.loadLevel = this.calculateSheddingLevel(loadRatio);
     } else if (loadRatio <= this.hysteresis.lowerThreshold) {
       // Load reduced - deactivate or decrease shedding
-      targetLevel = 0;
-    } else {
-      // In hysteresis band - maintain current state
-      targetLevel = this.sheddingLevel;
+      this.loadLevel = 0;
     }
+    // In hysteresis band - maintain current state
+
+    // Forced levels (e.g. demand response) set a floor
+    const targetLevel = Math.max(this.loadLevel, this.getForcedLevel());
 
     // Check if state change is needed
     if (targetLevel !== this.sheddingLevel) {
       this.lastUpdateTime = now;
-      return this.transitionToLevel(targetLevel, stations, loadRatio, capacity);
+      return this.transitionToLevel(targetLevel, stations, loadRatio, capacity, flexibleLoads);
     }
 
     return null;
   }
 
+  /**
+   * Force a minimum shedding level regardless of load (0 removes it)
+   * Takes effect on the next evaluation.
+   */
+  setForcedLevel(source, level) {
+    if (!Number.isInteger(level) || level < 0 || level > 5) {
+      throw new Error('Invalid shedding level (must be 0-5)');
+    }
+
+    if (level === 0) {
+      this.forcedLevels.delete(source);
+    } else {
+      this.forcedLevels.set(source, level);
+    }
+  }
+
+  /**
+   * Get the highest forced level
+   */
+  getForcedLevel() {
+    return Math.max(0, ...this.forcedLevels.values());
+  }
+
   /**
    * Calculate required shedding level based on overload severity
    */
@@ -161,7 +188,7 @@ class LoadSheddingService {
   /**
    * Transition to a new shedding level
    */
-  transitionToLevel(newLevel, stations, loadRatio, capacity) {
+  transitionToLevel(newLevel, stations, loadRatio, capacity, flexibleLoads = new Map()) {
     const previousLevel = this.sheddingLevel;
     this.sheddingLevel = newLevel;
 
@@ -179,7 +206,10 @@ class LoadSheddingService {
       console.warn(`[LoadShedding] ⚠️  Escalating to Level ${newLevel} (load: ${transition.loadRatio})`);
       this.sheddingActive = true;
       this.lastShedTime = Date.now();
-      transition.actions = this.applyShedding(newLevel, stations);
+      transition.actions = [
+        ...this.applyShedding(newLevel, stations),
+        ...this.getFlexibleLoadActions(newLevel, flexibleLoads)
+      ];
     } else if (newLevel < previousLevel) {
       // Decreasing shedding
       console.log(`[LoadShedding] ✓ De-escalating to Level ${newLevel} (load: ${transition.loadRatio})`);
@@ -187,7 +217,10 @@ class LoadSheddingService {
         this.sheddingActive = false;
         this.lastRestoreTime = Date.now();
       }
-      transition.actions = this.restorePower(newLevel, stations);
+      transition.actions = [
+        ...this.restorePower(newLevel, stations),
+        ...this.getFlexibleLoadActions(newLevel, flexibleLoads)
+      ];
     }
 
     // Record in history
@@ -270,33 +303,12 @@ class LoadSheddingService {
     console.log(`[LoadShedding] Restoring power to appropriate levels`);
 
     const actions = [];
-    const strategy = newLevel > 0 ? this.strategies.get(newLevel) : null;
 
     for (const station of stations.values()) {
       if (station.status !== 'charging') continue;
 
       const stationPriority = station.priority || 5;
-      const requestedPower = station.requestedPower || station.maxPower;
-
-      // Determine target power based on new level
-      let targetPower;
-
-      if (newLevel === 0) {
-        // Full restore
-        targetPower = requestedPower;
-      } else if (strategy) {
-        // Partial restore based on new strategy
-        if (stationPriority > strategy.priorityThreshold) {
-          targetPower = requestedPower;
-        } else {
-          targetPower = Math.max(
-            station.minPower || 3.7,
-            requestedPower * (1 - strategy.reduction)
-          );
-        }
-      } else {
-        targetPower = requestedPower;
-      }
+      const targetPower = this.getRestoredPower(station, newLevel);
 
       // Only create action if power needs to change
       if (Math.abs(targetPower - station.currentPower) > 0.1) {
@@ -315,6 +327,60 @@ class LoadSheddingService {
     return actions;
   }
 
+  /**
+   * Power a station is restored to when shedding de-escalates to a level:
+   * its requested power, or the reduction of that level if it still applies
+   */
+  getRestoredPower(station, level) {
+    const strategy = level > 0 ? this.strategies.get(level) : null;
+    const requestedPower = station.requestedPower || station.maxPower;
+
+    if (!strategy || (station.priority || 5) > strategy.priorityThreshold) {
+      return requestedPower;
+    }
+
+    return Math.max(station.minPower || 3.7, requestedPower * (1 - strategy.reduction));
+  }
+
+  /**
+   * Check if a flexible load is switched off at a shedding level
+   */
+  shouldShedFlexibleLoad(load, level = this.sheddingLevel) {
+    const strategy = level > 0 ? this.strategies.get(level) : null;
+    if (!strategy) return false;
+
+    return (load.priority || 5) <= strategy.priorityThreshold;
+  }
+
+  /**
+   * Switch actions for flexible loads whose state changes at a level
+   */
+  getFlexibleLoadActions(level, flexibleLoads) {
+    const actions = [];
+
+    for (const load of flexibleLoads.values()) {
+      if (!load.enabled) continue;
+
+      // Only restore loads that were switched off for shedding
+      const shed = this.shouldShedFlexibleLoad(load, level);
+      if (shed ? !load.on : (load.on || load.reason !== 'load_shedding')) continue;
+
+      actions.push({
+        loadId: load.id,
+        loadName: load.name,
+        action: shed ? 'switch_off' : 'switch_on',
+        previousPower: load.on ? load.power : 0,
+        newPower: shed ? 0 : load.power,
+        priority: load.priority || 5,
+        reason: shed
+          ? `Shedding Level ${level}: ${this.strategies.get(level).description}`
+          : (level === 0 ? 'Full restore' : `Partial restore to Level ${level}`)
+      });
+    }
+
+    return actions;
+  }
+
   /**
    * Apply ramping to power change
    */
@@ -348,6 +414,8 @@ class LoadSheddingService {
     return {
       active: this.sheddingActive,
       level: this.sheddingLevel,
+      loadLevel: this.loadLevel,
+      forcedLevels: Object.fromEntries(this.forcedLevels),
       smoothedLoad: (this.smoothedLoad * 100).toFixed(2) + '%',
       hysteresis: {
         upperThreshold: (this.hysteresis.upperThreshold * 100).toFixed(0) + '%',
@@ -401,6 +469,7 @@ class LoadSheddingService {
   reset() {
     this.sheddingActive = false;
     this.sheddingLevel = 0;
+    this.loadLevel = 0;
     this.loadSamples = [];
     this.smoothedLoad = 0;
     console.log('[LoadShedding] Reset to initial state');
@@ -409,7 +478,7 @@ class LoadSheddingService {
   /**
    * Simulate load shedding scenario
    */
-  simulate(loadRatio, capacity, stations) {
+  simulate(loadRatio, capacity, stations, flexibleLoads = new Map()) {
     const level = this.calculateSheddingLevel(loadRatio);
     const strategy = this.strategies.get(level);
 
@@ -417,7 +486,10 @@ class LoadSheddingService {
       return { level: 0, actions: [] };
     }
 
-    const actions = this.applyShedding(level, stations);
+    const actions = [
+      ...this.applyShedding(level, stations),
+      ...this.getFlexibleLoadActions(level, flexibleLoads)
+    ];
 
     return {
       level,
@@ -1,13 +1,21 @@
 /**
  * PVManager - Manages PV (Photovoltaic) system integration
- * Handles excess solar charging and PV production monitoring
+ * Handles excess solar charging, PV production monitoring and inverter
+ * curtailment (export limit, see ExportLimitController)
  */
 
+import { ModbusDriver } from '../protocols/ModbusDriver.js';
+
+const CURTAILMENT_WRITE_DEADBAND = 0.5; // kW, smaller limit changes are not written
+
 export class PVManager {
   constructor(state) {
     this.state = state;
     this.updateInterval = null;
     this.productionHistory = [];
+    this.modbusDriver = new ModbusDriver();
+    this.curtailment = null; // { limit, register value, timestamp } while the inverter is limited
+    this.curtailmentError = null;
   }
 
   async initialize() {
@@ -91,6 +99,10 @@ export class PVManager {
     if (this.state.config.enablePVExcessCharging) {
       this.handleExcessCharging();
     }
+
+    if (this.state.loadManager && this.state.config.pvSystemEnabled) {
+      this.state.loadManager.requestRebalance('pv_production');
+    }
   }
 
   /**
@@ -109,7 +121,7 @@ export class PVManager {
 
       // Find stations that are ready but not charging
       const readyStations = Array.from(this.state.stations.values())
-        .filter(s => s.status === 'ready' && s.user !== null);
+        .filter(s => s.status === 'ready' && s.user !== null && (s.availability || 'operative') === 'operative');
 
       if (readyStations.length > 0) {
         // Prioritize stations for excess charging
@@ -137,7 +149,7 @@ export class PVManager {
 
           // Trigger load rebalancing
           if (this.state.loadManager) {
-            this.state.loadManager.balanceLoad();
+            this.state.loadManager.requestRebalance('pv_excess_charging');
           }
         }
       }
@@ -164,7 +176,7 @@ export class PVManager {
 
       // Trigger load rebalancing
       if (this.state.loadManager) {
-        this.state.loadManager.balanceLoad();
+        this.state.loadManager.requestRebalance('pv_excess_charging');
       }
     }
   }
@@ -192,6 +204,66 @@ export class PVManager {
     }
   }
 
+  /**
+   * Limit the inverter's active power (kW) via Modbus, null = no limit
+   * The limit is written as a share of the rated power to the configured
+   * register (e.g. SunSpec WMaxLimPct); unchanged limits are not rewritten.
+   */
+  async setCurtailment(limit) {
+    const { pvMaxCapacity, pvInverter } = this.state.config;
+
+    const current = this.curtailment ? this.curtailment.limit : null;
+    if (limit === current) return this.getCurtailment();
+    if (limit !== null && current !== null && Math.abs(limit - current) < CURTAILMENT_WRITE_DEADBAND) {
+      return this.getCurtailment();
+    }
+
+    if (!pvInverter?.host || pvInverter.limitRegister === null || pvInverter.limitRegister === undefined) {
+      this.curtailmentError = { message: 'PV inverter Modbus connection is not configured', timestamp: new Date().toISOString() };
+      throw new Error(this.curtailmentError.message);
+    }
+
+    const share = limit === null ? 1 : Math.min(1, Math.max(0, limit / pvMaxCapacity));
+    const value = Math.round(share * pvInverter.limitScale);
+
+    try {
+      await this.modbusDriver.writeRegister(pvInverter.host, pvInverter.port, pvInverter.unitId, pvInverter.limitRegister, value);
+      this.curtailmentError = null;
+    } catch (error) {
+      this.curtailmentError = { message: error.message, timestamp: new Date().toISOString() };
+      throw error;
+    }
+
+    this.curtailment = limit === null ? null : { limit, value, timestamp: new Date().toISOString() };
+
+    console.log(limit === null
+      ? '☀️  Inverter curtailment released'
+      : `☀️  Inverter curtailed to ${limit.toFixed(1)} kW (${(share * 100).toFixed(0)}%)`);
+
+    this.state.broadcast({
+      type: 'pv.curtailment',
+      data: {
+        limit,
+        share,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    return this.getCurtailment();
+  }
+
+  /**
+   * Get inverter curtailment state
+   */
+  getCurtailment() {
+    return {
+      active: this.curtailment !== null,
+      limit: this.curtailment ? this.curtailment.limit : null,
+      since: this.curtailment ? this.curtailment.timestamp : null,
+      lastError: this.curtailmentError
+    };
+  }
+
   /**
    * Get PV status
    */
@@ -205,8 +277,9 @@ export class PVManager {
       enabled: this.state.config.pvSystemEnabled,
       currentProduction: this.state.currentLoad.pvProduction,
       averageProduction: avg,
-      maxCapacity: parseFloat(process.env.PV_MAX_CAPACITY_KW) || 100,
+      maxCapacity: this.state.config.pvMaxCapacity,
       excessChargingEnabled: this.state.config.enablePVExcessCharging,
+      curtailment: this.getCurtailment(),
       history: this.productionHistory.slice(-100)
     };
   }
@@ -216,7 +289,7 @@ export class PVManager {
    */
   simulateProduction() {
     const hour = new Date().getHours();
-    const maxCapacity = parseFloat(process.env.PV_MAX_CAPACITY_KW) || 100;
+    const maxCapacity = this.state.config.pvMaxCapacity;
 
     // Simple sinusoidal simulation based on time of day
     // Production peaks at noon, zero at night
@@ -238,6 +311,7 @@ export class PVManager {
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
     }
+    await this.modbusDriver.disconnectAll();
     console.log('☀️  PV Manager shut down');
   }
 }
@@ -0,0 +1,229 @@
+/**
+ * Peak Demand Manager
+ *
+ * Tracks grid import in fixed demand intervals (15 minutes by default),
+ * the way utilities bill demand charges on the highest interval average
+ * of the month, and derives how much charging power keeps the current
+ * interval below the monthly target.
+ *
+ * - Intervals are aligned to the clock (:00, :15, :30, :45)
+ * - Grid import is integrated over time; the interval's end value is
+ *   predicted assuming the current import continues
+ * - Completed intervals are stored per month (demand-YYYY-MM.jsonl) so
+ *   the billing peak survives restarts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIN_REMAINING_HOURS = 1 / 60; // Spread the remaining budget over at least a minute
+
+export class PeakDemandManager {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../../logs/demand');
+    this.intervalMinutes = options.intervalMinutes || 15;
+
+    this.interval = null; // { start, end, energy, lastSampleAt, lastPower }
+    this.monthlyPeak = null; // { month, value, intervalStart }
+    this.recentIntervals = [];
+  }
+
+  /**
+   * Restore this month's billing peak from completed intervals
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+    const month = getMonthKey(Date.now());
+    const file = this.getMonthFile(month);
+
+    try {
+      const content = await fs.promises.readFile(file, 'utf8');
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+
+        try {
+          this.trackCompletedInterval(JSON.parse(line));
+        } catch (error) {
+          // Skip malformed lines
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[PeakDemand] Failed to load demand history:', error);
+      }
+    }
+
+    console.log(`[PeakDemand] Initialized (${this.intervalMinutes} min intervals, monthly peak: ${this.monthlyPeak ? this.monthlyPeak.value.toFixed(1) + ' kW' : 'none'})`);
+  }
+
+  /**
+   * Record the current grid import (kW)
+   * Returns the completed interval when this sample closed one, else null.
+   */
+  record(gridImport, now = Date.now()) {
+    if (!this.interval) {
+      this.startInterval(now, gridImport);
+      return null;
+    }
+
+    if (now >= this.interval.end) {
+      // Integrate up to the interval boundary with the previous import
+      this.integrate(this.interval.end);
+      const completed = this.completeInterval();
+      this.startInterval(now, gridImport);
+      return completed;
+    }
+
+    this.integrate(now);
+    this.interval.lastPower = gridImport;
+
+    return null;
+  }
+
+  /**
+   * Add energy since the last sample
+   */
+  integrate(until) {
+    const hours = Math.max(0, until - this.interval.lastSampleAt) / 3600000;
+    this.interval.energy += this.interval.lastPower * hours;
+    this.interval.lastSampleAt = until;
+  }
+
+  /**
+   * Start the interval containing `now`
+   */
+  startInterval(now, gridImport) {
+    const intervalMs = this.intervalMinutes * 60000;
+    const start = Math.floor(now / intervalMs) * intervalMs;
+
+    // Part of the interval before the first sample is assumed at the current import
+    this.interval = {
+      start,
+      end: start + intervalMs,
+      energy: gridImport * (now - start) / 3600000,
+      lastSampleAt: now,
+      lastPower: gridImport
+    };
+  }
+
+  /**
+   * Close the current interval and persist it
+   */
+  completeInterval() {
+    const intervalHours = this.intervalMinutes / 60;
+    const completed = {
+      start: new Date(this.interval.start).toISOString(),
+      end: new Date(this.interval.end).toISOString(),
+      energy: this.interval.energy,
+      averageDemand: this.interval.energy / intervalHours
+    };
+
+    this.trackCompletedInterval(completed);
+
+    fs.promises.appendFile(
+      this.getMonthFile(getMonthKey(this.interval.start)),
+      JSON.stringify(completed) + '\n'
+    ).catch(error => {
+      console.error('[PeakDemand] Failed to store interval:', error);
+    });
+
+    return completed;
+  }
+
+  /**
+   * Update recent intervals and the monthly peak with a completed interval
+   */
+  trackCompletedInterval(completed) {
+    const month = getMonthKey(new Date(completed.start).getTime());
+
+    const isNewMonth = !this.monthlyPeak || month > this.monthlyPeak.month;
+    const isNewPeak = this.monthlyPeak?.month === month && completed.averageDemand > this.monthlyPeak.value;
+
+    if (isNewMonth || isNewPeak) {
+      this.monthlyPeak = { month, value: completed.averageDemand, intervalStart: completed.start };
+    }
+
+    this.recentIntervals.push(completed);
+    if (this.recentIntervals.length > 96) { // 24h of 15-minute intervals
+      this.recentIntervals.shift();
+    }
+  }
+
+  /**
+   * Get the billing peak of the current month (kW)
+   */
+  getMonthlyPeak(now = Date.now()) {
+    if (!this.monthlyPeak || this.monthlyPeak.month !== getMonthKey(now)) {
+      return null;
+    }
+
+    return this.monthlyPeak;
+  }
+
+  /**
+   * Get the demand target: the configured target, or the month's billing
+   * peak if that is already higher (demand up to it costs nothing extra)
+   */
+  getTarget(configuredTarget, now = Date.now()) {
+    const peak = this.getMonthlyPeak(now);
+    return Math.max(configuredTarget, peak ? peak.value : 0);
+  }
+
+  /**
+   * Get the current interval's figures
+   */
+  getCurrentInterval(now = Date.now()) {
+    if (!this.interval) return null;
+
+    const intervalHours = this.intervalMinutes / 60;
+    const elapsedHours = Math.max(0, now - this.interval.start) / 3600000;
+    const remainingHours = Math.max(0, this.interval.end - now) / 3600000;
+    const energy = this.interval.energy + this.interval.lastPower * Math.max(0, now - this.interval.lastSampleAt) / 3600000;
+
+    return {
+      start: new Date(this.interval.start).toISOString(),
+      end: new Date(this.interval.end).toISOString(),
+      elapsedMinutes: elapsedHours * 60,
+      remainingMinutes: remainingHours * 60,
+      energy,
+      currentPower: this.interval.lastPower,
+      averageSoFar: elapsedHours > 0 ? energy / elapsedHours : this.interval.lastPower,
+      predictedAverage: (energy + this.interval.lastPower * remainingHours) / intervalHours
+    };
+  }
+
+  /**
+   * Maximum grid import (kW) for the rest of the interval that keeps the
+   * interval average at or below the target
+   */
+  getImportLimit(target, now = Date.now()) {
+    const current = this.getCurrentInterval(now);
+    if (!current) return null;
+
+    const intervalHours = this.intervalMinutes / 60;
+    const budget = target * intervalHours - current.energy; // kWh left this interval
+    const remainingHours = Math.max(MIN_REMAINING_HOURS, current.remainingMinutes / 60);
+
+    return Math.max(0, budget / remainingHours);
+  }
+
+  /**
+   * Get file path for a month's completed intervals
+   */
+  getMonthFile(month) {
+    return path.join(this.dataDir, `demand-${month}.jsonl`);
+  }
+}
+
+/**
+ * Month key (YYYY-MM, UTC) of a timestamp
+ */
+function getMonthKey(time) {
+  return new Date(time).toISOString().slice(0, 7);
+}
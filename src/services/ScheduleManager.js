@@ -205,7 +205,7 @@ export class ScheduleManager {
    */
   async executeStartCharging(stations, parameters) {
     for (const station of stations) {
-      if (station.status === 'ready' && station.user !== null) {
+      if (station.status === 'ready' && station.user !== null && (station.availability || 'operative') === 'operative') {
         station.status = 'charging';
         station.chargingStartedAt = new Date().toISOString();
         station.scheduledCharging = true;
@@ -218,7 +218,7 @@ export class ScheduleManager {
 
     // Trigger load rebalancing
     if (this.state.loadManager) {
-      this.state.loadManager.balanceLoad();
+      this.state.loadManager.requestRebalance('schedule_executed');
     }
   }
 
@@ -245,7 +245,7 @@ export class ScheduleManager {
 
     // Trigger load rebalancing
     if (this.state.loadManager) {
-      this.state.loadManager.balanceLoad();
+      this.state.loadManager.requestRebalance('schedule_executed');
     }
   }
 
@@ -263,7 +263,7 @@ export class ScheduleManager {
 
     // Trigger load rebalancing
     if (this.state.loadManager) {
-      this.state.loadManager.balanceLoad();
+      this.state.loadManager.requestRebalance('schedule_executed');
     }
   }
 
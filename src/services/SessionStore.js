@@ -0,0 +1,487 @@
+/**
+ * Session Store
+ *
+ * Keeps a record of every charging session, so sessions can be looked up
+ * after they ended (station fields are reset at stop):
+ *
+ * - Start/stop time, user and RFID card, OCPP transaction
+ * - Energy: metered where the station reports it, otherwise integrated
+ *   from the measured power
+ * - Peak and average power, stop reason
+ * - Allocation timeline: every change of the power load management
+ *   allocated, with the reason and binding constraint
+ *
+ * Completed sessions are appended to logs/sessions/sessions.jsonl and kept
+ * for the retention period. Active sessions are saved to
+ * logs/sessions/active.json so they continue after a restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { getAllChargingPoints, getChargingPointId } from '../utils/ChargingPoints.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVE_INTERVAL = 30000; // ms
+const MAX_SAMPLE_GAP = 5 * 60 * 1000; // Longer gaps (e.g. downtime) are not integrated
+const MAX_TIMELINE_ENTRIES = 500;
+const TIMELINE_DEADBAND = 0.05; // kW, smaller allocation changes are not recorded
+
+export class SessionStore {
+  constructor(state, options = {}) {
+    this.state = state;
+    this.dataDir = options.dataDir || path.join(__dirname, '../../logs/sessions');
+    this.sessionsFile = path.join(this.dataDir, 'sessions.jsonl');
+    this.activeFile = path.join(this.dataDir, 'active.json');
+    this.retentionDays = options.retentionDays || state.config.sessionHistoryDays || 365;
+
+    this.activeSessions = new Map(); // charging point ID -> session
+    this.completedSessions = []; // oldest first
+    this.saveTimer = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Load completed sessions within the retention period and the sessions
+   * that were active at shutdown
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+    await this.loadCompletedSessions();
+
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.activeFile, 'utf8'));
+
+      // Checked against the station state on the first cycle
+      for (const session of saved.sessions || []) {
+        this.activeSessions.set(session.pointId, { ...session, restored: true, lastSample: null });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[SessionStore] Failed to load active sessions:', error);
+      }
+    }
+
+    this.saveTimer = setInterval(() => {
+      this.saveActiveSessions();
+    }, SAVE_INTERVAL);
+
+    console.log(`[SessionStore] Initialized (${this.completedSessions.length} sessions, ${this.activeSessions.size} active, retention: ${this.retentionDays} days)`);
+  }
+
+  /**
+   * Read the session log, dropping sessions past the retention period
+   */
+  async loadCompletedSessions() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.sessionsFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[SessionStore] Failed to load sessions:', error);
+      }
+      return;
+    }
+
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    const lines = content.split('\n').filter(line => line.trim());
+
+    for (const line of lines) {
+      try {
+        const session = JSON.parse(line);
+        if (new Date(session.endTime).getTime() >= cutoff) {
+          this.completedSessions.push(session);
+        }
+      } catch (error) {
+        // Skip malformed lines
+      }
+    }
+
+    // Rewrite the log without expired sessions
+    if (this.completedSessions.length < lines.length) {
+      const kept = this.completedSessions.map(session => JSON.stringify(session) + '\n').join('');
+      await fs.promises.writeFile(this.sessionsFile, kept);
+      console.log(`[SessionStore] Removed ${lines.length - this.completedSessions.length} expired sessions`);
+    }
+  }
+
+  /**
+   * Record the start of a session on a charging point
+   * An active session on the point without a transaction is taken over by
+   * the OCPP transaction that follows a remote start; any other one is
+   * closed first.
+   * @param {Object} station - The station
+   * @param {Object} target - The station or connector holding the session
+   * @param {Object} details - { transactionId, rfidCard, meterStart (kWh) }
+   */
+  startSession(station, target, { transactionId = null, rfidCard = null, meterStart = null } = {}) {
+    transactionId = transactionId ?? null;
+    const connectorId = target === station ? null : target.connectorId;
+    const pointId = connectorId === null ? station.id : getChargingPointId(station.id, connectorId);
+    const existing = this.activeSessions.get(pointId);
+
+    if (existing && transactionId !== null && existing.transactionId == null) {
+      existing.transactionId = transactionId;
+      existing.rfidCard = existing.rfidCard || rfidCard;
+      existing.meterStart = meterStart;
+      this.dirty = true;
+      return describeSession(existing);
+    }
+
+    if (existing) {
+      this.stopSession(pointId, { reason: 'replaced' });
+    }
+
+    const now = Date.now();
+    const session = {
+      id: uuidv4(),
+      stationId: station.id,
+      stationName: station.name,
+      connectorId,
+      pointId,
+      user: target.user ? { id: target.user.id, name: target.user.name } : null,
+      rfidCard: target.user?.rfidCard || target.rfidCard || rfidCard || null,
+      transactionId,
+      startTime: new Date(now).toISOString(),
+      meterStart,
+      integratedEnergy: 0,
+      peakPower: 0,
+      timeline: [],
+      timelineTruncated: false,
+      lastSample: { time: now, power: target.currentPower || 0 }
+    };
+
+    this.activeSessions.set(pointId, session);
+    this.dirty = true;
+
+    return describeSession(session);
+  }
+
+  /**
+   * Record the end of the session on a charging point
+   * @param {string} pointId - Station ID, or station:connector for connectors
+   * @param {Object} details - { reason, meterStop (kWh), reportedEnergy (kWh) }
+   * @returns {Object|null} The completed session
+   */
+  stopSession(pointId, { reason = 'unknown', meterStop = null, reportedEnergy = null } = {}, now = Date.now()) {
+    const session = this.activeSessions.get(pointId);
+    if (!session) return null;
+
+    this.integrate(session, session.lastSample?.power || 0, now);
+    this.activeSessions.delete(pointId);
+    this.dirty = true;
+
+    // Meter readings of the transaction, then energy the station reported
+    let energy = session.integratedEnergy;
+    let energySource = 'estimated';
+    if (session.meterStart !== null && meterStop !== null && meterStop >= session.meterStart) {
+      energy = meterStop - session.meterStart;
+      energySource = 'metered';
+    } else if (reportedEnergy > 0) {
+      energy = reportedEnergy;
+      energySource = 'metered';
+    }
+
+    const { integratedEnergy, lastSample, meterStart, restored, ...fields } = session;
+    const duration = (now - new Date(session.startTime).getTime()) / 1000;
+
+    const record = {
+      ...fields,
+      status: 'completed',
+      endTime: new Date(now).toISOString(),
+      duration,
+      energy,
+      energySource,
+      averagePower: duration > 0 ? energy / (duration / 3600) : 0,
+      stopReason: toReason(reason)
+    };
+
+    this.completedSessions.push(record);
+
+    // The log itself is compacted on the next start
+    const cutoff = now - this.retentionDays * DAY_MS;
+    while (this.completedSessions.length > 0 && new Date(this.completedSessions[0].endTime).getTime() < cutoff) {
+      this.completedSessions.shift();
+    }
+
+    fs.promises.appendFile(this.sessionsFile, JSON.stringify(record) + '\n').catch(error => {
+      console.error('[SessionStore] Failed to write session:', error);
+    });
+
+    this.state.broadcast({
+      type: 'session.completed',
+      data: summarize(record)
+    });
+
+    return record;
+  }
+
+  /**
+   * Set the user of an active session reported after its start
+   * (e.g. MQTT status messages carry the user separately)
+   */
+  setSessionUser(pointId, user, rfidCard) {
+    const session = this.activeSessions.get(pointId);
+    if (!session) return;
+
+    if (user) {
+      session.user = { id: user.id, name: user.name };
+    }
+    session.rfidCard = user?.rfidCard || rfidCard || session.rfidCard;
+    this.dirty = true;
+  }
+
+  /**
+   * Close the active sessions of a station (e.g. when it is deleted)
+   */
+  stopStationSessions(stationId, reason) {
+    for (const session of Array.from(this.activeSessions.values())) {
+      if (session.stationId === stationId) {
+        this.stopSession(session.pointId, { reason });
+      }
+    }
+  }
+
+  /**
+   * Record a load balancing cycle
+   * Integrates the measured power of every active session and adds
+   * allocation changes to its timeline.
+   * @param {Array} allocations - Allocations of this cycle
+   */
+  recordCycle(allocations, now = Date.now()) {
+    if (this.activeSessions.size === 0) return;
+
+    const points = new Map(getAllChargingPoints(this.state.stations).map(point => [point.id, point]));
+    const allocationsByPoint = new Map(allocations.map(a => [a.station.id, a]));
+
+    for (const session of Array.from(this.activeSessions.values())) {
+      const point = points.get(session.pointId);
+
+      // Sessions restored at startup that ended while the system was down
+      if (session.restored) {
+        session.restored = false;
+        if (!point || point.status !== 'charging') {
+          this.stopSession(session.pointId, { reason: 'interrupted' }, now);
+          continue;
+        }
+      }
+
+      if (!point) {
+        this.stopSession(session.pointId, { reason: 'station_deleted' }, now);
+        continue;
+      }
+
+      const power = point.currentPower || 0;
+      this.integrate(session, session.lastSample?.power ?? power, now);
+      session.lastSample = { time: now, power };
+      session.peakPower = Math.max(session.peakPower, power);
+
+      const allocation = allocationsByPoint.get(session.pointId);
+      this.addTimelineEntry(session, allocation
+        ? {
+            power: allocation.power,
+            reason: allocation.reason || 'load_balancing',
+            constraint: allocation.bindingConstraint
+              ? { type: allocation.bindingConstraint.type, name: allocation.bindingConstraint.name }
+              : null
+          }
+        : { power: 0, reason: 'not_allocated', constraint: null }, now);
+    }
+
+    this.dirty = true;
+  }
+
+  /**
+   * Add the energy of the last sample's power over the elapsed time
+   */
+  integrate(session, power, now) {
+    const last = session.lastSample;
+    if (!last) return;
+
+    const elapsed = now - last.time;
+    if (elapsed > 0 && elapsed <= MAX_SAMPLE_GAP) {
+      session.integratedEnergy += power * elapsed / 3600000;
+    }
+  }
+
+  /**
+   * Add an allocation to the timeline if it changed
+   */
+  addTimelineEntry(session, { power, reason, constraint }, now) {
+    const rounded = Math.round(power * 100) / 100;
+    const last = session.timeline[session.timeline.length - 1];
+
+    if (last && Math.abs(last.power - rounded) < TIMELINE_DEADBAND && last.reason === reason) {
+      return;
+    }
+
+    session.timeline.push({ time: new Date(now).toISOString(), power: rounded, reason, constraint });
+
+    if (session.timeline.length > MAX_TIMELINE_ENTRIES) {
+      session.timeline.shift();
+      session.timelineTruncated = true;
+    }
+  }
+
+  /**
+   * Query sessions, active ones included
+   * @param {Object} filters
+   * @param {string|number} filters.from - Sessions ending at or after this time
+   * @param {string|number} filters.to - Sessions starting at or before this time
+   * @param {string} filters.stationId - Only sessions of this station
+   * @param {number} filters.connectorId - Only sessions of this connector
+   * @param {string} filters.userId - Only sessions of this user
+   * @param {string} filters.rfidCard - Only sessions with this card
+   * @param {string} filters.status - 'active' or 'completed'
+   * @param {string} filters.stopReason - Only sessions stopped for this reason
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Sessions to skip
+   * @param {string} filters.order - 'desc' (newest first, default) or 'asc'
+   */
+  query(filters = {}) {
+    const {
+      stationId,
+      connectorId,
+      userId,
+      rfidCard,
+      status,
+      stopReason,
+      limit = 50,
+      offset = 0,
+      order = 'desc'
+    } = filters;
+
+    const from = filters.from !== undefined ? new Date(filters.from).getTime() : null;
+    const to = filters.to !== undefined ? new Date(filters.to).getTime() : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error('Invalid time range');
+    }
+
+    if (from !== null && to !== null && from > to) {
+      throw new Error('Start of time range must be before its end');
+    }
+
+    if (status !== undefined && status !== 'active' && status !== 'completed') {
+      throw new Error('Invalid status (must be active or completed)');
+    }
+
+    if (connectorId !== undefined && !Number.isInteger(connectorId)) {
+      throw new Error('Invalid connectorId');
+    }
+
+    if (!Number.isInteger(limit) || limit <= 0 || !Number.isInteger(offset) || offset < 0) {
+      throw new Error('Invalid pagination parameters');
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error('Invalid order (must be asc or desc)');
+    }
+
+    const active = status === 'completed' ? [] : Array.from(this.activeSessions.values()).map(describeSession);
+    const completed = status === 'active' ? [] : this.completedSessions;
+
+    const sessions = [...completed, ...active]
+      .filter(s => !stationId || s.stationId === stationId)
+      .filter(s => connectorId === undefined || s.connectorId === connectorId)
+      .filter(s => !userId || s.user?.id === userId)
+      .filter(s => !rfidCard || s.rfidCard === rfidCard)
+      .filter(s => !stopReason || s.stopReason === stopReason)
+      .filter(s => from === null || s.endTime === null || new Date(s.endTime).getTime() >= from)
+      .filter(s => to === null || new Date(s.startTime).getTime() <= to)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    if (order === 'desc') {
+      sessions.reverse();
+    }
+
+    return {
+      total: sessions.length,
+      offset,
+      limit,
+      totals: {
+        energy: sessions.reduce((sum, s) => sum + s.energy, 0),
+        duration: sessions.reduce((sum, s) => sum + s.duration, 0)
+      },
+      sessions: sessions.slice(offset, offset + limit).map(summarize)
+    };
+  }
+
+  /**
+   * Get a session with its allocation timeline, or null
+   */
+  getSession(sessionId) {
+    const active = Array.from(this.activeSessions.values()).find(s => s.id === sessionId);
+    if (active) return describeSession(active);
+
+    return this.completedSessions.find(s => s.id === sessionId) || null;
+  }
+
+  /**
+   * Save the active sessions if they changed
+   */
+  async saveActiveSessions() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    try {
+      const sessions = Array.from(this.activeSessions.values()).map(({ lastSample, restored, ...session }) => session);
+      await fs.promises.writeFile(this.activeFile, JSON.stringify({ savedAt: new Date().toISOString(), sessions }));
+    } catch (error) {
+      console.error('[SessionStore] Failed to save active sessions:', error);
+      this.dirty = true;
+    }
+  }
+
+  async shutdown() {
+    if (this.saveTimer) {
+      clearInterval(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    this.dirty = true;
+    await this.saveActiveSessions();
+  }
+}
+
+/**
+ * Public view of an active session with its energy and power so far
+ */
+function describeSession(session) {
+  const { integratedEnergy, lastSample, meterStart, restored, ...fields } = session;
+  const duration = (Date.now() - new Date(session.startTime).getTime()) / 1000;
+
+  return {
+    ...fields,
+    status: 'active',
+    endTime: null,
+    duration,
+    energy: integratedEnergy,
+    energySource: 'estimated',
+    averagePower: duration > 0 ? integratedEnergy / (duration / 3600) : 0,
+    stopReason: null
+  };
+}
+
+/**
+ * Session without its timeline, for lists
+ */
+function summarize(session) {
+  const { timeline, timelineTruncated, ...summary } = session;
+  return summary;
+}
+
+/**
+ * Stop reason in snake case, e.g. OCPP "EVDisconnected" -> "ev_disconnected"
+ */
+function toReason(reason) {
+  return String(reason)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase();
+}
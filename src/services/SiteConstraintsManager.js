@@ -10,6 +10,8 @@
  * - Demand charge management
  */
 
+const MEASUREMENT_MAX_AGE = 30000; // ms, older measurements are not used for headroom
+
 class SiteConstraintsManager {
   constructor() {
     this.constraints = {
@@ -455,38 +457,190 @@ class SiteConstraintsManager {
    * Get available capacity considering all constraints
    */
   getAvailableCapacity() {
+    const service = this.getServiceHeadroom();
+    if (!service) {
+      return 0;
+    }
+
+    let available = service.headroom;
+
+    for (const feederId of this.constraints.feeders.keys()) {
+      const headroom = this.getFeederHeadroom(feederId);
+      if (headroom !== null) {
+        available = Math.min(available, headroom);
+      }
+    }
+
+    for (const transformerId of this.constraints.transformers.keys()) {
+      const headroom = this.getTransformerHeadroom(transformerId);
+      if (headroom !== null) {
+        available = Math.min(available, headroom);
+      }
+    }
+
+    return Math.max(0, available);
+  }
+
+  /**
+   * Get the measured headroom (kW) at the service entrance
+   * The smallest of:
+   * - Power limit at the NEC 625 continuous factor minus measured power
+   * - Per-phase current limit at the continuous factor minus the most loaded phase
+   * - Zero while phase imbalance exceeds its limit (hold charging at its current level)
+   * Negative headroom means load has to be reduced. Returns null without a
+   * configured service or a recent measurement.
+   */
+  getServiceHeadroom() {
     const service = this.constraints.service;
     const measurements = this.measurements.service;
 
-    if (!service || !measurements) {
-      return 0;
+    if (!service || !this.isFresh(measurements)) {
+      return null;
+    }
+
+    const factor = service.nec625ContinuousFactor;
+    const candidates = [];
+
+    if (service.maxPower && measurements.power !== undefined) {
+      candidates.push({
+        type: 'service_power',
+        headroom: service.maxPower * factor - measurements.power,
+        message: `Service power ${measurements.power.toFixed(1)}kW of ${(service.maxPower * factor).toFixed(1)}kW continuous`
+      });
     }
 
-    // Start with service limit
-    let available = service.maxPower - measurements.power;
+    if (service.maxCurrent && measurements.current) {
+      const maxPhaseCurrent = Math.max(...Object.values(measurements.current));
+      const phaseFactor = service.phases === 3 ? Math.sqrt(3) : 1;
 
-    // Apply NEC 625 continuous load factor
-    available *= service.nec625ContinuousFactor;
+      candidates.push({
+        type: 'service_current',
+        headroom: (service.maxCurrent * factor - maxPhaseCurrent) * service.voltage * phaseFactor / 1000,
+        message: `Phase current ${maxPhaseCurrent.toFixed(1)}A of ${(service.maxCurrent * factor).toFixed(1)}A continuous`
+      });
 
-    // Check each feeder
-    for (const [feederId, feeder] of this.constraints.feeders.entries()) {
-      const feederMeasurements = this.measurements.feeders.get(feederId);
-      if (feederMeasurements) {
-        const feederAvailable = feeder.maxPower - feederMeasurements.power;
-        available = Math.min(available, feederAvailable);
+      const imbalance = this.calculateImbalance(measurements.current);
+      if (imbalance > service.maxImbalance) {
+        candidates.push({
+          type: 'phase_imbalance',
+          headroom: 0,
+          message: `Phase imbalance ${(imbalance * 100).toFixed(1)}% exceeds ${(service.maxImbalance * 100).toFixed(1)}%`
+        });
       }
     }
 
-    // Check each transformer
-    for (const [transformerId, transformer] of this.constraints.transformers.entries()) {
-      const transformerMeasurements = this.measurements.transformers.get(transformerId);
-      if (transformerMeasurements) {
-        const transformerAvailable = transformer.maxContinuousPower - transformerMeasurements.power;
-        available = Math.min(available, transformerAvailable);
-      }
+    if (candidates.length === 0) {
+      return null;
     }
 
-    return Math.max(0, available);
+    const binding = candidates.reduce((min, c) => (c.headroom < min.headroom ? c : min));
+
+    return {
+      headroom: binding.headroom,
+      binding,
+      measuredPower: measurements.power,
+      timestamp: new Date(measurements.timestamp).toISOString()
+    };
+  }
+
+  /**
+   * Get the measured headroom (kW) of a feeder, or null without a recent measurement
+   */
+  getFeederHeadroom(feederId) {
+    const feeder = this.constraints.feeders.get(feederId);
+    const measurements = this.measurements.feeders.get(feederId);
+    const limit = feeder ? this.getFeederPowerLimit(feeder) : null;
+
+    if (limit === null || !this.isFresh(measurements) || measurements.power === undefined) {
+      return null;
+    }
+
+    return limit - measurements.power;
+  }
+
+  /**
+   * Get the measured headroom (kW) of a transformer, or null without a recent measurement
+   * Above its maximum temperature a transformer gets no headroom, so
+   * charging behind it is held until it cools down.
+   */
+  getTransformerHeadroom(transformerId) {
+    const transformer = this.constraints.transformers.get(transformerId);
+    const measurements = this.measurements.transformers.get(transformerId);
+
+    if (!transformer || !this.isFresh(measurements) || measurements.power === undefined) {
+      return null;
+    }
+
+    const headroom = transformer.maxContinuousPower - measurements.power;
+
+    if (measurements.temperature && measurements.temperature > transformer.maxTemp) {
+      return Math.min(headroom, 0);
+    }
+
+    return headroom;
+  }
+
+  /**
+   * Get the measured grid power (kW) at the service entrance, negative when
+   * exporting. Returns null without a recent measurement.
+   */
+  getGridPower() {
+    const measurements = this.measurements.service;
+
+    if (!this.isFresh(measurements) || measurements.power === undefined) {
+      return null;
+    }
+
+    return measurements.power;
+  }
+
+  /**
+   * Check if a measurement is recent enough to control on
+   */
+  isFresh(measurements) {
+    return Boolean(measurements) && Date.now() - measurements.timestamp <= MEASUREMENT_MAX_AGE;
+  }
+
+  /**
+   * Get feeder power limit (kW) from its power and current ratings
+   */
+  getFeederPowerLimit(feeder) {
+    const limits = [];
+
+    if (feeder.maxPower) {
+      limits.push(feeder.maxPower);
+    }
+
+    if (feeder.maxCurrent) {
+      // Line-to-line voltage, same convention as the service entrance
+      const voltage = feeder.voltage || this.constraints.service?.voltage || 400;
+      const phaseFactor = feeder.phases === 3 ? Math.sqrt(3) : 1;
+      limits.push(feeder.maxCurrent * voltage * phaseFactor / 1000);
+    }
+
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Get the electrical topology (transformer → feeder → station) with kW limits
+   */
+  getTopology() {
+    return {
+      transformers: Array.from(this.constraints.transformers.values()).map(transformer => ({
+        id: transformer.id,
+        name: transformer.name,
+        limit: transformer.maxContinuousPower || null,
+        headroom: this.getTransformerHeadroom(transformer.id),
+        connectedFeeders: transformer.connectedFeeders || []
+      })),
+      feeders: Array.from(this.constraints.feeders.values()).map(feeder => ({
+        id: feeder.id,
+        name: feeder.name,
+        limit: this.getFeederPowerLimit(feeder),
+        headroom: this.getFeederHeadroom(feeder.id),
+        connectedStations: feeder.connectedStations || []
+      }))
+    };
   }
 
   /**
@@ -546,6 +700,7 @@ class SiteConstraintsManager {
         };
       }),
       availableCapacity: this.getAvailableCapacity().toFixed(1) + 'kW',
+      serviceHeadroom: this.getServiceHeadroom(),
       recentViolations: this.getViolations({ limit: 10 })
     };
   }
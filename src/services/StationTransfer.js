@@ -0,0 +1,444 @@
+/**
+ * StationTransfer - Station configuration import and export (CSV and JSON)
+ *
+ * Exports hold the configuration of stations (no runtime state), so a file
+ * can be kept as a backup or imported on another site:
+ * - JSON: { version, exportedAt, stations: [...] } with the registration
+ *   fields of each station
+ * - CSV: one row per station, nested settings in dot-notation columns
+ *   (communication.host, setpointControl.deadband, ...), tags separated by
+ *   "|", connectors as a count or "connectorId:maxPower|..." list
+ *
+ * Imports are validated as a whole before anything is registered: with
+ * any invalid row nothing is imported and every row's errors are reported.
+ * A dry run only validates.
+ */
+
+import { parseCsv, formatCsv } from '../utils/Csv.js';
+import { isMultiConnector } from '../utils/ChargingPoints.js';
+
+const FORMAT_VERSION = 1;
+const MAX_IMPORT_ROWS = 1000;
+const PROTOCOLS = ['ocpp', 'modbus', 'mqtt'];
+const LIST_SEPARATOR = '|';
+
+const BASE_COLUMNS = [
+  'name', 'type', 'zone', 'location', 'group', 'tags', 'protocol',
+  'maxPower', 'minPower', 'priority', 'greenMode', 'connectors',
+  'manufacturer', 'model', 'serialNumber', 'firmwareVersion'
+];
+
+const NESTED_COLUMNS = [
+  'setpointControl.deadband',
+  'setpointControl.minDwellTime',
+  'setpointControl.maxRampRate',
+  'communication.chargePointId',
+  'communication.connectorId',
+  'communication.host',
+  'communication.port',
+  'communication.unitId',
+  'communication.registers.status',
+  'communication.registers.power',
+  'communication.registers.energy',
+  'communication.registers.powerSetpoint',
+  'communication.topics.status',
+  'communication.topics.power',
+  'communication.topics.energy',
+  'communication.topics.control'
+];
+
+// CSV columns read as numbers (all others are strings)
+const NUMERIC_COLUMNS = [
+  'maxPower', 'minPower', 'priority',
+  'setpointControl.deadband', 'setpointControl.minDwellTime', 'setpointControl.maxRampRate',
+  'communication.connectorId', 'communication.port', 'communication.unitId',
+  'communication.registers.status', 'communication.registers.power',
+  'communication.registers.energy', 'communication.registers.powerSetpoint'
+];
+
+// Communication settings each protocol needs
+const REQUIRED_COMMUNICATION = {
+  ocpp: ['chargePointId'],
+  modbus: ['host', 'registers.status', 'registers.power'],
+  mqtt: ['topics.status', 'topics.power', 'topics.control']
+};
+
+export class StationTransfer {
+  constructor(state) {
+    this.state = state;
+  }
+
+  /**
+   * Export station configurations
+   * @param {string} format - 'json' or 'csv'
+   * @param {Object} filter - See ChargingStationManager.findStations()
+   * @returns {Object} { content, contentType, fileName, count }
+   */
+  exportStations(format = 'json', filter = {}) {
+    const stations = this.state.stationManager.findStations(filter).map(toConfig);
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      return {
+        content: JSON.stringify({
+          version: FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          stations
+        }, null, 2),
+        contentType: 'application/json',
+        fileName: `stations-${date}.json`,
+        count: stations.length
+      };
+    }
+
+    if (format === 'csv') {
+      return {
+        content: formatCsv([...BASE_COLUMNS, ...NESTED_COLUMNS], stations.map(toCsvRow)),
+        contentType: 'text/csv',
+        fileName: `stations-${date}.csv`,
+        count: stations.length
+      };
+    }
+
+    throw new Error(`Unsupported export format: ${format} (use json or csv)`);
+  }
+
+  /**
+   * Import station configurations
+   * @param {string|Object} content - File content, or parsed JSON
+   * @param {string} format - 'json' or 'csv'
+   * @param {Object} options - { dryRun }
+   * @returns {Object} Report: { dryRun, imported, total, valid, invalid, rows }
+   *   with rows [{ row, name, valid, errors, stationId }]
+   */
+  async importStations(content, format, { dryRun = false } = {}) {
+    const rows = this.parseRows(content, format);
+
+    if (rows.length === 0) {
+      throw new Error('No stations to import');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Too many stations (at most ${MAX_IMPORT_ROWS} per import)`);
+    }
+
+    const results = this.validateRows(rows);
+    const invalid = results.filter(result => result.errors.length > 0).length;
+    const report = {
+      dryRun,
+      imported: false,
+      total: results.length,
+      valid: results.length - invalid,
+      invalid,
+      rows: results.map(({ row, name, errors }) => ({ row, name, valid: errors.length === 0, errors }))
+    };
+
+    if (dryRun || invalid > 0) {
+      return report;
+    }
+
+    for (const [index, result] of results.entries()) {
+      try {
+        const station = await this.state.stationManager.registerStation(result.stationData);
+        report.rows[index].stationId = station.id;
+      } catch (error) {
+        report.rows[index].valid = false;
+        report.rows[index].errors.push(error.message);
+      }
+    }
+
+    report.imported = true;
+    report.failed = report.rows.filter(row => !row.stationId).length;
+
+    this.state.broadcast({
+      type: 'station.imported',
+      data: {
+        total: report.total,
+        imported: report.total - report.failed,
+        failed: report.failed
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Parse import content into { row, data } with the row's line (CSV) or
+   * index (JSON), 1-based
+   */
+  parseRows(content, format) {
+    if (format === 'json') {
+      const data = typeof content === 'string' ? JSON.parse(content) : content;
+      const stations = Array.isArray(data) ? data : data?.stations;
+
+      if (!Array.isArray(stations)) {
+        throw new Error('JSON import must be an array or contain a "stations" array');
+      }
+
+      return stations.map((data, index) => ({ row: index + 1, data }));
+    }
+
+    if (format === 'csv') {
+      return parseCsv(typeof content === 'string' ? content : String(content))
+        .map(({ line, data }) => ({ row: line, data: fromCsvRow(data) }));
+    }
+
+    throw new Error(`Unsupported import format: ${format} (use json or csv)`);
+  }
+
+  /**
+   * Validate every row, including names and OCPP charge point IDs that
+   * clash with existing stations or other rows
+   */
+  validateRows(rows) {
+    const existing = this.state.stationManager.getAllStations();
+    // Value -> where it is used, for the error message
+    const names = new Map(existing.map(station => [station.name, 'existing station']));
+    const chargePointIds = new Map(existing
+      .filter(station => station.protocol === 'ocpp')
+      .map(station => [station.communication?.chargePointId, 'existing station']));
+
+    return rows.map(({ row, data }) => {
+      const errors = [];
+      let stationData = null;
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { row, name: null, errors: ['Row must be an object'], stationData };
+      }
+
+      try {
+        stationData = this.validateStation(data, errors);
+      } catch (error) {
+        errors.push(error.message);
+      }
+
+      if (data.name && names.has(data.name)) {
+        errors.push(`Station name "${data.name}" is already in use (${names.get(data.name)})`);
+      }
+      if (data.name && !names.has(data.name)) {
+        names.set(data.name, `row ${row}`);
+      }
+
+      const chargePointId = data.communication?.chargePointId;
+      if (data.protocol === 'ocpp' && chargePointId) {
+        if (chargePointIds.has(chargePointId)) {
+          errors.push(`Charge point ID "${chargePointId}" is already in use (${chargePointIds.get(chargePointId)})`);
+        } else {
+          chargePointIds.set(chargePointId, `row ${row}`);
+        }
+      }
+
+      return { row, name: data.name || null, errors, stationData };
+    });
+  }
+
+  /**
+   * Validate the fields of one station, collecting all errors
+   * @returns {Object} Registration data for ChargingStationManager.registerStation()
+   */
+  validateStation(data, errors) {
+    const stationManager = this.state.stationManager;
+    const check = (fn) => {
+      try {
+        return fn();
+      } catch (error) {
+        errors.push(error.message);
+        return undefined;
+      }
+    };
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+
+    if (!PROTOCOLS.includes(data.protocol)) {
+      errors.push(`Invalid protocol (must be one of: ${PROTOCOLS.join(', ')})`);
+    }
+
+    if (data.type !== undefined && !['ac', 'dc'].includes(data.type)) {
+      errors.push('Invalid type (must be ac or dc)');
+    }
+
+    const maxPower = data.maxPower ?? this.state.config.maxChargingPowerPerStation;
+    const minPower = data.minPower ?? this.state.config.minChargingPower;
+
+    check(() => stationManager.validatePowerLimits(maxPower, minPower));
+
+    if (data.priority !== undefined && (!Number.isInteger(data.priority) || data.priority < 1 || data.priority > 10)) {
+      errors.push('Invalid priority (must be 1-10)');
+    }
+
+    if (data.greenMode !== undefined && typeof data.greenMode !== 'boolean') {
+      errors.push('greenMode must be a boolean');
+    }
+
+    const tags = check(() => stationManager.validateTags(data.tags ?? []));
+    const group = check(() => stationManager.validateGroup(data.group ?? null));
+    const setpointControl = check(() => stationManager.validateSetpointControl(data.setpointControl || {}));
+    const connectors = typeof maxPower === 'number' && maxPower > 0
+      ? check(() => stationManager.createConnectors(data.connectors, maxPower))
+      : undefined;
+
+    if (connectors?.length > 1 && data.protocol === 'modbus') {
+      errors.push('Multi-connector stations are supported over OCPP and MQTT');
+    }
+
+    const communication = data.communication ?? {};
+    if (typeof communication !== 'object' || Array.isArray(communication)) {
+      errors.push('communication must be an object');
+    } else {
+      for (const path of REQUIRED_COMMUNICATION[data.protocol] || []) {
+        const value = getPath(communication, path);
+        if (value === undefined || value === null || value === '') {
+          errors.push(`communication.${path} is required for ${data.protocol}`);
+        }
+      }
+    }
+
+    return {
+      name: typeof data.name === 'string' ? data.name.trim() : data.name,
+      type: data.type,
+      zone: data.zone,
+      location: data.location,
+      group,
+      tags,
+      protocol: data.protocol,
+      maxPower,
+      minPower,
+      priority: data.priority,
+      greenMode: data.greenMode,
+      connectors: data.connectors,
+      setpointControl,
+      communication,
+      manufacturer: data.manufacturer,
+      model: data.model,
+      serialNumber: data.serialNumber,
+      firmwareVersion: data.firmwareVersion
+    };
+  }
+}
+
+/**
+ * Registration fields of a station
+ */
+function toConfig(station) {
+  // Connectors as a count where they all have the station's rating
+  const connectors = isMultiConnector(station)
+    ? station.connectors.map(c => ({ connectorId: c.connectorId, maxPower: c.maxPower }))
+    : 1;
+  const sharedRating = Array.isArray(connectors) &&
+    connectors.every((c, index) => c.maxPower === station.maxPower && c.connectorId === index + 1);
+
+  return {
+    name: station.name,
+    type: station.type,
+    zone: station.zone,
+    location: station.location,
+    group: station.group ?? null,
+    tags: station.tags || [],
+    protocol: station.protocol,
+    maxPower: station.maxPower,
+    minPower: station.minPower,
+    priority: station.priority,
+    greenMode: station.greenMode === true,
+    connectors: sharedRating ? connectors.length : connectors,
+    setpointControl: station.setpointControl || {},
+    communication: station.communication || {},
+    manufacturer: station.manufacturer,
+    model: station.model,
+    serialNumber: station.serialNumber,
+    firmwareVersion: station.firmwareVersion
+  };
+}
+
+/**
+ * Flatten a station config into a CSV row
+ */
+function toCsvRow(config) {
+  const row = {};
+
+  for (const column of BASE_COLUMNS) {
+    row[column] = config[column];
+  }
+
+  row.tags = config.tags.join(LIST_SEPARATOR);
+  row.connectors = Array.isArray(config.connectors)
+    ? config.connectors.map(c => `${c.connectorId}:${c.maxPower}`).join(LIST_SEPARATOR)
+    : config.connectors;
+
+  for (const column of NESTED_COLUMNS) {
+    row[column] = getPath(config, column);
+  }
+
+  return row;
+}
+
+/**
+ * Build a station config from a CSV row
+ * Empty cells are left out so defaults apply; values that do not parse are
+ * kept as they are and rejected by validation.
+ */
+function fromCsvRow(row) {
+  const config = {};
+
+  for (const [column, value] of Object.entries(row)) {
+    if (value === '') continue;
+
+    let parsed = value;
+
+    if (NUMERIC_COLUMNS.includes(column)) {
+      parsed = Number.isFinite(Number(value)) ? Number(value) : value;
+    } else if (column === 'greenMode') {
+      parsed = ['true', '1', 'yes'].includes(value.toLowerCase())
+        ? true
+        : (['false', '0', 'no'].includes(value.toLowerCase()) ? false : value);
+    } else if (column === 'tags') {
+      parsed = value.split(LIST_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+    } else if (column === 'connectors') {
+      parsed = parseConnectors(value);
+    }
+
+    setPath(config, column, parsed);
+  }
+
+  return config;
+}
+
+/**
+ * Parse a connectors cell: a count, or "connectorId:maxPower|..."
+ */
+function parseConnectors(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  return value.split(LIST_SEPARATOR).map(entry => {
+    const [connectorId, maxPower] = entry.split(':').map(part => part.trim());
+    return {
+      connectorId: Number(connectorId),
+      maxPower: maxPower !== undefined && maxPower !== '' ? Number(maxPower) : undefined
+    };
+  });
+}
+
+/**
+ * Get a nested value by dot path
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Set a nested value by dot path
+ */
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  let target = object;
+
+  for (const key of keys.slice(0, -1)) {
+    target[key] = target[key] ?? {};
+    target = target[key];
+  }
+
+  target[keys[keys.length - 1]] = value;
+}
@@ -0,0 +1,184 @@
+/**
+ * TariffManager - Dynamic energy prices
+ *
+ * Holds the hourly / 15-minute price series used for cost-aware charging:
+ * - Imported from JSON/CSV uploads
+ * - Refreshed periodically from a pluggable provider (see TariffProviders.js)
+ *
+ * Imported slots replace existing slots they overlap. The series is saved
+ * to logs/tariff/prices.json and slots older than a week are dropped.
+ * Where no slot covers a time, the flat rate applies.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTariffProvider, parsePriceSeries } from './TariffProviders.js';
+import { TimeSeriesStore } from '../utils/TimeSeries.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export class TariffManager {
+  constructor(state) {
+    this.state = state;
+    this.series = new TimeSeriesStore({
+      file: path.join(__dirname, '../../logs/tariff/prices.json'),
+      field: 'price'
+    });
+
+    this.providers = new Map(); // id -> provider
+    this.activeProvider = null;
+    this.lastImport = null; // { source, count, from, to, timestamp }
+    this.lastError = null;
+    this.refreshTimer = null;
+  }
+
+  async initialize() {
+    console.log('💶 Initializing Tariff Manager...');
+
+    const meta = await this.series.load();
+    this.lastImport = meta.lastImport || null;
+
+    const { tariffProvider, tariffFile, tariffPriceUnit, tariffRefreshMinutes } = this.state.config;
+
+    if (tariffProvider) {
+      try {
+        this.registerProvider(createTariffProvider(tariffProvider, { file: tariffFile, unit: tariffPriceUnit }));
+        this.activeProvider = tariffProvider;
+      } catch (error) {
+        console.error('[TariffManager] Provider not available:', error.message);
+      }
+    }
+
+    if (this.activeProvider) {
+      await this.refresh();
+
+      this.refreshTimer = setInterval(() => {
+        this.refresh();
+      }, (tariffRefreshMinutes || 60) * 60000);
+    }
+
+    console.log(`✅ Tariff Manager initialized (${this.series.slots.length} price slots${this.activeProvider ? `, provider: ${this.activeProvider}` : ''})`);
+  }
+
+  /**
+   * Register a price provider ({ id, name, fetchPrices })
+   */
+  registerProvider(provider) {
+    if (!provider.id || typeof provider.fetchPrices !== 'function') {
+      throw new Error('Tariff provider needs an id and a fetchPrices() method');
+    }
+
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * Select the provider used for periodic refreshes (null = uploads only)
+   */
+  async setProvider(providerId) {
+    if (providerId !== null && !this.providers.has(providerId)) {
+      throw new Error(`Unknown tariff provider: ${providerId}`);
+    }
+
+    this.activeProvider = providerId;
+
+    if (providerId) {
+      await this.refresh();
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Fetch prices from the active provider
+   */
+  async refresh() {
+    const provider = this.providers.get(this.activeProvider);
+    if (!provider) return null;
+
+    try {
+      const slots = await provider.fetchPrices();
+      this.lastError = null;
+      return await this.importSlots(slots, provider.id);
+    } catch (error) {
+      console.error(`[TariffManager] Refresh from ${provider.id} failed:`, error.message);
+      this.lastError = { message: error.message, timestamp: new Date().toISOString() };
+      return null;
+    }
+  }
+
+  /**
+   * Import a price series from uploaded content
+   * @param {string|Object} content - CSV text, JSON text or parsed JSON
+   * @param {string} format - 'json' or 'csv'
+   */
+  async importPrices(content, format, { unit, source = 'upload' } = {}) {
+    return this.importSlots(parsePriceSeries(content, format, { unit }), source);
+  }
+
+  /**
+   * Merge slots into the series, replacing overlapped slots
+   */
+  async importSlots(slots, source) {
+    this.lastImport = {
+      source,
+      ...this.series.merge(slots),
+      timestamp: new Date().toISOString()
+    };
+
+    await this.series.save({ lastImport: this.lastImport });
+
+    console.log(`[TariffManager] Imported ${slots.length} price slots from ${source}`);
+
+    this.state.broadcast({
+      type: 'energy.tariff.updated',
+      data: this.lastImport
+    });
+
+    // New prices can change the charging plan
+    this.state.loadManager?.requestRebalance('tariff_updated');
+
+    return this.lastImport;
+  }
+
+  /**
+   * Get the price (per kWh) at a time, or null without a price slot
+   */
+  getPrice(time = Date.now()) {
+    return this.series.getValue(time);
+  }
+
+  /**
+   * Get prices covering a period without gaps
+   * Gaps (e.g. beyond the day-ahead horizon) are filled at the flat rate
+   * and marked as estimated.
+   */
+  getPriceCurve(from, to) {
+    return this.series.getCurve(from, to, this.state.config.energyCostPerKWh);
+  }
+
+  /**
+   * Get tariff status
+   */
+  getStatus(now = Date.now()) {
+    const coveredUntil = this.series.getCoveredUntil();
+
+    return {
+      currentPrice: this.getPrice(now),
+      flatRate: this.state.config.energyCostPerKWh,
+      coveredUntil: coveredUntil && coveredUntil > now ? new Date(coveredUntil).toISOString() : null,
+      slotCount: this.series.slots.length,
+      provider: this.activeProvider,
+      providers: Array.from(this.providers.values()).map(p => ({ id: p.id, name: p.name })),
+      lastImport: this.lastImport,
+      lastError: this.lastError
+    };
+  }
+
+  async shutdown() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Tariff Providers
+ *
+ * Sources of dynamic (day-ahead) energy prices. A provider implements:
+ *
+ *   {
+ *     id: string,
+ *     name: string,
+ *     async fetchPrices() -> [{ start, end, price }]   // price per kWh
+ *   }
+ *
+ * Providers are registered with the TariffManager, which refreshes them
+ * periodically. The built-in FileTariffProvider reads a local JSON or CSV
+ * file, e.g. one written by an external download job.
+ *
+ * Price series formats (also accepted by the upload endpoint):
+ * - JSON: [{ start, end?, price }] or { unit?: 'kWh' | 'MWh', prices: [...] }
+ * - CSV:  header row with start, end (optional) and price columns
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseTimeSeries, detectFormat } from '../utils/TimeSeries.js';
+
+/**
+ * Parse a price series from JSON or CSV content
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'csv'
+ * @param {Object} options - { unit: 'kWh' | 'MWh' } unit of the prices
+ * @returns {Array} Slots { start, end, price } (ms timestamps, price per kWh), sorted
+ */
+function parsePriceSeries(content, format, { unit } = {}) {
+  return parseTimeSeries(content, format, {
+    field: 'price',
+    listKey: 'prices',
+    unit,
+    getScale: seriesUnit => (/mwh/i.test(seriesUnit || '') ? 1 / 1000 : 1)
+  });
+}
+
+/**
+ * Reads prices from a local JSON or CSV file
+ */
+class FileTariffProvider {
+  constructor({ file, unit } = {}) {
+    if (!file) {
+      throw new Error('Tariff file path is required');
+    }
+
+    this.id = 'file';
+    this.name = `File (${path.basename(file)})`;
+    this.file = file;
+    this.unit = unit;
+  }
+
+  async fetchPrices() {
+    const content = await fs.promises.readFile(this.file, 'utf8');
+    return parsePriceSeries(content, detectFormat(this.file), { unit: this.unit });
+  }
+}
+
+/**
+ * Create a built-in provider from configuration
+ * @param {string} type - Provider type ('file')
+ */
+function createTariffProvider(type, options = {}) {
+  switch (type) {
+    case 'file':
+      return new FileTariffProvider(options);
+    default:
+      throw new Error(`Unknown tariff provider: ${type}`);
+  }
+}
+
+export {
+  FileTariffProvider,
+  createTariffProvider,
+  parsePriceSeries
+};
@@ -0,0 +1,113 @@
+/**
+ * Capacity Tree
+ *
+ * Tracks remaining headroom for every node of the electrical topology
+ * (grid → transformer → feeder) plus contractual limits such as zones.
+ *
+ * Each station is mapped to the path of nodes its power flows through.
+ * An allocation is only possible up to the smallest headroom on that
+ * path, and the node with that smallest headroom is reported as the
+ * binding constraint.
+ */
+
+class CapacityTree {
+  constructor() {
+    this.nodes = new Map(); // nodeId -> node
+    this.paths = new Map(); // stationId -> [nodeId, ...]
+  }
+
+  /**
+   * Add a constraint node
+   */
+  addNode(id, { type, name, limit }) {
+    const node = {
+      id,
+      type,
+      name: name || id,
+      limit,
+      allocated: 0,
+      remaining: limit
+    };
+
+    this.nodes.set(id, node);
+    return node;
+  }
+
+  /**
+   * Check if a node exists
+   */
+  hasNode(id) {
+    return this.nodes.has(id);
+  }
+
+  /**
+   * Set the path of nodes a station draws power through
+   */
+  setPath(stationId, nodeIds) {
+    this.paths.set(stationId, nodeIds.filter(id => this.nodes.has(id)));
+  }
+
+  /**
+   * Get the nodes on a station's path
+   */
+  getPath(stationId) {
+    return (this.paths.get(stationId) || []).map(id => this.nodes.get(id));
+  }
+
+  /**
+   * Get the headroom available to a station and the node limiting it
+   */
+  getHeadroom(stationId) {
+    let headroom = Infinity;
+    let node = null;
+
+    for (const pathNode of this.getPath(stationId)) {
+      if (pathNode.remaining < headroom) {
+        headroom = pathNode.remaining;
+        node = pathNode;
+      }
+    }
+
+    return { headroom: Math.max(0, headroom), node };
+  }
+
+  /**
+   * Reserve power for a station on every node along its path
+   */
+  allocate(stationId, power) {
+    for (const node of this.getPath(stationId)) {
+      node.allocated += power;
+      node.remaining -= power;
+    }
+  }
+
+  /**
+   * Describe a node for reporting (binding constraint)
+   */
+  describe(node) {
+    if (!node) return null;
+
+    return {
+      id: node.id,
+      type: node.type,
+      name: node.name,
+      limit: node.limit
+    };
+  }
+
+  /**
+   * Get utilization summary of all nodes
+   */
+  getSummary() {
+    return Array.from(this.nodes.values()).map(node => ({
+      id: node.id,
+      type: node.type,
+      name: node.name,
+      limit: node.limit,
+      allocated: node.allocated,
+      remaining: node.remaining
+    }));
+  }
+}
+
+export { CapacityTree };
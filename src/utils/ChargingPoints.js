@@ -0,0 +1,132 @@
+/**
+ * Charging Points
+ *
+ * A charging point is what load management allocates power to: a
+ * single-connector station itself, or one connector of a multi-connector
+ * station.
+ *
+ * Single-connector stations keep status, session, power and meter values
+ * on the station. Multi-connector stations keep them on each connector,
+ * and the station fields hold the aggregate (see aggregateConnectors()).
+ * The connectors of a station share its supply, so their total power is
+ * limited by the station's maxPower.
+ */
+
+// Per-connector state of multi-connector stations (same names as on stations)
+const CONNECTOR_STATE_FIELDS = [
+  'status',
+  'currentPower',
+  'requestedPower',
+  'user',
+  'rfidCard',
+  'sessionEnergy',
+  'meterValue',
+  'chargingStartedAt',
+  'departureTime',
+  'energyRequired',
+  'sessionGreenMode',
+  'lastSetpointChange',
+  'lastUpdate'
+];
+
+// Aggregate station status: the first one any connector has
+const STATUS_PRECEDENCE = ['charging', 'ready', 'unavailable', 'error', 'offline'];
+
+/**
+ * Check if a station has more than one connector
+ */
+function isMultiConnector(station) {
+  return (station.connectors?.length || 0) > 1;
+}
+
+/**
+ * ID of a connector's charging point
+ */
+function getChargingPointId(stationId, connectorId) {
+  return `${stationId}:${connectorId}`;
+}
+
+/**
+ * Initial state of a connector of a multi-connector station
+ */
+function createConnectorState() {
+  return {
+    status: 'offline',
+    currentPower: 0,
+    requestedPower: 0,
+    user: null,
+    rfidCard: null,
+    sessionEnergy: 0,
+    meterValue: null, // kWh meter register
+    chargingStartedAt: null,
+    departureTime: null,
+    energyRequired: null,
+    sessionGreenMode: null,
+    lastSetpointChange: null,
+    lastUpdate: null
+  };
+}
+
+/**
+ * Get the charging points of a station
+ * Connector points carry the station's settings (priority, zone, setpoint
+ * control, ...) with the connector's state, plus stationId, connectorId and
+ * the connector itself for writing back.
+ */
+function getChargingPoints(station) {
+  if (!isMultiConnector(station)) {
+    return [station];
+  }
+
+  return station.connectors.map(connector => {
+    const state = Object.fromEntries(CONNECTOR_STATE_FIELDS.map(field => [field, connector[field]]));
+
+    return {
+      ...station,
+      ...state,
+      id: getChargingPointId(station.id, connector.connectorId),
+      name: `${station.name} #${connector.connectorId}`,
+      stationId: station.id,
+      connectorId: connector.connectorId,
+      maxPower: Math.min(connector.maxPower, station.maxPower),
+      connector
+    };
+  });
+}
+
+/**
+ * Get the charging points of all stations
+ */
+function getAllChargingPoints(stations) {
+  return Array.from(stations.values()).flatMap(getChargingPoints);
+}
+
+/**
+ * Update the station fields of a multi-connector station from its connectors
+ */
+function aggregateConnectors(station) {
+  if (!isMultiConnector(station)) return station;
+
+  const connectors = station.connectors;
+  const sum = field => connectors.reduce((total, c) => total + (c[field] || 0), 0);
+  const started = connectors.map(c => c.chargingStartedAt).filter(Boolean).sort();
+
+  station.status = STATUS_PRECEDENCE.find(status => connectors.some(c => c.status === status)) || 'offline';
+  station.currentPower = sum('currentPower');
+  station.requestedPower = sum('requestedPower');
+  station.sessionEnergy = sum('sessionEnergy');
+  station.user = connectors.find(c => c.user)?.user || null;
+  station.chargingStartedAt = started[0] || null;
+
+  return station;
+}
+
+export {
+  CONNECTOR_STATE_FIELDS,
+  isMultiConnector,
+  getChargingPointId,
+  createConnectorState,
+  getChargingPoints,
+  getAllChargingPoints,
+  aggregateConnectors
+};
@@ -0,0 +1,127 @@
+/**
+ * CSV Utility
+ *
+ * Header-row CSV as used for configuration files:
+ * - Comma or semicolon separated (detected from the header)
+ * - Double-quoted values may contain separators, quotes ("") and line breaks
+ * - Empty lines and lines starting with # are skipped
+ */
+
+/**
+ * Split CSV content into records of raw values
+ * @returns {Array} [{ line, values }] with the 1-based line each record starts on
+ */
+function splitRecords(content, separator) {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endValue = () => {
+    values.push(value);
+    value = '';
+  };
+  const endRecord = () => {
+    endValue();
+    const blank = values.length === 1 && values[0].trim() === '';
+    if (!blank && !values[0].trim().startsWith('#')) {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && value.trim() === '') {
+      value = '';
+      quoted = true;
+    } else if (char === separator) {
+      endValue();
+    } else if (char === '\n') {
+      line++;
+      endRecord();
+    } else if (char !== '\r') {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted value starting on line ${recordLine}`);
+  }
+
+  if (value !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column name
+ * @param {Object} options - { mapHeader(column) -> key, e.g. to match
+ *   column names case-insensitively; requiredColumns the header must contain }
+ * @returns {Array} [{ line, data }] with trimmed values; missing values are ''
+ */
+function parseCsv(content, { mapHeader = column => column, requiredColumns = [] } = {}) {
+  const firstLine = content.split(/\r?\n/).find(line => line.trim() && !line.trim().startsWith('#')) || '';
+  const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const [header, ...records] = splitRecords(content, separator);
+
+  if (!header) {
+    throw new Error('CSV is empty');
+  }
+
+  const columns = header.values.map(column => mapHeader(column.trim()));
+
+  if (requiredColumns.some(column => !columns.includes(column))) {
+    const names = requiredColumns.map(column => `"${column}"`);
+    const list = [names.slice(0, -1).join(', '), names.at(-1)].filter(Boolean).join(' and ');
+    throw new Error(`CSV header must contain ${list} columns`);
+  }
+
+  return records.map(({ line, values }) => ({
+    line,
+    data: Object.fromEntries(columns.map((column, index) => [column, (values[index] ?? '').trim()]))
+  }));
+}
+
+/**
+ * Format a CSV value, quoting it where needed
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header row
+ * @param {Array} columns - Column names
+ * @param {Array} rows - Objects keyed by column name
+ */
+function formatCsv(columns, rows) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(formatValue).join(','));
+
+  return lines.join('\n') + '\n';
+}
+
+export { parseCsv, formatCsv };
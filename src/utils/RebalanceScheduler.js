@@ -0,0 +1,185 @@
+/**
+ * Rebalance Scheduler Utility
+ *
+ * Runs the load balancing cycle in response to events instead of only on a
+ * fixed interval:
+ * - Bursts of requests are coalesced (trailing debounce with a maximum delay)
+ * - Urgent requests (e.g. overload) run without debounce
+ * - Only one cycle runs at a time; requests during a run trigger one follow-up
+ * - A fallback tick runs the cycle when no event arrived for a while
+ */
+
+class RebalanceScheduler {
+  constructor(run, options = {}) {
+    this.run = run;
+    this.debounce = options.debounce ?? 200; // ms
+    this.maxDelay = options.maxDelay ?? 1000; // ms
+    this.fallbackInterval = options.fallbackInterval ?? 5000; // ms
+
+    this.started = false;
+    this.running = false;
+    this.pending = false;
+    this.pendingUrgent = false;
+    this.pendingReasons = new Set();
+    this.firstRequestAt = null;
+
+    this.timer = null;
+    this.fallbackTimer = null;
+
+    this.stats = {
+      runs: 0,
+      requests: 0,
+      coalesced: 0,
+      errors: 0,
+      lastRunAt: null,
+      lastDuration: null,
+      lastReasons: []
+    };
+  }
+
+  /**
+   * Start the fallback tick
+   */
+  start() {
+    this.started = true;
+    this.armFallback();
+    return this;
+  }
+
+  /**
+   * Stop all timers
+   */
+  stop() {
+    this.started = false;
+
+    clearTimeout(this.timer);
+    clearTimeout(this.fallbackTimer);
+    this.timer = null;
+    this.fallbackTimer = null;
+  }
+
+  /**
+   * Request a cycle
+   * @param {string} reason - What triggered the request (for diagnostics)
+   * @param {Object} options
+   * @param {boolean} options.urgent - Run as soon as possible (no debounce)
+   */
+  request(reason, { urgent = false } = {}) {
+    if (!this.started) return;
+
+    this.stats.requests++;
+    this.pendingReasons.add(reason);
+
+    if (this.running) {
+      // Single flight: run once more after the current cycle
+      this.pending = true;
+      this.pendingUrgent = this.pendingUrgent || urgent;
+      this.stats.coalesced++;
+      return;
+    }
+
+    if (this.timer) {
+      this.stats.coalesced++;
+    }
+
+    this.schedule(urgent);
+  }
+
+  /**
+   * Arm the run timer
+   */
+  schedule(urgent) {
+    const now = Date.now();
+    if (this.firstRequestAt === null) {
+      this.firstRequestAt = now;
+    }
+
+    // Trailing debounce, but never later than maxDelay after the first request
+    const delay = urgent
+      ? 0
+      : Math.max(0, Math.min(this.debounce, this.firstRequestAt + this.maxDelay - now));
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.execute();
+    }, delay);
+  }
+
+  /**
+   * Run one cycle, then a follow-up if requests arrived meanwhile
+   */
+  async execute() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+
+    const reasons = Array.from(this.pendingReasons);
+    this.pendingReasons.clear();
+    this.firstRequestAt = null;
+    this.running = true;
+
+    const startTime = Date.now();
+
+    try {
+      await this.run(reasons);
+    } catch (error) {
+      this.stats.errors++;
+      console.error('[RebalanceScheduler] Cycle failed:', error);
+    } finally {
+      this.running = false;
+      this.stats.runs++;
+      this.stats.lastRunAt = new Date().toISOString();
+      this.stats.lastDuration = Date.now() - startTime;
+      this.stats.lastReasons = reasons;
+
+      this.armFallback();
+    }
+
+    if (this.pending) {
+      const urgent = this.pendingUrgent;
+      this.pending = false;
+      this.pendingUrgent = false;
+      this.schedule(urgent);
+    }
+  }
+
+  /**
+   * (Re)arm the fallback tick after a cycle
+   */
+  armFallback() {
+    if (!this.started) return;
+
+    clearTimeout(this.fallbackTimer);
+    this.fallbackTimer = setTimeout(() => {
+      this.request('fallback_tick', { urgent: true });
+    }, this.fallbackInterval);
+  }
+
+  /**
+   * Check if the scheduler is started
+   */
+  isStarted() {
+    return this.started;
+  }
+
+  /**
+   * Get scheduler statistics
+   */
+  getStats() {
+    return {
+      started: this.started,
+      running: this.running,
+      pending: this.pending || this.timer !== null,
+      debounce: this.debounce,
+      maxDelay: this.maxDelay,
+      fallbackInterval: this.fallbackInterval,
+      ...this.stats
+    };
+  }
+}
+
+export { RebalanceScheduler };
@@ -0,0 +1,219 @@
+/**
+ * Simple XML Utility
+ *
+ * Minimal XML reader/writer for protocol payloads (OpenADR) without a
+ * third-party parser:
+ * - Elements, attributes, text and CDATA; comments, declarations and
+ *   processing instructions are skipped
+ * - Namespace prefixes are dropped from element and attribute names, so
+ *   lookups use local names (e.g. 'eventID' matches 'ei:eventID')
+ * - No DTD or entity declarations (only the predefined and numeric entities)
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Parse an XML document and return its root element
+ * Elements are { name, prefix, attributes, children, text }.
+ */
+function parseXml(xml) {
+  const root = { name: '#document', prefix: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let pos = 0;
+
+  while (pos < xml.length) {
+    const current = stack[stack.length - 1];
+    const lt = xml.indexOf('<', pos);
+
+    if (lt === -1) {
+      current.text += decodeEntities(xml.slice(pos));
+      break;
+    }
+
+    if (lt > pos) {
+      current.text += decodeEntities(xml.slice(pos, lt));
+    }
+
+    if (xml.startsWith('<!--', lt)) {
+      pos = skipTo(xml, '-->', lt);
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      current.text += xml.slice(lt + 9, end);
+      pos = end + 3;
+    } else if (xml.startsWith('<?', lt)) {
+      pos = skipTo(xml, '?>', lt);
+    } else if (xml.startsWith('<!', lt)) {
+      pos = skipTo(xml, '>', lt);
+    } else if (xml.startsWith('</', lt)) {
+      const end = skipTo(xml, '>', lt);
+      const { local } = splitName(xml.slice(lt + 2, end - 1).trim());
+
+      if (stack.length === 1 || current.name !== local) {
+        throw new Error(`Unexpected closing tag </${local}>`);
+      }
+
+      current.text = current.text.trim();
+      stack.pop();
+      pos = end;
+    } else {
+      const end = findTagEnd(xml, lt);
+      const selfClosing = xml[end - 1] === '/';
+      const element = parseTag(xml.slice(lt + 1, selfClosing ? end - 1 : end));
+
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      pos = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  const documentElement = root.children[0];
+  if (!documentElement) {
+    throw new Error('Empty XML document');
+  }
+
+  return documentElement;
+}
+
+/**
+ * Index after the next occurrence of `token`
+ */
+function skipTo(xml, token, from) {
+  const index = xml.indexOf(token, from);
+  if (index === -1) {
+    throw new Error(`Expected "${token}"`);
+  }
+  return index + token.length;
+}
+
+/**
+ * Find the '>' ending a start tag (ignoring '>' inside attribute values)
+ */
+function findTagEnd(xml, from) {
+  let quote = null;
+
+  for (let i = from + 1; i < xml.length; i++) {
+    const char = xml[i];
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+
+  throw new Error('Unterminated start tag');
+}
+
+/**
+ * Parse the inside of a start tag: name and attributes
+ */
+function parseTag(content) {
+  const nameMatch = content.match(/^\s*([^\s/>]+)/);
+  if (!nameMatch) {
+    throw new Error('Invalid start tag');
+  }
+
+  const { prefix, local } = splitName(nameMatch[1]);
+  const attributes = {};
+  const attrPattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = attrPattern.exec(content.slice(nameMatch[0].length))) !== null) {
+    const name = match[1];
+    if (name === 'xmlns' || name.startsWith('xmlns:')) continue;
+
+    attributes[splitName(name).local] = decodeEntities(match[3] ?? match[4]);
+  }
+
+  return { name: local, prefix, attributes, children: [], text: '' };
+}
+
+/**
+ * Split a qualified name into prefix and local name
+ */
+function splitName(qualifiedName) {
+  const colon = qualifiedName.indexOf(':');
+  return colon === -1
+    ? { prefix: null, local: qualifiedName }
+    : { prefix: qualifiedName.slice(0, colon), local: qualifiedName.slice(colon + 1) };
+}
+
+/**
+ * Replace predefined and numeric character references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return ENTITIES[code] ?? entity;
+  });
+}
+
+/**
+ * Escape text for element content and attribute values
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Direct children with a local name
+ */
+function childElements(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Follow a path of local names ('a/b/c') through first matching children
+ */
+function findElement(element, path) {
+  let current = element;
+
+  for (const name of path.split('/')) {
+    current = childElements(current, name)[0];
+    if (!current) return null;
+  }
+
+  return current;
+}
+
+/**
+ * First descendant (depth first) with a local name
+ */
+function findDescendant(element, name) {
+  if (!element) return null;
+
+  for (const child of element.children) {
+    if (child.name === name) return child;
+
+    const found = findDescendant(child, name);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Text of the element at a path, or null
+ */
+function textAt(element, path) {
+  const found = findElement(element, path);
+  return found ? found.text : null;
+}
+
+export { parseXml, escapeXml, childElements, findElement, findDescendant, textAt };
@@ -0,0 +1,279 @@
+/**
+ * Time Series Utility
+ *
+ * Interval series (prices, grid carbon intensity) imported from JSON/CSV:
+ * - parseTimeSeries(): rows { start, end?, <field> } to sorted slots
+ * - TimeSeriesStore: merged slots with retention, lookup, gapless curves
+ *   and a JSON file for restarts
+ *
+ * Without an end, a slot ends where the next one starts; the last slot
+ * gets the length of the one before it (or one hour).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseCsv } from './Csv.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse a series from JSON or CSV content
+ * JSON: an array of rows, or an object with the rows under `listKey`
+ * (its `unit` is passed to getScale). CSV: header row with start, end
+ * (optional) and the value column.
+ * @param {string|Object} content - File content or parsed JSON
+ * @param {string} format - 'json' or 'csv'
+ * @param {Object} options - { field, listKey, unit, getScale(unit) -> multiplier }
+ * @returns {Array} Slots { start, end, [field] } (ms timestamps), sorted
+ */
+function parseTimeSeries(content, format, { field, listKey, unit, getScale = () => 1 }) {
+  let rows;
+  let seriesUnit = unit;
+
+  if (format === 'json') {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    rows = Array.isArray(data) ? data : data[listKey];
+    seriesUnit = seriesUnit || (Array.isArray(data) ? null : data.unit);
+
+    if (!Array.isArray(rows)) {
+      throw new Error(`JSON series must be an array or contain a "${listKey}" array`);
+    }
+  } else if (format === 'csv') {
+    rows = parseCsvRows(content, field);
+  } else {
+    throw new Error(`Unsupported series format: ${format}`);
+  }
+
+  const scale = getScale(seriesUnit);
+
+  const slots = rows.map((row, index) => {
+    const start = new Date(row.start).getTime();
+    const end = row.end !== undefined && row.end !== null && row.end !== '' ? new Date(row.end).getTime() : null;
+    const value = Number(row[field]);
+
+    if (!Number.isFinite(start)) {
+      throw new Error(`Row ${index + 1}: invalid start "${row.start}"`);
+    }
+    if (end !== null && !(end > start)) {
+      throw new Error(`Row ${index + 1}: end must be after start`);
+    }
+    if (row[field] === '' || row[field] === null || row[field] === undefined || !Number.isFinite(value)) {
+      throw new Error(`Row ${index + 1}: invalid ${field} "${row[field]}"`);
+    }
+
+    return { start, end, [field]: value * scale };
+  });
+
+  slots.sort((a, b) => a.start - b.start);
+
+  // Open-ended slots run until the next slot starts
+  for (let i = 0; i < slots.length; i++) {
+    if (slots[i].end !== null) continue;
+
+    const next = slots[i + 1];
+    const previous = slots[i - 1];
+    slots[i].end = next
+      ? next.start
+      : slots[i].start + (previous ? previous.end - previous.start : HOUR_MS);
+  }
+
+  for (let i = 1; i < slots.length; i++) {
+    if (slots[i].start < slots[i - 1].end) {
+      throw new Error(`Overlapping slots at ${new Date(slots[i].start).toISOString()}`);
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Rows of a CSV series (see utils/Csv.js); column names are case-insensitive
+ */
+function parseCsvRows(content, field) {
+  return parseCsv(content, {
+    mapHeader: column => column.toLowerCase(),
+    requiredColumns: ['start', field]
+  }).map(record => record.data);
+}
+
+/**
+ * Detect the format of a series file from its name
+ */
+function detectFormat(fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.json') return 'json';
+  if (extension === '.csv') return 'csv';
+
+  throw new Error(`Cannot detect series format of "${fileName}" (use .json or .csv)`);
+}
+
+/**
+ * Slots of one series, merged from imports
+ */
+class TimeSeriesStore {
+  /**
+   * @param {Object} options - { file, field, retentionMs }
+   */
+  constructor({ file, field, retentionMs = 7 * 24 * HOUR_MS }) {
+    this.file = file;
+    this.field = field;
+    this.retentionMs = retentionMs;
+    this.slots = []; // [{ start, end, [field] }] sorted, ms timestamps
+  }
+
+  /**
+   * Load saved slots; returns the saved metadata
+   */
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      this.slots = saved.slots || [];
+      this.prune();
+      return saved.meta || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[TimeSeriesStore] Failed to load ${this.file}:`, error);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Write slots and metadata to disk
+   */
+  async save(meta = {}) {
+    try {
+      await fs.promises.writeFile(this.file, JSON.stringify({
+        savedAt: new Date().toISOString(),
+        meta,
+        slots: this.slots
+      }));
+    } catch (error) {
+      console.error(`[TimeSeriesStore] Failed to save ${this.file}:`, error);
+    }
+  }
+
+  /**
+   * Merge slots, replacing existing slots within their period
+   * @returns {Object} { count, from, to }
+   */
+  merge(slots) {
+    if (slots.length === 0) {
+      throw new Error('Series contains no slots');
+    }
+
+    const from = slots[0].start;
+    const to = slots[slots.length - 1].end;
+
+    this.slots = [
+      ...this.slots.filter(slot => slot.end <= from || slot.start >= to),
+      ...slots.map(slot => ({ start: slot.start, end: slot.end, [this.field]: slot[this.field] }))
+    ].sort((a, b) => a.start - b.start);
+
+    this.prune();
+
+    return {
+      count: slots.length,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString()
+    };
+  }
+
+  /**
+   * Drop slots older than the retention period
+   */
+  prune(now = Date.now()) {
+    this.slots = this.slots.filter(slot => slot.end > now - this.retentionMs);
+  }
+
+  /**
+   * Get the slot covering a time, or null
+   */
+  getSlot(time = Date.now()) {
+    return this.slots.find(slot => time >= slot.start && time < slot.end) || null;
+  }
+
+  /**
+   * Get the value at a time, or null without a slot
+   */
+  getValue(time = Date.now()) {
+    return this.getSlot(time)?.[this.field] ?? null;
+  }
+
+  /**
+   * Get slots overlapping a period
+   */
+  getSlots(from, to) {
+    return this.slots.filter(slot => slot.end > from && slot.start < to);
+  }
+
+  /**
+   * End of the last slot, or null
+   */
+  getCoveredUntil() {
+    const last = this.slots[this.slots.length - 1];
+    return last ? last.end : null;
+  }
+
+  /**
+   * Get slots covering a period without gaps
+   * Gaps are filled with hourly slots at the fallback value, marked as estimated.
+   */
+  getCurve(from, to, fallback) {
+    const curve = [];
+    let time = from;
+    const fill = (until) => {
+      while (time < until) {
+        const end = Math.min(until, Math.floor(time / HOUR_MS) * HOUR_MS + HOUR_MS);
+        curve.push({ start: time, end, [this.field]: fallback, estimated: true });
+        time = end;
+      }
+    };
+
+    for (const slot of this.getSlots(from, to)) {
+      fill(slot.start);
+
+      const end = Math.min(slot.end, to);
+      curve.push({ start: Math.max(time, slot.start), end, [this.field]: slot[this.field], estimated: false });
+      time = end;
+    }
+
+    fill(to);
+
+    return curve;
+  }
+}
+
+/**
+ * Combine gapless curves of the same period into one curve
+ * Slots are split at every boundary of any curve.
+ * @param {Object} curves - field -> curve (from TimeSeriesStore.getCurve)
+ * @returns {Array} Slots { start, end, estimated, ...one value per field }
+ */
+function combineCurves(curves) {
+  const entries = Object.entries(curves);
+  const boundaries = [...new Set(entries.flatMap(([, curve]) => curve.flatMap(slot => [slot.start, slot.end])))]
+    .sort((a, b) => a - b);
+  const combined = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const slot = { start, end, estimated: false };
+
+    for (const [field, curve] of entries) {
+      const source = curve.find(s => start >= s.start && start < s.end);
+      slot[field] = source ? source[field] : null;
+      slot.estimated = slot.estimated || !source || source.estimated;
+    }
+
+    combined.push(slot);
+  }
+
+  return combined;
+}
+
+export { parseTimeSeries, detectFormat, TimeSeriesStore, combineCurves };
@@ -0,0 +1,103 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AllocationHistoryStore } from '../src/services/AllocationHistoryStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIDNIGHT = Date.parse('2026-03-11T00:00:00Z');
+
+let dataDir;
+let store;
+
+beforeEach(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'allocations-'));
+  store = new AllocationHistoryStore({ dataDir });
+});
+
+afterEach(async () => {
+  await store.shutdown();
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+function entry(time, allocations, totalAllocated = 0) {
+  return {
+    timestamp: new Date(time).toISOString(),
+    allocations: allocations.map(([stationId, power, constraint]) => ({
+      stationId,
+      power,
+      reason: 'load_balancing',
+      bindingConstraint: constraint ? { type: constraint } : null
+    })),
+    totalAllocated,
+    availableCapacity: 100
+  };
+}
+
+test('writes entries to the file of their day and reads them back with buffered ones', async () => {
+  store.append(entry(MIDNIGHT - 1000, [['a', 11]]));
+  store.append(entry(MIDNIGHT + 1000, [['a', 7]]));
+  await store.flush();
+  store.append(entry(MIDNIGHT + 2000, [['a', 5]]));
+
+  assert.deepEqual((await store.listFiles()).map(f => f.name), ['allocations-2026-03-10.jsonl', 'allocations-2026-03-11.jsonl']);
+
+  const result = await store.query({ from: MIDNIGHT - DAY_MS, to: MIDNIGHT + DAY_MS, order: 'asc' });
+  assert.deepEqual(result.entries.map(e => e.allocations[0].power), [11, 7, 5]);
+  assert.equal(result.total, 3);
+});
+
+test('filters by station and pages newest first', async () => {
+  for (let i = 0; i < 5; i++) {
+    store.append(entry(MIDNIGHT + i * 1000, i % 2 === 0 ? [['a', i], ['b', 1]] : [['b', 1]]));
+  }
+
+  const result = await store.query({ from: MIDNIGHT, to: MIDNIGHT + 10000, stationId: 'a', limit: 2, offset: 1 });
+
+  assert.equal(result.total, 3);
+  assert.deepEqual(result.entries.map(e => e.allocations.map(a => [a.stationId, a.power])), [[['a', 2]], [['a', 0]]]);
+});
+
+test('downsamples into buckets with average and peak power', async () => {
+  store.append(entry(MIDNIGHT, [['a', 10, 'grid']], 10));
+  store.append(entry(MIDNIGHT + 30000, [['a', 20, 'zone']], 20));
+  store.append(entry(MIDNIGHT + 60000, [['a', 6]], 6));
+
+  const { entries } = await store.query({ from: MIDNIGHT, to: MIDNIGHT + 120000, interval: 60, order: 'asc' });
+
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].samples, 2);
+  assert.equal(entries[0].totalAllocated, 15);
+  assert.deepEqual(entries[0].allocations, [{
+    stationId: 'a',
+    power: 15,
+    peakPower: 20,
+    samples: 2,
+    reason: 'load_balancing',
+    bindingConstraint: { type: 'zone' },
+    zone: undefined
+  }]);
+  assert.equal(entries[1].allocations[0].power, 6);
+});
+
+test('rejects invalid queries', async () => {
+  await assert.rejects(store.query({ from: 'yesterday' }), /Invalid time range/);
+  await assert.rejects(store.query({ from: MIDNIGHT, to: MIDNIGHT - 1 }), /Start of time range must be before its end/);
+  await assert.rejects(store.query({ interval: 0 }), /Invalid interval value/);
+  await assert.rejects(store.query({ limit: 0 }), /Invalid pagination parameters/);
+  await assert.rejects(store.query({ order: 'random' }), /Invalid order/);
+});
+
+test('removes files older than the retention period at startup', async () => {
+  const today = new Date().toISOString().split('T')[0];
+  const expired = new Date(Date.now() - 40 * DAY_MS).toISOString().split('T')[0];
+  await fs.promises.writeFile(path.join(dataDir, `allocations-${today}.jsonl`), '');
+  await fs.promises.writeFile(path.join(dataDir, `allocations-${expired}.jsonl`), '');
+  await fs.promises.writeFile(path.join(dataDir, 'notes.txt'), '');
+
+  await store.initialize();
+
+  assert.deepEqual((await store.listFiles()).map(f => f.date), [today]);
+  assert.ok(fs.existsSync(path.join(dataDir, 'notes.txt')));
+});
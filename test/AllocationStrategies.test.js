@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CapacityTree } from '../src/utils/CapacityTree.js';
+import {
+  PriorityFillStrategy,
+  EqualShareStrategy,
+  PriorityWeightedStrategy,
+  EnergyNeedStrategy,
+  StrictPriorityStrategy,
+  DeadlineStrategy
+} from '../src/services/AllocationStrategies.js';
+
+const config = { minChargingPower: 4, maxChargingPowerPerStation: 11 };
+
+function station(id, fields = {}) {
+  return { id, name: id, priority: 5, minPower: 4, maxPower: 11, requestedPower: 11, ...fields };
+}
+
+function gridTree(limit, stations) {
+  const tree = new CapacityTree();
+  tree.addNode('grid', { type: 'grid', name: 'Grid', limit });
+  for (const s of stations) {
+    tree.setPath(s.id, ['grid']);
+  }
+  return tree;
+}
+
+function allocate(strategy, limit, stations, tree = gridTree(limit, stations)) {
+  const allocations = strategy.allocate(stations, tree, config);
+  return Object.fromEntries(allocations.map(a => [a.station.id, a]));
+}
+
+function powers(allocations) {
+  return Object.fromEntries(Object.entries(allocations).map(([id, a]) => [id, Math.round(a.power * 100) / 100]));
+}
+
+test('priority_fill gives everyone the minimum, then fills in order', () => {
+  const stations = [station('a'), station('b'), station('c')];
+
+  const result = allocate(new PriorityFillStrategy(), 20, stations);
+
+  assert.deepEqual(powers(result), { a: 11, b: 5, c: 4 });
+  assert.equal(result.a.bindingConstraint.type, 'station');
+  assert.equal(result.b.bindingConstraint.type, 'grid');
+});
+
+test('stations that do not get their minimum are rejected with the limiting node', () => {
+  const stations = [station('a'), station('b'), station('c')];
+
+  const result = allocate(new PriorityFillStrategy(), 10, stations);
+
+  assert.deepEqual(powers(result), { a: 6, b: 4, c: 0 });
+  assert.equal(result.c.minPass.admitted, false);
+  assert.equal(result.c.reason, 'insufficient_capacity');
+});
+
+test('equal_share splits the remaining capacity equally', () => {
+  const stations = [station('a'), station('b'), station('c')];
+
+  const result = allocate(new EqualShareStrategy(), 21, stations);
+
+  assert.deepEqual(powers(result), { a: 7, b: 7, c: 7 });
+});
+
+test('equal_share passes capacity a station cannot take on to the others', () => {
+  const stations = [station('a', { requestedPower: 5 }), station('b'), station('c')];
+
+  const result = allocate(new EqualShareStrategy(), 25, stations);
+
+  assert.deepEqual(powers(result), { a: 5, b: 10, c: 10 });
+});
+
+test('priority_weighted splits the remaining capacity by priority', () => {
+  const stations = [station('a', { priority: 3 }), station('b', { priority: 1 })];
+
+  const result = allocate(new PriorityWeightedStrategy(), 16, stations);
+
+  // 8 kW minimum, 8 kW split 3:1
+  assert.deepEqual(powers(result), { a: 10, b: 6 });
+});
+
+test('energy_need splits the remaining capacity by remaining kWh', () => {
+  const stations = [
+    station('a', { energyRequired: 30, sessionEnergy: 0 }),
+    station('b', { energyRequired: 10, sessionEnergy: 0 })
+  ];
+
+  const result = allocate(new EnergyNeedStrategy(), 16, stations);
+
+  assert.deepEqual(powers(result), { a: 10, b: 6 });
+});
+
+test('strict_priority fills each station before serving the next', () => {
+  const stations = [station('a'), station('b'), station('c')];
+
+  const result = allocate(new StrictPriorityStrategy(), 20, stations);
+
+  // 9 kW left for b, nothing left for c's minimum
+  assert.deepEqual(powers(result), { a: 11, b: 9, c: 0 });
+});
+
+test('deadline serves the most urgent session first', () => {
+  const soon = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const later = new Date(Date.now() + 10 * 60 * 60 * 1000).toISOString();
+  const stations = [
+    station('relaxed', { departureTime: later, energyRequired: 10, sessionEnergy: 0 }),
+    station('urgent', { departureTime: soon, energyRequired: 10, sessionEnergy: 0 })
+  ];
+
+  const result = allocate(new DeadlineStrategy(), 14, stations);
+
+  assert.equal(result.urgent.power, 10);
+  assert.equal(result.relaxed.power, 4);
+});
+
+test('strategies respect zone limits below the grid limit', () => {
+  const stations = [station('a'), station('b')];
+  const tree = gridTree(50, stations);
+  tree.addNode('zone:1', { type: 'zone', name: 'Unit 1', limit: 12 });
+  tree.setPath('a', ['grid', 'zone:1']);
+  tree.setPath('b', ['grid', 'zone:1']);
+
+  const result = allocate(new EqualShareStrategy(), 50, stations, tree);
+  assert.deepEqual(powers(result), { a: 6, b: 6 });
+  assert.equal(result.a.bindingConstraint.type, 'zone');
+  assert.equal(result.a.zoneLimited, true);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryManager } from '../src/services/BatteryManager.js';
+
+function createManager(batteries) {
+  const state = {
+    batteries: new Map(batteries.map(b => [b.id, b])),
+    config: { batteryReserveSoc: 20 },
+    broadcast: () => {}
+  };
+
+  const manager = new BatteryManager(state);
+  const setpoints = [];
+
+  for (const battery of batteries) {
+    manager.drivers.set(battery.id, {
+      setPower: async (power) => {
+        if (battery.unreachable) throw new Error('Timeout');
+        setpoints.push([battery.id, power]);
+      }
+    });
+  }
+
+  return { manager, setpoints };
+}
+
+function battery(id, fields = {}) {
+  return {
+    id,
+    name: id,
+    capacity: 50,
+    maxChargePower: 10,
+    maxDischargePower: 20,
+    reserveSoc: 20,
+    maxSoc: 90,
+    enabled: true,
+    status: 'online',
+    soc: 50,
+    power: 0,
+    setpoint: 0,
+    lastUpdate: new Date().toISOString(),
+    ...fields
+  };
+}
+
+test('splits discharge over the batteries in proportion to their limits', async () => {
+  const { manager, setpoints } = createManager([
+    battery('a'),
+    battery('b', { maxDischargePower: 10 })
+  ]);
+
+  const dispatched = await manager.dispatch(-15, 'peak_support');
+
+  assert.equal(dispatched, -15);
+  assert.deepEqual(setpoints, [['a', -10], ['b', -5]]);
+  assert.equal(manager.state.batteries.get('a').mode, 'discharging');
+  assert.equal(manager.state.batteries.get('a').reason, 'peak_support');
+});
+
+test('requests above the available power are capped', async () => {
+  const { manager } = createManager([battery('a'), battery('b')]);
+
+  assert.equal(await manager.dispatch(50, 'pv_surplus'), 20);
+  assert.equal(await manager.dispatch(-100), -40);
+});
+
+test('batteries at their SoC limits, stale or disabled are not dispatched', async () => {
+  const stale = new Date(Date.now() - 120000).toISOString();
+  const { manager, setpoints } = createManager([
+    battery('reserve', { soc: 20 }),
+    battery('full', { soc: 90 }),
+    battery('stale', { lastUpdate: stale }),
+    battery('disabled', { enabled: false }),
+    battery('ok')
+  ]);
+
+  assert.equal(manager.getAvailableDischarge(), 20 + 20);
+  assert.equal(manager.getAvailableCharge(), 10 + 10);
+
+  await manager.dispatch(-10);
+  assert.deepEqual(setpoints, [['full', -5], ['ok', -5]]);
+});
+
+test('setpoints within the deadband are not sent again', async () => {
+  const { manager, setpoints } = createManager([battery('a')]);
+
+  await manager.dispatch(5);
+  await manager.dispatch(5.05);
+  await manager.dispatch(0);
+
+  assert.deepEqual(setpoints, [['a', 5], ['a', 0]]);
+});
+
+test('an unreachable battery is marked as failed and not counted', async () => {
+  const { manager } = createManager([battery('a', { unreachable: true }), battery('b')]);
+
+  const dispatched = await manager.dispatch(-40);
+
+  assert.equal(dispatched, -20);
+  assert.equal(manager.state.batteries.get('a').status, 'error');
+  assert.equal(manager.state.batteries.get('a').lastError, 'Timeout');
+});
+
+test('readings update the battery; readings without SoC mark it as failed', () => {
+  const { manager } = createManager([battery('a', { status: 'offline', setpoint: 3 })]);
+  const stored = manager.state.batteries.get('a');
+
+  manager.handleReading('a', { soc: 64 });
+  assert.equal(stored.status, 'online');
+  assert.equal(stored.soc, 64);
+  // Without a power reading the setpoint is assumed
+  assert.equal(stored.power, 3);
+
+  manager.handleReading('a', { power: 2 });
+  assert.equal(stored.status, 'error');
+  assert.equal(stored.lastError, 'Reading without SoC');
+});
+
+test('validates limits and the SoC window', () => {
+  const { manager } = createManager([]);
+  const settings = { capacity: 50, maxChargePower: 10, maxDischargePower: 10, reserveSoc: 20, maxSoc: 90, enabled: true };
+
+  assert.deepEqual(manager.validateSettings(settings), settings);
+  assert.throws(() => manager.validateSettings({ ...settings, capacity: 0 }), /Invalid capacity value/);
+  assert.throws(() => manager.validateSettings({ ...settings, reserveSoc: 101 }), /Invalid reserveSoc value/);
+  assert.throws(() => manager.validateSettings({ ...settings, maxSoc: 20 }), /maxSoc must be above reserveSoc/);
+  assert.throws(() => manager.validateSettings({ ...settings, enabled: 'yes' }), /enabled must be a boolean/);
+});
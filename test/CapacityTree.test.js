@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CapacityTree } from '../src/utils/CapacityTree.js';
+
+function createTree() {
+  const tree = new CapacityTree();
+  tree.addNode('grid', { type: 'grid', name: 'Grid', limit: 50 });
+  tree.addNode('feeder', { type: 'feeder', name: 'Feeder A', limit: 20 });
+  tree.addNode('zone:1', { type: 'zone', name: 'Unit 1', limit: 11 });
+  tree.setPath('s1', ['grid', 'feeder', 'zone:1']);
+  tree.setPath('s2', ['grid', 'feeder']);
+  tree.setPath('s3', ['grid']);
+  return tree;
+}
+
+test('headroom is the smallest remaining limit on the path', () => {
+  const tree = createTree();
+
+  const { headroom, node } = tree.getHeadroom('s1');
+  assert.equal(headroom, 11);
+  assert.equal(node.id, 'zone:1');
+
+  assert.equal(tree.getHeadroom('s2').node.id, 'feeder');
+  assert.equal(tree.getHeadroom('s3').node.id, 'grid');
+});
+
+test('allocations reduce every node on the path', () => {
+  const tree = createTree();
+
+  tree.allocate('s1', 8);
+
+  assert.equal(tree.getHeadroom('s1').headroom, 3);
+  assert.equal(tree.getHeadroom('s2').headroom, 12);
+  assert.equal(tree.getHeadroom('s3').headroom, 42);
+
+  const feeder = tree.getSummary().find(node => node.id === 'feeder');
+  assert.equal(feeder.allocated, 8);
+  assert.equal(feeder.remaining, 12);
+});
+
+test('a shared node becomes binding for the other stations behind it', () => {
+  const tree = createTree();
+
+  tree.allocate('s2', 15);
+
+  const { headroom, node } = tree.getHeadroom('s1');
+  assert.equal(headroom, 5);
+  assert.equal(node.id, 'feeder');
+});
+
+test('headroom never goes below zero', () => {
+  const tree = createTree();
+
+  tree.allocate('s3', 60);
+
+  assert.equal(tree.getHeadroom('s1').headroom, 0);
+});
+
+test('unknown nodes are left out of a path', () => {
+  const tree = createTree();
+
+  tree.setPath('s4', ['grid', 'transformer:missing']);
+
+  assert.deepEqual(tree.getPath('s4').map(node => node.id), ['grid']);
+  assert.equal(tree.getHeadroom('unknown').headroom, Infinity);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChargingRotation } from '../src/services/ChargingRotation.js';
+
+const settings = { enabled: true, slotMinutes: 15 };
+
+// Sessions are charging unless told otherwise
+function allocation(id, power, fields = {}) {
+  const { status = 'charging', chargingStartedAt = '2024-01-01T08:00:00.000Z', ...rest } = fields;
+  return { station: { id, status, chargingStartedAt }, power, ...rest };
+}
+
+test('starts rotation when a charging session gets no capacity', () => {
+  const rotation = new ChargingRotation();
+  const starved = allocation('b', 0, { reason: 'insufficient_capacity', bindingConstraint: { type: 'grid' } });
+
+  assert.equal(rotation.update([allocation('a', 11), starved], settings, 0), true);
+
+  assert.equal(rotation.active, true);
+  assert.equal(starved.reason, 'rotation_paused');
+  assert.equal(starved.rotationResumesAt, new Date(15 * 60000).toISOString());
+});
+
+test('sessions held by cost or green plans do not start rotation', () => {
+  const rotation = new ChargingRotation();
+  const costHold = allocation('b', 0, { reason: 'cost_plan_limit', bindingConstraint: { type: 'cost_plan' } });
+  const greenHold = allocation('c', 0, { reason: 'green_plan_limit', bindingConstraint: { type: 'green_plan' } });
+
+  rotation.update([allocation('a', 11), costHold, greenHold], settings, 0);
+
+  assert.equal(rotation.active, false);
+  assert.equal(costHold.reason, 'cost_plan_limit');
+  assert.equal(greenHold.reason, 'green_plan_limit');
+});
+
+test('held and idle stations keep their reason while rotation runs', () => {
+  const rotation = new ChargingRotation();
+  const starved = allocation('b', 0, { reason: 'zone_limit', bindingConstraint: { type: 'zone' } });
+  const held = allocation('c', 0, { reason: 'cost_plan_limit', bindingConstraint: { type: 'cost_plan' } });
+  const shed = allocation('d', 0, { reason: 'load_shedding', bindingConstraint: { type: 'load_shedding' } });
+  const idle = allocation('e', 0, { status: 'ready', chargingStartedAt: null, reason: 'insufficient_capacity', bindingConstraint: { type: 'grid' } });
+
+  rotation.update([allocation('a', 11), starved, held, shed, idle], settings, 0);
+
+  assert.equal(rotation.active, true);
+  assert.equal(starved.reason, 'rotation_paused');
+  assert.equal(held.reason, 'cost_plan_limit');
+  assert.equal(shed.reason, 'load_shedding');
+  assert.equal(idle.reason, 'insufficient_capacity');
+});
+
+test('sessions paused by rotation keep it running and get their slot', () => {
+  const rotation = new ChargingRotation();
+  const stations = [{ id: 'a' }, { id: 'b' }];
+
+  rotation.order(stations, settings, 0);
+  rotation.update([allocation('a', 11), allocation('b', 0, { bindingConstraint: { type: 'grid' } })], settings, 0);
+
+  // The paused station reports ready (OCPP SuspendedEVSE) while still plugged in
+  const paused = allocation('b', 0, { status: 'ready', bindingConstraint: { type: 'grid' } });
+  rotation.update([allocation('a', 11), paused], settings, 60000);
+
+  assert.equal(rotation.active, true);
+  assert.equal(paused.reason, 'rotation_paused');
+  assert.deepEqual(rotation.order(stations, settings, 15 * 60000).map(s => s.id), ['b', 'a']);
+});
+
+test('rotation ends once every session fits, even with plan holds left', () => {
+  const rotation = new ChargingRotation();
+  rotation.update([allocation('a', 11), allocation('b', 0, { bindingConstraint: { type: 'grid' } })], settings, 0);
+
+  const held = allocation('b', 0, { reason: 'cost_plan_limit', bindingConstraint: { type: 'cost_plan' } });
+  rotation.update([allocation('a', 11), held], settings, 1000);
+
+  assert.equal(rotation.active, false);
+  assert.equal(held.reason, 'cost_plan_limit');
+});
+
+test('waiting sessions go first when the slot ends', () => {
+  const rotation = new ChargingRotation();
+  const stations = [{ id: 'a' }, { id: 'b' }];
+
+  rotation.order(stations, settings, 0);
+  rotation.update([allocation('a', 11), allocation('b', 0, { bindingConstraint: { type: 'grid' } })], settings, 0);
+
+  const ordered = rotation.order(stations, settings, 15 * 60000);
+
+  assert.deepEqual(ordered.map(s => s.id), ['b', 'a']);
+});
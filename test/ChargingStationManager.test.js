@@ -0,0 +1,201 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ChargingStationManager } from '../src/services/ChargingStationManager.js';
+import { OCPPDriver } from '../src/protocols/OCPPDriver.js';
+import { SessionStore } from '../src/services/SessionStore.js';
+import auditLogger from '../src/services/AuditLogger.js';
+
+after(() => auditLogger.stopFlushTimer());
+
+function createState() {
+  const events = [];
+  return {
+    stations: new Map(),
+    config: { minChargingPower: 4, maxChargingPowerPerStation: 11 },
+    persistence: { save: async () => {} },
+    broadcast: (event) => events.push(event),
+    events
+  };
+}
+
+async function createOCPPStation(state, connectors) {
+  const manager = new ChargingStationManager(state);
+  // The driver is not started: calls are fed to handleCall directly
+  manager.ocppDriver = new OCPPDriver();
+
+  const station = await manager.registerStation({
+    name: 'Dual',
+    protocol: 'ocpp',
+    maxPower: 22,
+    connectors,
+    communication: { chargePointId: 'CP-1' }
+  });
+
+  return { manager, station };
+}
+
+test('StopTransaction ends the session on the connector that started it', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 2);
+  const driver = manager.ocppDriver;
+
+  await driver.handleCall('CP-1', '1', 'StartTransaction', {
+    connectorId: 2,
+    idTag: 'TAG-1',
+    meterStart: 0,
+    timestamp: new Date().toISOString()
+  });
+
+  const started = state.events.find(e => e.type === 'station.session.started');
+  const { transactionId } = started.data;
+  assert.equal(typeof transactionId, 'number');
+  assert.equal(started.data.connectorId, 2);
+  assert.equal(station.connectors[1].status, 'charging');
+  assert.equal(station.connectors[0].status, 'ready');
+
+  await driver.handleCall('CP-1', '2', 'StopTransaction', {
+    transactionId,
+    meterStop: 5000,
+    timestamp: new Date().toISOString()
+  });
+
+  const stopped = state.events.find(e => e.type === 'station.session.stopped');
+  assert.equal(stopped.data.connectorId, 2);
+  assert.equal(stopped.data.transactionId, transactionId);
+  assert.equal(station.connectors[1].status, 'ready');
+  assert.equal(station.connectors[1].chargingStartedAt, null);
+  assert.equal(manager.ocppTransactions.size, 0);
+});
+
+test('StopTransaction with an unknown transaction leaves connectors alone', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 2);
+  const driver = manager.ocppDriver;
+
+  await driver.handleCall('CP-1', '1', 'StartTransaction', { connectorId: 1, idTag: 'TAG-1', meterStart: 0 });
+  const { transactionId } = state.events.find(e => e.type === 'station.session.started').data;
+
+  await driver.handleCall('CP-1', '2', 'StopTransaction', { transactionId: transactionId + 1, meterStop: 1000 });
+
+  assert.equal(station.connectors[0].status, 'charging');
+  assert.equal(manager.ocppTransactions.size, 1);
+});
+
+async function withSessionStore(state, run) {
+  const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+  state.sessionStore = new SessionStore(state, { dataDir });
+  await state.sessionStore.initialize();
+
+  try {
+    await run(state.sessionStore);
+  } finally {
+    await state.sessionStore.shutdown();
+    await fs.promises.rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+test('a session suspended by the charger stays open until StopTransaction', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 2);
+  const driver = manager.ocppDriver;
+
+  await withSessionStore(state, async (store) => {
+    await driver.handleCall('CP-1', '1', 'StartTransaction', { connectorId: 1, idTag: 'TAG-1', meterStart: 1000 });
+    const { transactionId } = state.events.find(e => e.type === 'station.session.started').data;
+    store.recordCycle([]);
+
+    // Paused for rotation or load shedding, then resumed
+    await driver.handleCall('CP-1', '2', 'StatusNotification', { connectorId: 1, status: 'SuspendedEVSE', errorCode: 'NoError' });
+    store.recordCycle([]);
+    assert.equal(station.connectors[0].status, 'ready');
+    assert.equal(store.activeSessions.size, 1);
+
+    await driver.handleCall('CP-1', '3', 'StatusNotification', { connectorId: 1, status: 'Charging', errorCode: 'NoError' });
+    store.recordCycle([]);
+
+    await driver.handleCall('CP-1', '4', 'StopTransaction', { transactionId, meterStop: 6000 });
+
+    assert.equal(store.activeSessions.size, 0);
+    assert.equal(store.completedSessions.length, 1);
+    const [record] = store.completedSessions;
+    assert.equal(record.transactionId, transactionId);
+    assert.equal(record.energy, 5);
+    assert.equal(record.energySource, 'metered');
+  });
+});
+
+test('a connector reporting Available without StopTransaction closes its session', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 2);
+  const driver = manager.ocppDriver;
+
+  await withSessionStore(state, async (store) => {
+    await driver.handleCall('CP-1', '1', 'StartTransaction', { connectorId: 2, idTag: 'TAG-1', meterStart: 0 });
+    await driver.handleCall('CP-1', '2', 'StatusNotification', { connectorId: 2, status: 'Available', errorCode: 'NoError' });
+
+    assert.equal(store.activeSessions.size, 0);
+    assert.equal(store.completedSessions[0].stopReason, 'ev_disconnected');
+    assert.equal(station.connectors[1].status, 'ready');
+    assert.equal(station.connectors[1].chargingStartedAt, null);
+  });
+});
+
+test('bulk session start uses the first free connector of multi-connector stations', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 2);
+  manager.setPowerOCPP = async () => {};
+  station.connectors[0].status = 'charging';
+
+  const result = await manager.runBulkOperation({ stationIds: [station.id] }, 'start_session', { user: { id: 'u1', name: 'User' } });
+
+  assert.equal(result.succeeded, 1);
+  assert.equal(station.connectors[1].status, 'charging');
+  assert.equal(station.connectors[1].user.id, 'u1');
+});
+
+test('bulk session start fails per station when no connector is free', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 2);
+  station.connectors.forEach(connector => { connector.status = 'charging'; });
+
+  const result = await manager.runBulkOperation({ stationIds: [station.id] }, 'start_session', { user: { id: 'u1', name: 'User' } });
+
+  assert.equal(result.failed, 1);
+  assert.match(result.results[0].error, /No free connector/);
+});
+
+test('bulk session stop ends the sessions of all connectors', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 2);
+  manager.setPowerOCPP = async () => {};
+  const user = { id: 'u1', name: 'User' };
+
+  await manager.startChargingSession(station.id, user, {}, { connectorId: 1 });
+  await manager.startChargingSession(station.id, user, {}, { connectorId: 2 });
+
+  const result = await manager.runBulkOperation({ stationIds: [station.id] }, 'stop_session');
+
+  assert.equal(result.succeeded, 1);
+  assert.deepEqual(station.connectors.map(c => c.status), ['ready', 'ready']);
+
+  const again = await manager.runBulkOperation({ stationIds: [station.id] }, 'stop_session');
+  assert.equal(again.results[0].error, 'No active session');
+});
+
+test('bulk max power and station updates share the power limit validation', async () => {
+  const state = createState();
+  const { manager, station } = await createOCPPStation(state, 1);
+  station.minPower = 6;
+
+  const result = await manager.runBulkOperation({ stationIds: [station.id] }, 'set_max_power', { maxPower: 6 });
+  assert.equal(result.results[0].error, 'minPower must be less than maxPower');
+
+  await assert.rejects(manager.updateStation(station.id, { maxPower: 6 }), /minPower must be less than maxPower/);
+  await assert.rejects(manager.updateStation(station.id, { minPower: 0 }), /Invalid minPower value/);
+
+  await manager.updateStation(station.id, { maxPower: 7 });
+  assert.equal(station.maxPower, 7);
+});
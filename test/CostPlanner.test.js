@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import costPlanner from '../src/services/CostPlanner.js';
+
+const HOUR_MS = 3600000;
+const NOW = Date.parse('2026-03-10T00:00:00Z');
+
+function session(energyRequired, hours, fields = {}) {
+  return {
+    id: 's1',
+    name: 'Station 1',
+    energyRequired,
+    sessionEnergy: 0,
+    departureTime: new Date(NOW + hours * HOUR_MS).toISOString(),
+    ...fields
+  };
+}
+
+function curve(prices, intensities = []) {
+  return prices.map((price, index) => ({
+    start: NOW + index * HOUR_MS,
+    end: NOW + (index + 1) * HOUR_MS,
+    price,
+    intensity: intensities[index],
+    estimated: false
+  }));
+}
+
+test('plans the need plus margin in the cheapest slots', () => {
+  const plan = costPlanner.planSession(session(10, 4), 11, curve([0.3, 0.1, 0.2, 0.4]), { now: NOW });
+
+  assert.deepEqual(plan.schedule.map(slot => [slot.start, slot.power]), [['2026-03-10T01:00:00.000Z', 11]]);
+  assert.equal(plan.currentPower, 0);
+  assert.equal(plan.nextSlotStart, '2026-03-10T01:00:00.000Z');
+  assert.equal(plan.nextSlotPrice, 0.1);
+  // The 10 kWh needed at the planned price, against charging now at 0.3
+  assert.ok(Math.abs(plan.estimatedCost - 1) < 1e-9);
+  assert.ok(Math.abs(plan.immediateCost - 3) < 1e-9);
+  assert.ok(Math.abs(plan.savings - 2) < 1e-9);
+  assert.equal(plan.estimatedEmissions, null);
+});
+
+test('sessions that are not flexible get no plan', () => {
+  const prices = curve([0.3, 0.1, 0.2, 0.4]);
+
+  // 50 kWh cannot be reached in 4 hours at 11 kW
+  assert.equal(costPlanner.planSession(session(50, 4), 11, prices, { now: NOW }), null);
+  assert.equal(costPlanner.planSession(session(10, 4, { sessionEnergy: 10 }), 11, prices, { now: NOW }), null);
+  assert.equal(costPlanner.planSession(session(10, 4, { departureTime: null }), 11, prices, { now: NOW }), null);
+  assert.equal(costPlanner.planSession(session(10, 4), 0, prices, { now: NOW }), null);
+});
+
+test('without slack every slot up to departure is planned', () => {
+  const plan = costPlanner.planSession(session(40, 4), 11, curve([0.3, 0.1, 0.2, 0.4]), { now: NOW });
+
+  assert.equal(plan.schedule.length, 4);
+  assert.ok(plan.schedule.every(slot => slot.power === 11));
+  assert.equal(plan.currentPower, 11);
+  assert.equal(plan.nextSlotStart, null);
+});
+
+test('slots are clipped to now and departure', () => {
+  const now = NOW + HOUR_MS / 2;
+  const plan = costPlanner.planSession(session(5, 2), 11, curve([0.1, 0.3, 0.05]), { now });
+
+  // The first half hour and the slot after departure are not available
+  assert.deepEqual(plan.schedule.map(slot => [slot.start, slot.end]), [
+    ['2026-03-10T00:30:00.000Z', '2026-03-10T01:00:00.000Z']
+  ]);
+  assert.equal(plan.schedule[0].energy, 5.5);
+  assert.equal(plan.currentPower, 11);
+});
+
+test('planned power never drops below the minimum charging power', () => {
+  const plan = costPlanner.planSession(session(2, 4), 11, curve([0.3, 0.1, 0.2, 0.4]), { now: NOW, minPower: 6 });
+
+  assert.equal(plan.schedule.length, 1);
+  assert.equal(plan.schedule[0].energy, 2.2);
+  assert.equal(plan.schedule[0].power, 6);
+});
+
+test('green mode ranks by carbon intensity, then price, with unknown intensity last', () => {
+  const slots = curve([0.1, 0.3, 0.2, 0.05], [300, 100, 100, undefined]);
+
+  const plan = costPlanner.planSession(session(15, 4), 11, slots, { now: NOW, objective: 'carbon' });
+
+  // 16.5 kWh: the 100 g slots, the cheaper one filled first
+  assert.deepEqual(plan.schedule.map(slot => [slot.start, slot.energy]), [
+    ['2026-03-10T01:00:00.000Z', 5.5],
+    ['2026-03-10T02:00:00.000Z', 11]
+  ]);
+  assert.equal(plan.objective, 'carbon');
+  assert.equal(plan.currentIntensity, 300);
+  assert.ok(plan.emissionsAvoided > 0);
+});
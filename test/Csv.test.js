@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, formatCsv } from '../src/utils/Csv.js';
+import { parseTimeSeries } from '../src/utils/TimeSeries.js';
+
+test('parses quoted values with separators, quotes and line breaks', () => {
+  const records = parseCsv('name,location\n"Bay 1, north","Level ""A""\nwest"\nBay 2,\n');
+
+  assert.deepEqual(records, [
+    { line: 2, data: { name: 'Bay 1, north', location: 'Level "A"\nwest' } },
+    { line: 4, data: { name: 'Bay 2', location: '' } }
+  ]);
+});
+
+test('detects semicolon separators and skips comments and empty lines', () => {
+  const records = parseCsv('# stations\nname;maxPower\n\nBay 1;11,5\n# end\n');
+
+  assert.deepEqual(records.map(r => r.data), [{ name: 'Bay 1', maxPower: '11,5' }]);
+});
+
+test('rejects unterminated quoted values', () => {
+  assert.throws(() => parseCsv('name\n"Bay 1\n'), /Unterminated quoted value starting on line 2/);
+});
+
+test('formatted CSV parses back to the same values', () => {
+  const rows = [{ name: 'Bay "1"; north', tags: 'a|b' }];
+
+  const records = parseCsv(formatCsv(['name', 'tags'], rows));
+
+  assert.deepEqual(records.map(r => r.data), rows);
+});
+
+test('time series CSV uses the shared parser', () => {
+  const csv = 'Start;End;Price\n"2026-01-01T00:00:00Z";2026-01-01T01:00:00Z;0.25\n2026-01-01T01:00:00Z;;0.30\n';
+
+  const slots = parseTimeSeries(csv, 'csv', { field: 'price' });
+
+  assert.deepEqual(slots, [
+    { start: Date.parse('2026-01-01T00:00:00Z'), end: Date.parse('2026-01-01T01:00:00Z'), price: 0.25 },
+    { start: Date.parse('2026-01-01T01:00:00Z'), end: Date.parse('2026-01-01T02:00:00Z'), price: 0.30 }
+  ]);
+});
+
+test('time series CSV requires start and value columns', () => {
+  assert.throws(
+    () => parseTimeSeries('time,price\n2026-01-01T00:00:00Z,0.25\n', 'csv', { field: 'price' }),
+    /CSV header must contain "start" and "price" columns/
+  );
+});
+
+test('time series CSV checks the header without data rows', () => {
+  assert.throws(
+    () => parseTimeSeries('time,price\n', 'csv', { field: 'price' }),
+    /CSV header must contain "start" and "price" columns/
+  );
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import deadlinePlanner from '../src/services/DeadlinePlanner.js';
+
+const HOUR_MS = 3600000;
+const NOW = Date.parse('2026-03-10T08:00:00Z');
+
+function station(id, energyRequired, hours, fields = {}) {
+  return {
+    id,
+    name: id,
+    energyRequired,
+    sessionEnergy: 0,
+    departureTime: hours === null ? null : new Date(NOW + hours * HOUR_MS).toISOString(),
+    ...fields
+  };
+}
+
+test('works out required power and laxity', () => {
+  const plan = deadlinePlanner.planSession(station('a', 30, 4, { sessionEnergy: 10 }), 10, NOW);
+
+  assert.equal(plan.energyRemaining, 20);
+  assert.equal(plan.hoursLeft, 4);
+  assert.equal(plan.requiredPower, 5);
+  assert.equal(plan.laxity, 2);
+  assert.equal(plan.feasible, true);
+});
+
+test('sessions past departure or beyond station power are infeasible', () => {
+  const late = deadlinePlanner.planSession(station('a', 10, -1), 11, NOW);
+  assert.equal(late.hoursLeft, 0);
+  assert.equal(late.requiredPower, Infinity);
+  assert.equal(late.feasible, false);
+
+  const done = deadlinePlanner.planSession(station('b', 10, -1, { sessionEnergy: 12 }), 11, NOW);
+  assert.equal(done.energyRemaining, 0);
+  assert.equal(done.requiredPower, 0);
+
+  const tooMuch = deadlinePlanner.planSession(station('c', 50, 2), 11, NOW);
+  assert.equal(tooMuch.feasible, false);
+});
+
+test('sessions without departure or energy need have no plan', () => {
+  assert.equal(deadlinePlanner.planSession(station('a', 10, null), 11, NOW), null);
+  assert.equal(deadlinePlanner.planSession(station('b', null, 4), 11, NOW), null);
+});
+
+test('sorts by laxity, then departure, keeping undated sessions in order after them', () => {
+  const stations = [
+    station('undated-1', null, null),
+    station('relaxed', 10, 8),
+    station('undated-2', null, null),
+    station('urgent', 20, 2),
+    station('same-laxity-later', 11, 3),
+    station('same-laxity', 5.5, 2.5)
+  ];
+
+  const sorted = deadlinePlanner.sortByUrgency(stations, () => 11, NOW);
+
+  assert.deepEqual(sorted.map(s => s.id), ['urgent', 'same-laxity', 'same-laxity-later', 'relaxed', 'undated-1', 'undated-2']);
+});
+
+test('flags sessions the allocation leaves short, except planned holds', () => {
+  const allocations = [
+    { station: station('short', 20, 4), power: 3, bindingConstraint: { type: 'zone' } },
+    { station: station('grid', 20, 4), power: 3, bindingConstraint: { type: 'grid' } },
+    { station: station('held', 20, 4), power: 0, bindingConstraint: { type: 'cost_plan' } },
+    { station: station('fine', 20, 4), power: 5 },
+    { station: station('impossible', 60, 4), power: 11 },
+    { station: station('undated', null, null), power: 0 }
+  ];
+
+  const plans = deadlinePlanner.evaluate(allocations, () => 11, NOW);
+  const byId = Object.fromEntries(plans.map(p => [p.stationId, p]));
+
+  assert.equal(plans.length, 5);
+  assert.equal(plans[0].stationId, 'impossible');
+  assert.equal(byId.impossible.riskReason, 'station_power_insufficient');
+  assert.equal(byId.short.riskReason, 'zone_limit');
+  assert.equal(byId.short.projectedShortfall, 8);
+  assert.equal(byId.grid.riskReason, 'insufficient_capacity');
+  assert.equal(byId.held.atRisk, false);
+  assert.equal(byId.fine.atRisk, false);
+  assert.equal(byId.fine.projectedShortfall, 0);
+});
@@ -0,0 +1,147 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DemandResponseManager } from '../src/services/DemandResponseManager.js';
+import loadSheddingService from '../src/services/LoadSheddingService.js';
+import auditLogger from '../src/services/AuditLogger.js';
+
+after(() => auditLogger.stopFlushTimer());
+
+afterEach(() => loadSheddingService.setForcedLevel('openadr', 0));
+
+const START = Date.parse('2026-01-01T10:00:00Z');
+const HOUR_MS = 3600000;
+
+function createManager(config = {}) {
+  const limits = [];
+  const responses = [];
+  const state = {
+    config: { maxGridCapacity: 500, ...config },
+    broadcast: () => {},
+    loadManager: {
+      setTemporaryGridLimit: (source, limit) => limits.push({ source, limit }),
+      clearTemporaryGridLimit: (source) => limits.push({ source, limit: null }),
+      requestRebalance: () => {}
+    }
+  };
+
+  const manager = new DemandResponseManager(state);
+  manager.driver = {
+    createdEvent: async (requestId, eventResponses) => responses.push(...eventResponses)
+  };
+
+  return { manager, limits, responses };
+}
+
+function event(eventId, signals, fields = {}) {
+  return {
+    eventId,
+    modificationNumber: 0,
+    status: 'active',
+    start: START,
+    end: START + HOUR_MS,
+    responseRequired: 'always',
+    signals,
+    ...fields
+  };
+}
+
+function signal(name, type, value, fields = {}) {
+  return { name, type, units: null, scale: 1, currentValue: value, intervals: [], ...fields };
+}
+
+test('SIMPLE levels force load shedding while the event is active', async () => {
+  const { manager } = createManager();
+
+  await manager.handleDistributeEvent({ requestId: 'r1', events: [event('e1', [signal('SIMPLE', 'level', 2)])] });
+
+  manager.applyEvents(START - 1);
+  assert.equal(manager.applied.sheddingLevel, 0);
+
+  manager.applyEvents(START);
+  assert.equal(manager.applied.sheddingLevel, 4);
+  assert.equal(loadSheddingService.getForcedLevel(), 4);
+  assert.deepEqual(manager.applied.eventIds, ['e1']);
+
+  manager.applyEvents(START + HOUR_MS);
+  assert.equal(manager.applied.sheddingLevel, 0);
+  assert.equal(loadSheddingService.getForcedLevel(), 0);
+});
+
+test('load signals set the lowest temporary grid limit', () => {
+  const { manager, limits } = createManager();
+  manager.events.set('setpoint', { ...event('setpoint', [signal('LOAD_DISPATCH', 'setpoint', 300000, { units: 'W' })]), optType: 'optIn' });
+  manager.events.set('delta', { ...event('delta', [signal('LOAD_DISPATCH', 'delta', -150)]), optType: 'optIn' });
+  manager.events.set('capacity', { ...event('capacity', [signal('LOAD_CONTROL', 'x-loadControlCapacity', 0.8)]), optType: 'optIn' });
+
+  manager.applyEvents(START);
+
+  // setpoint 300 kW, delta 500 - 150 = 350 kW, capacity 80% = 400 kW
+  assert.equal(manager.applied.gridLimit, 300);
+  assert.deepEqual(limits.at(-1), { source: 'openadr', limit: 300 });
+
+  manager.events.delete('setpoint');
+  manager.applyEvents(START);
+  assert.equal(manager.applied.gridLimit, 350);
+});
+
+test('the current interval value wins over the current value', () => {
+  const { manager } = createManager();
+  const intervals = [
+    { start: START, end: START + HOUR_MS / 2, value: 200 },
+    { start: START + HOUR_MS / 2, end: START + HOUR_MS, value: 100 }
+  ];
+  manager.events.set('e1', { ...event('e1', [signal('LOAD_DISPATCH', 'setpoint', 400, { intervals })]), optType: 'optIn' });
+
+  manager.applyEvents(START);
+  assert.equal(manager.applied.gridLimit, 200);
+
+  manager.applyEvents(START + HOUR_MS / 2);
+  assert.equal(manager.applied.gridLimit, 100);
+});
+
+test('prices at the threshold shed at level 1', () => {
+  const { manager } = createManager({ openadrPriceThreshold: 0.3 });
+  manager.events.set('e1', { ...event('e1', [signal('ELECTRICITY_PRICE', 'price', 0.25)]), optType: 'optIn' });
+
+  manager.applyEvents(START);
+  assert.equal(manager.applied.price, 0.25);
+  assert.equal(manager.applied.sheddingLevel, 0);
+
+  manager.events.get('e1').signals[0].currentValue = 0.3;
+  manager.applyEvents(START);
+  assert.equal(manager.applied.sheddingLevel, 1);
+});
+
+test('opted-out and cancelled events are not applied', async () => {
+  const { manager, limits } = createManager();
+  manager.events.set('cancelled', { ...event('cancelled', [signal('SIMPLE', 'level', 3)], { status: 'cancelled' }), optType: 'optIn' });
+  manager.events.set('e1', { ...event('e1', [signal('LOAD_DISPATCH', 'setpoint', 100)]), optType: 'optIn' });
+
+  manager.applyEvents(START);
+  assert.equal(manager.applied.gridLimit, 100);
+  assert.equal(manager.applied.sheddingLevel, 0);
+
+  await manager.setOpt('e1', 'optOut');
+  assert.equal(manager.applied.gridLimit, null);
+  assert.deepEqual(limits.at(-1), { source: 'openadr', limit: null });
+
+  await assert.rejects(manager.setOpt('e1', 'maybe'), /optType must be optIn or optOut/);
+  await assert.rejects(manager.setOpt('missing', 'optIn'), /Event missing not found/);
+});
+
+test('responds to new and modified events only, and drops events the VTN no longer sends', async () => {
+  const { manager, responses } = createManager({ openadrDefaultOpt: 'optOut' });
+  const first = event('e1', [signal('SIMPLE', 'level', 1)]);
+
+  await manager.handleDistributeEvent({ requestId: 'r1', events: [first, event('e2', [], { responseRequired: 'never' })] });
+  assert.deepEqual(responses, [{ eventId: 'e1', modificationNumber: 0, optType: 'optOut' }]);
+
+  // Unchanged events are not answered again; the opt choice is kept
+  await manager.setOpt('e1', 'optIn');
+  await manager.handleDistributeEvent({ requestId: 'r2', events: [first] });
+  assert.equal(responses.length, 1);
+  assert.deepEqual(Array.from(manager.events.keys()), ['e1']);
+
+  await manager.handleDistributeEvent({ requestId: 'r3', events: [{ ...first, modificationNumber: 1 }] });
+  assert.deepEqual(responses[1], { eventId: 'e1', modificationNumber: 1, optType: 'optIn' });
+});
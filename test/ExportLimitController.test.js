@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExportLimitController } from '../src/services/ExportLimitController.js';
+
+function createController() {
+  return new ExportLimitController({ alertTolerance: 1, alertDelaySeconds: 60 });
+}
+
+test('raises an alert once export stays above the limit for the delay', () => {
+  const controller = createController();
+
+  assert.equal(controller.checkAlert({ limit: 0, gridPower: -5 }, 0), null);
+  assert.equal(controller.checkAlert({ limit: 0, gridPower: -5 }, 30000), null);
+
+  const { raised } = controller.checkAlert({ limit: 0, gridPower: -5 }, 60000);
+  assert.equal(raised.type, 'export_limit_exceeded');
+  assert.equal(raised.severity, 'critical');
+  assert.equal(raised.since, new Date(0).toISOString());
+});
+
+test('updates the active alert while the violation stays the same', () => {
+  const controller = createController();
+  controller.checkAlert({ limit: 0, gridPower: -5 }, 0);
+  controller.checkAlert({ limit: 0, gridPower: -5 }, 60000);
+
+  assert.equal(controller.checkAlert({ limit: 0, gridPower: -8 }, 70000), null);
+  assert.equal(controller.alert.value, 8);
+});
+
+test('a change of violation type clears the old alert and raises the new one', () => {
+  const controller = createController();
+  controller.checkAlert({ limit: 0, gridPower: null }, 0);
+  const { raised: unmonitored } = controller.checkAlert({ limit: 0, gridPower: null }, 60000);
+  assert.equal(unmonitored.type, 'export_limit_unmonitored');
+
+  const change = controller.checkAlert({ limit: 0, gridPower: -5 }, 90000);
+
+  assert.equal(change.cleared.type, 'export_limit_unmonitored');
+  assert.equal(change.cleared.clearedAt, new Date(90000).toISOString());
+  assert.equal(change.raised.type, 'export_limit_exceeded');
+  assert.equal(change.raised.severity, 'critical');
+  assert.equal(change.raised.since, new Date(90000).toISOString());
+  assert.equal(controller.alert, change.raised);
+});
+
+test('clears the alert when export recovers', () => {
+  const controller = createController();
+  controller.checkAlert({ limit: 0, gridPower: -5 }, 0);
+  controller.checkAlert({ limit: 0, gridPower: -5 }, 60000);
+
+  const { cleared } = controller.checkAlert({ limit: 0, gridPower: -0.5 }, 70000);
+
+  assert.equal(cleared.type, 'export_limit_exceeded');
+  assert.equal(controller.alert, null);
+});
@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FairnessLedger } from '../src/services/FairnessLedger.js';
+
+const MINUTE_MS = 60000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const START = Date.parse('2026-03-10T10:00:00Z');
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'fairness-'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+function allocation(userId, power, cap = 22) {
+  return { station: { id: `station-${userId}`, cap, user: userId ? { id: userId, name: `User ${userId}` } : null }, power };
+}
+
+const getCap = station => station.cap;
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('under-served users build up debt against their fair share', () => {
+  const ledger = new FairnessLedger({ file: path.join(dir, 'ledger.json') });
+  const allocations = [allocation('a', 20), allocation('b', 2)];
+
+  ledger.record(allocations, getCap, START);
+  ledger.record(allocations, getCap, START + 5 * MINUTE_MS);
+
+  // 22 kW split 11/11 for 5 minutes
+  assertClose(ledger.getDebt('a', START + 5 * MINUTE_MS), (11 - 20) / 12);
+  assertClose(ledger.getDebt('b', START + 5 * MINUTE_MS), (11 - 2) / 12);
+  assert.deepEqual(ledger.getLedger(START + 5 * MINUTE_MS).users.map(u => u.userId), ['b', 'a']);
+  assert.equal(ledger.getDebt('unknown'), 0);
+});
+
+test('fair shares are capped by what a car can take', () => {
+  const ledger = new FairnessLedger({ file: path.join(dir, 'ledger.json') });
+  const allocations = [allocation('a', 10, 4), allocation('b', 10)];
+
+  ledger.record(allocations, getCap, START);
+  ledger.record(allocations, getCap, START + 5 * MINUTE_MS);
+
+  const { users } = ledger.getLedger(START + 5 * MINUTE_MS);
+  assertClose(users.find(u => u.userId === 'a').fairShare, 4 / 12);
+  assertClose(users.find(u => u.userId === 'b').fairShare, 16 / 12);
+});
+
+test('gaps longer than a few minutes and sessions without a user are not accounted', () => {
+  const ledger = new FairnessLedger({ file: path.join(dir, 'ledger.json') });
+
+  ledger.record([allocation('a', 11), allocation(null, 11)], getCap, START);
+  ledger.record([allocation('a', 11)], getCap, START + 10 * MINUTE_MS);
+
+  const { users, totalDelivered } = ledger.getLedger(START + 10 * MINUTE_MS);
+  assert.deepEqual(users.map(u => u.userId), ['a']);
+  assert.equal(totalDelivered, 0);
+});
+
+test('energy outside the window no longer counts', () => {
+  const ledger = new FairnessLedger({ file: path.join(dir, 'ledger.json'), windowDays: 1 });
+
+  ledger.record([allocation('a', 20), allocation('b', 2)], getCap, START);
+  ledger.record([], getCap, START + 5 * MINUTE_MS);
+  assert.ok(ledger.getDebt('b', START + DAY_MS) > 0);
+
+  const later = START + 2 * DAY_MS;
+  assert.equal(ledger.getDebt('b', later), 0);
+
+  ledger.prune(later);
+  assert.equal(ledger.users.size, 0);
+});
+
+test('debts survive a restart', async () => {
+  const file = path.join(dir, 'ledger.json');
+  const ledger = new FairnessLedger({ file });
+  const now = Date.now();
+
+  ledger.record([allocation('a', 20), allocation('b', 2)], getCap, now - 5 * MINUTE_MS);
+  ledger.record([], getCap, now);
+  await ledger.save();
+
+  const restored = new FairnessLedger({ file });
+  await restored.initialize();
+  await restored.shutdown();
+
+  assertClose(restored.getDebt('b', now), ledger.getDebt('b', now));
+  assert.equal(restored.getLedger(now).users.find(u => u.userId === 'b').name, 'User b');
+});
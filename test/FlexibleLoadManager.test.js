@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FlexibleLoadManager } from '../src/services/FlexibleLoadManager.js';
+
+const NOW = Date.parse('2026-03-10T10:00:00Z');
+
+function createManager(loads) {
+  const state = {
+    flexibleLoads: new Map(loads.map(l => [l.id, l])),
+    persistence: { save: async () => {} },
+    broadcast: () => {}
+  };
+
+  const manager = new FlexibleLoadManager(state);
+  const switches = [];
+
+  for (const load of loads) {
+    manager.drivers.set(load.id, {
+      switch: async (on) => {
+        if (load.unreachable) throw new Error('Timeout');
+        switches.push([load.id, on]);
+      }
+    });
+  }
+
+  return { manager, switches };
+}
+
+function load(id, fields = {}) {
+  return {
+    id,
+    name: id,
+    type: 'heat_pump',
+    power: 5,
+    priority: 5,
+    minOnTime: 300,
+    minOffTime: 600,
+    enabled: true,
+    on: true,
+    lastSwitch: null,
+    reason: null,
+    status: 'unknown',
+    ...fields
+  };
+}
+
+test('minimum on and off times hold back switching', () => {
+  const { manager } = createManager([]);
+  const released = load('a', { lastSwitch: new Date(NOW).toISOString() });
+  const blocked = load('b', { on: false, lastSwitch: new Date(NOW).toISOString() });
+
+  assert.equal(manager.canSwitch(released, false, NOW + 299000), false);
+  assert.equal(manager.canSwitch(released, false, NOW + 300000), true);
+  assert.equal(manager.canSwitch(blocked, true, NOW + 599000), false);
+  assert.equal(manager.canSwitch(blocked, true, NOW + 600000), true);
+
+  // Staying in the same state, or never switched, is always allowed
+  assert.equal(manager.canSwitch(released, true, NOW), true);
+  assert.equal(manager.canSwitch(load('c'), false, NOW), true);
+});
+
+test('switching records the state and reason', async () => {
+  const heater = load('a');
+  const { manager, switches } = createManager([heater]);
+
+  assert.equal(await manager.switchLoad(heater, false, 'load_shedding'), true);
+  assert.equal(heater.on, false);
+  assert.equal(heater.reason, 'load_shedding');
+  assert.equal(heater.status, 'online');
+  assert.notEqual(heater.lastSwitch, null);
+
+  // No switch command when the state does not change
+  await manager.switchLoad(heater, false, 'capacity');
+  assert.equal(heater.reason, 'capacity');
+  assert.deepEqual(switches, [['a', false]]);
+});
+
+test('an unreachable load keeps its state and is marked as failed', async () => {
+  const heater = load('a', { unreachable: true });
+  const { manager } = createManager([heater]);
+
+  assert.equal(await manager.switchLoad(heater, false, 'capacity'), false);
+  assert.equal(heater.on, true);
+  assert.equal(heater.status, 'error');
+  assert.equal(heater.lastError, 'Timeout');
+});
+
+test('only enabled, released loads count as released power', () => {
+  const { manager } = createManager([
+    load('a'),
+    load('b', { on: false }),
+    load('c', { power: 3, enabled: false })
+  ]);
+
+  assert.equal(manager.getReleasedPower(), 5);
+  assert.deepEqual(manager.getStatus().totals, { count: 2, released: 1, blocked: 1, releasedPower: 5, blockedPower: 5 });
+});
+
+test('disabling a blocked load releases it', async () => {
+  const heater = load('a', { on: false, reason: 'capacity' });
+  const { manager, switches } = createManager([heater]);
+
+  await manager.updateLoad('a', { enabled: false });
+
+  assert.equal(heater.on, true);
+  assert.equal(heater.reason, null);
+  assert.deepEqual(switches, [['a', true]]);
+});
+
+test('blocked loads are released on shutdown', async () => {
+  const { manager, switches } = createManager([load('a', { on: false }), load('b')]);
+
+  await manager.shutdown();
+
+  assert.deepEqual(switches, [['a', true]]);
+});
+
+test('validates type, power, priority and times', () => {
+  const { manager } = createManager([]);
+  const settings = { type: 'water_heater', power: 3, priority: 5, minOnTime: 0, minOffTime: 60, enabled: true };
+
+  assert.deepEqual(manager.validateSettings(settings), settings);
+  assert.throws(() => manager.validateSettings({ ...settings, type: 'pool' }), /Invalid load type/);
+  assert.throws(() => manager.validateSettings({ ...settings, power: 0 }), /Invalid power value/);
+  assert.throws(() => manager.validateSettings({ ...settings, priority: 11 }), /Invalid priority/);
+  assert.throws(() => manager.validateSettings({ ...settings, minOffTime: -1 }), /Invalid minOffTime value/);
+  assert.throws(() => manager.validateSettings({ ...settings, enabled: 1 }), /enabled must be a boolean/);
+  assert.throws(() => manager.getLoad('missing'), /Flexible load missing not found/);
+});
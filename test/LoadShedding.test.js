@@ -0,0 +1,86 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoadManager } from '../src/services/LoadManager.js';
+import loadSheddingService from '../src/services/LoadSheddingService.js';
+import auditLogger from '../src/services/AuditLogger.js';
+
+after(() => auditLogger.stopFlushTimer());
+
+beforeEach(() => loadSheddingService.reset());
+
+function createManager(stations) {
+  const state = {
+    stations: new Map(stations.map(s => [s.id, s])),
+    zones: new Map(),
+    flexibleLoads: new Map(),
+    config: { loadSheddingEnabled: true, minChargingPower: 4, maxChargingPowerPerStation: 22 },
+    broadcast: () => {}
+  };
+
+  const manager = new LoadManager(state);
+  manager.measureSiteLoad = () => ({ load: 100, capacity: 100 });
+  return manager;
+}
+
+function station(id, priority) {
+  return { id, name: id, status: 'charging', priority, minPower: 4, maxPower: 20, requestedPower: 20, currentPower: 20 };
+}
+
+/**
+ * Run one shedding evaluation ending at the given level
+ */
+function transitionTo(t, manager, newLevel) {
+  const stations = Array.from(manager.state.stations.values());
+  t.mock.method(loadSheddingService, 'evaluate', (load, capacity, points) => {
+    return loadSheddingService.transitionToLevel(newLevel, points, load / capacity, capacity);
+  });
+
+  manager.evaluateLoadShedding(stations);
+  t.mock.restoreAll();
+}
+
+test('partial de-escalation raises every cap to the new level', (t) => {
+  const low = station('low', 2);
+  const mid = station('mid', 7);
+  const manager = createManager([low, mid]);
+
+  transitionTo(t, manager, 3);
+  assert.equal(manager.sheddingOverrides.get('low').power, 10);
+  assert.equal(manager.sheddingOverrides.get('mid').power, 10);
+
+  transitionTo(t, manager, 4);
+  assert.equal(manager.sheddingOverrides.get('low').power, 0);
+  assert.equal(manager.sheddingOverrides.get('mid').power, 10);
+
+  // Measured power already matches the level 3 cap, so there is no restore action
+  low.currentPower = 10;
+  transitionTo(t, manager, 3);
+  assert.equal(manager.sheddingOverrides.get('low').power, 10);
+  assert.equal(manager.sheddingOverrides.get('low').level, 3);
+
+  transitionTo(t, manager, 2);
+  assert.equal(manager.sheddingOverrides.get('low').power, 12);
+  assert.equal(manager.sheddingOverrides.has('mid'), false);
+});
+
+test('de-escalation does not cap stations that were not shed', (t) => {
+  const mid = station('mid', 7);
+  const manager = createManager([mid]);
+
+  transitionTo(t, manager, 4);
+  assert.equal(manager.sheddingOverrides.size, 0);
+
+  transitionTo(t, manager, 3);
+  assert.equal(manager.sheddingOverrides.size, 0);
+});
+
+test('returning to level 0 clears every cap', (t) => {
+  const low = station('low', 2);
+  const manager = createManager([low]);
+
+  transitionTo(t, manager, 4);
+  low.currentPower = 20;
+  transitionTo(t, manager, 0);
+
+  assert.equal(manager.sheddingOverrides.size, 0);
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenADRVenDriver, parseDuration } from '../src/protocols/OpenADRVenDriver.js';
+import { parseXml, findElement } from '../src/utils/SimpleXml.js';
+
+const driver = new OpenADRVenDriver({ vtnUrl: 'http://vtn.test/' });
+
+/**
+ * The message inside an oadrPayload, as send() returns it
+ */
+function message(xml) {
+  return findElement(parseXml(`<oadr:oadrPayload><oadr:oadrSignedObject>${xml}</oadr:oadrSignedObject></oadr:oadrPayload>`), 'oadrSignedObject').children[0];
+}
+
+const DISTRIBUTE_EVENT = `
+<oadr:oadrDistributeEvent ei:schemaVersion="2.0b">
+  <pyld:requestID>req-1</pyld:requestID>
+  <ei:vtnID>VTN</ei:vtnID>
+  <oadr:oadrEvent>
+    <ei:eiEvent>
+      <ei:eventDescriptor>
+        <ei:eventID>evt-1</ei:eventID>
+        <ei:modificationNumber>2</ei:modificationNumber>
+        <ei:priority>1</ei:priority>
+        <ei:eiMarketContext><emix:marketContext>http://market</emix:marketContext></ei:eiMarketContext>
+        <ei:eventStatus>active</ei:eventStatus>
+        <ei:testEvent>false</ei:testEvent>
+      </ei:eventDescriptor>
+      <ei:eiActivePeriod>
+        <xcal:properties>
+          <xcal:dtstart><xcal:date-time>2026-01-01T10:00:00Z</xcal:date-time></xcal:dtstart>
+          <xcal:duration><xcal:duration>PT1H</xcal:duration></xcal:duration>
+        </xcal:properties>
+      </ei:eiActivePeriod>
+      <ei:eiEventSignals>
+        <ei:eiEventSignal>
+          <strm:intervals>
+            <ei:interval>
+              <xcal:duration><xcal:duration>PT30M</xcal:duration></xcal:duration>
+              <ei:signalPayload><ei:payloadFloat><ei:value>200</ei:value></ei:payloadFloat></ei:signalPayload>
+            </ei:interval>
+            <ei:interval>
+              <xcal:duration><xcal:duration>PT30M</xcal:duration></xcal:duration>
+              <ei:signalPayload><ei:payloadFloat><ei:value>150</ei:value></ei:payloadFloat></ei:signalPayload>
+            </ei:interval>
+          </strm:intervals>
+          <ei:signalName>LOAD_DISPATCH</ei:signalName>
+          <ei:signalType>setpoint</ei:signalType>
+          <ei:signalID>sig-1</ei:signalID>
+          <power:realPower><power:itemUnits>W</power:itemUnits><scale:siScaleCode>k</scale:siScaleCode></power:realPower>
+          <ei:currentValue><ei:payloadFloat><ei:value>200</ei:value></ei:payloadFloat></ei:currentValue>
+        </ei:eiEventSignal>
+      </ei:eiEventSignals>
+    </ei:eiEvent>
+    <oadr:oadrResponseRequired>never</oadr:oadrResponseRequired>
+  </oadr:oadrEvent>
+</oadr:oadrDistributeEvent>`;
+
+test('parses events with their signals and consecutive intervals', () => {
+  const { requestId, vtnId, events } = driver.parseDistributeEvent(message(DISTRIBUTE_EVENT));
+  const start = Date.parse('2026-01-01T10:00:00Z');
+
+  assert.equal(requestId, 'req-1');
+  assert.equal(vtnId, 'VTN');
+  assert.equal(events.length, 1);
+
+  const [event] = events;
+  assert.equal(event.eventId, 'evt-1');
+  assert.equal(event.modificationNumber, 2);
+  assert.equal(event.status, 'active');
+  assert.equal(event.marketContext, 'http://market');
+  assert.equal(event.testEvent, false);
+  assert.equal(event.responseRequired, 'never');
+  assert.equal(event.start, start);
+  assert.equal(event.end, start + 3600000);
+
+  const [signal] = event.signals;
+  assert.equal(signal.name, 'LOAD_DISPATCH');
+  assert.equal(signal.type, 'setpoint');
+  assert.equal(signal.units, 'W');
+  assert.equal(signal.scale, 1000);
+  assert.equal(signal.currentValue, 200);
+  assert.deepEqual(signal.intervals, [
+    { start, end: start + 1800000, value: 200 },
+    { start: start + 1800000, end: start + 3600000, value: 150 }
+  ]);
+});
+
+test('an event with a zero duration is open-ended', () => {
+  const xml = DISTRIBUTE_EVENT
+    .replace('<xcal:duration>PT1H</xcal:duration>', '<xcal:duration>PT0M</xcal:duration>')
+    .replace('<oadr:oadrResponseRequired>never</oadr:oadrResponseRequired>', '');
+
+  const [event] = driver.parseDistributeEvent(message(xml)).events;
+
+  assert.equal(event.end, Infinity);
+  assert.equal(event.responseRequired, 'always');
+});
+
+test('parses report requests and cancellations', () => {
+  const requests = driver.parseReportRequests(message(`
+    <oadr:oadrCreateReport>
+      <oadr:oadrReportRequest>
+        <ei:reportRequestID>rr-1</ei:reportRequestID>
+        <ei:reportSpecifier>
+          <ei:reportSpecifierID>TELEMETRY_USAGE</ei:reportSpecifierID>
+          <xcal:granularity><xcal:duration>PT1M</xcal:duration></xcal:granularity>
+          <ei:reportBackDuration><xcal:duration>PT5M</xcal:duration></ei:reportBackDuration>
+          <ei:specifierPayload><ei:rID>charging_load</ei:rID></ei:specifierPayload>
+        </ei:reportSpecifier>
+      </oadr:oadrReportRequest>
+    </oadr:oadrCreateReport>`));
+
+  assert.deepEqual(requests, [{
+    reportRequestId: 'rr-1',
+    specifierId: 'TELEMETRY_USAGE',
+    granularity: 60000,
+    reportBackDuration: 300000,
+    rIds: ['charging_load']
+  }]);
+
+  const cancelled = driver.parseCancelReport(message(
+    '<oadr:oadrCancelReport><ei:reportRequestID>rr-1</ei:reportRequestID><ei:reportRequestID>rr-2</ei:reportRequestID></oadr:oadrCancelReport>'
+  ));
+  assert.deepEqual(cancelled, ['rr-1', 'rr-2']);
+});
+
+test('reads the registration and rejects VTN error responses', () => {
+  const registration = driver.parseRegistration(message(`
+    <oadr:oadrCreatedPartyRegistration>
+      <ei:eiResponse><ei:responseCode>200</ei:responseCode></ei:eiResponse>
+      <ei:registrationID>reg-1</ei:registrationID>
+      <ei:venID>VEN-1</ei:venID>
+      <ei:vtnID>VTN</ei:vtnID>
+      <oadr:oadrRequestedOadrPollFreq><xcal:duration>PT30S</xcal:duration></oadr:oadrRequestedOadrPollFreq>
+    </oadr:oadrCreatedPartyRegistration>`));
+
+  assert.deepEqual(registration, { registrationId: 'reg-1', venId: 'VEN-1', vtnId: 'VTN', pollFreq: 30000 });
+
+  assert.throws(
+    () => driver.checkResponse(message('<oadr:oadrResponse><ei:eiResponse><ei:responseCode>452</ei:responseCode><ei:responseDescription>Invalid ID</ei:responseDescription></ei:eiResponse></oadr:oadrResponse>')),
+    /VTN error 452: Invalid ID/
+  );
+  assert.doesNotThrow(() => driver.checkResponse(message('<oadr:oadrResponse><ei:eiResponse><ei:responseCode>200</ei:responseCode></ei:eiResponse></oadr:oadrResponse>')));
+});
+
+test('parses ISO 8601 durations', () => {
+  assert.equal(parseDuration('PT10S'), 10000);
+  assert.equal(parseDuration('PT1H30M'), 5400000);
+  assert.equal(parseDuration('P1DT0.5S'), 86400500);
+  assert.equal(parseDuration('P1W'), 604800000);
+  assert.equal(parseDuration('-PT1M'), -60000);
+  assert.equal(parseDuration(null), 0);
+  assert.throws(() => parseDuration('1 hour'), /Invalid duration: 1 hour/);
+});
+
+test('requires a VTN URL', () => {
+  assert.throws(() => new OpenADRVenDriver({}), /VTN URL is required/);
+  assert.equal(driver.vtnUrl, 'http://vtn.test');
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PeakDemandManager } from '../src/services/PeakDemandManager.js';
+
+const MINUTE_MS = 60000;
+const START = Date.parse('2026-03-10T10:00:00Z');
+
+let dataDir;
+let manager;
+
+beforeEach(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'demand-'));
+  manager = new PeakDemandManager({ dataDir });
+});
+
+afterEach(async () => {
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+test('integrates grid import over clock-aligned intervals', () => {
+  assert.equal(manager.record(100, START), null);
+  manager.record(200, START + 5 * MINUTE_MS);
+
+  const completed = manager.record(50, START + 15 * MINUTE_MS);
+
+  // 100 kW for 5 minutes, 200 kW for 10 minutes
+  assert.equal(completed.start, '2026-03-10T10:00:00.000Z');
+  assert.equal(completed.end, '2026-03-10T10:15:00.000Z');
+  assert.ok(Math.abs(completed.energy - 125 / 3) < 1e-9);
+  assert.ok(Math.abs(completed.averageDemand - 500 / 3) < 1e-9);
+  assert.equal(manager.getCurrentInterval(START + 15 * MINUTE_MS).start, '2026-03-10T10:15:00.000Z');
+});
+
+test('the part of the interval before the first sample counts at the current import', () => {
+  manager.record(60, START + 5 * MINUTE_MS);
+
+  const current = manager.getCurrentInterval(START + 5 * MINUTE_MS);
+
+  assert.equal(current.energy, 5);
+  assert.equal(current.remainingMinutes, 10);
+  assert.equal(current.predictedAverage, 60);
+});
+
+test('the import limit spreads the remaining budget over the rest of the interval', () => {
+  manager.record(150, START);
+
+  // 12.5 kWh used of the 25 kWh a 100 kW target allows
+  assert.equal(manager.getImportLimit(100, START + 5 * MINUTE_MS), 75);
+  // Budget used up
+  assert.equal(manager.getImportLimit(100, START + 10 * MINUTE_MS), 0);
+  // The last seconds count as at least a minute
+  assert.ok(manager.getImportLimit(200, START + 15 * MINUTE_MS - 1000) < 200 * 15);
+});
+
+test('the target follows the monthly billing peak until the month ends', () => {
+  manager.record(300, START);
+  manager.record(100, START + 15 * MINUTE_MS);
+
+  assert.equal(manager.getMonthlyPeak(START + 15 * MINUTE_MS).value, 300);
+  assert.equal(manager.getTarget(250, START + 15 * MINUTE_MS), 300);
+  assert.equal(manager.getTarget(350, START + 15 * MINUTE_MS), 350);
+
+  // A lower interval does not replace the peak
+  manager.record(100, START + 30 * MINUTE_MS);
+  assert.equal(manager.getMonthlyPeak(START + 30 * MINUTE_MS).value, 300);
+
+  assert.equal(manager.getMonthlyPeak(Date.parse('2026-04-01T00:00:00Z')), null);
+  assert.equal(manager.getTarget(250, Date.parse('2026-04-01T00:00:00Z')), 250);
+});
+
+test('restores the billing peak of the month from stored intervals', async () => {
+  const month = new Date().toISOString().slice(0, 7);
+  const start = Date.parse(`${month}-01T00:00:00Z`);
+  const intervals = [120, 180, 150].map((averageDemand, index) => ({
+    start: new Date(start + index * 15 * MINUTE_MS).toISOString(),
+    end: new Date(start + (index + 1) * 15 * MINUTE_MS).toISOString(),
+    energy: averageDemand / 4,
+    averageDemand
+  }));
+  await fs.promises.writeFile(
+    path.join(dataDir, `demand-${month}.jsonl`),
+    intervals.map(i => JSON.stringify(i)).join('\n') + '\nnot json\n'
+  );
+
+  await manager.initialize();
+
+  assert.equal(manager.getMonthlyPeak().value, 180);
+  assert.equal(manager.recentIntervals.length, 3);
+});
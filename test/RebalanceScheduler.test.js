@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RebalanceScheduler } from '../src/utils/RebalanceScheduler.js';
+
+// Let the async cycle finish (setImmediate is not mocked)
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function createScheduler(t, run = async () => {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+  const runs = [];
+  const scheduler = new RebalanceScheduler(async (reasons) => {
+    runs.push(reasons);
+    await run(reasons);
+  }, { debounce: 200, maxDelay: 1000, fallbackInterval: 5000 }).start();
+
+  t.after(() => scheduler.stop());
+  return { scheduler, runs };
+}
+
+test('coalesces a burst of requests into one cycle after the debounce', async (t) => {
+  const { scheduler, runs } = createScheduler(t);
+
+  scheduler.request('station_status');
+  t.mock.timers.tick(100);
+  scheduler.request('meter_update');
+  t.mock.timers.tick(199);
+  await flush();
+  assert.equal(runs.length, 0);
+
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(runs, [['station_status', 'meter_update']]);
+  assert.equal(scheduler.getStats().coalesced, 1);
+});
+
+test('runs no later than the maximum delay after the first request', async (t) => {
+  const { scheduler, runs } = createScheduler(t);
+
+  for (let elapsed = 0; elapsed < 1000; elapsed += 150) {
+    scheduler.request('meter_update');
+    t.mock.timers.tick(150);
+    await flush();
+  }
+
+  assert.equal(runs.length, 1);
+});
+
+test('urgent requests skip the debounce', async (t) => {
+  const { scheduler, runs } = createScheduler(t);
+
+  scheduler.request('meter_update');
+  scheduler.request('overload', { urgent: true });
+  t.mock.timers.tick(0);
+  await flush();
+
+  assert.deepEqual(runs, [['meter_update', 'overload']]);
+});
+
+test('requests during a cycle trigger exactly one follow-up', async (t) => {
+  let finishCycle;
+  const { scheduler, runs } = createScheduler(t, () => new Promise(resolve => { finishCycle = resolve; }));
+
+  scheduler.request('first', { urgent: true });
+  t.mock.timers.tick(0);
+  await flush();
+  assert.equal(scheduler.getStats().running, true);
+
+  scheduler.request('second');
+  scheduler.request('third', { urgent: true });
+  t.mock.timers.tick(1000);
+  assert.equal(runs.length, 1);
+
+  finishCycle();
+  await flush();
+  t.mock.timers.tick(0);
+  await flush();
+
+  assert.deepEqual(runs, [['first'], ['second', 'third']]);
+  finishCycle();
+  await flush();
+  assert.equal(scheduler.getStats().runs, 2);
+});
+
+test('the fallback tick runs a cycle when no request arrives', async (t) => {
+  const { runs } = createScheduler(t);
+
+  t.mock.timers.tick(4999);
+  await flush();
+  assert.equal(runs.length, 0);
+
+  t.mock.timers.tick(1);
+  await flush();
+  t.mock.timers.tick(0);
+  await flush();
+  assert.deepEqual(runs, [['fallback_tick']]);
+});
+
+test('a failing cycle is counted and does not stop scheduling', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { scheduler, runs } = createScheduler(t, async () => { throw new Error('boom'); });
+
+  scheduler.request('first', { urgent: true });
+  t.mock.timers.tick(0);
+  await flush();
+  scheduler.request('second', { urgent: true });
+  t.mock.timers.tick(0);
+  await flush();
+
+  assert.equal(runs.length, 2);
+  assert.equal(scheduler.getStats().errors, 2);
+});
+
+test('ignores requests until started and after stop', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const scheduler = new RebalanceScheduler(async () => {});
+
+  scheduler.request('early');
+  assert.equal(scheduler.getStats().requests, 0);
+
+  scheduler.start();
+  scheduler.stop();
+  scheduler.request('late');
+  assert.equal(scheduler.getStats().requests, 0);
+  assert.equal(scheduler.getStats().pending, false);
+});
@@ -0,0 +1,96 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionStore } from '../src/services/SessionStore.js';
+
+let dataDir;
+let state;
+let store;
+
+beforeEach(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+  state = {
+    stations: new Map(),
+    config: {},
+    broadcast: () => {}
+  };
+  store = new SessionStore(state, { dataDir });
+  await store.initialize();
+});
+
+afterEach(async () => {
+  await store.shutdown();
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+function addStation(fields = {}) {
+  const station = { id: 's1', name: 'Station 1', protocol: 'ocpp', status: 'charging', currentPower: 11, ...fields };
+  state.stations.set(station.id, station);
+  return station;
+}
+
+test('records the OCPP transaction ID of a session', () => {
+  const station = addStation();
+
+  store.startSession(station, station, { transactionId: 42, meterStart: 1 });
+  const record = store.stopSession(station.id, { reason: 'EVDisconnected', meterStop: 11 });
+
+  assert.equal(record.transactionId, 42);
+  assert.equal(record.energy, 10);
+  assert.equal(record.energySource, 'metered');
+  assert.equal(record.stopReason, 'ev_disconnected');
+});
+
+test('sessions without a transaction store null', () => {
+  const station = addStation({ protocol: 'mqtt' });
+
+  const session = store.startSession(station, station, { transactionId: undefined });
+
+  assert.equal(session.transactionId, null);
+});
+
+test('an OCPP transaction takes over the session of a remote start', () => {
+  const station = addStation();
+
+  const remote = store.startSession(station, station);
+  const session = store.startSession(station, station, { transactionId: 7, rfidCard: 'TAG' });
+
+  assert.equal(session.id, remote.id);
+  assert.equal(session.transactionId, 7);
+  assert.equal(store.activeSessions.size, 1);
+});
+
+test('a new transaction on a point closes the previous one', () => {
+  const station = addStation();
+
+  const first = store.startSession(station, station, { transactionId: 1 });
+  const second = store.startSession(station, station, { transactionId: 2 });
+
+  assert.notEqual(second.id, first.id);
+  assert.equal(store.completedSessions[0].stopReason, 'replaced');
+});
+
+test('keeps a session open while its point is suspended', () => {
+  const station = addStation();
+  const now = Date.now();
+
+  store.startSession(station, station, { transactionId: 3 });
+  station.status = 'ready';
+  station.currentPower = 0;
+  store.recordCycle([], now + 60000);
+
+  assert.equal(store.activeSessions.size, 1);
+  assert.equal(store.activeSessions.get(station.id).transactionId, 3);
+});
+
+test('closes the session of a deleted station', () => {
+  const station = addStation();
+
+  store.startSession(station, station);
+  state.stations.delete(station.id);
+  store.recordCycle([]);
+
+  assert.equal(store.completedSessions[0].stopReason, 'station_deleted');
+});
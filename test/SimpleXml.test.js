@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXml, escapeXml, childElements, findElement, findDescendant, textAt } from '../src/utils/SimpleXml.js';
+
+test('reads elements by local name with prefixes and namespaces dropped', () => {
+  const root = parseXml(
+    '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<oadr:oadrPayload xmlns:oadr="http://openadr.org/oadr-2.0b/2012/07" xmlns:ei="urn:ei">' +
+    '<!-- signed object -->' +
+    '<ei:eventDescriptor ei:schemaVersion="2.0b"><ei:eventID> evt-1 </ei:eventID><ei:priority>1</ei:priority></ei:eventDescriptor>' +
+    '<ei:signal/><ei:signal/>' +
+    '</oadr:oadrPayload>'
+  );
+
+  assert.equal(root.name, 'oadrPayload');
+  assert.equal(root.prefix, 'oadr');
+  assert.deepEqual(root.attributes, {});
+
+  const descriptor = findElement(root, 'eventDescriptor');
+  assert.deepEqual(descriptor.attributes, { schemaVersion: '2.0b' });
+  assert.equal(textAt(root, 'eventDescriptor/eventID'), 'evt-1');
+  assert.equal(findDescendant(root, 'priority').text, '1');
+  assert.equal(childElements(root, 'signal').length, 2);
+  assert.equal(textAt(root, 'eventDescriptor/missing'), null);
+});
+
+test('decodes entities and CDATA, and keeps quoted > in attributes', () => {
+  const root = parseXml('<a note="x &gt; 1 > 0">&lt;b&gt; &amp; &#65;&#x42; <![CDATA[<raw> & text]]></a>');
+
+  assert.equal(root.attributes.note, 'x > 1 > 0');
+  assert.equal(root.text, '<b> & AB <raw> & text');
+});
+
+test('leaves declared entities unexpanded', () => {
+  const root = parseXml('<!DOCTYPE a [<!ENTITY e "expanded">]><a>&e;</a>');
+
+  assert.equal(root.name, 'a');
+  assert.equal(root.text, '&e;');
+});
+
+test('rejects malformed documents', () => {
+  assert.throws(() => parseXml(''), /Empty XML document/);
+  assert.throws(() => parseXml('<a><b></a>'), /Unexpected closing tag <\/a>/);
+  assert.throws(() => parseXml('</a>'), /Unexpected closing tag <\/a>/);
+  assert.throws(() => parseXml('<a><b>'), /Unclosed element <b>/);
+  assert.throws(() => parseXml('<a attr="1'), /Unterminated start tag/);
+  assert.throws(() => parseXml('<a><![CDATA[text</a>'), /Unterminated CDATA section/);
+  assert.throws(() => parseXml('<a><!-- comment</a>'), /Expected "-->"/);
+});
+
+test('escaped values parse back to the same text', () => {
+  const value = `<"Bay" & 'north'>`;
+
+  const root = parseXml(`<a name="${escapeXml(value)}">${escapeXml(value)}</a>`);
+
+  assert.equal(root.attributes.name, value);
+  assert.equal(root.text, value);
+});
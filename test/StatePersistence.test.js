@@ -0,0 +1,137 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StatePersistence } from '../src/persistence/StatePersistence.js';
+
+let dataDir;
+
+beforeEach(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'state-'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+function createState(config = {}) {
+  return {
+    stations: new Map(),
+    schedules: new Map(),
+    energyMeters: new Map(),
+    zones: new Map(),
+    batteries: new Map(),
+    flexibleLoads: new Map(),
+    config: { maxGridCapacity: 500, allocationStrategy: 'priority_fill', minChargingPower: 4, ...config }
+  };
+}
+
+test('restores collections and settings changed through the API', async () => {
+  const state = createState();
+  const persistence = new StatePersistence(dataDir);
+  state.zones.set('garage', { id: 'garage', name: 'Garage', limit: 50 });
+  state.schedules.set('night', { id: 'night', enabled: true });
+  persistence.setConfig(state, { maxGridCapacity: 250, allocationStrategy: 'equal_share' });
+
+  await persistence.save(state);
+
+  const restored = createState({ minChargingPower: 6 });
+  await new StatePersistence(dataDir).load(restored);
+
+  assert.deepEqual(restored.zones.get('garage'), { id: 'garage', name: 'Garage', limit: 50 });
+  assert.equal(restored.schedules.get('night').enabled, true);
+  assert.equal(restored.config.maxGridCapacity, 250);
+  assert.equal(restored.config.allocationStrategy, 'equal_share');
+  // Settings from the environment are not overridden
+  assert.equal(restored.config.minChargingPower, 6);
+});
+
+test('settings not changed through the API follow the environment', async () => {
+  const saved = createState({ maxGridCapacity: 500, loadSheddingEnabled: false });
+  const persistence = new StatePersistence(dataDir);
+  persistence.setConfig(saved, { rotationEnabled: true });
+  await persistence.save(saved);
+
+  // The environment changed since the state was saved
+  const restored = createState({ maxGridCapacity: 300, loadSheddingEnabled: true });
+  const restoredPersistence = new StatePersistence(dataDir);
+  await restoredPersistence.load(restored);
+
+  assert.equal(restored.config.maxGridCapacity, 300);
+  assert.equal(restored.config.loadSheddingEnabled, true);
+  assert.equal(restored.config.rotationEnabled, true);
+
+  // Overrides survive the next save
+  await restoredPersistence.save(restored);
+  const again = createState();
+  await new StatePersistence(dataDir).load(again);
+  assert.equal(again.config.rotationEnabled, true);
+  assert.equal(again.config.maxGridCapacity, 500);
+});
+
+test('only API settings can be overridden', async () => {
+  const state = createState();
+  const persistence = new StatePersistence(dataDir);
+
+  assert.throws(() => persistence.setConfig(state, { loadSheddingEnabled: true }), /cannot be changed at runtime/);
+
+  // Overrides of other keys in the file are ignored
+  await fs.promises.writeFile(path.join(dataDir, 'state.json'), JSON.stringify({ overrides: { openadrEnabled: true, maxGridCapacity: 100 } }));
+  await persistence.load(state);
+
+  assert.equal(state.config.openadrEnabled, undefined);
+  assert.equal(state.config.maxGridCapacity, 100);
+});
+
+test('restored stations start offline without live power', async () => {
+  const state = createState();
+  state.stations.set('s1', {
+    id: 's1',
+    name: 'Station',
+    online: true,
+    status: 'charging',
+    currentPower: 11,
+    priority: 8,
+    connectors: [
+      { connectorId: 1, maxPower: 11, status: 'charging', currentPower: 11 },
+      { connectorId: 2, maxPower: 11, status: 'ready', currentPower: 0 }
+    ]
+  });
+
+  await new StatePersistence(dataDir).save(state);
+
+  const restored = createState();
+  await new StatePersistence(dataDir).load(restored);
+  const station = restored.stations.get('s1');
+
+  assert.equal(station.online, false);
+  assert.equal(station.status, 'offline');
+  assert.equal(station.currentPower, 0);
+  assert.equal(station.priority, 8);
+  assert.deepEqual(station.connectors.map(c => [c.status, c.currentPower]), [['offline', 0], ['offline', 0]]);
+});
+
+test('concurrent saves leave the latest state on disk', async () => {
+  const state = createState();
+  const persistence = new StatePersistence(dataDir);
+
+  persistence.setConfig(state, { maxGridCapacity: 100 });
+  const first = persistence.save(state);
+  persistence.setConfig(state, { maxGridCapacity: 200 });
+  await Promise.all([first, persistence.save(state)]);
+
+  const restored = createState();
+  await persistence.load(restored);
+
+  assert.equal(restored.config.maxGridCapacity, 200);
+});
+
+test('a missing state file leaves the state unchanged', async () => {
+  const state = createState();
+
+  await new StatePersistence(dataDir).load(state);
+
+  assert.equal(state.stations.size, 0);
+  assert.equal(state.config.maxGridCapacity, 500);
+});